@@ -0,0 +1,308 @@
+const _ = require('lodash'),
+  os = require('os'),
+  path = require('path'),
+  fse = require('fs-extra'),
+  yamlParser = require('js-yaml'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  runProcess = require('./../netfilter/process-runner').runProcess;
+
+/**
+ * The facts of the host, available in the configuration as ${host.<name>}
+ * @typedef {Object} ConfigLoader~HostFacts
+ * @property {string} hostname The short host name
+ * @property {string} fqdn The fully qualified domain name, the host name if it cannot be resolved
+ */
+
+/**
+ * The extensions of the files included from a directory
+ * @type {string[]}
+ */
+const INCLUDE_EXTENSIONS = ['.yml', '.yaml'];
+
+/**
+ * A variable: ${NAME} or ${NAME:-default}, $${NAME} is kept as ${NAME}
+ * @type {RegExp}
+ */
+const VARIABLE_PATTERN = /\$(\$?)\{([a-zA-Z_][a-zA-Z0-9_.]*)(?::-([^}]*))?\}/g;
+
+/**
+ * The prefix of the variables read from the host facts
+ * @type {string}
+ */
+const HOST_VARIABLE_PREFIX = 'host.';
+
+/**
+ * Merge the values, the objects are merged recursively and the other values (arrays included) replaced
+ * @param {Object} target The base values
+ * @param {Object} source The values overriding the base values
+ * @return {Object} A new object
+ */
+function mergeDeep(target, source) {
+  return _.mergeWith({}, target, source, (targetValue, sourceValue) => _.isArray(sourceValue) ? _.cloneDeep(sourceValue) : undefined);
+}
+
+/**
+ * Merge the content of a file in the configuration: the configurations are appended, the other sections are merged
+ * @param {Object} configuration The configuration
+ * @param {Object} fileConfiguration The content of the file
+ * @param {string} filePath The file path, for the errors
+ * @return {Object} The configuration merged
+ * @throws {commonErrors.IllegalArgumentError} If a configuration id is defined twice
+ */
+function mergeFileConfiguration(configuration, fileConfiguration, filePath) {
+  const mergedConfiguration = mergeDeep(_.omit(configuration, 'configurations'), _.omit(fileConfiguration, ['include', 'configurations']));
+
+  if (_.has(configuration, 'configurations') || _.has(fileConfiguration, 'configurations')) {
+    const configurations = _.castArray(_.get(configuration, 'configurations', [])),
+      fileConfigurations = _.castArray(_.get(fileConfiguration, 'configurations', []));
+
+    _.each(fileConfigurations, configurationItem => {
+      const id = _.get(configurationItem, 'id');
+      if (!_.isNil(id) && _.some(configurations, {id: id})) {
+        throw new commonErrors.IllegalArgumentError(`${filePath}: the configuration id ${id} is already defined`);
+      }
+    });
+
+    mergedConfiguration.configurations = configurations.concat(fileConfigurations);
+  }
+
+  return mergedConfiguration;
+}
+
+/**
+ * Returns the files of an include: the file itself or the YAML files of the directory, sorted by name
+ * @param {string} includePath The path
+ * @return {Promise} The file paths (string[]) on resolve
+ */
+function listIncludedFiles(includePath) {
+  return fse.stat(includePath)
+    .then(stats => {
+      if (!stats.isDirectory()) {
+        return [includePath];
+      }
+
+      return fse.readdir(includePath)
+        .then(names => _.map(_.sortBy(_.filter(names, name => INCLUDE_EXTENSIONS.indexOf(path.extname(name)) !== -1)), name => path.join(includePath, name)));
+    });
+}
+
+/**
+ * Load the files of an include and merge them in the configuration
+ * @param {Object} configuration The configuration loaded before the include
+ * @param {string} include The path of the include, relative to the including file
+ * @param {string} filePath The path of the including file
+ * @param {string[]} loadingFiles The files being loaded, the including file excluded
+ * @return {Promise} The configuration merged (Object) on resolve
+ */
+function loadInclude(configuration, include, filePath, loadingFiles) {
+  if (!_.isString(include)) {
+    return Promise.reject(new commonErrors.IllegalArgumentError(`${filePath}: the includes must be paths`));
+  }
+
+  return listIncludedFiles(path.resolve(path.dirname(filePath), include))
+    .then(includedFiles => {
+      let workflowPromise = Promise.resolve(configuration);
+      _.each(includedFiles, includedFile => {
+        workflowPromise = workflowPromise.then(mergedConfiguration => loadFile(includedFile, loadingFiles.concat(filePath))
+          .then(includedConfiguration => mergeFileConfiguration(mergedConfiguration, includedConfiguration, includedFile)));
+      });
+      return workflowPromise;
+    });
+}
+
+/**
+ * Load a YAML file and the files it includes. The included files are loaded first in the order of include,
+ * the file itself is merged last and overrides them.
+ * @param {string} filePath The file path
+ * @param {string[]} [loadingFiles] The files being loaded, to detect the cycles
+ * @return {Promise} The configuration merged (Object) on resolve
+ */
+function loadFile(filePath, loadingFiles) {
+  const resolvedFilePath = path.resolve(filePath),
+    parentFiles = loadingFiles || [];
+
+  if (parentFiles.indexOf(resolvedFilePath) !== -1) {
+    return Promise.reject(new commonErrors.IllegalArgumentError(`Include cycle: ${parentFiles.concat(resolvedFilePath).join(' -> ')}`));
+  }
+
+  return fse.readFile(resolvedFilePath)
+    .then(data => {
+      const fileConfiguration = yamlParser.safeLoad(data, {
+        filename: resolvedFilePath
+      }) || {};
+
+      if (!_.isPlainObject(fileConfiguration)) {
+        throw new commonErrors.IllegalArgumentError(`${resolvedFilePath}: the content must be an object`);
+      }
+
+      const includes = _.castArray(_.get(fileConfiguration, 'include', []));
+      let workflowPromise = Promise.resolve({});
+
+      _.each(includes, include => {
+        workflowPromise = workflowPromise.then(configuration => loadInclude(configuration, include, resolvedFilePath, parentFiles));
+      });
+
+      return workflowPromise.then(configuration => mergeFileConfiguration(configuration, fileConfiguration, resolvedFilePath));
+    });
+}
+
+/**
+ * Merge a configuration item on the one it extends.
+ * The jobs are merged by name: the jobs of the parent keep their order, a job with the same name is merged on the job of the parent
+ * and the new jobs are appended.
+ * @param {Object} parentItem The configuration item extended, resolved
+ * @param {Object} configurationItem The configuration item
+ * @return {Object} The configuration item merged, without extends
+ */
+function mergeConfigurationItem(parentItem, configurationItem) {
+  const mergedItem = mergeDeep(_.omit(parentItem, ['jobs']), _.omit(configurationItem, ['jobs', 'extends'])),
+    parentJobs = _.get(parentItem, 'jobs', []),
+    jobs = _.get(configurationItem, 'jobs', []);
+
+  mergedItem.jobs = _.map(parentJobs, parentJob => {
+    const job = _.find(jobs, {name: parentJob.name});
+    return job ? mergeDeep(parentJob, job) : parentJob;
+  }).concat(_.filter(jobs, job => !_.some(parentJobs, {name: job.name})));
+
+  return mergedItem;
+}
+
+/**
+ * Resolve the configuration items extending another id, recursively
+ * @param {Object[]} configurations The configuration items
+ * @return {Object[]} The configuration items resolved, in the same order
+ * @throws {commonErrors.IllegalArgumentError} If an id extended is unknown or the items extend each other
+ */
+function resolveExtends(configurations) {
+  const resolvedItems = {};
+
+  const resolveItem = (configurationItem, extendingIds) => {
+    if (!_.has(configurationItem, 'extends')) {
+      return configurationItem;
+    } else if (_.has(resolvedItems, configurationItem.id)) {
+      return resolvedItems[configurationItem.id];
+    } else if (extendingIds.indexOf(configurationItem.id) !== -1) {
+      throw new commonErrors.IllegalArgumentError(`Extends cycle: ${extendingIds.concat(configurationItem.id).join(' -> ')}`);
+    }
+
+    const parentItem = _.find(configurations, {id: configurationItem.extends});
+    if (!parentItem) {
+      throw new commonErrors.IllegalArgumentError(`The configuration ${configurationItem.id} extends the unknown configuration ${configurationItem.extends}`);
+    }
+
+    resolvedItems[configurationItem.id] = mergeConfigurationItem(resolveItem(parentItem, extendingIds.concat(configurationItem.id)), configurationItem);
+    return resolvedItems[configurationItem.id];
+  };
+
+  return _.map(configurations, configurationItem => _.isPlainObject(configurationItem) ? resolveItem(configurationItem, []) : configurationItem);
+}
+
+/**
+ * Returns the names of the variables used in the values
+ * @param {*} value The value
+ * @return {string[]} The names, without the escaped variables
+ */
+function listVariables(value) {
+  if (_.isArray(value) || _.isPlainObject(value)) {
+    return _.uniq(_.flatMap(_.values(value), listVariables));
+  } else if (!_.isString(value)) {
+    return [];
+  }
+
+  const names = [];
+  value.replace(VARIABLE_PATTERN, (match, escape, name) => {
+    if (_.isEmpty(escape)) {
+      names.push(name);
+    }
+    return match;
+  });
+  return names;
+}
+
+/**
+ * Load the facts of the host
+ * @param {string[]} names The variables used, the fqdn is only resolved when used
+ * @return {Promise} {@link ConfigLoader~HostFacts} on resolve
+ */
+function loadHostFacts(names) {
+  const hostFacts = {
+    hostname: _.head(_.split(os.hostname(), '.')),
+    fqdn: os.hostname()
+  };
+
+  if (names.indexOf(`${HOST_VARIABLE_PREFIX}fqdn`) === -1) {
+    return Promise.resolve(hostFacts);
+  }
+
+  return runProcess('hostname', ['-f'])
+    .then(result => {
+      hostFacts.fqdn = _.trim(result.stdout) || hostFacts.fqdn;
+      return hostFacts;
+    })
+    .catch(() => hostFacts);
+}
+
+/**
+ * Replace the variables of the values: ${NAME} from the environment, ${host.<fact>} from the host facts.
+ * ${NAME:-default} uses the default value when the variable is not defined.
+ * @param {*} value The value
+ * @param {string} valuePath The path of the value, for the errors
+ * @param {Object.<string, string>} environment The environment variables
+ * @param {ConfigLoader~HostFacts} hostFacts The host facts
+ * @return {*} The value substituted
+ * @throws {commonErrors.IllegalArgumentError} If a variable is not defined
+ */
+function substituteVariables(value, valuePath, environment, hostFacts) {
+  if (_.isArray(value)) {
+    return _.map(value, (item, index) => substituteVariables(item, `${valuePath}[${index}]`, environment, hostFacts));
+  } else if (_.isPlainObject(value)) {
+    return _.mapValues(value, (childValue, key) => substituteVariables(childValue, valuePath ? `${valuePath}.${key}` : key, environment, hostFacts));
+  } else if (!_.isString(value)) {
+    return value;
+  }
+
+  return value.replace(VARIABLE_PATTERN, (match, escape, name, defaultValue) => {
+    if (!_.isEmpty(escape)) {
+      return match.substr(1);
+    }
+
+    const variableValue = _.startsWith(name, HOST_VARIABLE_PREFIX) ?
+      _.get(hostFacts, name.substr(HOST_VARIABLE_PREFIX.length)) :
+      _.get(environment, name);
+
+    if (!_.isNil(variableValue)) {
+      return variableValue;
+    } else if (!_.isUndefined(defaultValue)) {
+      return defaultValue;
+    }
+
+    throw new commonErrors.IllegalArgumentError(`${valuePath}: the variable ${name} is not defined`);
+  });
+}
+
+/**
+ * Load the configuration file: the includes are merged, the configuration items extending another id are resolved
+ * and the variables are replaced. The configuration is not validated.
+ * @param {string} filePath The configuration file path
+ * @param {Object.<string, string>} [environment] The environment variables, process.env by default
+ * @return {Promise} The configuration (Object) on resolve
+ */
+function loadConfiguration(filePath, environment) {
+  return loadFile(filePath)
+    .then(configuration => {
+      if (_.isArray(configuration.configurations)) {
+        configuration.configurations = resolveExtends(configuration.configurations);
+      }
+
+      return loadHostFacts(listVariables(configuration))
+        .then(hostFacts => substituteVariables(configuration, '', environment || process.env, hostFacts));
+    });
+}
+
+exports.INCLUDE_EXTENSIONS = module.exports.INCLUDE_EXTENSIONS = INCLUDE_EXTENSIONS;
+exports.mergeConfigurationItem = module.exports.mergeConfigurationItem = mergeConfigurationItem;
+exports.resolveExtends = module.exports.resolveExtends = resolveExtends;
+exports.substituteVariables = module.exports.substituteVariables = substituteVariables;
+exports.loadHostFacts = module.exports.loadHostFacts = loadHostFacts;
+exports.loadConfiguration = module.exports.loadConfiguration = loadConfiguration;
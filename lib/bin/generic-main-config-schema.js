@@ -1,10 +1,20 @@
-const Joi = require('joi');
+const Joi = require('joi'),
+  namespaces = require('./../jobs/namespaces'),
+  objects = require('./../jobs/objects');
+
+/**
+ * The namespace prefixing the chain and set names
+ * @type {Object}
+ */
+const NAMESPACE_SCHEMA = Joi.string().regex(namespaces.NAMESPACE_PATTERN, 'namespace');
 
 exports.configurationSchema = module.exports.configurationSchema = Joi.object().keys({
   version: Joi.string().required(),
   fileVersion: Joi.string().required(),
   global: Joi.object().keys({
+    namespace: NAMESPACE_SCHEMA,
     network: Joi.object().keys({
+      ipVersions: Joi.array().items(Joi.number().valid([4, 6])),
       trustedItems: Joi.array().items(
         Joi.object().keys({
           value: Joi.string().ip({
@@ -15,15 +25,19 @@ exports.configurationSchema = module.exports.configurationSchema = Joi.object().
       )
     }).unknown()
   }).unknown(),
+  objects: objects.OBJECTS_SCHEMA,
   configurations: Joi.array().items(
     Joi.object().keys({
       id: Joi.string().required(),
+      namespace: NAMESPACE_SCHEMA,
       jobs: Joi.array().items(
         Joi.object().keys({
           name: Joi.string().required(),
+          namespace: NAMESPACE_SCHEMA,
           engine: Joi.object().keys({
             name: Joi.string().required()
           }).unknown().required(),
+          dependsOn: Joi.array().items(Joi.string()).default([]),
           configuration: Joi.object().unknown().required()
         }).unknown()
       ).required()
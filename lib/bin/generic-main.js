@@ -7,12 +7,316 @@ const _ = require('lodash'),
   WinstonProxyLogger = require('js-zrim-proxy-logger').WinstonProxyLogger,
   jsErrors = require('js-zrim-errors'),
   commonErrors = jsErrors.common,
-  Joi = require('joi');
+  Joi = require('joi'),
+  orderJobsForAction = require('./../jobs/job-dependencies').orderJobsForAction,
+  installedJobs = require('./../jobs/installed-jobs'),
+  blacklistEntries = require('./../jobs/blacklist-entries'),
+  ipFamilies = require('./../jobs/ip-families'),
+  namespaces = require('./../jobs/namespaces'),
+  objects = require('./../jobs/objects'),
+  configLoader = require('./config-loader'),
+  operations = require('./../netfilter/operations'),
+  securityCommands = require('./../netfilter/security-commands'),
+  atomicApply = require('./../netfilter/atomic-apply'),
+  applyConfirmation = require('./../netfilter/apply-confirmation'),
+  rulesetSnapshot = require('./../netfilter/ruleset-snapshot'),
+  driftDetection = require('./../netfilter/drift-detection'),
+  convergence = require('./../netfilter/convergence'),
+  rulesetModel = require('./../netfilter/ruleset-model'),
+  iptablesRenderer = require('./../netfilter/iptables-renderer'),
+  nftablesRenderer = require('./../netfilter/nftables-renderer'),
+  nftablesApply = require('./../netfilter/nftables-apply'),
+  trafficReport = require('./../netfilter/traffic-report');
 
 
 const APP_VERSION = require('./../../package.json').version;
 
 
+const DEFAULT_STATE_DIRECTORY = '/var/lib/ze-netfilter';
+
+/**
+ * Exit code used by the action diff when the live ruleset does not match the configuration
+ * @type {number}
+ */
+const EXIT_CODE_DRIFT = 2;
+
+if (process.argv[2] === 'confirm') {
+  // ze-netfilter-cmd confirm : confirm the apply waiting in another shell
+  const confirmArgsParser = new ArgumentParser({
+    prog: 'ze-netfilter-cmd confirm',
+    version: APP_VERSION,
+    addHelp: true,
+    description: 'Confirm the rules applied with --confirm-within'
+  });
+
+  confirmArgsParser.addArgument(
+    [ '--state-dir' ],
+    {
+      help: 'The state directory',
+      dest: 'stateDirectory',
+      action: 'store',
+      defaultValue: DEFAULT_STATE_DIRECTORY
+    }
+  );
+
+  const confirmUsageArgs = confirmArgsParser.parseArgs(process.argv.slice(3));
+  applyConfirmation.confirmPending(confirmUsageArgs.stateDirectory)
+    .then(pending => {
+      process.stdout.write(`Confirmation sent to the process ${pending.pid}\n`);
+    })
+    .catch(error => {
+      process.stderr.write(`Failed to confirm: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  return;
+}
+
+if (process.argv[2] === 'blacklist') {
+  // ze-netfilter-cmd blacklist : manage the entries of the database of a sync-blacklist-ips job
+  const blacklistArgsParser = new ArgumentParser({
+    prog: 'ze-netfilter-cmd blacklist',
+    version: APP_VERSION,
+    addHelp: true,
+    description: 'List, add or remove the entries of the blacklist database'
+  });
+
+  blacklistArgsParser.addArgument(
+    [ 'blacklistAction' ],
+    {
+      help: 'Action to perform',
+      choices: ['list', 'add', 'remove'],
+      metavar: 'action'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ 'network' ],
+    {
+      help: 'The network to add or remove',
+      nargs: '?'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '-c', '--config-file' ],
+    {
+      help: 'Configuration file',
+      required: true,
+      dest: 'configurationFilePath',
+      action: 'store',
+      metavar: 'configuration_file_path'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '-i', '--id' ],
+    {
+      help: 'The configuration id to use',
+      required: true,
+      dest: 'configurationId',
+      action: 'store',
+      metavar: 'configuration_id'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '-j', '--job' ],
+    {
+      help: 'The sync-blacklist-ips job giving the database',
+      required: true,
+      dest: 'jobName',
+      action: 'store'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '--reason' ],
+    {
+      help: 'With add, why the network is blocked',
+      dest: 'reason',
+      action: 'store'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '--expires-in' ],
+    {
+      help: 'With add, the duration before the entry expires (3600, 12h, 7d...). The job expiry.defaultTtlSeconds by default',
+      dest: 'expiresIn',
+      action: 'store',
+      metavar: 'duration'
+    }
+  );
+
+  blacklistArgsParser.addArgument(
+    [ '--expires-at' ],
+    {
+      help: 'With add, the expiry date (ISO 8601)',
+      dest: 'expiresAt',
+      action: 'store',
+      metavar: 'date'
+    }
+  );
+
+  const blacklistUsageArgs = blacklistArgsParser.parseArgs(process.argv.slice(3));
+  if (blacklistUsageArgs.blacklistAction !== 'list' && _.isNil(blacklistUsageArgs.network)) {
+    blacklistArgsParser.error(`The action ${blacklistUsageArgs.blacklistAction} requires the network`);
+  } else if (blacklistUsageArgs.blacklistAction !== 'add' && (blacklistUsageArgs.reason || blacklistUsageArgs.expiresIn || blacklistUsageArgs.expiresAt)) {
+    blacklistArgsParser.error('--reason, --expires-in and --expires-at can only be used with the action add');
+  } else if (blacklistUsageArgs.expiresIn && blacklistUsageArgs.expiresAt) {
+    blacklistArgsParser.error('--expires-in cannot be used with --expires-at');
+  }
+
+  loadJobConfiguration(blacklistUsageArgs, 'sync-blacklist-ips')
+    .then(({configurationJob}) => {
+      const jobConfiguration = configurationJob.configuration,
+        connectionString = blacklistEntries.getConnectionString(jobConfiguration);
+
+      switch (blacklistUsageArgs.blacklistAction) {
+        case 'list':
+          return blacklistEntries.listEntries(connectionString)
+            .then(entries => {
+              process.stdout.write(blacklistEntries.formatEntries(entries));
+            });
+        case 'add': {
+          let expiresAt = null;
+          if (blacklistUsageArgs.expiresAt) {
+            expiresAt = new Date(blacklistUsageArgs.expiresAt);
+            if (_.isNaN(expiresAt.getTime())) {
+              throw new commonErrors.IllegalArgumentError(`Invalid date ${blacklistUsageArgs.expiresAt}`);
+            }
+          } else {
+            const ttlSeconds = blacklistUsageArgs.expiresIn ? blacklistEntries.parseDuration(blacklistUsageArgs.expiresIn) : _.get(jobConfiguration, 'expiry.defaultTtlSeconds');
+            expiresAt = _.isNil(ttlSeconds) ? null : new Date(Date.now() + ttlSeconds * 1000);
+          }
+
+          return blacklistEntries.addEntry(connectionString, {
+            network: blacklistUsageArgs.network,
+            reason: blacklistUsageArgs.reason,
+            expiresAt: expiresAt
+          })
+            .then(() => {
+              process.stdout.write(`${blacklistUsageArgs.network} added, ${_.isNil(expiresAt) ? 'never expires' : `expires at ${expiresAt.toISOString()}`}\n`);
+            });
+        }
+        default:
+          return blacklistEntries.removeEntry(connectionString, blacklistUsageArgs.network)
+            .then(() => {
+              process.stdout.write(`${blacklistUsageArgs.network} removed\n`);
+            });
+      }
+    })
+    .catch(error => {
+      process.stderr.write(`Failed to ${blacklistUsageArgs.blacklistAction} the blacklist entries: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  return;
+}
+
+if (process.argv[2] === 'ban-daemon') {
+  // ze-netfilter-cmd ban-daemon : tail the logs of a log-ban job and ban the addresses failing too often
+  const banArgsParser = new ArgumentParser({
+    prog: 'ze-netfilter-cmd ban-daemon',
+    version: APP_VERSION,
+    addHelp: true,
+    description: 'Ban the addresses found in the logs, until SIGINT or SIGTERM'
+  });
+
+  banArgsParser.addArgument(
+    [ '-c', '--config-file' ],
+    {
+      help: 'Configuration file',
+      required: true,
+      dest: 'configurationFilePath',
+      action: 'store',
+      metavar: 'configuration_file_path'
+    }
+  );
+
+  banArgsParser.addArgument(
+    [ '-i', '--id' ],
+    {
+      help: 'The configuration id to use',
+      required: true,
+      dest: 'configurationId',
+      action: 'store',
+      metavar: 'configuration_id'
+    }
+  );
+
+  banArgsParser.addArgument(
+    [ '-j', '--job' ],
+    {
+      help: 'The log-ban job',
+      required: true,
+      dest: 'jobName',
+      action: 'store'
+    }
+  );
+
+  banArgsParser.addArgument(
+    [ '--backend' ],
+    {
+      help: 'The backend of the installed rules',
+      choices: ['iptables', 'nftables'],
+      dest: 'backend',
+      action: 'store',
+      defaultValue: 'iptables'
+    }
+  );
+
+  banArgsParser.addArgument(
+    [ '--dry-run' ],
+    {
+      help: 'Log the bans without applying them',
+      dest: 'dryRun',
+      action: 'storeTrue',
+      defaultValue: false
+    }
+  );
+
+  const banUsageArgs = banArgsParser.parseArgs(process.argv.slice(3));
+  const banLogger = new WinstonProxyLogger({
+    target: defaultLogger.getDefaultLogger(null),
+    prefixes: [`Netfilter:${APP_VERSION}`, banUsageArgs.jobName]
+  });
+
+  loadJobConfiguration(banUsageArgs, 'log-ban')
+    .then(({configuration, configurationItem, configurationJob}) => {
+      const result = Joi.validate(configurationJob.configuration, require('./../jobs/engines/log-ban').CONFIGURATION_SCHEMA);
+      if (result.error) {
+        throw new commonErrors.IllegalArgumentError(`Invalid configuration: ${result.error.message}`);
+      }
+
+      const trustedNetworks = _.concat(_.map(_.get(configuration, 'global.network.trustedItems', []), 'value'), result.value.ignoreNetworks);
+
+      return require('./../jobs/log-ban-daemon').runDaemon({
+        jobConfiguration: result.value,
+        trustedNetworks: trustedNetworks,
+        ipVersions: ipFamilies.getEnabledIpVersions({
+          configuration: configuration,
+          jobConfiguration: result.value
+        }),
+        namespace: namespaces.getNamespace({
+          configuration: configuration,
+          configurationItem: configurationItem,
+          configurationJob: configurationJob
+        }),
+        backend: banUsageArgs.backend,
+        dryRun: banUsageArgs.dryRun,
+        logger: banLogger
+      });
+    })
+    .catch(error => {
+      process.stderr.write(`Failed to run the ban daemon: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  return;
+}
+
 const argsParser = new ArgumentParser({
   version: APP_VERSION,
   addHelp: true,
@@ -23,7 +327,6 @@ argsParser.addArgument(
   [ '-i', '--id' ],
   {
     help: 'The configuration id to use',
-    required: true,
     dest: 'configurationId',
     action: 'store',
     metavar: 'configuration_id'
@@ -34,7 +337,6 @@ argsParser.addArgument(
   [ '-c', '--config-file' ],
   {
     help: 'Configuration file',
-    required: true,
     dest: 'configurationFilePath',
     action: 'store',
     metavar: 'configuration_file_path'
@@ -45,23 +347,36 @@ argsParser.addArgument(
   [ '-a', '--action' ],
   {
     help: 'Action to perform',
-    choices: ['install', 'uninstall'],
+    choices: ['install', 'uninstall', 'diff', 'report', 'list-installed', 'render-config'],
     required: true,
     dest: 'action',
     action: 'store'
   }
 );
 
-argsParser.addArgument(
+const jobSelectionGroup = argsParser.addMutuallyExclusiveGroup({
+  required: false
+});
+
+jobSelectionGroup.addArgument(
   [ '-j', '--job' ],
   {
     help: 'The job to use',
-    required: true,
     dest: 'jobName',
     action: 'store'
   }
 );
 
+jobSelectionGroup.addArgument(
+  [ '--all-jobs' ],
+  {
+    help: 'Use all the jobs of the configuration id, ordered using the dependencies',
+    dest: 'allJobs',
+    action: 'storeTrue',
+    defaultValue: false
+  }
+);
+
 argsParser.addArgument(
   [ '-p', '--print' ],
   {
@@ -82,8 +397,353 @@ argsParser.addArgument(
   }
 );
 
+argsParser.addArgument(
+  [ '--confirm-within' ],
+  {
+    help: 'With --apply, restore the previous rules if the changes are not confirmed within these seconds',
+    dest: 'confirmWithinSeconds',
+    action: 'store',
+    type: 'int',
+    metavar: 'seconds'
+  }
+);
+
+argsParser.addArgument(
+  [ '--state-dir' ],
+  {
+    help: 'The state directory',
+    dest: 'stateDirectory',
+    action: 'store',
+    defaultValue: DEFAULT_STATE_DIRECTORY
+  }
+);
+
+argsParser.addArgument(
+  [ '--from-config' ],
+  {
+    help: 'With the action uninstall, generate the commands from the configuration instead of the installed state',
+    dest: 'fromConfig',
+    action: 'storeTrue',
+    defaultValue: false
+  }
+);
+
+argsParser.addArgument(
+  [ '--backend' ],
+  {
+    help: 'The backend rendering the rules',
+    choices: ['iptables', 'nftables'],
+    dest: 'backend',
+    action: 'store',
+    defaultValue: 'iptables'
+  }
+);
+
+argsParser.addArgument(
+  [ '--format' ],
+  {
+    help: 'The output format of the action report',
+    choices: trafficReport.REPORT_FORMATS,
+    dest: 'reportFormat',
+    action: 'store',
+    defaultValue: 'table'
+  }
+);
+
 const usageArgs = argsParser.parseArgs();
 
+if (usageArgs.action === 'list-installed') {
+  // Show the jobs recorded in the state directory, of the configuration id if given
+  installedJobs.listInstalledJobs(usageArgs.stateDirectory, usageArgs.configurationId)
+    .then(installedJobList => {
+      process.stdout.write(installedJobs.formatInstalledJobs(installedJobList));
+    })
+    .catch(error => {
+      process.stderr.write(`Failed to list the installed jobs: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  return;
+}
+
+if (usageArgs.action === 'render-config') {
+  // Print the configuration resolved: includes, extends, variables and objects, of the configuration id if given
+  if (_.isNil(usageArgs.configurationFilePath)) {
+    argsParser.error('argument "-c/--config-file" is required');
+  }
+
+  loadConfiguration(usageArgs.configurationFilePath)
+    .then(configuration => {
+      const yamlParser = require('js-yaml');
+      let renderedConfiguration = configuration;
+
+      if (!_.isNil(usageArgs.configurationId)) {
+        const configurationItem = _.find(configuration.configurations, {
+          id: usageArgs.configurationId
+        });
+
+        if (!configurationItem) {
+          throw new commonErrors.NotFoundError(`Cannot find the configuration id ${usageArgs.configurationId}`);
+        }
+
+        renderedConfiguration = _.assign({}, configuration, {
+          configurations: [configurationItem]
+        });
+      }
+
+      process.stdout.write(yamlParser.safeDump(renderedConfiguration, {
+        skipInvalid: true
+      }));
+    })
+    .catch(error => {
+      process.stderr.write(`Failed to render the configuration: ${error.message}\n`);
+      process.exit(1);
+    });
+
+  return;
+}
+
+if (_.isNil(usageArgs.configurationId)) {
+  argsParser.error('argument "-i/--id" is required');
+} else if (_.isNil(usageArgs.configurationFilePath)) {
+  argsParser.error('argument "-c/--config-file" is required');
+} else if (_.isNil(usageArgs.jobName) && usageArgs.allJobs !== true) {
+  argsParser.error('one of the arguments -j/--job --all-jobs is required');
+}
+
+if (usageArgs.fromConfig === true && usageArgs.action !== 'uninstall') {
+  argsParser.error('--from-config can only be used with the action uninstall');
+}
+
+if (['diff', 'report'].indexOf(usageArgs.action) !== -1 && usageArgs.apply === true) {
+  argsParser.error(`--apply cannot be used with the action ${usageArgs.action}`);
+}
+
+if (['diff', 'report'].indexOf(usageArgs.action) !== -1 && usageArgs.backend !== 'iptables') {
+  argsParser.error(`The action ${usageArgs.action} is only available with the iptables backend`);
+}
+
+if (!_.isNil(usageArgs.confirmWithinSeconds)) {
+  if (usageArgs.apply !== true) {
+    argsParser.error('--confirm-within requires --apply');
+  } else if (usageArgs.confirmWithinSeconds <= 0) {
+    argsParser.error('--confirm-within must be positive');
+  }
+}
+
+/**
+ * Load the configuration file (see config-loader), resolve the references to the objects and validate it
+ * @param {string} configurationFilePath The configuration file path
+ * @return {Promise} The configuration validated on resolve
+ */
+function loadConfiguration(configurationFilePath) {
+  return configLoader.loadConfiguration(configurationFilePath)
+    .then(rawConfiguration => {
+      const schema = require('./generic-main-config-schema').configurationSchema;
+
+      // The references to the objects are resolved before the validation, the engines get the values
+      const result = Joi.validate(objects.resolveConfiguration(rawConfiguration, getSetReferenceKeys), schema);
+      if (result.error) {
+        throw new commonErrors.IllegalArgumentError(`Invalid configuration: ${result.error.message}`);
+      }
+
+      return result.value;
+    });
+}
+
+/**
+ * Load the configuration file and find the job
+ * @param {Object} jobUsageArgs The arguments (configurationFilePath, configurationId, jobName)
+ * @param {string} engineName The engine the job must use
+ * @return {Promise} The configuration (configuration), the configuration item (configurationItem)
+ * and the job (configurationJob) on resolve
+ */
+function loadJobConfiguration(jobUsageArgs, engineName) {
+  return loadConfiguration(jobUsageArgs.configurationFilePath)
+    .then(configuration => {
+      const configurationItem = _.find(configuration.configurations, {
+        id: jobUsageArgs.configurationId
+      });
+      const configurationJob = _.find(_.get(configurationItem, 'jobs'), {
+        name: jobUsageArgs.jobName
+      });
+
+      if (!configurationJob) {
+        throw new commonErrors.NotFoundError(`Cannot find the job ${jobUsageArgs.jobName} of the configuration id ${jobUsageArgs.configurationId}`);
+      } else if (configurationJob.engine.name !== engineName) {
+        throw new commonErrors.IllegalArgumentError(`The job ${jobUsageArgs.jobName} is not a ${engineName} job`);
+      }
+
+      return {
+        configuration: configuration,
+        configurationItem: configurationItem,
+        configurationJob: configurationJob
+      };
+    });
+}
+
+/**
+ * Returns the engine module of the job
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Object|null} The module or null if the engine cannot be required, reported by the creation of the job instances
+ */
+function findEngineModule(configurationJob) {
+  try {
+    return require(`./../jobs/engines/${configurationJob.engine.name}`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the keys of the job configuration keeping the references to the network groups compiled to sets
+ * @param {Object} configurationJob The job of the configuration
+ * @return {string[]} The keys (see the engines SET_REFERENCE_KEYS)
+ */
+function getSetReferenceKeys(configurationJob) {
+  return _.get(findEngineModule(configurationJob), 'SET_REFERENCE_KEYS', []);
+}
+
+/**
+ * Check the chain and set names of the jobs of the configuration item: each engine returns the names it creates
+ * @param {Object} configuration The whole configuration
+ * @param {Object} configurationItem The configuration item
+ * @throws {commonErrors.IllegalArgumentError} If a name is invalid or used by two jobs
+ */
+function checkReservedNames(configuration, configurationItem) {
+  const reservedNamesPerJob = {};
+
+  _.each(configurationItem.jobs, configurationJob => {
+    const jobModule = findEngineModule(configurationJob);
+
+    if (jobModule && _.isFunction(jobModule.getReservedNames)) {
+      const namespace = namespaces.getNamespace({
+        configuration: configuration,
+        configurationItem: configurationItem,
+        configurationJob: configurationJob
+      });
+      reservedNamesPerJob[configurationJob.name] = jobModule.getReservedNames(namespace, configurationJob, configuration);
+    }
+  });
+
+  namespaces.checkReservedNames(configurationItem.id, reservedNamesPerJob);
+}
+
+/**
+ * Generate the shell commands of the job responses
+ * @param {Object[]} jobResponses The job responses in the execution order
+ * @return {string} The shell commands
+ */
+function generateShellCommands(jobResponses) {
+  let data = '';
+  _.each(jobResponses, jobResponse => {
+    data += `# Job ${jobResponse.configurationJob.name} (${jobResponse.configurationJob.engine.name})\n`;
+
+    _.each(jobResponse.response.securityCommands, command => {
+      const shellLine = securityCommands.toShellLine(command);
+      if (shellLine) {
+        data += `${shellLine}\n`;
+      }
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Generate the nft script of the job responses
+ * @param {Object[]} jobResponses The job responses in the execution order
+ * @param {NftablesRenderer~LiveRules} [liveRules] The rules of our live tables
+ * @return {string} The script
+ */
+function generateNftablesScript(jobResponses, liveRules) {
+  // The chains rebuilt by a job are known by the next ones
+  const rebuiltChains = {};
+
+  let data = nftablesRenderer.renderPreamble(_.flatMap(jobResponses, 'response.operations'));
+  _.each(jobResponses, jobResponse => {
+    data += `# Job ${jobResponse.configurationJob.name} (${jobResponse.configurationJob.engine.name})\n`;
+    data += nftablesRenderer.renderOperations(jobResponse.response.operations, liveRules, rebuiltChains);
+  });
+
+  return data;
+}
+
+/**
+ * Wait the confirmation of the applied commands, restore the snapshot without confirmation
+ * @param {Object} context The application context
+ * @param {RulesetSnapshot|NftablesApply~Snapshot} snapshot The snapshot taken before the apply
+ * @param {Logger} logger The logger to use
+ * @return {Promise} Rejected when the changes are not confirmed
+ */
+function waitForApplyConfirmation(context, snapshot, logger) {
+  return applyConfirmation.confirmOrRestore({
+    stateDirectory: context.usageArgs.stateDirectory,
+    timeoutSeconds: context.usageArgs.confirmWithinSeconds,
+    interactive: process.stdin.isTTY === true,
+    snapshot: snapshot,
+    restoreSnapshot: context.usageArgs.backend === 'nftables' ? nftablesApply.restoreSnapshot : rulesetSnapshot.restoreSnapshot,
+    logger: logger
+  });
+}
+
+/**
+ * Record the applied jobs in the state directory: the installed jobs are saved, the uninstalled jobs are removed
+ * @param {Object} context The application context
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function recordInstalledJobs(context, logger) {
+  const {stateDirectory, configurationId, action, backend} = context.usageArgs,
+    installedAt = new Date().toISOString();
+
+  let workflowPromise = Promise.resolve();
+  _.each(context.jobResponses, jobResponse => {
+    const jobName = jobResponse.configurationJob.name;
+
+    workflowPromise = workflowPromise.then(() => {
+      if (action === 'uninstall') {
+        logger.debug("Remove the installed job '%s'", jobName);
+        return installedJobs.removeInstalledJob(stateDirectory, configurationId, jobName);
+      }
+
+      logger.debug("Record the installed job '%s'", jobName);
+      return installedJobs.saveInstalledJob(stateDirectory, {
+        configurationId: configurationId,
+        jobName: jobName,
+        engine: jobResponse.configurationJob.engine.name,
+        backend: backend,
+        installedAt: installedAt,
+        operations: jobResponse.response.installedOperations || jobResponse.response.operations
+      });
+    });
+  });
+
+  return workflowPromise;
+}
+
+/**
+ * Call the jobs waiting for the operations to be applied, in the order of the jobs
+ * @param {Object} context The application context
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function runAppliedCallbacks(context, logger) {
+  let workflowPromise = Promise.resolve();
+  _.each(context.jobResponses, jobResponse => {
+    if (!_.isFunction(jobResponse.response.onApplied)) {
+      return;
+    }
+
+    workflowPromise = workflowPromise.then(() => {
+      logger.debug("Run the job '%s' after the apply", jobResponse.configurationJob.name);
+      return jobResponse.response.onApplied();
+    });
+  });
+
+  return workflowPromise;
+}
+
 const applicationWorkflow = {
   instance: {},
   context: {
@@ -103,28 +763,13 @@ Promise.resolve()
       const logger = context.logger.of({
         prefixes: ['LoadConfig']
       });
-      const fse = require('fs-extra');
-
-      fse.readFile(context.usageArgs.configurationFilePath)
-        .then(data => {
-          const yamlParser = require('js-yaml');
 
-          const config = yamlParser.safeLoad(data);
-          context.rawConfiguration = config;
-        })
-        .then(() => {
-          return new Promise((resolve, reject) => {
-            const schema = require('./generic-main-config-schema').configurationSchema;
-
-            Joi.validate(context.rawConfiguration, schema, (error, configuration) => {
-              if (error) {
-                logger.error(`Invalid configuration: ${error.message}\n${error.stack}`);
-                return reject(error);
-              }
-              context.configuration = configuration;
-              resolve();
-            });
-          });
+      loadConfiguration(context.usageArgs.configurationFilePath)
+        .then(configuration => {
+          context.configuration = configuration;
+        }, error => {
+          logger.error(error.message);
+          throw error;
         })
         .then(() => {
           // Check if configuration exists
@@ -142,20 +787,57 @@ Promise.resolve()
 
             context.configurationItem = configurationItem;
 
+            try {
+              checkReservedNames(context.configuration, configurationItem);
+            } catch (error) {
+              logger.error(error.message);
+              return reject(error);
+            }
+
+            if (context.usageArgs.allJobs === true) {
+              try {
+                context.configurationJobs = orderJobsForAction(context.configurationItem.jobs, context.usageArgs.action);
+              } catch (error) {
+                logger.error(`Cannot order the jobs of ${configurationId}: ${error.message}`);
+                return reject(error);
+              }
+
+              return resolve();
+            }
+
             // Search the job
             const jobName = context.usageArgs.jobName;
             const configurationJob = _.find(context.configurationItem.jobs, {
               name: jobName
             });
 
-            if (!configurationJob) {
+            if (configurationJob) {
+              context.configurationJobs = [configurationJob];
+              return resolve();
+            } else if (context.usageArgs.action !== 'uninstall' || context.usageArgs.fromConfig === true) {
               logger.error(`Cannot find the configuration job ${jobName}`);
               return reject(new Error(`Cannot find the configuration job ${jobName}`));
             }
 
-            context.configurationJob = configurationJob;
-            context.jobConfiguration = context.configurationJob.configuration;
-            resolve();
+            // The job removed from the configuration can still be uninstalled from the installed state
+            installedJobs.loadInstalledJob(context.usageArgs.stateDirectory, configurationId, jobName)
+              .then(installedJob => {
+                if (!installedJob) {
+                  logger.error(`Cannot find the configuration job ${jobName}`);
+                  throw new Error(`Cannot find the configuration job ${jobName}`);
+                }
+
+                logger.warn(`The job ${jobName} is not in the configuration anymore, uninstall it from the installed state`);
+                context.configurationJobs = [{
+                  name: installedJob.jobName,
+                  engine: {
+                    name: installedJob.engine
+                  },
+                  configuration: {}
+                }];
+              })
+              .then(resolve)
+              .catch(reject);
           });
         })
         .then(resolve)
@@ -163,176 +845,309 @@ Promise.resolve()
     });
   })
   .then(() => {
-    return new Promise((resolve, reject) => {
-      const context = applicationWorkflow.context;
-      const logger = context.logger.of({
-        prefixes: ['CreateJobInstance']
-      });
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['CreateJobInstance']
+    });
 
-      let jobModule = undefined;
-      try {
-        jobModule = require(`./../jobs/engines/${context.configurationJob.engine.name}`);
-      } catch (error) {
-        logger.error("Cannot require the job %s.\n%s\n%s", context.configurationJob.name, error.message, error.stack);
-        return reject(new commonErrors.NotFoundError(`Job ${context.configurationJob.name} not found`));
-      }
+    context.jobInstances = {};
 
-      context.jobInstance = new jobModule.Job();
-      context.jobInstance.initialize({})
-        .then(() => {
-          logger.debug("Job '%s' initialized", context.configurationJob.name);
-          return resolve();
-        })
-        .catch(error => {
-          logger.error("Initialization job %s failed.\n%s\n%s", context.configurationJob.name, error.message, error.stack);
-          return reject(error);
+    let workflowPromise = Promise.resolve();
+    _.each(context.configurationJobs, configurationJob => {
+      workflowPromise = workflowPromise.then(() => {
+        return new Promise((resolve, reject) => {
+          let jobModule = undefined;
+          try {
+            jobModule = require(`./../jobs/engines/${configurationJob.engine.name}`);
+          } catch (error) {
+            logger.error("Cannot require the job %s.\n%s\n%s", configurationJob.name, error.message, error.stack);
+            return reject(new commonErrors.NotFoundError(`Job ${configurationJob.name} not found`));
+          }
+
+          const jobInstance = new jobModule.Job();
+          jobInstance.initialize({})
+            .then(() => {
+              logger.debug("Job '%s' initialized", configurationJob.name);
+              context.jobInstances[configurationJob.name] = jobInstance;
+              return resolve();
+            })
+            .catch(error => {
+              logger.error("Initialization job %s failed.\n%s\n%s", configurationJob.name, error.message, error.stack);
+              return reject(error);
+            });
         });
+      });
     });
+
+    return workflowPromise;
   })
   .then(() => {
     const context = applicationWorkflow.context;
     const logger = context.logger.of({
-      prefixes: ['ExecuteJob']
+      prefixes: ['LoadInstalledJobs']
     });
 
-    context.jobCommand = {
-      type: context.usageArgs.action
-    };
+    context.installedJobs = {};
 
-    return context.jobInstance.execute(context);
+    const action = context.usageArgs.action;
+    if (['install', 'uninstall'].indexOf(action) === -1 || context.usageArgs.fromConfig === true) {
+      return;
+    }
+
+    // The uninstall undoes what has been installed, the configuration may have changed since.
+    // The install removes what the previous install created and the configuration does not create anymore.
+    const configurationId = context.usageArgs.configurationId;
+    return installedJobs.listInstalledJobs(context.usageArgs.stateDirectory, configurationId)
+      .then(installedJobList => {
+        const selectedJobNames = _.map(context.configurationJobs, 'name');
+
+        _.each(installedJobList, installedJob => {
+          if (selectedJobNames.indexOf(installedJob.jobName) === -1) {
+            if (action === 'uninstall' && context.usageArgs.allJobs === true) {
+              logger.warn(`The job ${installedJob.jobName} is installed but not in the configuration, uninstall it with --job ${installedJob.jobName}`);
+            }
+            return;
+          } else if (installedJob.backend !== context.usageArgs.backend && action === 'install') {
+            logger.warn(`The job ${installedJob.jobName} has been installed with the backend ${installedJob.backend}, the rules removed from the configuration are kept`);
+            return;
+          } else if (installedJob.backend !== context.usageArgs.backend) {
+            throw new commonErrors.IllegalArgumentError(`The job ${installedJob.jobName} has been installed with the backend ${installedJob.backend}`);
+          }
+
+          logger.debug("Job '%s' installed at %s", installedJob.jobName, installedJob.installedAt);
+          context.installedJobs[installedJob.jobName] = installedJob;
+        });
+      });
   })
-  .then(executionResponse => {
+  .then(() => {
     const context = applicationWorkflow.context;
     const logger = context.logger.of({
-      prefixes: ['HandleExecutionResponse']
+      prefixes: ['ExecuteJob']
     });
 
-    context.jobResponse = executionResponse;
-    logger.debug("Execution of '%s' done", context.configurationJob.name);
-  })
-  .then(() => {
-    return new Promise(resolve => {
-      const context = applicationWorkflow.context;
-      const logger = context.logger.of({
-        prefixes: ['Print']
-      });
+    context.jobResponses = [];
 
-      if (context.usageArgs.printRules !== true) {
-        return;
-      }
+    let workflowPromise = Promise.resolve();
+    _.each(context.configurationJobs, configurationJob => {
+      workflowPromise = workflowPromise.then(() => {
+        // Each job works on its own context since the engines change it
+        const jobContext = _.assign({}, context, {
+          logger: context.logger.of({
+            prefixes: [configurationJob.name]
+          }),
+          configurationJob: configurationJob,
+          jobConfiguration: configurationJob.configuration,
+          jobCommand: {
+            // The diff and the report compare the install commands with the live ruleset
+            type: ['diff', 'report'].indexOf(context.usageArgs.action) !== -1 ? 'install' : context.usageArgs.action,
+            backend: context.usageArgs.backend,
+            apply: context.usageArgs.apply === true
+          }
+        });
 
-      let data = "--------------------\n";
-      data += "--------------------\n";
-      _.each(context.jobResponse.securityCommands, command => {
-        switch (command.type) {
-          case 'iptables-4':
-            data += 'iptables ';
-            break;
-          case 'ipset':
-            data += 'ipset ';
-            break;
-          default:
-            return;
+        const installedJob = context.installedJobs[configurationJob.name];
+        let executionPromise = undefined;
+        if (installedJob && context.usageArgs.action === 'uninstall') {
+          logger.info("Uninstall the job '%s' from the operations installed at %s", configurationJob.name, installedJob.installedAt);
+          executionPromise = Promise.resolve({
+            operations: operations.invertOperations(installedJob.operations)
+          });
+        } else if (installedJob) {
+          logger.debug("Execute the job '%s' installed at %s", configurationJob.name, installedJob.installedAt);
+          executionPromise = context.jobInstances[configurationJob.name].execute(jobContext)
+            .then(executionResponse => {
+              // The rules and sets not created anymore are removed first, only the new operations are recorded
+              const removedOperations = installedJobs.getRemovedOperations(installedJob.operations, executionResponse.operations);
+              if (removedOperations.length === 0) {
+                return executionResponse;
+              }
+
+              logger.info("Job '%s': %d operations to remove what the configuration does not create anymore", configurationJob.name, removedOperations.length);
+              return _.assign({}, executionResponse, {
+                operations: _.concat(removedOperations, executionResponse.operations),
+                installedOperations: executionResponse.operations
+              });
+            });
+        } else {
+          logger.debug("Execute the job '%s'", configurationJob.name);
+          executionPromise = context.jobInstances[configurationJob.name].execute(jobContext);
         }
 
-        data += `${command.value}\n`;
+        return executionPromise
+          .then(executionResponse => {
+            context.jobResponses.push({
+              configurationJob: configurationJob,
+              response: executionResponse
+            });
+          });
       });
-      data += "--------------------\n";
-      data += "--------------------\n";
-      process.stdout.write(data);
-      resolve();
     });
+
+    return workflowPromise;
   })
   .then(() => {
-    return new Promise((resolve, reject) => {
-      const context = applicationWorkflow.context;
-      const logger = context.logger.of({
-        prefixes: ['Apply']
+    const context = applicationWorkflow.context;
+
+    if (context.usageArgs.backend !== 'iptables') {
+      return;
+    }
+
+    _.each(context.jobResponses, jobResponse => {
+      jobResponse.response.securityCommands = iptablesRenderer.render(jobResponse.response.operations);
+    });
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['Converge']
+    });
+
+    if (context.usageArgs.apply !== true) {
+      return;
+    }
+
+    if (context.usageArgs.backend === 'nftables') {
+      // The live rules are used to skip the rules present and to find the rules to delete
+      return nftablesApply.loadLiveRules()
+        .then(liveRules => {
+          logger.debug("nftables live rules loaded");
+          context.nftablesLiveRules = liveRules;
+        });
+    }
+
+    if (context.usageArgs.action !== 'install') {
+      return;
+    }
+
+    // Rewrite the commands to converge from the live ruleset, the jobs are handled in order
+    const types = _.flatMap(context.jobResponses, jobResponse => _.map(jobResponse.response.securityCommands, 'type'));
+    return driftDetection.loadLiveRuleset(types)
+      .then(liveRuleset => {
+        let ruleset = liveRuleset;
+        _.each(context.jobResponses, jobResponse => {
+          const commands = convergence.makeConvergent(jobResponse.response.securityCommands, ruleset);
+          logger.debug("Job '%s': %d commands to converge", jobResponse.configurationJob.name, commands.length);
+          jobResponse.response.securityCommands = commands;
+          ruleset = rulesetModel.applyCommands(_.cloneDeep(ruleset), commands);
+        });
       });
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['HandleExecutionResponse']
+    });
 
-      if (context.usageArgs.apply !== true) {
-        return;
-      }
+    if (context.usageArgs.backend === 'nftables') {
+      context.jobResponse = {
+        nftablesScript: generateNftablesScript(context.jobResponses, context.nftablesLiveRules)
+      };
+      return;
+    }
 
-      let shFileData = "#! /bin/sh\n\n";
-      _.each(context.jobResponse.securityCommands, command => {
-        switch (command.type) {
-          case 'iptables-4':
-            shFileData += 'iptables ';
-            break;
-          case 'ipset':
-            shFileData += 'ipset ';
-            break;
-          default:
-            return;
+    // Merge all the commands in one response
+    context.jobResponse = {
+      securityCommands: []
+    };
+    _.each(context.jobResponses, jobResponse => {
+      context.jobResponse.securityCommands = _.concat(context.jobResponse.securityCommands, jobResponse.response.securityCommands);
+      logger.debug("Execution of '%s' done", jobResponse.configurationJob.name);
+    });
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+
+    if (context.usageArgs.printRules !== true) {
+      return;
+    }
+
+    let data = "--------------------\n";
+    data += "--------------------\n";
+    if (context.usageArgs.backend === 'nftables') {
+      data += context.jobResponse.nftablesScript;
+    } else {
+      data += generateShellCommands(context.jobResponses);
+    }
+    data += "--------------------\n";
+    data += "--------------------\n";
+    process.stdout.write(data);
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['Diff']
+    });
+
+    if (context.usageArgs.action !== 'diff') {
+      return;
+    }
+
+    return driftDetection.detectDrift(context.jobResponse.securityCommands)
+      .then(drifts => {
+        process.stdout.write(driftDetection.formatDrifts(drifts));
+        if (drifts.length > 0) {
+          logger.warn("%d drifts detected", drifts.length);
+          process.exitCode = EXIT_CODE_DRIFT;
         }
+      });
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['Report']
+    });
+
+    if (context.usageArgs.action !== 'report') {
+      return;
+    }
 
-        shFileData += `${command.value}\n`;
+    return trafficReport.loadLiveCounters(_.map(context.jobResponse.securityCommands, 'type'))
+      .then(counters => {
+        logger.debug("%d live rules loaded", counters.rules.length);
+        process.stdout.write(trafficReport.formatReport(trafficReport.buildReport(context.jobResponses, counters), context.usageArgs.reportFormat));
       });
+  })
+  .then(() => {
+    const context = applicationWorkflow.context;
+    const logger = context.logger.of({
+      prefixes: ['Apply']
+    });
 
-      const generateUuid = require('uuid/v4'),
-        fse = require('fs-extra');
-      const temporaryFilePath = '/tmp/netfilter-apply-' + Date.now() + '-' + generateUuid() + '.sh';
+    if (context.usageArgs.apply !== true) {
+      return;
+    }
 
-      const removeTemporaryFile = () => {
-        logger.info(`Remove temporary file ${temporaryFilePath}`);
-        fse.pathExists(temporaryFilePath)
-          .then(exists => {
-            if (exists) {
-              return fse.remove(temporaryFilePath);
-            }
-          })
-          .then(() => {
-            logger.debug(`Temporary file ${temporaryFilePath} removed`);
-          })
-          .catch(error => {
-            logger.error(`Failed to remove temporary file ${temporaryFilePath}: ${error.message}\n${error.stack}`);
-          });
-      };
+    let applyPromise = undefined;
+    if (context.usageArgs.backend === 'nftables') {
+      // nft applies the script in one transaction, the snapshot is only needed to wait for the confirmation
+      applyPromise = (_.isNil(context.usageArgs.confirmWithinSeconds) ? Promise.resolve() : nftablesApply.takeSnapshot())
+        .then(snapshot => nftablesApply.applyScript(context.jobResponse.nftablesScript, logger).then(() => snapshot));
+    } else {
+      applyPromise = atomicApply.applyWithRollback(context.jobResponse.securityCommands, logger);
+    }
 
+    return applyPromise
+      .then(snapshot => {
+        logger.info("Commands applied with success");
 
-      logger.info(`Write temporary file ${temporaryFilePath}`);
-      return fse.outputFile(temporaryFilePath, shFileData, {
-        mode: 0o740
-      })
-        .then(() => {
-          logger.info(`Execute temporary file ${temporaryFilePath}`);
-          return new Promise((resolve, reject) => {
-            const child_process = require('child_process');
-
-            child_process.exec(temporaryFilePath, function (error, stdout, stderr) {
-              if (error) {
-                logger.error(`Error while executing ${temporaryFilePath}: ${error.message}\n${error.stack}`);
-                logger.error(`---- STDOUT BEGIN ----`);
-                logger.error(stdout);
-                logger.error(`---- STDOUT END ----`);
-                logger.error(`---- STDERR BEGIN ----`);
-                logger.error(stderr);
-                logger.error(`---- STDERR END ----`);
-                return reject(error);
-              }
+        if (_.isNil(context.usageArgs.confirmWithinSeconds)) {
+          return;
+        }
 
-              logger.info(`Execution of ${temporaryFilePath} done with success`);
-              logger.debug(`---- STDOUT BEGIN ----`);
-              logger.debug(stdout);
-              logger.debug(`---- STDOUT END ----`);
-              logger.debug(`---- STDERR BEGIN ----`);
-              logger.debug(stderr);
-              logger.debug(`---- STDERR END ----`);
-              return resolve();
-            });
-          });
+        return waitForApplyConfirmation(context, snapshot, logger);
+      })
+      .catch(error => {
+        logger.error(`Error while applying the commands: ${error.message}`);
+        if (error.stderr) {
+          logger.error(`---- STDERR BEGIN ----`);
+          logger.error(error.stderr);
+          logger.error(`---- STDERR END ----`);
+        }
 
-        })
-        .then(() => {
-          removeTemporaryFile();
-          resolve();
-        })
-        .catch(error => {
-          removeTemporaryFile();
-          reject(error);
-        });
-    });
+        throw error;
+      })
+      .then(() => recordInstalledJobs(context, logger))
+      .then(() => runAppliedCallbacks(context, logger));
   })
   .catch(error => {
     process.stderr.write(`Failed to process: ${error.message}\n${error.stack}\n`);
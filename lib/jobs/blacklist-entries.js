@@ -0,0 +1,183 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  networkSources = require('./network-sources'),
+  operations = require('./../netfilter/operations');
+
+/**
+ * An entry of the table security.blacklist_networks
+ * @typedef {Object} BlacklistEntry
+ * @property {string} network The network
+ * @property {string|null} reason Why the network is blocked
+ * @property {Date|null} expiresAt The expiry date, null if the entry never expires
+ */
+
+/**
+ * The duration units and their value in seconds
+ * @type {Object.<string, number>}
+ */
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800
+};
+
+/**
+ * Parse the duration
+ * @param {string} value The duration: a number of seconds or a number followed by a unit (s, m, h, d or w)
+ * @return {number} The number of seconds
+ * @throws {commonErrors.IllegalArgumentError} If the duration is invalid
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([smhdw]?)$/.exec(_.trim(value));
+  if (!match || _.toNumber(match[1]) === 0) {
+    throw new commonErrors.IllegalArgumentError(`Invalid duration ${value}, expected a positive number followed by s, m, h, d or w`);
+  }
+
+  return _.toNumber(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Returns the database of the blacklist job: the database or the first postgres source
+ * @param {Object} jobConfiguration The configuration of the job sync-blacklist-ips
+ * @return {string} The connection string
+ * @throws {commonErrors.IllegalArgumentError} If the job has no database
+ */
+function getConnectionString(jobConfiguration) {
+  const postgresSource = _.find(_.get(jobConfiguration, 'sources'), {
+    type: 'postgres'
+  });
+  const connectionString = _.get(jobConfiguration, 'database.connectionString') || _.get(postgresSource, 'connectionString');
+
+  if (!connectionString) {
+    throw new commonErrors.IllegalArgumentError('The job has no database: no database and no postgres source');
+  }
+
+  return connectionString;
+}
+
+/**
+ * Returns the timeout of the entry for the set, at most the timeout accepted by ipset
+ * @param {NetworkEntry} entry The entry
+ * @param {number} [defaultTtlSeconds] The timeout of the entries without expiry date
+ * @param {Date} now The current date
+ * @return {number|undefined} The timeout in seconds, undefined if the entry never expires
+ */
+function getTimeoutSeconds(entry, defaultTtlSeconds, now) {
+  if (_.isNil(entry.expiresAt)) {
+    return _.isNil(defaultTtlSeconds) ? undefined : Math.min(defaultTtlSeconds, operations.MAX_SET_TIMEOUT_SECONDS);
+  }
+
+  // 0 means no timeout for ipset, the entry expiring soon is kept one second.
+  // The entry expiring later is added again by the next syncs
+  return _.clamp(Math.ceil((new Date(entry.expiresAt).getTime() - now.getTime()) / 1000), 1, operations.MAX_SET_TIMEOUT_SECONDS);
+}
+
+/**
+ * Run the callback with the database, the connection is closed after
+ * @param {string} connectionString The database
+ * @param {function(Object): Promise} callback The callback receiving the pg-promise database
+ * @return {Promise} The callback result on resolve
+ */
+function withDatabase(connectionString, callback) {
+  const pgp = require('pg-promise')();
+  const db = pgp(connectionString);
+
+  return callback(db)
+    .then(result => {
+      db.$pool.end();
+      return result;
+    }, error => {
+      db.$pool.end();
+      throw error;
+    });
+}
+
+/**
+ * List the entries
+ * @param {string} connectionString The database
+ * @return {Promise} {@link BlacklistEntry}[] sorted by network on resolve
+ */
+function listEntries(connectionString) {
+  return withDatabase(connectionString, db => db.query('SELECT value, reason, expires_at FROM security.blacklist_networks ORDER BY value'))
+    .then(result => _.map(result, row => ({
+      network: `${row.value}`,
+      reason: row.reason || null,
+      expiresAt: row.expires_at || null
+    })));
+}
+
+/**
+ * Add the entry, replacing the entry of the same network
+ * @param {string} connectionString The database
+ * @param {BlacklistEntry} entry The entry
+ * @return {Promise} Rejected with {@link commonErrors.IllegalArgumentError} if the network is invalid
+ */
+function addEntry(connectionString, entry) {
+  const network = networkSources.normalizeNetwork(entry.network);
+  if (_.isNil(network)) {
+    return Promise.reject(new commonErrors.IllegalArgumentError(`Invalid network ${entry.network}`));
+  }
+
+  return withDatabase(connectionString, db => db.tx(transaction => transaction.batch([
+    transaction.none('DELETE FROM security.blacklist_networks WHERE value = $1', [network]),
+    transaction.none('INSERT INTO security.blacklist_networks (value, reason, expires_at) VALUES ($1, $2, $3)', [network, entry.reason || null, entry.expiresAt || null])
+  ])));
+}
+
+/**
+ * Remove the entry
+ * @param {string} connectionString The database
+ * @param {string} network The network
+ * @return {Promise} Rejected with {@link commonErrors.NotFoundError} if the network is not in the blacklist
+ */
+function removeEntry(connectionString, network) {
+  const normalizedNetwork = networkSources.normalizeNetwork(network) || network;
+
+  return withDatabase(connectionString, db => db.result('DELETE FROM security.blacklist_networks WHERE value = $1', [normalizedNetwork]))
+    .then(result => {
+      if (result.rowCount === 0) {
+        throw new commonErrors.NotFoundError(`The network ${network} is not in the blacklist`);
+      }
+    });
+}
+
+/**
+ * Remove the expired entries
+ * @param {string} connectionString The database
+ * @return {Promise} The number of entries removed on resolve
+ */
+function pruneExpiredEntries(connectionString) {
+  return withDatabase(connectionString, db => db.result('DELETE FROM security.blacklist_networks WHERE expires_at <= NOW()'))
+    .then(result => result.rowCount);
+}
+
+/**
+ * Format the entries to be displayed
+ * @param {BlacklistEntry[]} entries The entries
+ * @return {string} The text
+ */
+function formatEntries(entries) {
+  if (entries.length === 0) {
+    return 'No network blacklisted\n';
+  }
+
+  let data = '';
+  _.each(entries, entry => {
+    const expiry = _.isNil(entry.expiresAt) ? 'never expires' : `expires at ${new Date(entry.expiresAt).toISOString()}`;
+    data += `${entry.network} ${expiry}${entry.reason ? ` (${entry.reason})` : ''}\n`;
+  });
+
+  return data;
+}
+
+exports.parseDuration = module.exports.parseDuration = parseDuration;
+exports.getConnectionString = module.exports.getConnectionString = getConnectionString;
+exports.getTimeoutSeconds = module.exports.getTimeoutSeconds = getTimeoutSeconds;
+exports.listEntries = module.exports.listEntries = listEntries;
+exports.addEntry = module.exports.addEntry = addEntry;
+exports.removeEntry = module.exports.removeEntry = removeEntry;
+exports.pruneExpiredEntries = module.exports.pruneExpiredEntries = pruneExpiredEntries;
+exports.formatEntries = module.exports.formatEntries = formatEntries;
@@ -13,6 +13,8 @@
  * Contains information about the command to execute
  * @typedef {Object} JobCommand
  * @property {string} type The command type
+ * @property {string} [backend] The backend rendering the operations (iptables or nftables)
+ * @property {boolean} [apply] true when the operations are applied, false for a print, a diff or a report
  */
 
 /**
@@ -24,5 +26,6 @@
 /**
  * Response returned by the execution
  * @typedef {Object} BaseJob~ExecutionOnResolve
- * @property {SecurityCommand[]} securityCommands The commands
+ * @property {NetfilterOperation[]} operations The operations, rendered by the backend
+ * @property {function(): Promise} [onApplied] Called once the operations are applied with success
  */
@@ -0,0 +1,113 @@
+const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
+  Joi = require('joi'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../ip-families'),
+  logBanDaemon = require('./../log-ban-daemon'),
+  operations = require('./../../netfilter/operations');
+
+/**
+ * The configuration of the job, shared with the daemon
+ * @type {Object}
+ */
+const CONFIGURATION_SCHEMA = Joi.object().keys({
+  network: Joi.object().keys({
+    ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS))
+  }).unknown(),
+  banTimeSeconds: Joi.number().integer().min(1).max(operations.MAX_SET_TIMEOUT_SECONDS).default(3600),
+  findTimeSeconds: Joi.number().integer().min(1).default(600),
+  maxRetry: Joi.number().integer().min(1).default(5),
+  pollIntervalMilliseconds: Joi.number().integer().min(100).default(1000),
+  ignoreNetworks: Joi.array().items(
+    Joi.string().ip({
+      cidr: 'optional'
+    })
+  ).default([]),
+  rules: Joi.array().items(
+    Joi.object().keys({
+      name: Joi.string().regex(/^[a-zA-Z0-9_-]+$/, 'rule name').required(),
+      files: Joi.array().items(Joi.string()).min(1).required(),
+      filters: Joi.array().items(Joi.string()).min(1).required(),
+      banTimeSeconds: Joi.number().integer().min(1).max(operations.MAX_SET_TIMEOUT_SECONDS),
+      findTimeSeconds: Joi.number().integer().min(1),
+      maxRetry: Joi.number().integer().min(1)
+    }).unknown()
+  ).unique('name').min(1).required()
+}).unknown().required();
+
+/**
+ * Job banning the addresses found in the logs (fail2ban-style).
+ * The job only validates the configuration, the addresses are added to the set block_dyn of the namespace by the command
+ * ze-netfilter-cmd ban-daemon, with a timeout. The chain IN_block_access_0 drops them (see prepare-netfilter).
+ * @implements {SimpleInitializableObject}
+ * @constructor
+ */
+function LogBanJob() {
+  if (!(this instanceof LogBanJob)) {
+    return new (Function.prototype.bind.apply(LogBanJob, Array.prototype.concat.apply([null], arguments)))();
+  }
+
+  SimpleInitializableObject.apply(this, arguments);
+}
+
+SimpleInitializableObject._applyPrototypeTo(LogBanJob);
+
+/**
+ * Execute the job
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
+ */
+LogBanJob.prototype.execute = function (context) {
+  return new Promise((resolve, reject) => {
+    const logger = context.logger.of({
+      prefixes: ['main']
+    });
+
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
+      return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
+    }
+
+    this.execute.Steps.validateConfiguration.call(this, context)
+      .then(() => {
+        logger.info("No rule to generate, the bans are added by ze-netfilter-cmd ban-daemon");
+        resolve({
+          operations: []
+        });
+      })
+      .catch(error => {
+        logger.error("Error while executing the workflow: %s\n%s", error.message, error.stack);
+        reject(error);
+      });
+  });
+};
+
+LogBanJob.prototype.execute.Steps = {
+  /**
+   * Validate the job configuration
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  validateConfiguration: function (context) {
+    return new Promise((resolve, reject) => {
+      Joi.validate(context.jobConfiguration, CONFIGURATION_SCHEMA, (error, configValidated) => {
+        if (error) {
+          return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
+        }
+
+        try {
+          logBanDaemon.compileRules(configValidated);
+        } catch (compileError) {
+          return reject(compileError);
+        }
+
+        context.rawJobConfiguration = context.jobConfiguration;
+        context.jobConfiguration = configValidated;
+        resolve();
+      });
+    });
+  }
+};
+
+exports.CONFIGURATION_SCHEMA = module.exports.CONFIGURATION_SCHEMA = CONFIGURATION_SCHEMA;
+exports.LogBanJob = module.exports.LogBanJob = LogBanJob;
+exports.Job = module.exports.Job = LogBanJob;
@@ -0,0 +1,247 @@
+const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
+  _ = require('lodash'),
+  Joi = require('joi'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../ip-families'),
+  namespaces = require('./../namespaces'),
+  operations = require('./../../netfilter/operations'),
+  ruleBuilder = require('./../../netfilter/rule-builder');
+
+/**
+ * Job to give the internal networks (LAN, docker bridges...) access to the outside.
+ * The connections leaving by the output interface are translated (MASQUERADE or SNAT in POSTROUTING)
+ * and accepted in FORWARD with their answers.
+ * @implements {SimpleInitializableObject}
+ * @constructor
+ */
+function OutboundNatJob() {
+  if (!(this instanceof OutboundNatJob)) {
+    return new (Function.prototype.bind.apply(OutboundNatJob, Array.prototype.concat.apply([null], arguments)))();
+  }
+
+  SimpleInitializableObject.apply(this, arguments);
+}
+
+SimpleInitializableObject._applyPrototypeTo(OutboundNatJob);
+
+/**
+ * Execute the job
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
+ */
+OutboundNatJob.prototype.execute = function (context) {
+  return new Promise((resolve, reject) => {
+    const logger = context.logger.of({
+      prefixes: ['main']
+    });
+
+    _.set(context, 'commands.install', []);
+
+    const availableSteps = this.execute.Steps;
+    const steps = [
+      availableSteps.validateConfiguration,
+      availableSteps.generateOutboundNat
+    ];
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
+      return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
+    }
+
+    let workflowPromise = Promise.resolve({});
+    _.each(steps, step => {
+      workflowPromise = workflowPromise.then(() => step.call(this, context));
+    });
+
+    workflowPromise
+      .then(() => {
+        const response = {
+          operations: []
+        };
+
+        if (context.jobCommand.type === 'install') {
+          response.operations = context.commands.install;
+        } else {
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
+        }
+
+        resolve(response);
+      })
+      .catch(error => {
+        logger.error("Error while executing the workflow: %s\n%s", error.message, error.stack);
+        reject(error);
+      });
+  });
+};
+
+OutboundNatJob.prototype.execute.Steps = {
+  /**
+   * Validate the job configuration
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  validateConfiguration: function (context) {
+    return new Promise((resolve, reject) => {
+      const schema = Joi.object().keys({
+        chainName: Joi.string(),
+        network: Joi.object().keys({
+          ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS)),
+          items: Joi.array().items(
+            Joi.object().keys({
+              outputLinkName: Joi.string().required(),
+              inputLinkName: Joi.string(),
+              sourceNetworks: Joi.array().items(
+                Joi.string().ip({
+                  cidr: 'optional'
+                })
+              ).min(1),
+              toSource: Joi.string().ip({
+                cidr: 'forbidden'
+              })
+            }).unknown()
+          ).required()
+        }).unknown().required()
+      }).unknown().required();
+
+      Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
+        if (error) {
+          return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
+        }
+
+        context.rawJobConfiguration = context.jobConfiguration;
+        context.jobConfiguration = configValidated;
+        resolve();
+      });
+    });
+  },
+  /**
+   * Generate the nat and the forward rules
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  generateOutboundNat: function (context) {
+    return new Promise(resolve => {
+      const installCommands = [];
+
+      const logger = context.logger.of({
+        prefixes: ['outboundNat']
+      });
+
+      const namespace = namespaces.getNamespace(context),
+        chainName = namespaces.getJobChainName(namespace, context.configurationJob.name, context.jobConfiguration.chainName),
+        forwardChain = `FWD_${chainName}`,
+        ipVersions = ipFamilies.getEnabledIpVersions(context);
+
+      _.each(ipVersions, ipVersion => {
+        // Clean up & create
+        installCommands.push(operations.createChain(ipVersion, forwardChain));
+      });
+
+      _.each(context.jobConfiguration.network.items, item => {
+        const {outputLinkName, inputLinkName, toSource} = item,
+          sourceNetworks = ipFamilies.splitByIpVersion(item.sourceNetworks || getPrimaryNetworks(context, item));
+
+        if (!_.isNil(toSource)) {
+          const otherIpVersion = ipFamilies.getIpVersion(toSource) === 6 ? 4 : 6;
+          if (sourceNetworks[otherIpVersion].length > 0) {
+            throw new commonErrors.IllegalArgumentError(`The source networks ${sourceNetworks[otherIpVersion].join(', ')} and the source ${toSource} are not in the same ip version`);
+          }
+        }
+
+        _.each(ipVersions, ipVersion => {
+          _.each(sourceNetworks[ipVersion], sourceNetwork => {
+            const itemName = `${sourceNetwork} via ${outputLinkName}`;
+            logger.info("Translate %s leaving by %s to %s (IPv%d)", sourceNetwork, outputLinkName, toSource || 'the interface address', ipVersion);
+            const natRule = ruleBuilder.rule(ipVersion, 'POSTROUTING')
+              .item(itemName)
+              .table('nat')
+              .source(sourceNetwork)
+              .outInterface(outputLinkName);
+            if (_.isNil(toSource)) {
+              natRule.jump('MASQUERADE');
+            } else {
+              natRule.jump('SNAT', {toSource: toSource});
+            }
+            installCommands.push(natRule.append());
+
+            // Forward the connections and their answers
+            const outgoingRule = ruleBuilder.rule(ipVersion, forwardChain)
+              .item(itemName)
+              .source(sourceNetwork)
+              .outInterface(outputLinkName)
+              .state('NEW', 'ESTABLISHED', 'RELATED')
+              .jump('ACCEPT');
+            const incomingRule = ruleBuilder.rule(ipVersion, forwardChain)
+              .item(itemName)
+              .destination(sourceNetwork)
+              .inInterface(outputLinkName)
+              .state('ESTABLISHED', 'RELATED')
+              .jump('ACCEPT');
+            if (inputLinkName) {
+              outgoingRule.inInterface(inputLinkName);
+              incomingRule.outInterface(inputLinkName);
+            }
+            installCommands.push(outgoingRule.append());
+            installCommands.push(incomingRule.append());
+          });
+        });
+      });
+
+      _.each(ipVersions, ipVersion => {
+        logger.info("Last step RETURN (IPv%d)", ipVersion);
+        installCommands.push(ruleBuilder.rule(ipVersion, forwardChain).jump('RETURN').append());
+
+        // Add the chain to the service access
+        logger.info(`Install chain ${chainName} to the FORWARD (IPv${ipVersion})`);
+        installCommands.push(ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'FWD', namespaces.CHAINS.servicesAccess)).jump(forwardChain).insert(1));
+      });
+
+      context.commands.install = _.concat(context.commands.install, installCommands);
+
+      resolve();
+    });
+  }
+};
+
+/**
+ * Returns the default source networks of an item: the internal networks of the primary interfaces, declared by the job
+ * prepare-netfilter of the configuration. Only the networks of the input interface are used with inputLinkName,
+ * otherwise the networks of every interface but the output one.
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {Object} item The item without source networks
+ * @return {string[]} The networks
+ * @throws {commonErrors.IllegalArgumentError} If the primary interfaces have no network
+ */
+function getPrimaryNetworks(context, item) {
+  const primaryInterfaces = _.flatMap(_.filter(_.get(context, 'configurationItem.jobs'), configurationJob => {
+    return _.get(configurationJob, 'engine.name') === 'prepare-netfilter';
+  }), configurationJob => _.get(configurationJob, 'configuration.network.primaryInterfaces', []));
+
+  const networks = _.uniq(_.flatMap(_.filter(primaryInterfaces, primaryInterface => {
+    return item.inputLinkName ? primaryInterface.name === item.inputLinkName : primaryInterface.name !== item.outputLinkName;
+  }), primaryInterface => _.map(primaryInterface.networks, 'value')));
+
+  if (networks.length === 0) {
+    const interfacesDescription = item.inputLinkName ? `the primary interface ${item.inputLinkName}` : `the primary interfaces other than ${item.outputLinkName}`;
+    throw new commonErrors.IllegalArgumentError(`The item leaving by ${item.outputLinkName} has no sourceNetworks and no network is declared on ${interfacesDescription}`);
+  }
+
+  return networks;
+}
+
+/**
+ * Returns the names created by the job: the forward chain
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob) {
+  return {
+    chains: [`FWD_${namespaces.getJobChainName(namespace, configurationJob.name, _.get(configurationJob, 'configuration.chainName'))}`],
+    sets: []
+  };
+}
+
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
+exports.OutboundNatJob = module.exports.OutboundNatJob = OutboundNatJob;
+exports.Job = module.exports.Job = OutboundNatJob;
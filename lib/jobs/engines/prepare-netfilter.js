@@ -2,9 +2,101 @@ const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObj
   _ = require('lodash'),
   Joi = require('joi'),
   jsErrors = require('js-zrim-errors'),
-  commonErrors = jsErrors.common;
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../ip-families'),
+  logRules = require('./../log-rules'),
+  namespaces = require('./../namespaces'),
+  objects = require('./../objects'),
+  operations = require('./../../netfilter/operations'),
+  ruleBuilder = require('./../../netfilter/rule-builder');
 
 
+/**
+ * The verdicts of the default actions and of the owner rules
+ * @type {string[]}
+ */
+const VERDICTS = ['ACCEPT', 'DROP', 'REJECT'];
+
+/**
+ * The icmp types which can be accepted in input, same name for icmp and icmpv6
+ * @type {string[]}
+ */
+const VITAL_ICMP_TYPES = ['echo-request', 'echo-reply', 'destination-unreachable', 'time-exceeded', 'parameter-problem'];
+
+/**
+ * A vital client service (dns, ntp), restricted to the servers if given
+ * @type {Object}
+ */
+const VITAL_CLIENT_SCHEMA = Joi.object().keys({
+  enabled: Joi.boolean().default(true),
+  servers: Joi.array().items(
+    Joi.string().ip({
+      cidr: 'optional'
+    })
+  )
+});
+
+/**
+ * The vital services of an interface, all enabled by default
+ * @type {Object}
+ */
+const VITAL_SCHEMA = Joi.object().keys({
+  dhcp: Joi.object().keys({
+    enabled: Joi.boolean().default(true)
+  }).default({enabled: true}),
+  dns: VITAL_CLIENT_SCHEMA.default({enabled: true}),
+  ntp: VITAL_CLIENT_SCHEMA.default({enabled: true}),
+  icmp: Joi.object().keys({
+    enabled: Joi.boolean().default(true),
+    types: Joi.array().items(Joi.string().valid(VITAL_ICMP_TYPES)).default(['echo-request']),
+    limit: Joi.alternatives().try(
+      Joi.boolean().valid(false),
+      Joi.object().keys({
+        rate: Joi.string().regex(ruleBuilder.LIMIT_RATE_PATTERN, 'rate').required(),
+        burst: Joi.number().integer().min(1).default(5)
+      })
+    ).default(false)
+  }).default({enabled: true, types: ['echo-request'], limit: false})
+}).default({
+  dhcp: {enabled: true},
+  dns: {enabled: true},
+  ntp: {enabled: true},
+  icmp: {enabled: true, types: ['echo-request'], limit: false}
+});
+
+/**
+ * The egress policy of an interface
+ * @type {Object}
+ */
+const OUTPUT_RULES_SCHEMA = Joi.object().keys({
+  defaultAction: Joi.string().valid(VERDICTS).required(),
+  owners: Joi.array().items(
+    Joi.object().keys({
+      uid: Joi.number().integer().min(0),
+      gid: Joi.number().integer().min(0),
+      action: Joi.string().valid(VERDICTS).default('ACCEPT'),
+      description: Joi.string()
+    }).xor('uid', 'gid').unknown()
+  ).default([{uid: 0, action: 'ACCEPT', description: 'root'}]),
+  destinations: Joi.array().items(
+    Joi.object().keys({
+      networks: Joi.array().items(
+        Joi.string().ip({
+          cidr: 'optional'
+        })
+      ),
+      protocol: Joi.string(),
+      ports: Joi.array().items(
+        Joi.alternatives().try(
+          Joi.number().integer().min(1).max(65535),
+          Joi.string().regex(/^\d+:\d+$/, 'port range')
+        )
+      ).min(1),
+      description: Joi.string()
+    }).with('ports', 'protocol').unknown()
+  ).default([])
+}).unknown();
+
 /**
  * Job to initialize netfilter for our purpose
  * @implements {SimpleInitializableObject}
@@ -32,27 +124,22 @@ PrepareNetfilterJob.prototype.execute = function (context) {
     });
 
     _.set(context, 'commands.install', []);
-    _.set(context, 'commands.unInstall', []);
 
     const availableSteps = this.execute.Steps;
     const steps = [
       availableSteps.validateConfiguration
     ];
-    if (context.jobCommand.type.toLowerCase() === 'install') {
-      steps.push(availableSteps.generateVitalAccessChain);
-      steps.push(availableSteps.generateBlockNetworkChain);
-      steps.push(availableSteps.generateServiceAccessChain);
-      steps.push(availableSteps.generateTrustedNetworkChain);
-      steps.push(availableSteps.generateRootAccessChains);
-    } else if (context.jobCommand.type.toLowerCase() === 'uninstall') {
-      steps.push(availableSteps.generateRootAccessChains);
-      steps.push(availableSteps.generateTrustedNetworkChain);
-      steps.push(availableSteps.generateServiceAccessChain);
-      steps.push(availableSteps.generateBlockNetworkChain);
-      steps.push(availableSteps.generateVitalAccessChain);
-    } else {
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
       return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
     }
+    // The uninstall undoes the install commands
+    steps.push(availableSteps.generateVitalAccessChain);
+    steps.push(availableSteps.generateBlockNetworkChain);
+    steps.push(availableSteps.generateServiceAccessChain);
+    steps.push(availableSteps.generateTrustedNetworkChain);
+    steps.push(availableSteps.generateNetworkGroupSets);
+    steps.push(availableSteps.generateEgressChain);
+    steps.push(availableSteps.generateRootAccessChains);
 
     let workflowPromise = Promise.resolve({});
     _.each(steps, step => {
@@ -62,13 +149,14 @@ PrepareNetfilterJob.prototype.execute = function (context) {
     workflowPromise
       .then(() => {
         const response = {
-          securityCommands: []
+          operations: []
         };
 
         if (context.jobCommand.type === 'install') {
-          response.securityCommands = context.commands.install;
+          response.operations = context.commands.install;
         } else {
-          response.securityCommands = context.commands.unInstall;
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
         }
 
         resolve(response);
@@ -80,33 +168,6 @@ PrepareNetfilterJob.prototype.execute = function (context) {
   });
 };
 
-/**
- * Make this string command as a {@link SecurityCommand} iptables ipv4
- * @param {string} command The command to make
- * @return {SecurityCommand} The command created
- * @private
- */
-PrepareNetfilterJob.prototype._asIptables4Command = function (command) {
-  return {
-    type: 'iptables-4',
-    value: command
-  };
-};
-
-/**
- * Make this string command as a {@link SecurityCommand} ipset
- * @param {string} command The command to make
- * @return {SecurityCommand} The command created
- * @private
- */
-PrepareNetfilterJob.prototype._asIpSetCommand = function (command) {
-  return {
-    type: 'ipset',
-    value: command
-  };
-};
-
-
 PrepareNetfilterJob.prototype.execute.Steps = {
   /**
    * Validate the job configuration
@@ -117,6 +178,7 @@ PrepareNetfilterJob.prototype.execute.Steps = {
     return new Promise((resolve, reject) => {
       const schema = Joi.object().keys({
         network: Joi.object().keys({
+          ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS)),
           trustedItems: Joi.array().items(
             Joi.object().keys({
               value: Joi.string().ip({
@@ -140,13 +202,17 @@ PrepareNetfilterJob.prototype.execute.Steps = {
                 input: Joi.object().keys({
                   defaultAction: Joi.string().required()
                 }).unknown().required(),
-                output: Joi.object().keys({
-                  defaultAction: Joi.string().required()
-                }).unknown().required()
-              }).unknown().required()
+                output: OUTPUT_RULES_SCHEMA.required()
+              }).unknown().required(),
+              logging: logRules.LOGGING_SCHEMA,
+              vital: VITAL_SCHEMA
             }).unknown().required()
           ).required()
-        }).unknown().required()
+        }).unknown().required(),
+        logging: Joi.object().keys({
+          vitalAccess: logRules.LOGGING_SCHEMA,
+          blockAccess: logRules.LOGGING_SCHEMA
+        })
       }).unknown().required();
 
       Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
@@ -167,81 +233,119 @@ PrepareNetfilterJob.prototype.execute.Steps = {
    */
   generateVitalAccessChain: function (context) {
     return new Promise(resolve => {
-      const installCommands = [],
-        unInstallCommands = [];
+      const installCommands = [];
 
       const logger = context.logger.of({
         prefixes: ['generateVitalAccessChain']
       });
 
-      const chainName = "vital_access_0";
-
-      // Clean up & create
-      installCommands.push(this._asIptables4Command(`-N FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X FWD_${chainName}`));
-
-      installCommands.push(this._asIptables4Command(`-N IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X IN_${chainName}`));
-
-      installCommands.push(this._asIptables4Command(`-N OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X OUT_${chainName}`));
-
-      const primaryInterfaces = context.jobConfiguration.network.primaryInterfaces;
-      _.each(primaryInterfaces, primaryInterface => {
-
-        logger.info("Adding DHCP");
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface ${primaryInterface.name} -p udp --dport 67:68 --sport 67:68 -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface ${primaryInterface.name} -p udp --dport 67:68 --sport 67:68 -j ACCEPT`));
-
-        logger.info("Adding dns client");
-        // UDP
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface ${primaryInterface.name} -p udp --sport 1024:65535 --dport 53 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface ${primaryInterface.name} -p udp --sport 53 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-        // TCP
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface ${primaryInterface.name} -p tcp --sport 1024:65535 --dport 53 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface ${primaryInterface.name} -p tcp --sport 53 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-
-        logger.info("Adding icmp");
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -p icmp --in-interface ${primaryInterface.name} -d 0.0.0.0/0 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} -p icmp --out-interface ${primaryInterface.name} -s 0.0.0.0/0 -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} -p icmp --icmp-type 8 --in-interface ${primaryInterface.name} -s 0.0.0.0/0 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -p icmp --out-interface ${primaryInterface.name} -d 0.0.0.0/0 -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-
-        logger.info("Adding ntp");
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface ${primaryInterface.name} -p udp --sport 1024:65535 --dport 123 -j ACCEPT`));
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface ${primaryInterface.name} -p udp --sport 123 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-
-        logger.info("Adding root access");
-        installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface ${primaryInterface.name} -m owner --uid-owner 0 -j ACCEPT`));
-
-        logger.info("Adding accept known packets");
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface ${primaryInterface.name} -m state --state ESTABLISHED,RELATED -j ACCEPT`));
-
-        _.each(primaryInterface.networks, interfaceNetwork => {
-          logger.info(`Adding lo for network ${interfaceNetwork.value}`);
-          installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface lo -s ${interfaceNetwork.value} -d ${interfaceNetwork.value} -j ACCEPT`));
-          installCommands.push(this._asIptables4Command(`-A IN_${chainName} --in-interface lo -s ${interfaceNetwork.value} -d 127.0.0.0/8 -j ACCEPT`));
-          installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface lo -s ${interfaceNetwork.value} -d ${interfaceNetwork.value} -j ACCEPT`));
-          installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface lo -s ${interfaceNetwork.value} -d 127.0.0.0/8 -j ACCEPT`));
+      const namespace = namespaces.getNamespace(context);
+
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        const rule = chain => ruleBuilder.rule(ipVersion, chain),
+          inChain = namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.vitalAccess),
+          outChain = namespaces.getChainName(namespace, 'OUT', namespaces.CHAINS.vitalAccess),
+          forwardChain = namespaces.getChainName(namespace, 'FWD', namespaces.CHAINS.vitalAccess),
+          loopbackNetwork = ipVersion === 6 ? '::1/128' : '127.0.0.0/8',
+          anyNetwork = ipVersion === 6 ? '::/0' : '0.0.0.0/0';
+
+        // Clean up & create
+        _.each([forwardChain, inChain, outChain], chain => {
+          installCommands.push(operations.createChain(ipVersion, chain));
         });
-      });
 
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} ! --in-interface lo -d 127.0.0.0/8 -j REJECT`));
-      installCommands.push(this._asIptables4Command(`-A OUT_${chainName} --out-interface lo -d 127.0.0.0/8 -j ACCEPT`));
+        const primaryInterfaces = context.jobConfiguration.network.primaryInterfaces;
+        _.each(primaryInterfaces, primaryInterface => {
+          const interfaceName = primaryInterface.name;
+
+          const vital = primaryInterface.vital,
+            // Without server, any server is allowed. The servers of the other ip version are ignored.
+            servers = service => _.isEmpty(service.servers) ? [undefined] : ipFamilies.splitByIpVersion(service.servers)[ipVersion],
+            withServer = (builder, field, server) => _.isNil(server) ? builder : builder[field](server);
+
+          if (vital.dhcp.enabled) {
+            logger.info("Adding DHCP (IPv%d)", ipVersion);
+            const dhcpPorts = ipVersion === 6 ? '546:547' : '67:68';
+            installCommands.push(rule(inChain).inInterface(interfaceName).protocol('udp').destinationPort(dhcpPorts).sourcePort(dhcpPorts).jump('ACCEPT').append());
+            installCommands.push(rule(outChain).outInterface(interfaceName).protocol('udp').destinationPort(dhcpPorts).sourcePort(dhcpPorts).jump('ACCEPT').append());
+          }
+
+          if (vital.dns.enabled) {
+            logger.info("Adding dns client (IPv%d)", ipVersion);
+            _.each(servers(vital.dns), server => {
+              _.each(['udp', 'tcp'], protocol => {
+                installCommands.push(withServer(rule(outChain).outInterface(interfaceName).protocol(protocol).sourcePort('1024:65535').destinationPort(53), 'destination', server)
+                  .state('NEW', 'ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+                installCommands.push(withServer(rule(inChain).inInterface(interfaceName).protocol(protocol).sourcePort(53).destinationPort('1024:65535'), 'source', server)
+                  .state('ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+              });
+            });
+          }
+
+          if (ipVersion === 6) {
+            // Neighbor discovery is required for IPv6 to work
+            _.each(['router-solicitation', 'router-advertisement', 'neighbour-solicitation', 'neighbour-advertisement'], icmpType => {
+              installCommands.push(rule(inChain).protocol('ipv6-icmp').icmpType(icmpType).inInterface(interfaceName).jump('ACCEPT').append());
+              installCommands.push(rule(outChain).protocol('ipv6-icmp').icmpType(icmpType).outInterface(interfaceName).jump('ACCEPT').append());
+            });
+          }
+
+          if (vital.icmp.enabled) {
+            logger.info("Adding icmp (IPv%d)", ipVersion);
+            const icmpProtocol = ipVersion === 6 ? 'ipv6-icmp' : 'icmp';
+            installCommands.push(rule(outChain).protocol(icmpProtocol).outInterface(interfaceName).destination(anyNetwork).state('NEW', 'ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+            installCommands.push(rule(inChain).protocol(icmpProtocol).inInterface(interfaceName).source(anyNetwork).state('ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+            _.each(vital.icmp.types, icmpType => {
+              const icmpTypeRule = rule(inChain).protocol(icmpProtocol).icmpType(icmpType).inInterface(interfaceName).source(anyNetwork).state('NEW', 'ESTABLISHED', 'RELATED');
+              if (vital.icmp.limit) {
+                // The packets above the limit reach the input default action
+                icmpTypeRule.limit(vital.icmp.limit.rate, vital.icmp.limit.burst);
+              }
+              installCommands.push(icmpTypeRule.jump('ACCEPT').append());
+            });
+          }
+
+          if (vital.ntp.enabled) {
+            logger.info("Adding ntp (IPv%d)", ipVersion);
+            _.each(servers(vital.ntp), server => {
+              installCommands.push(withServer(rule(outChain).outInterface(interfaceName).protocol('udp').sourcePort('1024:65535').destinationPort(123), 'destination', server)
+                .jump('ACCEPT').append());
+              installCommands.push(withServer(rule(inChain).inInterface(interfaceName).protocol('udp').sourcePort(123).destinationPort('1024:65535'), 'source', server)
+                .state('ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+            });
+          }
+
+          logger.info("Adding accept known packets (IPv%d)", ipVersion);
+          installCommands.push(rule(inChain).inInterface(interfaceName).state('ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+
+          const interfaceNetworks = ipFamilies.splitByIpVersion(primaryInterface.networks, 'value')[ipVersion];
+          _.each(interfaceNetworks, interfaceNetwork => {
+            logger.info(`Adding lo for network ${interfaceNetwork.value}`);
+            installCommands.push(rule(inChain).inInterface('lo').source(interfaceNetwork.value).destination(interfaceNetwork.value).jump('ACCEPT').append());
+            installCommands.push(rule(inChain).inInterface('lo').source(interfaceNetwork.value).destination(loopbackNetwork).jump('ACCEPT').append());
+            installCommands.push(rule(outChain).outInterface('lo').source(interfaceNetwork.value).destination(interfaceNetwork.value).jump('ACCEPT').append());
+            installCommands.push(rule(outChain).outInterface('lo').source(interfaceNetwork.value).destination(loopbackNetwork).jump('ACCEPT').append());
+          });
+        });
 
-      logger.info("Jump forward to input");
-      installCommands.push(this._asIptables4Command(`-A FWD_${chainName} -j IN_${chainName}`));
+        const vitalLogging = _.get(context.jobConfiguration, 'logging.vitalAccess');
+        if (logRules.isEnabled(vitalLogging)) {
+          logger.info("Log the loopback packets rejected (IPv%d)", ipVersion);
+          installCommands.push(logRules.logRule(ipVersion, inChain, vitalLogging, logRules.getDefaultPrefix(inChain, 'REJECT')).not().inInterface('lo').destination(loopbackNetwork).append());
+        }
+        installCommands.push(rule(inChain).not().inInterface('lo').destination(loopbackNetwork).jump('REJECT').append());
+        installCommands.push(rule(outChain).outInterface('lo').destination(loopbackNetwork).jump('ACCEPT').append());
+
+        logger.info("Jump forward to input");
+        installCommands.push(rule(forwardChain).jump(inChain).append());
 
-      logger.info("Last step RETURN");
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} -j RETURN`));
-      installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -j RETURN`));
-      installCommands.push(this._asIptables4Command(`-A FWD_${chainName} -j RETURN`));
+        logger.info("Last step RETURN");
+        installCommands.push(rule(inChain).jump('RETURN').append());
+        installCommands.push(rule(outChain).jump('RETURN').append());
+        installCommands.push(rule(forwardChain).jump('RETURN').append());
+      });
 
       context.commands.install = _.concat(context.commands.install, installCommands);
-      context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
       resolve();
     });
@@ -253,29 +357,37 @@ PrepareNetfilterJob.prototype.execute.Steps = {
    */
   generateBlockNetworkChain: function (context) {
     return new Promise(resolve => {
-      const installCommands = [],
-        unInstallCommands = [];
+      const installCommands = [];
 
       const logger = context.logger.of({
         prefixes: ['blockNetworkChain']
       });
 
-      const chainName = "block_access_0";
+      const namespace = namespaces.getNamespace(context),
+        chain = namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.blockAccess);
 
-      logger.debug("Create the chain 'IN_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X IN_${chainName}`));
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        // The sets are created first, the chain is created and configured in one batch.
+        // The blacklist entries can expire (see sync-blacklist-ips), the dynamic bans are addresses (log-ban, BLOCK)
+        _.each([[namespaces.SETS.blockNetworks, 'hash:net'], [namespaces.SETS.dynamicBlockNetworks, 'hash:ip']], ([baseSetName, setType]) => {
+          const setName = namespaces.getSetName(namespace, baseSetName, ipVersion);
+          logger.debug("Add create ipset %s '%s'", setType, setName);
+          installCommands.push(operations.createSet(ipVersion, setName, setType, true));
+        });
 
-      logger.debug("Add create ipset net '%s'", 'block_net');
-      installCommands.push(this._asIpSetCommand(`-! create block_net hash:net`));
-      unInstallCommands.push(this._asIpSetCommand(`-! destroy block_net`));
+        logger.debug("Create the chain '%s' (IPv%d)", chain, ipVersion);
+        installCommands.push(operations.createChain(ipVersion, chain));
 
-      logger.debug("Configure chain 'IN_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} -j DROP`));
+        logger.debug("Configure chain '%s' (IPv%d)", chain, ipVersion);
+        // The logging of the blocked networks is configured apart, it can be noisy
+        const blockLogging = _.get(context.jobConfiguration, 'logging.blockAccess');
+        if (logRules.isEnabled(blockLogging)) {
+          installCommands.push(logRules.logRule(ipVersion, chain, blockLogging, logRules.getDefaultPrefix(chain, 'DROP')).append());
+        }
+        installCommands.push(ruleBuilder.rule(ipVersion, chain).jump('DROP').append());
+      });
 
       context.commands.install = _.concat(context.commands.install, installCommands);
-      context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
       resolve();
     });
@@ -287,35 +399,25 @@ PrepareNetfilterJob.prototype.execute.Steps = {
    */
   generateServiceAccessChain: function (context) {
     return new Promise(resolve => {
-      const installCommands = [],
-        unInstallCommands = [];
+      const installCommands = [];
 
       const logger = context.logger.of({
         prefixes: ['serviceAccessChain']
       });
 
-      const chainName = "services_access_0";
+      const namespace = namespaces.getNamespace(context);
 
-      logger.debug("Create the chain 'IN_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X IN_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} -j RETURN`));
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        _.each(['IN', 'OUT', 'FWD'], chainPrefix => {
+          const chain = namespaces.getChainName(namespace, chainPrefix, namespaces.CHAINS.servicesAccess);
 
-      logger.debug("Create the chain 'OUT_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X OUT_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -j RETURN`));
-
-      logger.debug("Create the chain 'FWD_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X FWD_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A FWD_${chainName} -j RETURN`));
+          logger.debug("Create the chain '%s' (IPv%d)", chain, ipVersion);
+          installCommands.push(operations.createChain(ipVersion, chain));
+          installCommands.push(ruleBuilder.rule(ipVersion, chain).jump('RETURN').append());
+        });
+      });
 
       context.commands.install = _.concat(context.commands.install, installCommands);
-      context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
       resolve();
     });
@@ -327,118 +429,243 @@ PrepareNetfilterJob.prototype.execute.Steps = {
    */
   generateTrustedNetworkChain: function (context) {
     return new Promise(resolve => {
-      const installCommands = [],
-        unInstallCommands = [];
+      const installCommands = [];
 
       const logger = context.logger.of({
         prefixes: ['trustedNetworkChain']
       });
 
-      const chainName = "trusted_access_0";
+      const namespace = namespaces.getNamespace(context);
 
       const globalTrustedNetworks = _.get(context, 'configuration.global.network.trustedItems', []),
         jobTrustedNetworks = _.get(context, 'jobConfiguration.network.trustedItems', []),
-        trustedNetworks = _.concat([], globalTrustedNetworks, jobTrustedNetworks);
+        trustedNetworks = ipFamilies.splitByIpVersion(_.concat([], globalTrustedNetworks, jobTrustedNetworks), 'value');
 
-      logger.debug("Add create ipset net '%s'", 'trusted_net');
-      installCommands.push(this._asIpSetCommand(`-! create trusted_net hash:net`));
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        const setName = namespaces.getSetName(namespace, namespaces.SETS.trustedNetworks, ipVersion);
 
-      _.each(trustedNetworks, network => {
-        logger.debug("Add trusted network '%s'", network.value);
-        installCommands.push(this._asIpSetCommand(`-! add trusted_net ${network.value}`));
-      });
+        logger.debug("Add create ipset net '%s'", setName);
+        installCommands.push(operations.createSet(ipVersion, setName, 'hash:net'));
+
+        _.each(trustedNetworks[ipVersion], network => {
+          logger.debug("Add trusted network '%s'", network.value);
+          installCommands.push(operations.addSetMember(ipVersion, setName, network.value));
+        });
+
+        _.each([['IN', 'src'], ['OUT', 'dst'], ['FWD', 'src']], ([chainPrefix, direction]) => {
+          const chain = namespaces.getChainName(namespace, chainPrefix, namespaces.CHAINS.trustedAccess);
 
-      logger.debug("Create the chain 'IN_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F IN_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X IN_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} -m set --match-set trusted_net src -j ACCEPT`));
-      installCommands.push(this._asIptables4Command(`-A IN_${chainName} -j RETURN`));
-
-      logger.debug("Create the chain 'OUT_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F OUT_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X OUT_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -m set --match-set trusted_net dst -j ACCEPT`));
-      installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -j RETURN`));
-
-      logger.debug("Create the chain 'FWD_%s'", chainName);
-      installCommands.push(this._asIptables4Command(`-N FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-F FWD_${chainName}`));
-      unInstallCommands.push(this._asIptables4Command(`-X FWD_${chainName}`));
-      installCommands.push(this._asIptables4Command(`-A FWD_${chainName} -m set --match-set trusted_net src -j ACCEPT`));
-      installCommands.push(this._asIptables4Command(`-A FWD_${chainName} -j RETURN`));
-
-      // Delete set
-      unInstallCommands.push(this._asIpSetCommand(`-! destroy trusted_net`));
+          logger.debug("Create the chain '%s' (IPv%d)", chain, ipVersion);
+          installCommands.push(operations.createChain(ipVersion, chain));
+          installCommands.push(ruleBuilder.rule(ipVersion, chain).matchSet(setName, direction).jump('ACCEPT').append());
+          installCommands.push(ruleBuilder.rule(ipVersion, chain).jump('RETURN').append());
+        });
+      });
 
       context.commands.install = _.concat(context.commands.install, installCommands);
-      context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
       resolve();
     });
   },
   /**
-   * Generate root chain access
+   * Generate the sets of the network groups compiled to sets (objects.networks), matched by the services of the namespace
    * @param {BaseJob~ExecutionContext} context the context
    * @return {Promise}
    */
-  generateRootAccessChains: function (context) {
+  generateNetworkGroupSets: function (context) {
     return new Promise(resolve => {
-      const installCommands = [],
-        unInstallCommands = [];
+      const installCommands = [];
 
       const logger = context.logger.of({
-        prefixes: ['rootAccessChains']
+        prefixes: ['networkGroupSets']
       });
 
-      installCommands.push(this._asIptables4Command(`-I INPUT 1 -j IN_trusted_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D INPUT -j IN_trusted_access_0`));
+      const namespace = namespaces.getNamespace(context);
 
-      installCommands.push(this._asIptables4Command(`-I INPUT 2 -j IN_vital_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D INPUT -j IN_vital_access_0`));
+      _.each(objects.getSetNetworkGroups(_.get(context, 'configuration.objects')), (group, groupName) => {
+        const networks = ipFamilies.splitByIpVersion(group.values);
 
-      installCommands.push(this._asIptables4Command(`-I INPUT 3 -m set --match-set block_net src -j IN_block_access_0`)); // Chain for block input
-      unInstallCommands.push(this._asIptables4Command(`-D INPUT -m set --match-set block_net src -j IN_block_access_0`));
+        _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+          const setName = namespaces.getSetName(namespace, objects.getGroupSetName(groupName), ipVersion);
 
-      installCommands.push(this._asIptables4Command(`-I INPUT 4 -j IN_services_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D INPUT -j IN_services_access_0`));
+          logger.debug("Add create ipset net '%s' of the group %s", setName, groupName);
+          installCommands.push(operations.createSet(ipVersion, setName, 'hash:net'));
+          _.each(networks[ipVersion], network => {
+            installCommands.push(operations.addSetMember(ipVersion, setName, network));
+          });
+        });
+      });
+
+      context.commands.install = _.concat(context.commands.install, installCommands);
 
-      const primaryInterfaces = context.jobConfiguration.network.primaryInterfaces;
-      _.each(primaryInterfaces, primaryInterface => {
-        installCommands.push(this._asIptables4Command(`-A INPUT --in-interface ${primaryInterface.name} -j ${primaryInterface.rules.input.defaultAction}`));
-        unInstallCommands.push(this._asIptables4Command(`-D INPUT --in-interface ${primaryInterface.name} -j ${primaryInterface.rules.input.defaultAction}`));
+      resolve();
+    });
+  },
+  /**
+   * Generate the egress chain: the rules of the local users and the destinations allowed per interface.
+   * The packets not accepted reach the output default action of the interface (see generateRootAccessChains).
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  generateEgressChain: function (context) {
+    return new Promise(resolve => {
+      const installCommands = [];
+
+      const logger = context.logger.of({
+        prefixes: ['egressChain']
       });
 
-      installCommands.push(this._asIptables4Command(`-I OUTPUT 1 -j OUT_trusted_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D OUTPUT -j OUT_trusted_access_0`));
+      const chain = namespaces.getChainName(namespaces.getNamespace(context), 'OUT', namespaces.CHAINS.egressAccess);
+
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        logger.debug("Create the chain '%s' (IPv%d)", chain, ipVersion);
+        installCommands.push(operations.createChain(ipVersion, chain));
+
+        _.each(context.jobConfiguration.network.primaryInterfaces, primaryInterface => {
+          const interfaceName = primaryInterface.name,
+            outputRules = primaryInterface.rules.output,
+            rule = itemName => ruleBuilder.rule(ipVersion, chain).item(itemName).outInterface(interfaceName);
+
+          // The replies of the connections accepted in input
+          installCommands.push(rule(`${interfaceName} replies`).state('ESTABLISHED', 'RELATED').jump('ACCEPT').append());
+
+          _.each(outputRules.owners, owner => {
+            const ownerName = _.isNil(owner.uid) ? `gid ${owner.gid}` : `uid ${owner.uid}`,
+              ownerRule = rule(`${interfaceName} ${ownerName}`);
+
+            logger.info("Adding %s %s on %s (IPv%d)", owner.action, ownerName, interfaceName, ipVersion);
+            if (_.isNil(owner.uid)) {
+              ownerRule.gidOwner(owner.gid);
+            } else {
+              ownerRule.uidOwner(owner.uid);
+            }
+            installCommands.push(ownerRule.jump(owner.action).append());
+          });
+
+          _.each(outputRules.destinations, destination => {
+            const networks = _.isEmpty(destination.networks) ? [undefined] : ipFamilies.splitByIpVersion(destination.networks)[ipVersion],
+              ports = _.isEmpty(destination.ports) ? [undefined] : destination.ports,
+              itemName = `${interfaceName} ${destination.description || _.compact([destination.protocol, _.join(destination.ports, ',')]).join(' port ') || 'any'}`;
+
+            _.each(networks, network => {
+              _.each(ports, port => {
+                const destinationRule = rule(itemName);
+                if (!_.isNil(network)) {
+                  destinationRule.destination(network);
+                }
+                if (!_.isNil(destination.protocol)) {
+                  destinationRule.protocol(destination.protocol);
+                }
+                if (!_.isNil(port)) {
+                  destinationRule.destinationPort(port);
+                }
+                installCommands.push(destinationRule.jump('ACCEPT').append());
+              });
+            });
+          });
+        });
 
-      installCommands.push(this._asIptables4Command(`-I OUTPUT 2 -j OUT_vital_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D OUTPUT -j OUT_vital_access_0`));
+        installCommands.push(ruleBuilder.rule(ipVersion, chain).jump('RETURN').append());
+      });
 
-      installCommands.push(this._asIptables4Command(`-I OUTPUT 3 -j OUT_services_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D OUTPUT -j OUT_services_access_0`));
+      context.commands.install = _.concat(context.commands.install, installCommands);
 
-      // FORWARD
-      installCommands.push(this._asIptables4Command(`-I FORWARD 1 -j FWD_trusted_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -j FWD_trusted_access_0`));
+      resolve();
+    });
+  },
+  /**
+   * Generate root chain access
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  generateRootAccessChains: function (context) {
+    return new Promise(resolve => {
+      const installCommands = [];
+
+      const namespace = namespaces.getNamespace(context),
+        accessChain = (chainPrefix, chainName) => namespaces.getChainName(namespace, chainPrefix, chainName);
+
+      _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+        const blockSetName = namespaces.getSetName(namespace, namespaces.SETS.blockNetworks, ipVersion),
+          dynamicBlockSetName = namespaces.getSetName(namespace, namespaces.SETS.dynamicBlockNetworks, ipVersion);
+
+        const rule = chain => ruleBuilder.rule(ipVersion, chain),
+          push = operation => installCommands.push(operation);
+
+        push(rule('INPUT').jump(accessChain('IN', namespaces.CHAINS.trustedAccess)).insert(1));
+        push(rule('INPUT').jump(accessChain('IN', namespaces.CHAINS.vitalAccess)).insert(2));
+        push(rule('INPUT').matchSet(blockSetName, 'src').jump(accessChain('IN', namespaces.CHAINS.blockAccess)).insert(3)); // Chain for block input
+        push(rule('INPUT').matchSet(dynamicBlockSetName, 'src').jump(accessChain('IN', namespaces.CHAINS.blockAccess)).insert(4));
+        push(rule('INPUT').jump(accessChain('IN', namespaces.CHAINS.servicesAccess)).insert(5));
+
+        const primaryInterfaces = context.jobConfiguration.network.primaryInterfaces;
+        _.each(primaryInterfaces, primaryInterface => {
+          const defaultAction = primaryInterface.rules.input.defaultAction;
+          if (logRules.isEnabled(primaryInterface.logging)) {
+            push(logRules.logRule(ipVersion, 'INPUT', primaryInterface.logging, logRules.getDefaultPrefix(`IN ${primaryInterface.name}`, defaultAction)).inInterface(primaryInterface.name).append());
+          }
+          push(rule('INPUT').inInterface(primaryInterface.name).jump(defaultAction).append());
+        });
 
-      installCommands.push(this._asIptables4Command(`-I FORWARD 2 -j FWD_vital_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -j FWD_vital_access_0`));
+        push(rule('OUTPUT').jump(accessChain('OUT', namespaces.CHAINS.trustedAccess)).insert(1));
+        push(rule('OUTPUT').jump(accessChain('OUT', namespaces.CHAINS.vitalAccess)).insert(2));
+        push(rule('OUTPUT').jump(accessChain('OUT', namespaces.CHAINS.servicesAccess)).insert(3));
+        push(rule('OUTPUT').jump(accessChain('OUT', namespaces.CHAINS.egressAccess)).insert(4));
 
-      installCommands.push(this._asIptables4Command(`-I FORWARD 3 -m set --match-set block_net src -j IN_block_access_0`)); // Chain for block input
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -m set --match-set block_net src -j IN_block_access_0`));
+        _.each(primaryInterfaces, primaryInterface => {
+          push(rule('OUTPUT').outInterface(primaryInterface.name).jump(primaryInterface.rules.output.defaultAction).append());
+        });
 
-      installCommands.push(this._asIptables4Command(`-I FORWARD 4 -j FWD_services_access_0`));
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -j FWD_services_access_0`));
+        // FORWARD
+        push(rule('FORWARD').jump(accessChain('FWD', namespaces.CHAINS.trustedAccess)).insert(1));
+        push(rule('FORWARD').jump(accessChain('FWD', namespaces.CHAINS.vitalAccess)).insert(2));
+        push(rule('FORWARD').matchSet(blockSetName, 'src').jump(accessChain('IN', namespaces.CHAINS.blockAccess)).insert(3)); // Chain for block input
+        push(rule('FORWARD').matchSet(dynamicBlockSetName, 'src').jump(accessChain('IN', namespaces.CHAINS.blockAccess)).insert(4));
+        push(rule('FORWARD').jump(accessChain('FWD', namespaces.CHAINS.servicesAccess)).insert(5));
+      });
 
       context.commands.install = _.concat(context.commands.install, installCommands);
-      context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
       resolve();
     });
   }
 };
 
+/**
+ * Returns the names created by the job: the chains and the sets shared by the jobs of the namespace, and the LOG prefixes
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @param {Object} configuration The whole configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob, configuration) {
+  const chains = [];
+  _.each([namespaces.CHAINS.vitalAccess, namespaces.CHAINS.servicesAccess, namespaces.CHAINS.trustedAccess], chainName => {
+    _.each(['IN', 'OUT', 'FWD'], chainPrefix => chains.push(namespaces.getChainName(namespace, chainPrefix, chainName)));
+  });
+  chains.push(namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.blockAccess));
+  chains.push(namespaces.getChainName(namespace, 'OUT', namespaces.CHAINS.egressAccess));
+
+  const jobConfiguration = _.get(configurationJob, 'configuration'),
+    logPrefixes = [
+      logRules.getLogPrefix(_.get(jobConfiguration, 'logging.vitalAccess'),
+        logRules.getDefaultPrefix(namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.vitalAccess), 'REJECT')),
+      logRules.getLogPrefix(_.get(jobConfiguration, 'logging.blockAccess'),
+        logRules.getDefaultPrefix(namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.blockAccess), 'DROP'))
+    ];
+  _.each(_.get(jobConfiguration, 'network.primaryInterfaces'), primaryInterface => {
+    logPrefixes.push(logRules.getLogPrefix(primaryInterface.logging,
+      logRules.getDefaultPrefix(`IN ${primaryInterface.name}`, _.get(primaryInterface, 'rules.input.defaultAction', ''))));
+  });
+
+  return {
+    chains: chains,
+    sets: _.flatMap(_.concat(_.values(namespaces.SETS), _.map(_.keys(objects.getSetNetworkGroups(configuration.objects)), objects.getGroupSetName)),
+      setName => _.map(ipFamilies.IP_VERSIONS, ipVersion => namespaces.getSetName(namespace, setName, ipVersion))),
+    logPrefixes: _.compact(logPrefixes)
+  };
+}
+
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
 exports.PrepareNetfilterJob = module.exports.PrepareNetfilterJob = PrepareNetfilterJob;
 exports.Job = module.exports.Job = PrepareNetfilterJob;
@@ -1,17 +1,21 @@
-const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
-  _ = require('lodash'),
+const _ = require('lodash'),
   Joi = require('joi'),
   jsErrors = require('js-zrim-errors'),
-  commonErrors = jsErrors.common;
+  commonErrors = jsErrors.common,
+  namespaces = require('./../../namespaces'),
+  operations = require('./../../../netfilter/operations'),
+  ruleBuilder = require('./../../../netfilter/rule-builder'),
+  PortForwardJob = require('./port-forward').PortForwardJob;
 
 /**
  * Job to initialize a dns service/server from a docker container
  *
  * To make the dns working, we expose a special port and want to forward from a specific ip.
- * To do so, we are using nat and postrouting
+ * The job is a port forward of tcp and udp, the source port is 53 by default (see {@link PortForwardJob}).
+ * The forwarded connections are accepted in FORWARD and the chain IN_dns_ accepts the source address.
  *
  * @see https://www.systutorials.com/816/port-forwarding-using-iptables/
- * @implements {SimpleInitializableObject}
+ * @implements {PortForwardJob}
  * @constructor
  */
 function DockerDnsServiceJob() {
@@ -19,93 +23,25 @@ function DockerDnsServiceJob() {
     return new (Function.prototype.bind.apply(DockerDnsServiceJob, Array.prototype.concat.apply([null], arguments)))();
   }
 
-  SimpleInitializableObject.apply(this, arguments);
+  PortForwardJob.apply(this, arguments);
 }
 
-SimpleInitializableObject._applyPrototypeTo(DockerDnsServiceJob);
+PortForwardJob._applyPrototypeTo(DockerDnsServiceJob);
 
 /**
- * Execute the job
- * @param {BaseJob~ExecutionContext} context the context
- * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
- */
-DockerDnsServiceJob.prototype.execute = function (context) {
-  return new Promise((resolve, reject) => {
-    const logger = context.logger.of({
-      prefixes: ['main']
-    });
-
-    _.set(context, 'commands.install', []);
-    _.set(context, 'commands.unInstall', []);
-
-    const steps = [
-      this._validateConfiguration,
-      this._generateRules
-    ];
-    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
-      return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
-    }
-
-    let workflowPromise = Promise.resolve({});
-    _.each(steps, step => {
-      workflowPromise = workflowPromise.then(() => step.call(this, context));
-    });
-
-    workflowPromise
-      .then(() => {
-        const response = {
-          securityCommands: []
-        };
-
-        if (context.jobCommand.type === 'install') {
-          response.securityCommands = context.commands.install;
-        } else {
-          response.securityCommands = context.commands.unInstall;
-        }
-
-        resolve(response);
-      })
-      .catch(error => {
-        logger.error("Error while executing the workflow: %s\n%s", error.message, error.stack);
-        reject(error);
-      });
-  });
-};
-
-/**
- * Make this string command as a {@link SecurityCommand} iptables ipv4
- * @param {string} command The command to make
- * @return {SecurityCommand} The command created
- * @private
- */
-DockerDnsServiceJob.prototype._asIptables4Command = function (command) {
-  return {
-    type: 'iptables-4',
-    value: command
-  };
-};
-
-/**
- * Validate the job configuration
+ * Validate the job configuration: the DNS values are added to the items, then the port forward validates them
  * @param {BaseJob~ExecutionContext} context the context
  * @return {Promise}
  */
 DockerDnsServiceJob.prototype._validateConfiguration = function (context) {
   return new Promise((resolve, reject) => {
     const schema = Joi.object().keys({
-      chainName: Joi.string(),
       network: Joi.object().keys({
         items: Joi.array().items(
           Joi.object().keys({
-            sourcePortNumber: Joi.number().default(53),
-            sourceLinkName: Joi.string().required(),
-            sourceIpAddress: Joi.string().ip({
-              cidr: 'forbidden'
-            }).required(),
-            destinationPortNumber: Joi.number().required(),
-            destinationIpAddress: Joi.string().ip({
-              cidr: 'forbidden'
-            }).allow(null)
+            protocols: Joi.any().default(['tcp', 'udp']),
+            sourcePortNumber: Joi.any().default(53),
+            destinationPortNumber: Joi.any().required()
           }).unknown()
         ).required()
       }).unknown().required()
@@ -116,91 +52,130 @@ DockerDnsServiceJob.prototype._validateConfiguration = function (context) {
         return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
       }
 
-      context.rawJobConfiguration = context.jobConfiguration;
+      const rawJobConfiguration = context.jobConfiguration;
       context.jobConfiguration = configValidated;
-      resolve();
+      PortForwardJob.prototype._validateConfiguration.call(this, context)
+        .then(() => {
+          context.rawJobConfiguration = rawJobConfiguration;
+          resolve();
+        }, reject);
     });
   });
 };
 
 /**
- * Returns the chain name used for the service
- * @return {string} The chain name
+ * Returns the names of the chains of the service
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {{input: string, output: string}} The chain names
  * @private
  */
-DockerDnsServiceJob.prototype._getServiceChainName = function () {
-  return 'dockerDnsService';
+DockerDnsServiceJob.prototype._getDnsChainNames = function (context) {
+  const chainName = this._getServiceChainName(context);
+
+  return {
+    input: `IN_dns_${chainName}`,
+    output: `OUT_dns_${chainName}`
+  };
 };
 
 /**
- * Generate the rules
+ * Generate the operations creating the chains IN_dns_ and OUT_dns_
  * @param {BaseJob~ExecutionContext} context the context
- * @return {Promise}
+ * @param {number[]} ipVersions The ip versions enabled
+ * @return {NetfilterOperation[]} The operations
+ * @private
  */
-DockerDnsServiceJob.prototype._generateRules = function (context) {
-  return new Promise(resolve => {
-    const installCommands = [],
-      unInstallCommands = [];
-
-    const logger = context.logger.of({
-      prefixes: ['dockerDnsService']
-    });
-
-    // iptables -A PREROUTING -t nat -i eth0 -p tcp --dport 80 -j DNAT --to 192.168.1.2:8080
-    // iptables -A FORWARD -p tcp -d 192.168.1.2 --dport 8080 -j ACCEPT
-
-    const chainName = context.jobConfiguration.chainName || this._getServiceChainName();
-
-    // Remove chains
-    unInstallCommands.push(this._asIptables4Command(`-D IN_services_access_0 -j IN_dns_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-D OUT_services_access_0 -j OUT_dns_${chainName}`));
-
-    // Clean up & create
-    installCommands.push(this._asIptables4Command(`-N IN_dns_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-F IN_dns_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-X IN_dns_${chainName}`));
-
-    installCommands.push(this._asIptables4Command(`-N OUT_dns_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-F OUT_dns_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-X OUT_dns_${chainName}`));
-
-    const networkItems = context.jobConfiguration.network.items || [];
-    _.each(networkItems, item => {
-      const {sourceIpAddress, sourcePortNumber, sourceLinkName, destinationPortNumber, destinationIpAddress} = item;
+DockerDnsServiceJob.prototype._generateChainCreations = function (context, ipVersions) {
+  const chainNames = this._getDnsChainNames(context);
+
+  // Clean up & create
+  return _.flatMap(ipVersions, ipVersion => [
+    operations.createChain(ipVersion, chainNames.input),
+    operations.createChain(ipVersion, chainNames.output)
+  ]);
+};
 
-      // Remove nat
-      unInstallCommands.push(this._asIptables4Command(`-D PREROUTING -t nat -i ${sourceLinkName} -p tcp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j DNAT --to ${destinationIpAddress}:${destinationPortNumber}`));
-      unInstallCommands.push(this._asIptables4Command(`-D PREROUTING -t nat -i ${sourceLinkName} -p udp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j DNAT --to ${destinationIpAddress}:${destinationPortNumber}`));
+/**
+ * Generate the rules accepting the flow: in FORWARD for the destination and in IN_dns_ for the source address
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {PortForwardJob~Flow} flow The flow
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+DockerDnsServiceJob.prototype._generateForwardRules = function (context, flow) {
+  const forwardRule = ruleBuilder.rule(flow.ipVersion, 'FORWARD')
+    .item(flow.itemName)
+    .protocol(flow.protocol)
+    .destination(flow.destinationIpAddress)
+    .destinationPort(flow.destinationPortMatch)
+    .jump('ACCEPT');
+  const inputRule = ruleBuilder.rule(flow.ipVersion, this._getDnsChainNames(context).input)
+    .item(flow.itemName)
+    .protocol(flow.protocol)
+    .destination(flow.sourceIpAddress)
+    .destinationPort(flow.sourcePortMatch)
+    .jump('ACCEPT');
+  if (flow.source) {
+    forwardRule.source(flow.source);
+    inputRule.source(flow.source);
+  }
 
-      installCommands.push(this._asIptables4Command(`-I PREROUTING 1 -t nat -i ${sourceLinkName} -p tcp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j DNAT --to ${destinationIpAddress}:${destinationPortNumber}`));
-      installCommands.push(this._asIptables4Command(`-I PREROUTING 1 -t nat -i ${sourceLinkName} -p udp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j DNAT --to ${destinationIpAddress}:${destinationPortNumber}`));
+  return [forwardRule.insert(1), inputRule.append()];
+};
 
-      // Forward
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -p tcp -d ${destinationIpAddress} --dport ${destinationPortNumber} -j ACCEPT`));
-      unInstallCommands.push(this._asIptables4Command(`-D FORWARD -p udp -d ${destinationIpAddress} --dport ${destinationPortNumber} -j ACCEPT`));
+/**
+ * The answers are accepted by the rules of FORWARD
+ * @return {NetfilterOperation[]} No operation
+ * @private
+ */
+DockerDnsServiceJob.prototype._generateReplyRules = function () {
+  return [];
+};
 
-      installCommands.push(this._asIptables4Command(`-I FORWARD 1 -p tcp -d ${destinationIpAddress} --dport ${destinationPortNumber} -j ACCEPT`));
-      installCommands.push(this._asIptables4Command(`-I FORWARD 1 -p udp -d ${destinationIpAddress} --dport ${destinationPortNumber} -j ACCEPT`));
+/**
+ * Generate the operations ending the chains IN_dns_ and OUT_dns_ and jumping to them from the services access
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {number[]} ipVersions The ip versions enabled
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+DockerDnsServiceJob.prototype._generateChainInstallations = function (context, ipVersions) {
+  const logger = context.logger.of({
+    prefixes: ['dockerDnsService']
+  });
 
-      installCommands.push(this._asIptables4Command(`-A IN_dns_${chainName} -p tcp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j ACCEPT`));
-      installCommands.push(this._asIptables4Command(`-A IN_dns_${chainName} -p udp -d ${sourceIpAddress} --dport ${sourcePortNumber} -j ACCEPT`));
-    });
+  const namespace = namespaces.getNamespace(context),
+    chainNames = this._getDnsChainNames(context);
 
-    logger.info("Last step RETURN");
-    installCommands.push(this._asIptables4Command(`-A IN_dns_${chainName} -j RETURN`));
-    installCommands.push(this._asIptables4Command(`-A OUT_dns_${chainName} -j RETURN`));
+  return _.flatMap(ipVersions, ipVersion => {
+    logger.info("Last step RETURN (IPv%d)", ipVersion);
 
     // Add the chain to the service access
-    logger.info(`Install chain ${chainName} to the INPUT/OUTPUT`);
-    installCommands.push(this._asIptables4Command(`-I IN_services_access_0 1 -j IN_dns_${chainName}`));
-    installCommands.push(this._asIptables4Command(`-I OUT_services_access_0 1 -j OUT_dns_${chainName}`));
-
-    context.commands.install = _.concat(context.commands.install, installCommands);
-    context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
-
-    resolve();
+    logger.info(`Install chains ${chainNames.input} and ${chainNames.output} to the INPUT/OUTPUT (IPv${ipVersion})`);
+    return [
+      ruleBuilder.rule(ipVersion, chainNames.input).jump('RETURN').append(),
+      ruleBuilder.rule(ipVersion, chainNames.output).jump('RETURN').append(),
+      ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.servicesAccess)).jump(chainNames.input).insert(1),
+      ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'OUT', namespaces.CHAINS.servicesAccess)).jump(chainNames.output).insert(1)
+    ];
   });
 };
 
+/**
+ * Returns the names created by the job: the service chains
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob) {
+  const chainName = namespaces.getJobChainName(namespace, configurationJob.name, _.get(configurationJob, 'configuration.chainName'));
+
+  return {
+    chains: [`IN_dns_${chainName}`, `OUT_dns_${chainName}`],
+    sets: []
+  };
+}
+
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
 exports.DockerDnsServiceJob = module.exports.DockerDnsServiceJob = DockerDnsServiceJob;
 exports.Job = module.exports.Job = DockerDnsServiceJob;
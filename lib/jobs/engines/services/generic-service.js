@@ -1,8 +1,42 @@
 const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
   _ = require('lodash'),
+  crypto = require('crypto'),
   Joi = require('joi'),
   jsErrors = require('js-zrim-errors'),
-  commonErrors = jsErrors.common;
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../../ip-families'),
+  namespaces = require('./../../namespaces'),
+  objects = require('./../../objects'),
+  operations = require('./../../../netfilter/operations'),
+  ruleBuilder = require('./../../../netfilter/rule-builder');
+
+/**
+ * The protections of an item, checked on the new connections before the ACCEPT
+ * @type {Object}
+ */
+const PROTECTIONS_SCHEMA = Joi.object().keys({
+  overflowAction: Joi.string().valid(['DROP', 'REJECT', 'BLOCK']).default('DROP'),
+  rateLimit: Joi.object().keys({
+    rate: Joi.string().regex(ruleBuilder.LIMIT_RATE_PATTERN, 'rate').required(),
+    burst: Joi.number().integer().min(1).default(5)
+  }),
+  maxConnections: Joi.number().integer().min(1),
+  // nftables has no recent match, the backend is given in the validation context
+  recent: Joi.when('$backend', {
+    is: 'nftables',
+    then: Joi.any().forbidden().error(() => 'recent is not supported by the backend nftables, use rateLimit'),
+    otherwise: Joi.object().keys({
+      hits: Joi.number().integer().min(1).max(ruleBuilder.RECENT_MAX_HITS).required(),
+      seconds: Joi.number().integer().min(1).required()
+    })
+  })
+}).or('rateLimit', 'maxConnections', 'recent');
+
+/**
+ * The keys keeping the references to the network groups compiled to sets (see objects.resolveConfiguration)
+ * @type {string[]}
+ */
+const SET_REFERENCE_KEYS = ['sourceNetworks'];
 
 /**
  * Job to initialize synchronize blacklist ips
@@ -31,7 +65,6 @@ GenericServiceJob.prototype.execute = function (context) {
     });
 
     _.set(context, 'commands.install', []);
-    _.set(context, 'commands.unInstall', []);
 
     const steps = [
       this._validateConfiguration,
@@ -49,13 +82,14 @@ GenericServiceJob.prototype.execute = function (context) {
     workflowPromise
       .then(() => {
         const response = {
-          securityCommands: []
+          operations: []
         };
 
         if (context.jobCommand.type === 'install') {
-          response.securityCommands = context.commands.install;
+          response.operations = context.commands.install;
         } else {
-          response.securityCommands = context.commands.unInstall;
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
         }
 
         resolve(response);
@@ -67,19 +101,6 @@ GenericServiceJob.prototype.execute = function (context) {
   });
 };
 
-/**
- * Make this string command as a {@link SecurityCommand} iptables ipv4
- * @param {string} command The command to make
- * @return {SecurityCommand} The command created
- * @private
- */
-GenericServiceJob.prototype._asIptables4Command = function (command) {
-  return {
-    type: 'iptables-4',
-    value: command
-  };
-};
-
 /**
  * Validate the job configuration
  * @param {BaseJob~ExecutionContext} context the context
@@ -89,29 +110,42 @@ GenericServiceJob.prototype._validateConfiguration = function (context) {
   return new Promise((resolve, reject) => {
     const schema = Joi.object().keys({
       chainName: Joi.string(),
+      blockTimeSeconds: Joi.number().integer().min(0).max(operations.MAX_SET_TIMEOUT_SECONDS).default(3600),
       network: Joi.object().keys({
+        ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS)),
         items: Joi.array().items(
           Joi.object().keys({
-            portNumber: Joi.number().required(),
+            portNumber: objects.PORT_SCHEMA.required(),
             sourceNetworks: Joi.array().items(
               Joi.string().ip({
                 cidr: 'optional'
-              })
+              }),
+              Joi.string().regex(objects.REFERENCE_PATTERN, 'network group reference')
             ).allow(null),
             protocol: Joi.string().required(),
             destinationNetwork: Joi.string().ip({
               cidr: 'optional'
-            }).allow(null)
+            }).allow(null),
+            protections: PROTECTIONS_SCHEMA
           }).unknown()
         ).required()
       }).unknown().required()
     }).unknown().required();
 
-    Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
+    Joi.validate(context.jobConfiguration, schema, {
+      context: {
+        backend: _.get(context, 'jobCommand.backend', 'iptables')
+      }
+    }, (error, configValidated) => {
       if (error) {
         return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
       }
 
+      // The port ranges are matched in the iptables form (8000:8010)
+      _.each(configValidated.network.items, item => {
+        item.portNumber = objects.normalizePort(item.portNumber);
+      });
+
       context.rawJobConfiguration = context.jobConfiguration;
       context.jobConfiguration = configValidated;
       resolve();
@@ -120,12 +154,66 @@ GenericServiceJob.prototype._validateConfiguration = function (context) {
 };
 
 /**
- * Returns the chain name used for the service
+ * Returns the chain name used for the service: the chainName or the job name, in the namespace
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {string} The chain name
+ * @private
+ */
+GenericServiceJob.prototype._getServiceChainName = function (context) {
+  return namespaces.getJobChainName(namespaces.getNamespace(context), context.configurationJob.name, context.jobConfiguration.chainName);
+};
+
+/**
+ * Returns the chain adding the sources to the set block_dyn of the namespace, used by the overflow action BLOCK
+ * @param {string} chainName The service chain name
  * @return {string} The chain name
  * @private
  */
-GenericServiceJob.prototype._getServiceChainName = function () {
-  return 'genericServiceName';
+GenericServiceJob.prototype._getBlockChainName = function (chainName) {
+  return `IN_${chainName}_block`;
+};
+
+/**
+ * Returns the name of the counters of the item protections (hashlimit, recent list), 13 characters
+ * @param {string} chainName The service chain name
+ * @param {Object} item The item
+ * @return {string} The name
+ * @private
+ */
+GenericServiceJob.prototype._getProtectionName = function (chainName, item) {
+  return `ze${crypto.createHash('sha1').update(`${chainName}/${item.protocol}/${item.portNumber}`).digest('hex').substr(0, 11)}`;
+};
+
+/**
+ * Generate the protection rules of the item, the overflow action is applied to the new connections exceeding a limit
+ * @param {string} chainName The service chain name
+ * @param {Object} item The item
+ * @param {function(): RuleBuilder} itemRule Returns the builder with the matches of the item
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+GenericServiceJob.prototype._generateProtectionRules = function (chainName, item, itemRule) {
+  const protections = item.protections;
+  if (!protections) {
+    return [];
+  }
+
+  const name = this._getProtectionName(chainName, item),
+    overflowTarget = protections.overflowAction === 'BLOCK' ? this._getBlockChainName(chainName) : protections.overflowAction,
+    newConnectionRule = () => itemRule().state('NEW'),
+    installCommands = [];
+
+  if (!_.isNil(protections.maxConnections)) {
+    installCommands.push(newConnectionRule().connectionLimit(`${name}_c`, protections.maxConnections).jump(overflowTarget).append());
+  }
+  if (protections.rateLimit) {
+    installCommands.push(newConnectionRule().hashLimit(`${name}_r`, protections.rateLimit.rate, protections.rateLimit.burst).jump(overflowTarget).append());
+  }
+  if (protections.recent) {
+    installCommands.push(newConnectionRule().recent(`${name}_h`, protections.recent.seconds, protections.recent.hits).jump(overflowTarget).append());
+  }
+
+  return installCommands;
 };
 
 /**
@@ -134,61 +222,148 @@ GenericServiceJob.prototype._getServiceChainName = function () {
  * @return {Promise}
  */
 GenericServiceJob.prototype._generateRules = function (context) {
-  return new Promise(resolve => {
-    const installCommands = [],
-      unInstallCommands = [];
+  return new Promise((resolve, reject) => {
+    const installCommands = [];
 
     const logger = context.logger.of({
       prefixes: ['generateVitalAccessChain']
     });
 
-    const chainName = context.configurationJob.chainName || this._getServiceChainName();
+    const namespace = namespaces.getNamespace(context),
+      chainName = this._getServiceChainName(context),
+      ipVersions = ipFamilies.getEnabledIpVersions(context),
+      blockChainName = this._getBlockChainName(chainName);
+
+    _.each(ipVersions, ipVersion => {
+      // Clean up & create
+      _.each([`IN_${chainName}`, `OUT_${chainName}`], chain => {
+        installCommands.push(operations.createChain(ipVersion, chain));
+      });
+    });
+
+    const networkItems = context.jobConfiguration.network.items || [];
+    if (_.some(networkItems, item => _.get(item, 'protections.overflowAction') === 'BLOCK')) {
+      // The sources exceeding a limit are blocked by the chain IN_block_access_0 of the namespace (see prepare-netfilter).
+      // block_dyn keeps them for blockTimeSeconds, block_net is replaced by each blacklist sync
+      const blockTimeSeconds = context.jobConfiguration.blockTimeSeconds;
+      _.each(ipVersions, ipVersion => {
+        installCommands.push(operations.createChain(ipVersion, blockChainName));
+        installCommands.push(ruleBuilder.rule(ipVersion, blockChainName).jump('SET', {
+          addSet: {
+            name: namespaces.getSetName(namespace, namespaces.SETS.dynamicBlockNetworks, ipVersion),
+            direction: 'src',
+            timeout: blockTimeSeconds > 0 ? blockTimeSeconds : undefined
+          }
+        }).append());
+        installCommands.push(ruleBuilder.rule(ipVersion, blockChainName).jump('DROP').append());
+      });
+    }
 
-    // Remove chains
-    unInstallCommands.push(this._asIptables4Command(`-D IN_services_access_0 -j IN_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-D OUT_services_access_0 -j OUT_${chainName}`));
+    const networkGroups = objects.getNetworkGroups(_.get(context, 'configuration.objects'));
 
-    // Clean up & create
-    installCommands.push(this._asIptables4Command(`-N IN_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-F IN_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-X IN_${chainName}`));
+    for (const item of networkItems) {
+      const {portNumber, protocol, destinationNetwork} = item,
+        itemName = `${protocol} port ${portNumber}`;
+      const sourceNetworks = ipFamilies.splitByIpVersion(_.reject(item.sourceNetworks || [], objects.getReferenceName)),
+        sourceSets = {
+          4: [],
+          6: []
+        };
 
-    installCommands.push(this._asIptables4Command(`-N OUT_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-F OUT_${chainName}`));
-    unInstallCommands.push(this._asIptables4Command(`-X OUT_${chainName}`));
+      // The network groups compiled to sets are matched with their sets, created by prepare-netfilter
+      for (const groupName of _.compact(_.map(item.sourceNetworks, objects.getReferenceName))) {
+        if (!_.has(networkGroups, groupName)) {
+          return reject(new commonErrors.IllegalArgumentError(`Unknown network group @${groupName}`));
+        }
 
-    const networkItems = context.jobConfiguration.network.items || [];
-    _.each(networkItems, item => {
-      const {portNumber, protocol, destinationNetwork} = item;
-      const sourceNetworks = item.sourceNetworks || [];
-
-      const destinationNetworkPart = _.isNil(destinationNetwork) ? '' : ` -d ${destinationNetwork}`,
-        protocolPortNumberPart = ` -p ${protocol} --sport 1024:65535 --dport ${portNumber}`;
-
-      if (sourceNetworks.length === 0) {
-        installCommands.push(this._asIptables4Command(`-A IN_${chainName} ${destinationNetworkPart}${protocolPortNumberPart} -j ACCEPT`));
-      } else {
-        _.each(sourceNetworks, n => {
-          installCommands.push(this._asIptables4Command(`-A IN_${chainName} -s ${n} ${destinationNetworkPart}${protocolPortNumberPart} -j ACCEPT`));
+        const groupNetworks = ipFamilies.splitByIpVersion(networkGroups[groupName].values);
+        _.each(ipFamilies.IP_VERSIONS, ipVersion => {
+          if (groupNetworks[ipVersion].length > 0) {
+            sourceSets[ipVersion].push(namespaces.getSetName(namespace, objects.getGroupSetName(groupName), ipVersion));
+          }
         });
       }
-    });
 
-    logger.info("Last step RETURN");
-    installCommands.push(this._asIptables4Command(`-A IN_${chainName} -j RETURN`));
-    installCommands.push(this._asIptables4Command(`-A OUT_${chainName} -j RETURN`));
+      let itemIpVersions = ipVersions;
+      if (!_.isNil(destinationNetwork)) {
+        const destinationIpVersion = ipFamilies.getIpVersion(destinationNetwork);
+        const otherIpVersion = destinationIpVersion === 6 ? 4 : 6;
+        if (sourceNetworks[otherIpVersion].length > 0) {
+          return reject(new commonErrors.IllegalArgumentError(`The source networks ${sourceNetworks[otherIpVersion].join(', ')} and the destination ${destinationNetwork} are not in the same ip version`));
+        } else if (!_.isEmpty(item.sourceNetworks) && sourceNetworks[destinationIpVersion].length + sourceSets[destinationIpVersion].length === 0) {
+          return reject(new commonErrors.IllegalArgumentError(`The source networks of ${itemName} have no network in the ip version of the destination ${destinationNetwork}`));
+        }
+
+        itemIpVersions = _.intersection(ipVersions, [destinationIpVersion]);
+      } else if (!_.isEmpty(item.sourceNetworks)) {
+        itemIpVersions = _.filter(ipVersions, ipVersion => sourceNetworks[ipVersion].length + sourceSets[ipVersion].length > 0);
+      }
+
+      _.each(itemIpVersions, ipVersion => {
+        const itemRule = source => {
+          const builder = ruleBuilder.rule(ipVersion, `IN_${chainName}`)
+            .item(itemName)
+            .protocol(protocol)
+            .sourcePort('1024:65535')
+            .destinationPort(portNumber);
+          if (!_.isNil(source) && !_.isNil(source.setName)) {
+            builder.matchSet(source.setName, 'src');
+          } else if (!_.isNil(source)) {
+            builder.source(source.network);
+          }
+          return _.isNil(destinationNetwork) ? builder : builder.destination(destinationNetwork);
+        };
 
-    // Add the chain to the service access
-    logger.info(`Install chain ${chainName} to the INPUT/OUTPUT`);
-    installCommands.push(this._asIptables4Command(`-I IN_services_access_0 1 -j IN_${chainName}`));
-    installCommands.push(this._asIptables4Command(`-I OUT_services_access_0 1 -j OUT_${chainName}`));
+        const itemSources = _.concat(
+          _.map(sourceNetworks[ipVersion], network => ({network: network})),
+          _.map(sourceSets[ipVersion], setName => ({setName: setName}))
+        );
+        _.each(itemSources.length === 0 ? [undefined] : itemSources, n => {
+          Array.prototype.push.apply(installCommands, this._generateProtectionRules(chainName, item, () => itemRule(n)));
+          installCommands.push(itemRule(n).jump('ACCEPT').append());
+        });
+      });
+    }
+
+    _.each(ipVersions, ipVersion => {
+      logger.info("Last step RETURN (IPv%d)", ipVersion);
+      installCommands.push(ruleBuilder.rule(ipVersion, `IN_${chainName}`).jump('RETURN').append());
+      installCommands.push(ruleBuilder.rule(ipVersion, `OUT_${chainName}`).jump('RETURN').append());
+
+      // Add the chain to the service access
+      logger.info(`Install chain ${chainName} to the INPUT/OUTPUT (IPv${ipVersion})`);
+      installCommands.push(ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.servicesAccess)).jump(`IN_${chainName}`).insert(1));
+      installCommands.push(ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'OUT', namespaces.CHAINS.servicesAccess)).jump(`OUT_${chainName}`).insert(1));
+    });
 
     context.commands.install = _.concat(context.commands.install, installCommands);
-    context.commands.unInstall = _.concat(context.commands.unInstall, unInstallCommands);
 
     resolve();
   });
 };
 
+/**
+ * Returns the names created by the job: the service chains and the block chain of the overflow action BLOCK
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob) {
+  const chainName = namespaces.getJobChainName(namespace, configurationJob.name, _.get(configurationJob, 'configuration.chainName')),
+    chains = [`IN_${chainName}`, `OUT_${chainName}`];
+
+  if (_.some(_.get(configurationJob, 'configuration.network.items'), item => _.get(item, 'protections.overflowAction') === 'BLOCK')) {
+    chains.push(GenericServiceJob.prototype._getBlockChainName(chainName));
+  }
+
+  return {
+    chains: chains,
+    sets: []
+  };
+}
+
+exports.PROTECTIONS_SCHEMA = module.exports.PROTECTIONS_SCHEMA = PROTECTIONS_SCHEMA;
+exports.SET_REFERENCE_KEYS = module.exports.SET_REFERENCE_KEYS = SET_REFERENCE_KEYS;
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
 exports.GenericServiceJob = module.exports.GenericServiceJob = GenericServiceJob;
 exports.Job = module.exports.Job = GenericServiceJob;
@@ -0,0 +1,462 @@
+const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
+  _ = require('lodash'),
+  Joi = require('joi'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../../ip-families'),
+  namespaces = require('./../../namespaces'),
+  operations = require('./../../../netfilter/operations'),
+  ruleBuilder = require('./../../../netfilter/rule-builder');
+
+/**
+ * The protocols which can be forwarded
+ * @type {string[]}
+ */
+const PROTOCOLS = ['tcp', 'udp', 'sctp'];
+
+/**
+ * Job to forward ports to another host (container, virtual machine...)
+ *
+ * The connections to the source address and port are translated (DNAT in PREROUTING) to the destination
+ * and accepted in FORWARD. With the hairpin, the connections of this host (OUTPUT) and of the given networks
+ * also reach the destination using the source address.
+ *
+ * @see https://www.systutorials.com/816/port-forwarding-using-iptables/
+ * @implements {SimpleInitializableObject}
+ * @constructor
+ */
+function PortForwardJob() {
+  if (!(this instanceof PortForwardJob)) {
+    return new (Function.prototype.bind.apply(PortForwardJob, Array.prototype.concat.apply([null], arguments)))();
+  }
+
+  SimpleInitializableObject.apply(this, arguments);
+}
+
+SimpleInitializableObject._applyPrototypeTo(PortForwardJob);
+
+/**
+ * Execute the job
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
+ */
+PortForwardJob.prototype.execute = function (context) {
+  return new Promise((resolve, reject) => {
+    const logger = context.logger.of({
+      prefixes: ['main']
+    });
+
+    _.set(context, 'commands.install', []);
+
+    const steps = [
+      this._validateConfiguration,
+      this._generateRules
+    ];
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
+      return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
+    }
+
+    let workflowPromise = Promise.resolve({});
+    _.each(steps, step => {
+      workflowPromise = workflowPromise.then(() => step.call(this, context));
+    });
+
+    workflowPromise
+      .then(() => {
+        const response = {
+          operations: []
+        };
+
+        if (context.jobCommand.type === 'install') {
+          response.operations = context.commands.install;
+        } else {
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
+        }
+
+        resolve(response);
+      })
+      .catch(error => {
+        logger.error("Error while executing the workflow: %s\n%s", error.message, error.stack);
+        reject(error);
+      });
+  });
+};
+
+/**
+ * Validate the job configuration
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise}
+ */
+PortForwardJob.prototype._validateConfiguration = function (context) {
+  return new Promise((resolve, reject) => {
+    const portSchema = Joi.alternatives().try(
+      Joi.number().integer().min(1).max(65535),
+      Joi.string().regex(/^\d+[:-]\d+$/, 'port range')
+    );
+
+    const schema = Joi.object().keys({
+      chainName: Joi.string(),
+      network: Joi.object().keys({
+        ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS)),
+        items: Joi.array().items(
+          Joi.object().keys({
+            name: Joi.string(),
+            protocols: Joi.array().items(Joi.string().valid(PROTOCOLS)).min(1).unique().default(['tcp']),
+            sourceLinkName: Joi.string(),
+            sourceIpAddress: Joi.string().ip({
+              cidr: 'forbidden'
+            }).required(),
+            sourcePortNumber: portSchema.required(),
+            sourceNetworks: Joi.array().items(
+              Joi.string().ip({
+                cidr: 'optional'
+              })
+            ).allow(null),
+            destinationIpAddress: Joi.string().ip({
+              cidr: 'forbidden'
+            }).required(),
+            destinationPortNumber: portSchema,
+            hairpin: Joi.object().keys({
+              local: Joi.boolean().default(false),
+              networks: Joi.array().items(
+                Joi.string().ip({
+                  cidr: 'optional'
+                })
+              ).default([])
+            })
+          }).unknown()
+        ).required()
+      }).unknown().required()
+    }).unknown().required();
+
+    Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
+      if (error) {
+        return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
+      }
+
+      context.rawJobConfiguration = context.jobConfiguration;
+      context.jobConfiguration = configValidated;
+      resolve();
+    });
+  });
+};
+
+/**
+ * Returns the chain name used for the service: the chainName or the job name, in the namespace
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {string} The chain name
+ * @private
+ */
+PortForwardJob.prototype._getServiceChainName = function (context) {
+  return namespaces.getJobChainName(namespaces.getNamespace(context), context.configurationJob.name, context.jobConfiguration.chainName);
+};
+
+/**
+ * Parse the port or the port range
+ * @param {number|string} value The port (80) or the range (8000:8010 or 8000-8010)
+ * @return {{from: number, to: number}} The range
+ * @throws {commonErrors.IllegalArgumentError} If the range is invalid
+ * @private
+ */
+PortForwardJob.prototype._parsePortRange = function (value) {
+  const [from, to] = _.map(_.split(`${value}`, /[:-]/), _.toNumber);
+  const range = {
+    from: from,
+    to: _.isNil(to) ? from : to
+  };
+
+  if (range.from > range.to || range.to > 65535) {
+    throw new commonErrors.IllegalArgumentError(`Invalid port range ${value}`);
+  }
+
+  return range;
+};
+
+/**
+ * Format the port range to be matched
+ * @param {{from: number, to: number}} range The range
+ * @return {number|string} The port or the range (8000:8010)
+ * @private
+ */
+PortForwardJob.prototype._formatPortMatch = function (range) {
+  return range.from === range.to ? range.from : `${range.from}:${range.to}`;
+};
+
+/**
+ * Format the nat address: the address followed by the port or the range if any
+ * @param {number} ipVersion The ip version
+ * @param {string} ipAddress The address
+ * @param {{from: number, to: number}} [range] The range, none to keep the port
+ * @return {string} The address
+ * @private
+ */
+PortForwardJob.prototype._formatNatAddress = function (ipVersion, ipAddress, range) {
+  if (_.isNil(range)) {
+    return ipAddress;
+  }
+
+  const ports = range.from === range.to ? `${range.from}` : `${range.from}-${range.to}`;
+  return ipVersion === 6 ? `[${ipAddress}]:${ports}` : `${ipAddress}:${ports}`;
+};
+
+/**
+ * A flow forwarded to the destination
+ * @typedef {Object} PortForwardJob~Flow
+ * @property {number} ipVersion The ip version
+ * @property {string} itemName The name of the item
+ * @property {string} protocol The protocol
+ * @property {string} [source] The client network, any client when missing
+ * @property {string} sourceIpAddress The address translated
+ * @property {number|string} sourcePortMatch The port or the range translated
+ * @property {string} destinationIpAddress The destination address
+ * @property {number|string} destinationPortMatch The destination port or range
+ */
+
+/**
+ * Returns the name of the chain accepting the forwarded connections
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {string} The chain name
+ * @private
+ */
+PortForwardJob.prototype._getForwardChainName = function (context) {
+  return `FWD_${this._getServiceChainName(context)}`;
+};
+
+/**
+ * Generate the operations creating the chains of the job
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {number[]} ipVersions The ip versions enabled
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+PortForwardJob.prototype._generateChainCreations = function (context, ipVersions) {
+  // Clean up & create
+  return _.map(ipVersions, ipVersion => operations.createChain(ipVersion, this._getForwardChainName(context)));
+};
+
+/**
+ * Generate the rules accepting the new connections of the flow
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {PortForwardJob~Flow} flow The flow
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+PortForwardJob.prototype._generateForwardRules = function (context, flow) {
+  const forwardRule = ruleBuilder.rule(flow.ipVersion, this._getForwardChainName(context))
+    .item(flow.itemName)
+    .protocol(flow.protocol)
+    .destination(flow.destinationIpAddress)
+    .destinationPort(flow.destinationPortMatch)
+    .state('NEW', 'ESTABLISHED', 'RELATED')
+    .jump('ACCEPT');
+  if (flow.source) {
+    forwardRule.source(flow.source);
+  }
+
+  return [forwardRule.append()];
+};
+
+/**
+ * Generate the rules accepting the answers of the destination
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {PortForwardJob~Flow} flow The flow, without source
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+PortForwardJob.prototype._generateReplyRules = function (context, flow) {
+  return [
+    ruleBuilder.rule(flow.ipVersion, this._getForwardChainName(context))
+      .item(flow.itemName)
+      .protocol(flow.protocol)
+      .source(flow.destinationIpAddress)
+      .sourcePort(flow.destinationPortMatch)
+      .state('ESTABLISHED', 'RELATED')
+      .jump('ACCEPT')
+      .append()
+  ];
+};
+
+/**
+ * Generate the operations ending the chains of the job and jumping to them
+ * @param {BaseJob~ExecutionContext} context the context
+ * @param {number[]} ipVersions The ip versions enabled
+ * @return {NetfilterOperation[]} The operations
+ * @private
+ */
+PortForwardJob.prototype._generateChainInstallations = function (context, ipVersions) {
+  const logger = context.logger.of({
+    prefixes: ['portForward']
+  });
+
+  const namespace = namespaces.getNamespace(context),
+    forwardChain = this._getForwardChainName(context);
+
+  return _.flatMap(ipVersions, ipVersion => {
+    logger.info("Last step RETURN (IPv%d)", ipVersion);
+
+    // Add the chain to the service access
+    logger.info(`Install chain ${forwardChain} to the FORWARD (IPv${ipVersion})`);
+    return [
+      ruleBuilder.rule(ipVersion, forwardChain).jump('RETURN').append(),
+      ruleBuilder.rule(ipVersion, namespaces.getChainName(namespace, 'FWD', namespaces.CHAINS.servicesAccess)).jump(forwardChain).insert(1)
+    ];
+  });
+};
+
+/**
+ * Generate the rules
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise}
+ */
+PortForwardJob.prototype._generateRules = function (context) {
+  return new Promise(resolve => {
+    const installCommands = [];
+
+    const logger = context.logger.of({
+      prefixes: ['portForward']
+    });
+
+    const ipVersions = ipFamilies.getEnabledIpVersions(context);
+
+    Array.prototype.push.apply(installCommands, this._generateChainCreations(context, ipVersions));
+
+    const networkItems = context.jobConfiguration.network.items || [];
+    for (const item of networkItems) {
+      const {protocols, sourceLinkName, sourceIpAddress, destinationIpAddress} = item,
+        itemName = item.name || `${sourceIpAddress} port ${item.sourcePortNumber}`,
+        hairpin = item.hairpin || {local: false, networks: []};
+
+      const ipVersion = ipFamilies.getIpVersion(sourceIpAddress);
+      if (ipFamilies.getIpVersion(destinationIpAddress) !== ipVersion) {
+        throw new commonErrors.IllegalArgumentError(`The source ${sourceIpAddress} and the destination ${destinationIpAddress} of ${itemName} are not in the same ip version`);
+      } else if (ipVersions.indexOf(ipVersion) === -1) {
+        logger.warn("Ignore the item %s: IPv%d is disabled", itemName, ipVersion);
+        continue;
+      }
+
+      const sourceNetworks = ipFamilies.splitByIpVersion(item.sourceNetworks || []),
+        hairpinNetworks = ipFamilies.splitByIpVersion(hairpin.networks);
+      _.each([sourceNetworks, hairpinNetworks], networks => {
+        const otherIpVersion = ipVersion === 6 ? 4 : 6;
+        if (networks[otherIpVersion].length > 0) {
+          throw new commonErrors.IllegalArgumentError(`The networks ${networks[otherIpVersion].join(', ')} and the source ${sourceIpAddress} of ${itemName} are not in the same ip version`);
+        }
+      });
+
+      const sourceRange = this._parsePortRange(item.sourcePortNumber);
+      const destinationRange = _.isNil(item.destinationPortNumber) ? sourceRange : this._parsePortRange(item.destinationPortNumber);
+      if (destinationRange.from !== destinationRange.to && !_.isEqual(sourceRange, destinationRange)) {
+        // A range is only translated to one port or to the same range
+        throw new commonErrors.IllegalArgumentError(`The destination ports ${item.destinationPortNumber} of ${itemName} must be one port or the source ports`);
+      }
+
+      // The same range keeps the port of the connection
+      const natDestination = this._formatNatAddress(ipVersion, destinationIpAddress, _.isEqual(sourceRange, destinationRange) ? undefined : destinationRange);
+      const sourcePortMatch = this._formatPortMatch(sourceRange),
+        destinationPortMatch = this._formatPortMatch(destinationRange);
+
+      // Without restriction, all the sources are accepted
+      const clientNetworks = sourceNetworks[ipVersion].length > 0 ? sourceNetworks[ipVersion] : [undefined];
+
+      logger.info("Forward %s to %s (IPv%d)", itemName, natDestination, ipVersion);
+      _.each(protocols, protocol => {
+        const flow = {
+          ipVersion: ipVersion,
+          itemName: itemName,
+          protocol: protocol,
+          sourceIpAddress: sourceIpAddress,
+          sourcePortMatch: sourcePortMatch,
+          destinationIpAddress: destinationIpAddress,
+          destinationPortMatch: destinationPortMatch
+        };
+
+        _.each(clientNetworks, clientNetwork => {
+          const natRule = ruleBuilder.rule(ipVersion, 'PREROUTING')
+            .item(itemName)
+            .table('nat')
+            .protocol(protocol)
+            .destination(sourceIpAddress)
+            .destinationPort(sourcePortMatch)
+            .jump('DNAT', {toDestination: natDestination});
+          if (sourceLinkName) {
+            natRule.inInterface(sourceLinkName);
+          }
+          if (clientNetwork) {
+            natRule.source(clientNetwork);
+          }
+          installCommands.push(natRule.insert(1));
+
+          // Forward
+          Array.prototype.push.apply(installCommands, this._generateForwardRules(context, _.assign({source: clientNetwork}, flow)));
+        });
+
+        Array.prototype.push.apply(installCommands, this._generateReplyRules(context, flow));
+
+        if (hairpin.local) {
+          logger.info("Forward %s for this host (IPv%d)", itemName, ipVersion);
+          installCommands.push(ruleBuilder.rule(ipVersion, 'OUTPUT')
+            .item(itemName)
+            .table('nat')
+            .protocol(protocol)
+            .destination(sourceIpAddress)
+            .destinationPort(sourcePortMatch)
+            .jump('DNAT', {toDestination: natDestination})
+            .insert(1));
+        }
+
+        _.each(hairpinNetworks[ipVersion], hairpinNetwork => {
+          logger.info("Forward %s for the network %s (IPv%d)", itemName, hairpinNetwork, ipVersion);
+          installCommands.push(ruleBuilder.rule(ipVersion, 'PREROUTING')
+            .item(itemName)
+            .table('nat')
+            .protocol(protocol)
+            .source(hairpinNetwork)
+            .destination(sourceIpAddress)
+            .destinationPort(sourcePortMatch)
+            .jump('DNAT', {toDestination: natDestination})
+            .insert(1));
+          if (sourceNetworks[ipVersion].length > 0) {
+            // The other sources are not accepted
+            Array.prototype.push.apply(installCommands, this._generateForwardRules(context, _.assign({source: hairpinNetwork}, flow)));
+          }
+
+          // The answers must come back through this host
+          installCommands.push(ruleBuilder.rule(ipVersion, 'POSTROUTING')
+            .item(itemName)
+            .table('nat')
+            .protocol(protocol)
+            .source(hairpinNetwork)
+            .destination(destinationIpAddress)
+            .destinationPort(destinationPortMatch)
+            .jump('SNAT', {toSource: sourceIpAddress})
+            .insert(1));
+        });
+      });
+    }
+
+    Array.prototype.push.apply(installCommands, this._generateChainInstallations(context, ipVersions));
+
+    context.commands.install = _.concat(context.commands.install, installCommands);
+
+    resolve();
+  });
+};
+
+/**
+ * Returns the names created by the job: the forward chain
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob) {
+  return {
+    chains: [`FWD_${namespaces.getJobChainName(namespace, configurationJob.name, _.get(configurationJob, 'configuration.chainName'))}`],
+    sets: []
+  };
+}
+
+exports.PROTOCOLS = module.exports.PROTOCOLS = PROTOCOLS;
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
+exports.PortForwardJob = module.exports.PortForwardJob = PortForwardJob;
+exports.Job = module.exports.Job = PortForwardJob;
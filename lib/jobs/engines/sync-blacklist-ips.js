@@ -2,7 +2,12 @@ const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObj
   _ = require('lodash'),
   Joi = require('joi'),
   jsErrors = require('js-zrim-errors'),
-  commonErrors = jsErrors.common;
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../ip-families'),
+  namespaces = require('./../namespaces'),
+  networkSources = require('./../network-sources'),
+  blacklistEntries = require('./../blacklist-entries'),
+  operations = require('./../../netfilter/operations');
 
 /**
  * Job to initialize synchronize blacklist ips
@@ -31,18 +36,13 @@ SynchronizeBlacklistIps.prototype.execute = function (context) {
     });
 
     _.set(context, 'commands.install', []);
-    _.set(context, 'commands.unInstall', []);
 
     const availableSteps = this.execute.Steps;
     const steps = [
-      availableSteps.validateConfiguration
+      availableSteps.validateConfiguration,
+      availableSteps.fetchNetworks
     ];
-    if (context.jobCommand.type.toLowerCase() === 'install') {
-      steps.push(availableSteps.fetchNetworks);
-    } else if (context.jobCommand.type.toLowerCase() === 'uninstall') {
-      // Ignore
-      steps.push(availableSteps.fetchNetworks);
-    } else {
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
       return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
     }
 
@@ -54,13 +54,18 @@ SynchronizeBlacklistIps.prototype.execute = function (context) {
     workflowPromise
       .then(() => {
         const response = {
-          securityCommands: []
+          operations: []
         };
 
         if (context.jobCommand.type === 'install') {
-          response.securityCommands = context.commands.install;
+          response.operations = context.commands.install;
+          if (context.jobCommand.apply === true && _.get(context.jobConfiguration, 'expiry.pruneExpired')) {
+            // The database is only changed once the new sets are applied, never by a print, a diff or a report
+            response.onApplied = () => availableSteps.pruneExpiredEntries.call(this, context);
+          }
         } else {
-          response.securityCommands = context.commands.unInstall;
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
         }
 
         resolve(response);
@@ -81,13 +86,49 @@ SynchronizeBlacklistIps.prototype.execute.Steps = {
    */
   validateConfiguration: function (context) {
     return new Promise((resolve, reject) => {
+      const listSourceKeys = {
+        format: Joi.string().valid(['text', 'csv']).default('text'),
+        column: Joi.number().integer().min(0).default(0),
+        optional: Joi.boolean().default(false)
+      };
+
+      const sourceSchema = Joi.alternatives().try(
+        Joi.object().keys(_.assign({
+          type: Joi.string().valid(['file', 'directory']).required(),
+          path: Joi.string().required()
+        }, listSourceKeys)),
+        Joi.object().keys(_.assign({
+          type: Joi.string().valid('http').required(),
+          url: Joi.string().uri({
+            scheme: ['http', 'https']
+          }).required(),
+          timeoutSeconds: Joi.number().integer().min(1).default(30)
+        }, listSourceKeys)),
+        Joi.object().keys({
+          type: Joi.string().valid('postgres').required(),
+          connectionString: Joi.string().uri({
+            scheme: 'postgres'
+          }).required(),
+          query: Joi.string(),
+          optional: Joi.boolean().default(false)
+        })
+      );
+
       const schema = Joi.object().keys({
+        network: Joi.object().keys({
+          ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS))
+        }).unknown(),
         database: Joi.object().keys({
           connectionString: Joi.string().uri({
             scheme: 'postgres'
           }).required()
-        }).unknown().required()
-      }).unknown().required();
+        }).unknown(),
+        sources: Joi.array().items(sourceSchema).min(1),
+        expiry: Joi.object().keys({
+          defaultTtlSeconds: Joi.number().integer().min(1).max(operations.MAX_SET_TIMEOUT_SECONDS),
+          pruneExpired: Joi.boolean().default(true)
+        })
+      }).or('database', 'sources').unknown().required();
 
       Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
         if (error) {
@@ -101,7 +142,35 @@ SynchronizeBlacklistIps.prototype.execute.Steps = {
     });
   },
   /**
-   * Fetch the netowkr
+   * Remove the expired entries of the databases, called once the install is applied
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  pruneExpiredEntries: function (context) {
+    const logger = context.logger.of({
+      prefixes: ['pruneExpiredEntries']
+    });
+
+
+    // Only the table security.blacklist_networks is pruned, not the custom queries
+    const connectionStrings = _.uniq(_.compact(_.concat(
+      _.get(context.jobConfiguration, 'database.connectionString'),
+      _.map(_.filter(context.jobConfiguration.sources, source => source.type === 'postgres' && !source.query), 'connectionString')
+    )));
+
+    let workflowPromise = Promise.resolve();
+    _.each(connectionStrings, connectionString => {
+      workflowPromise = workflowPromise
+        .then(() => blacklistEntries.pruneExpiredEntries(connectionString))
+        .then(count => {
+          logger.info("%d expired entries removed", count);
+        });
+    });
+
+    return workflowPromise;
+  },
+  /**
+   * Fetch the networks of the sources
    * @param {BaseJob~ExecutionContext} context the context
    * @return {Promise}
    */
@@ -111,27 +180,47 @@ SynchronizeBlacklistIps.prototype.execute.Steps = {
         prefixes: ['fetchNetworks']
       });
 
-      const pgp = require('pg-promise')();
-      const db = pgp(context.jobConfiguration.database.connectionString);
+      const expiry = context.jobConfiguration.expiry,
+        defaultQuery = expiry ? networkSources.EXPIRY_POSTGRES_QUERY : networkSources.DEFAULT_POSTGRES_QUERY;
 
-      db.query('SELECT value FROM security.blacklist_networks WHERE ip_version=4')
-        .then(result => {
-          const securityCommands = [];
-
-          _.each(result, item => {
-            securityCommands.push({
-              type: 'ipset',
-              value: `-! add block_net ${item.value}`
+      // The database alone is the postgres source
+      const sources = _.map(context.jobConfiguration.sources, source => {
+        return source.type === 'postgres' ? _.defaults({}, source, {query: defaultQuery}) : source;
+      });
+      if (context.jobConfiguration.database) {
+        sources.push({
+          type: 'postgres',
+          connectionString: context.jobConfiguration.database.connectionString,
+          query: defaultQuery
+        });
+      }
+
+      const ipVersions = ipFamilies.getEnabledIpVersions(context),
+        namespace = namespaces.getNamespace(context);
+
+      networkSources.loadNetworks(sources, logger)
+        .then(entries => {
+          const entriesPerIpVersion = ipFamilies.splitByIpVersion(entries, 'network'),
+            defaultTtlSeconds = _.get(expiry, 'defaultTtlSeconds'),
+            now = new Date();
+
+          // The sets are replaced at once: the networks removed from the sources are removed from the sets.
+          // The sets only hold the sources, the bans added at runtime are in block_dyn (see log-ban-daemon)
+          // The sets support the timeouts (see prepare-netfilter), the entries without timeout never expire
+          const installCommands = _.map(ipVersions, ipVersion => {
+            const timeouts = {};
+            _.each(entriesPerIpVersion[ipVersion], entry => {
+              const timeout = blacklistEntries.getTimeoutSeconds(entry, defaultTtlSeconds, now);
+              if (!_.isNil(timeout)) {
+                timeouts[entry.network] = timeout;
+              }
             });
-          });
 
-          db.$pool.end();
+            logger.info("%d networks to block, %d expiring (IPv%d)", entriesPerIpVersion[ipVersion].length, _.size(timeouts), ipVersion);
+            return operations.replaceSetMembers(ipVersion, namespaces.getSetName(namespace, namespaces.SETS.blockNetworks, ipVersion), _.map(entriesPerIpVersion[ipVersion], 'network'), 'hash:net', timeouts);
+          });
 
-          _.set(context, 'commands.install', securityCommands);
-          _.set(context, 'commands.unInstall', [{
-            type: 'ipset',
-            value: `flush block_net`
-          }]);
+          _.set(context, 'commands.install', installCommands);
           resolve();
         })
         .catch(error => {
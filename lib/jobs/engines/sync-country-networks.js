@@ -0,0 +1,260 @@
+const SimpleInitializableObject = require('js-zrim-core').SimpleInitializableObject,
+  _ = require('lodash'),
+  Joi = require('joi'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../ip-families'),
+  namespaces = require('./../namespaces'),
+  operations = require('./../../netfilter/operations'),
+  ruleBuilder = require('./../../netfilter/rule-builder');
+
+/**
+ * The position of the policies in INPUT and FORWARD: after the trusted, vital and block chains, before the services
+ * @type {number}
+ */
+const ROOT_CHAIN_POSITION = 5;
+
+/**
+ * Job to allow or deny the networks of countries, using the table security.networks
+ * (see country-networks-to-sql).
+ *
+ * Each policy fills one set with the networks of its countries. The connections matching the policy are sent to
+ * the chain IN_block_access_0 of the namespace: the connections from the denied countries or from outside the allowed countries.
+ * @implements {SimpleInitializableObject}
+ * @constructor
+ */
+function SynchronizeCountryNetworks() {
+  if (!(this instanceof SynchronizeCountryNetworks)) {
+    return new (Function.prototype.bind.apply(SynchronizeCountryNetworks, Array.prototype.concat.apply([null], arguments)))();
+  }
+
+  SimpleInitializableObject.apply(this, arguments);
+}
+
+SimpleInitializableObject._applyPrototypeTo(SynchronizeCountryNetworks);
+
+/**
+ * Execute the job
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
+ */
+SynchronizeCountryNetworks.prototype.execute = function (context) {
+  return new Promise((resolve, reject) => {
+    const logger = context.logger.of({
+      prefixes: ['main']
+    });
+
+    _.set(context, 'commands.install', []);
+
+    const availableSteps = this.execute.Steps;
+    const steps = [
+      availableSteps.validateConfiguration,
+      availableSteps.fetchNetworks,
+      availableSteps.generatePolicies
+    ];
+    if (['install', 'uninstall'].indexOf(context.jobCommand.type.toLowerCase()) === -1) {
+      return reject(new commonErrors.IllegalArgumentError(`Invalid command ${context.jobCommand.type}`));
+    }
+
+    let workflowPromise = Promise.resolve({});
+    _.each(steps, step => {
+      workflowPromise = workflowPromise.then(() => step.call(this, context));
+    });
+
+    workflowPromise
+      .then(() => {
+        const response = {
+          operations: []
+        };
+
+        if (context.jobCommand.type === 'install') {
+          response.operations = context.commands.install;
+        } else {
+          // Undo exactly what the install does
+          response.operations = operations.invertOperations(context.commands.install);
+        }
+
+        resolve(response);
+      })
+      .catch(error => {
+        logger.error("Error while executing the workflow: %s\n%s", error.message, error.stack);
+        reject(error);
+      });
+  });
+};
+
+
+SynchronizeCountryNetworks.prototype.execute.Steps = {
+  /**
+   * Validate the job configuration
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  validateConfiguration: function (context) {
+    return new Promise((resolve, reject) => {
+      const schema = Joi.object().keys({
+        network: Joi.object().keys({
+          ipVersions: Joi.array().items(Joi.number().valid(ipFamilies.IP_VERSIONS))
+        }).unknown(),
+        database: Joi.object().keys({
+          connectionString: Joi.string().uri({
+            scheme: 'postgres'
+          }).required()
+        }).unknown().required(),
+        policies: Joi.array().items(
+          Joi.object().keys({
+            name: Joi.string().regex(/^[a-zA-Z0-9_]{1,20}$/, 'policy name').required(),
+            action: Joi.string().valid(['allow', 'deny']).required(),
+            countries: Joi.array().items(Joi.string().regex(/^[a-zA-Z]{2}$/, 'ISO country code').uppercase()).min(1).required(),
+            serviceChainName: Joi.string(),
+            ports: Joi.array().items(
+              Joi.object().keys({
+                portNumber: Joi.number().integer().min(1).max(65535).required(),
+                protocol: Joi.string().valid(['tcp', 'udp']).required()
+              })
+            ).default([])
+          }).unknown()
+        ).unique('name').min(1).required()
+      }).unknown().required();
+
+      Joi.validate(context.jobConfiguration, schema, (error, configValidated) => {
+        if (error) {
+          return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: ${error.message}`), error);
+        }
+
+        // Applied to INPUT and FORWARD for every port, an allow policy would block the loopback and the local networks
+        const unrestrictedPolicy = _.find(configValidated.policies, policy => policy.action === 'allow' && policy.ports.length === 0 && !policy.serviceChainName);
+        if (unrestrictedPolicy) {
+          return reject(new commonErrors.IllegalArgumentError(`Invalid configuration: the allow policy ${unrestrictedPolicy.name} needs ports or serviceChainName`));
+        }
+
+        context.rawJobConfiguration = context.jobConfiguration;
+        context.jobConfiguration = configValidated;
+        resolve();
+      });
+    });
+  },
+  /**
+   * Fetch the networks of the countries used by the policies
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  fetchNetworks: function (context) {
+    return new Promise((resolve, reject) => {
+      const logger = context.logger.of({
+        prefixes: ['fetchNetworks']
+      });
+
+      const pgp = require('pg-promise')();
+      const db = pgp(context.jobConfiguration.database.connectionString);
+
+      const countries = _.uniq(_.flatMap(context.jobConfiguration.policies, 'countries'));
+
+      db.query('SELECT network, UPPER(ctry) AS country FROM security.networks WHERE UPPER(ctry) IN ($1:csv)', [countries])
+        .then(result => {
+          db.$pool.end();
+
+          context.countryNetworks = {};
+          _.each(result, item => {
+            let ipVersion = undefined;
+            try {
+              ipVersion = ipFamilies.getIpVersion(item.network);
+            } catch (error) {
+              logger.warn("Ignore the invalid network '%s'", item.network);
+              return;
+            }
+
+            const networks = _.get(context.countryNetworks, [item.country, ipVersion], []);
+            networks.push(item.network);
+            _.set(context.countryNetworks, [item.country, ipVersion], networks);
+          });
+
+          resolve();
+        })
+        .catch(error => {
+          db.$pool.end();
+          logger.error("Error while fetching: %s\n%s", error.message, error.stack);
+          reject(error);
+        });
+    });
+  },
+  /**
+   * Generate the set and the rules of the policies
+   * @param {BaseJob~ExecutionContext} context the context
+   * @return {Promise}
+   */
+  generatePolicies: function (context) {
+    return new Promise(resolve => {
+      const installCommands = [];
+
+      const logger = context.logger.of({
+        prefixes: ['generatePolicies']
+      });
+
+      const namespace = namespaces.getNamespace(context),
+        blockChain = namespaces.getChainName(namespace, 'IN', namespaces.CHAINS.blockAccess);
+
+      _.each(context.jobConfiguration.policies, policy => {
+        _.each(ipFamilies.getEnabledIpVersions(context), ipVersion => {
+          const setName = namespaces.getSetName(namespace, `country_${policy.name}`, ipVersion),
+            networks = _.uniq(_.flatMap(policy.countries, country => _.get(context.countryNetworks, [country, ipVersion], [])));
+
+          if (networks.length === 0 && policy.action === 'allow') {
+            // An empty allow list would block everything
+            logger.warn("No network found for the policy %s (IPv%d), the policy is not applied", policy.name, ipVersion);
+            return;
+          }
+
+          logger.info("Policy %s: %s %d networks of %s (IPv%d)", policy.name, policy.action, networks.length, policy.countries.join(', '), ipVersion);
+          // The set is filled at once, sized for the networks (see iptables-renderer)
+          installCommands.push(operations.createSet(ipVersion, setName, 'hash:net'));
+          installCommands.push(operations.replaceSetMembers(ipVersion, setName, networks, 'hash:net'));
+
+          // The policy applies to all the connections or only to the ports
+          const ports = policy.ports.length > 0 ? policy.ports : [undefined];
+          _.each(ports, port => {
+            const policyRule = chain => {
+              const builder = ruleBuilder.rule(ipVersion, chain).item(`policy ${policy.name}`);
+              if (port) {
+                builder.protocol(port.protocol).destinationPort(port.portNumber);
+              }
+              if (policy.action === 'allow') {
+                builder.not();
+              }
+              return builder.matchSet(setName, 'src').jump(blockChain);
+            };
+
+            if (policy.serviceChainName) {
+              // The service chain of the namespace, see the service engines
+              installCommands.push(policyRule(`IN_${namespaces.qualify(namespace, policy.serviceChainName)}`).insert(1));
+            } else {
+              installCommands.push(policyRule('INPUT').insert(ROOT_CHAIN_POSITION));
+              installCommands.push(policyRule('FORWARD').insert(ROOT_CHAIN_POSITION));
+            }
+          });
+        });
+      });
+
+      context.commands.install = _.concat(context.commands.install, installCommands);
+
+      resolve();
+    });
+  }
+};
+
+/**
+ * Returns the names created by the job: the sets of the policies
+ * @param {string} namespace The namespace
+ * @param {Object} configurationJob The job of the configuration
+ * @return {Namespaces~ReservedNames} The names
+ */
+function getReservedNames(namespace, configurationJob) {
+  return {
+    chains: [],
+    sets: _.flatMap(_.get(configurationJob, 'configuration.policies'), policy => _.map(ipFamilies.IP_VERSIONS, ipVersion => namespaces.getSetName(namespace, `country_${policy.name}`, ipVersion)))
+  };
+}
+
+exports.getReservedNames = module.exports.getReservedNames = getReservedNames;
+exports.SynchronizeCountryNetworks = module.exports.SynchronizeCountryNetworks = SynchronizeCountryNetworks;
+exports.Job = module.exports.Job = SynchronizeCountryNetworks;
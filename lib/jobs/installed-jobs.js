@@ -0,0 +1,180 @@
+const _ = require('lodash'),
+  path = require('path'),
+  fse = require('fs-extra'),
+  operations = require('./../netfilter/operations');
+
+/**
+ * Record of a job applied with the action install
+ * @typedef {Object} InstalledJob
+ * @property {string} configurationId The configuration id
+ * @property {string} jobName The job name
+ * @property {string} engine The engine name
+ * @property {string} backend The backend used to apply (iptables or nftables)
+ * @property {string} installedAt The install date (ISO 8601)
+ * @property {NetfilterOperation[]} operations The operations installed
+ */
+
+/**
+ * Returns the directory containing the installed jobs of the configuration id
+ * @param {string} stateDirectory The state directory
+ * @param {string} configurationId The configuration id
+ * @return {string} The directory path
+ */
+function getConfigurationDirectory(stateDirectory, configurationId) {
+  return path.join(stateDirectory, 'installed', encodeURIComponent(configurationId));
+}
+
+/**
+ * Returns the file containing the installed job
+ * @param {string} stateDirectory The state directory
+ * @param {string} configurationId The configuration id
+ * @param {string} jobName The job name
+ * @return {string} The file path
+ */
+function getInstalledJobFilePath(stateDirectory, configurationId, jobName) {
+  return path.join(getConfigurationDirectory(stateDirectory, configurationId), `${encodeURIComponent(jobName)}.json`);
+}
+
+/**
+ * Save the installed job, replacing the previous record
+ * @param {string} stateDirectory The state directory
+ * @param {InstalledJob} installedJob The record
+ * @return {Promise}
+ */
+function saveInstalledJob(stateDirectory, installedJob) {
+  return fse.outputJson(getInstalledJobFilePath(stateDirectory, installedJob.configurationId, installedJob.jobName), installedJob, {
+    mode: 0o600,
+    spaces: 2
+  });
+}
+
+/**
+ * Load the installed job
+ * @param {string} stateDirectory The state directory
+ * @param {string} configurationId The configuration id
+ * @param {string} jobName The job name
+ * @return {Promise} {@link InstalledJob} or null if the job is not installed on resolve
+ */
+function loadInstalledJob(stateDirectory, configurationId, jobName) {
+  const filePath = getInstalledJobFilePath(stateDirectory, configurationId, jobName);
+
+  return fse.pathExists(filePath)
+    .then(exists => exists ? fse.readJson(filePath) : null);
+}
+
+/**
+ * Remove the installed job
+ * @param {string} stateDirectory The state directory
+ * @param {string} configurationId The configuration id
+ * @param {string} jobName The job name
+ * @return {Promise}
+ */
+function removeInstalledJob(stateDirectory, configurationId, jobName) {
+  return fse.remove(getInstalledJobFilePath(stateDirectory, configurationId, jobName));
+}
+
+/**
+ * Returns the key identifying what an install operation creates: the chain, the rule in its chain, the set or the set member
+ * @param {NetfilterOperation} operation The operation
+ * @return {string|null} The key or null if the operation creates nothing
+ */
+function getInstalledKey(operation) {
+  if (operation.kind === 'chain' && operation.action === 'create') {
+    return JSON.stringify(['chain', operation.ipVersion, operation.table, operation.chain]);
+  } else if (operation.kind === 'rule' && ['append', 'insert'].indexOf(operation.action) !== -1) {
+    // The position is ignored, the rule is the same wherever it is
+    return JSON.stringify(['rule', operation.ipVersion, operation.table, operation.chain, operation.match, operation.target]);
+  } else if (operation.kind === 'set' && ['create', 'replace'].indexOf(operation.action) !== -1) {
+    return JSON.stringify(['set', operation.ipVersion, operation.name]);
+  } else if (operation.kind === 'set' && operation.action === 'add') {
+    return JSON.stringify(['member', operation.ipVersion, operation.name, operation.member]);
+  }
+
+  return null;
+}
+
+/**
+ * Returns the operations removing what the previous install created and the new install does not create anymore,
+ * for example the rules of an item removed from the configuration.
+ * The rules of the chains created again are skipped, the chains are rebuilt. The members of the sets replaced are skipped too.
+ * @param {NetfilterOperation[]} installedOperations The operations of the previous install (see {@link InstalledJob})
+ * @param {NetfilterOperation[]} newOperations The operations of the new install
+ * @return {NetfilterOperation[]} The operations to apply before the new install
+ */
+function getRemovedOperations(installedOperations, newOperations) {
+  const newKeys = _.compact(_.map(newOperations, getInstalledKey)),
+    rebuiltChains = _.map(_.filter(newOperations, {kind: 'chain', action: 'create'}), operation => JSON.stringify([operation.ipVersion, operation.table, operation.chain])),
+    replacedSets = _.map(_.filter(newOperations, {kind: 'set', action: 'replace'}), operation => JSON.stringify([operation.ipVersion, operation.name]));
+
+  const removedOperations = _.filter(installedOperations, operation => {
+    const key = getInstalledKey(operation);
+    if (_.isNil(key) || newKeys.indexOf(key) !== -1) {
+      return false;
+    } else if (operation.kind === 'rule') {
+      return rebuiltChains.indexOf(JSON.stringify([operation.ipVersion, operation.table, operation.chain])) === -1;
+    } else if (operation.kind === 'set' && operation.action === 'add') {
+      return replacedSets.indexOf(JSON.stringify([operation.ipVersion, operation.name])) === -1;
+    }
+    return true;
+  });
+
+  return operations.invertOperations(removedOperations);
+}
+
+/**
+ * List the installed jobs
+ * @param {string} stateDirectory The state directory
+ * @param {string} [configurationId] Only list the jobs of this configuration id
+ * @return {Promise} {@link InstalledJob}[] sorted by configuration id and install date on resolve
+ */
+function listInstalledJobs(stateDirectory, configurationId) {
+  const installedDirectory = path.join(stateDirectory, 'installed');
+
+  return fse.pathExists(installedDirectory)
+    .then(exists => {
+      if (!exists) {
+        return [];
+      }
+
+      const configurationDirectoriesPromise = _.isNil(configurationId) ?
+        fse.readdir(installedDirectory).then(names => _.map(names, name => path.join(installedDirectory, name))) :
+        Promise.resolve([getConfigurationDirectory(stateDirectory, configurationId)]);
+
+      return configurationDirectoriesPromise
+        .then(configurationDirectories => Promise.all(_.map(configurationDirectories, configurationDirectory => {
+          return fse.pathExists(configurationDirectory)
+            .then(directoryExists => directoryExists ? fse.readdir(configurationDirectory) : [])
+            .then(fileNames => Promise.all(_.map(_.filter(fileNames, fileName => _.endsWith(fileName, '.json')), fileName => {
+              return fse.readJson(path.join(configurationDirectory, fileName));
+            })));
+        })))
+        .then(installedJobs => _.sortBy(_.flatten(installedJobs), ['configurationId', 'installedAt']));
+    });
+}
+
+/**
+ * Format the installed jobs to be displayed
+ * @param {InstalledJob[]} installedJobs The installed jobs
+ * @return {string} The text
+ */
+function formatInstalledJobs(installedJobs) {
+  if (installedJobs.length === 0) {
+    return 'No job installed\n';
+  }
+
+  let data = '';
+  _.each(installedJobs, installedJob => {
+    data += `${installedJob.configurationId} ${installedJob.jobName} (${installedJob.engine})\n`;
+    data += `  installed at ${installedJob.installedAt} with ${installedJob.backend}, ${installedJob.operations.length} operations\n`;
+  });
+
+  return data;
+}
+
+exports.getInstalledJobFilePath = module.exports.getInstalledJobFilePath = getInstalledJobFilePath;
+exports.saveInstalledJob = module.exports.saveInstalledJob = saveInstalledJob;
+exports.loadInstalledJob = module.exports.loadInstalledJob = loadInstalledJob;
+exports.removeInstalledJob = module.exports.removeInstalledJob = removeInstalledJob;
+exports.getRemovedOperations = module.exports.getRemovedOperations = getRemovedOperations;
+exports.listInstalledJobs = module.exports.listInstalledJobs = listInstalledJobs;
+exports.formatInstalledJobs = module.exports.formatInstalledJobs = formatInstalledJobs;
@@ -0,0 +1,148 @@
+const _ = require('lodash'),
+  net = require('net'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * The ip versions managed
+ * @type {number[]}
+ */
+const IP_VERSIONS = [4, 6];
+
+/**
+ * Returns the ip version of the address or network (CIDR)
+ * @param {string} value The ip address or network
+ * @return {number} 4 or 6
+ * @throws {commonErrors.IllegalArgumentError} If the value is not an ip address
+ */
+function getIpVersion(value) {
+  const address = _.split(_.trim(value), '/')[0];
+  const ipVersion = net.isIP(address);
+  if (ipVersion === 0) {
+    throw new commonErrors.IllegalArgumentError(`Invalid ip address ${value}`);
+  }
+
+  return ipVersion;
+}
+
+/**
+ * Split the items per ip version
+ * @param {Array} items The items
+ * @param {function|string} [iteratee] Returns the ip address of the item. By default the item is the address
+ * @return {Object} The items with the ip version as key (4 and 6)
+ */
+function splitByIpVersion(items, iteratee) {
+  const getAddress = _.iteratee(iteratee || _.identity);
+  const result = {
+    4: [],
+    6: []
+  };
+
+  _.each(items, item => {
+    result[getIpVersion(getAddress(item))].push(item);
+  });
+
+  return result;
+}
+
+/**
+ * Returns the ip versions to generate.
+ * The job configuration (network.ipVersions) has priority over the global configuration
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {number[]} The ip versions
+ */
+function getEnabledIpVersions(context) {
+  const ipVersions = _.get(context, 'jobConfiguration.network.ipVersions') ||
+    _.get(context, 'configuration.global.network.ipVersions') ||
+    IP_VERSIONS;
+
+  return _.intersection(IP_VERSIONS, ipVersions);
+}
+
+/**
+ * Returns the ipset name to use for the ip version.
+ * The ipset namespace is shared between the families, the IPv6 sets use the suffix 6
+ * @param {string} setName The base set name (IPv4)
+ * @param {number} ipVersion The ip version
+ * @return {string} The set name
+ */
+function getSetName(setName, ipVersion) {
+  return ipVersion === 6 ? `${setName}6` : setName;
+}
+
+/**
+ * Returns the ipset family option for the ip version
+ * @param {number} ipVersion The ip version
+ * @return {string} The family
+ */
+function getSetFamily(ipVersion) {
+  return ipVersion === 6 ? 'inet6' : 'inet';
+}
+
+/**
+ * Returns the bytes of the ip address
+ * @param {string} address The ip address
+ * @return {number[]} The 4 (IPv4) or 16 (IPv6) bytes
+ * @throws {commonErrors.IllegalArgumentError} If the value is not an ip address
+ */
+function getAddressBytes(address) {
+  const ipVersion = getIpVersion(address);
+  if (ipVersion === 4) {
+    return _.map(_.split(address, '.'), _.toNumber);
+  }
+
+  let value = _.toLower(address);
+  const embeddedIpv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(value);
+  if (embeddedIpv4) {
+    // ::ffff:1.2.3.4, the IPv4 is written as 2 groups
+    const bytes = getAddressBytes(embeddedIpv4[1]);
+    value = value.replace(embeddedIpv4[1], `${((bytes[0] << 8) | bytes[1]).toString(16)}:${((bytes[2] << 8) | bytes[3]).toString(16)}`);
+  }
+
+  const [head, tail] = _.split(value, '::'),
+    headGroups = head ? _.split(head, ':') : [],
+    tailGroups = tail ? _.split(tail, ':') : [],
+    groups = _.concat(headGroups, _.fill(new Array(8 - headGroups.length - tailGroups.length), '0'), tailGroups);
+
+  return _.flatMap(groups, group => {
+    const groupValue = parseInt(group, 16);
+    return [groupValue >> 8, groupValue & 0xff];
+  });
+}
+
+/**
+ * Returns true if the network contains the address
+ * @param {string} network The network (CIDR) or an address
+ * @param {string} address The ip address
+ * @return {boolean} true if the address is in the network, false otherwise or when the ip versions differ
+ * @throws {commonErrors.IllegalArgumentError} If the values are not ip addresses
+ */
+function networkContains(network, address) {
+  const [networkAddress, prefix] = _.split(_.trim(network), '/');
+  if (getIpVersion(networkAddress) !== getIpVersion(address)) {
+    return false;
+  }
+
+  const networkBytes = getAddressBytes(networkAddress),
+    addressBytes = getAddressBytes(_.trim(address)),
+    prefixLength = _.isNil(prefix) ? networkBytes.length * 8 : _.toNumber(prefix);
+
+  for (let bitIndex = 0; bitIndex < prefixLength; bitIndex += 8) {
+    const bitCount = Math.min(8, prefixLength - bitIndex),
+      mask = (0xff << (8 - bitCount)) & 0xff,
+      byteIndex = bitIndex / 8;
+    if ((networkBytes[byteIndex] & mask) !== (addressBytes[byteIndex] & mask)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+exports.IP_VERSIONS = module.exports.IP_VERSIONS = IP_VERSIONS;
+exports.getIpVersion = module.exports.getIpVersion = getIpVersion;
+exports.splitByIpVersion = module.exports.splitByIpVersion = splitByIpVersion;
+exports.getEnabledIpVersions = module.exports.getEnabledIpVersions = getEnabledIpVersions;
+exports.getSetName = module.exports.getSetName = getSetName;
+exports.getSetFamily = module.exports.getSetFamily = getSetFamily;
+exports.networkContains = module.exports.networkContains = networkContains;
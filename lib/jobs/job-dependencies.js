@@ -0,0 +1,73 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * Sort the configuration jobs using the dependencies (dependsOn).
+ * A job always comes after the jobs it depends on. Jobs without relation keep the declaration order.
+ * @param {Object[]} configurationJobs The configuration jobs
+ * @return {Object[]} The jobs sorted for the installation
+ * @throws {commonErrors.NotFoundError} If a dependency does not exist
+ * @throws {commonErrors.IllegalArgumentError} If a dependency cycle is detected
+ */
+function sortJobsByDependencies(configurationJobs) {
+  const jobsByName = {};
+  _.each(configurationJobs, configurationJob => {
+    if (jobsByName[configurationJob.name]) {
+      throw new commonErrors.IllegalArgumentError(`Job name ${configurationJob.name} is used more than once`);
+    }
+
+    jobsByName[configurationJob.name] = configurationJob;
+  });
+
+  _.each(configurationJobs, configurationJob => {
+    _.each(configurationJob.dependsOn || [], dependencyName => {
+      if (!jobsByName[dependencyName]) {
+        throw new commonErrors.NotFoundError(`Job ${configurationJob.name} depends on the unknown job ${dependencyName}`);
+      }
+    });
+  });
+
+  const sortedJobs = [],
+    states = {};
+
+  const visit = (configurationJob, path) => {
+    const state = states[configurationJob.name];
+    if (state === 'done') {
+      return;
+    } else if (state === 'visiting') {
+      const cycle = _.concat(path, configurationJob.name).join(' -> ');
+      throw new commonErrors.IllegalArgumentError(`Dependency cycle detected: ${cycle}`);
+    }
+
+    states[configurationJob.name] = 'visiting';
+    _.each(configurationJob.dependsOn || [], dependencyName => {
+      visit(jobsByName[dependencyName], _.concat(path, configurationJob.name));
+    });
+    states[configurationJob.name] = 'done';
+    sortedJobs.push(configurationJob);
+  };
+
+  _.each(configurationJobs, configurationJob => visit(configurationJob, []));
+
+  return sortedJobs;
+}
+
+/**
+ * Returns the jobs in the order to use for the given action.
+ * The install order follow the dependencies, the uninstall use the reverse order.
+ * @param {Object[]} configurationJobs The configuration jobs
+ * @param {string} action The action (install or uninstall)
+ * @return {Object[]} The jobs sorted
+ */
+function orderJobsForAction(configurationJobs, action) {
+  const sortedJobs = sortJobsByDependencies(configurationJobs);
+  if (_.toLower(action) === 'uninstall') {
+    return _.reverse(sortedJobs);
+  }
+
+  return sortedJobs;
+}
+
+exports.sortJobsByDependencies = module.exports.sortJobsByDependencies = sortJobsByDependencies;
+exports.orderJobsForAction = module.exports.orderJobsForAction = orderJobsForAction;
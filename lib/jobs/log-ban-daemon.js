@@ -0,0 +1,347 @@
+const _ = require('lodash'),
+  net = require('net'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./ip-families'),
+  namespaces = require('./namespaces'),
+  operations = require('./../netfilter/operations'),
+  atomicApply = require('./../netfilter/atomic-apply'),
+  iptablesRenderer = require('./../netfilter/iptables-renderer'),
+  nftablesRenderer = require('./../netfilter/nftables-renderer'),
+  nftablesApply = require('./../netfilter/nftables-apply');
+
+/**
+ * A rule of the job log-ban, compiled
+ * @typedef {Object} LogBanDaemon~Rule
+ * @property {string} name The rule name
+ * @property {string[]} files The log files
+ * @property {RegExp[]} regexps The filters, the first group is the address
+ * @property {number} maxRetry The failures allowed during the find time
+ * @property {number} findTimeSeconds The time window counting the failures
+ * @property {number} banTimeSeconds The ban duration
+ */
+
+/**
+ * The placeholder of the address in the filters
+ * @type {string}
+ */
+const HOST_PLACEHOLDER = '<HOST>';
+
+/**
+ * The pattern of an IPv4 address
+ * @type {string}
+ */
+const IPV4_PATTERN = '\\d{1,3}(?:\\.\\d{1,3}){3}';
+
+/**
+ * The pattern of an IPv6 address, with an IPv4 address at the end or not
+ * @type {string}
+ */
+const IPV6_PATTERN = `(?:[0-9a-fA-F]{0,4}:){2,6}${IPV4_PATTERN}|[0-9a-fA-F]{0,4}(?::[0-9a-fA-F]{0,4}){2,7}`;
+
+/**
+ * The pattern replacing the placeholder, the address is validated after the match.
+ * The forms are explicit so the port in 1.2.3.4:5555 is not captured
+ * @type {string}
+ */
+const HOST_PATTERN = `(${IPV6_PATTERN}|${IPV4_PATTERN})`;
+
+/**
+ * The maximal number of bytes read at once in a log file
+ * @type {number}
+ */
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Compile the filter
+ * @param {string} filter The regular expression with the placeholder <HOST>
+ * @return {RegExp} The regular expression
+ * @throws {commonErrors.IllegalArgumentError} If the filter is invalid
+ */
+function compileFilter(filter) {
+  if (_.split(filter, HOST_PLACEHOLDER).length !== 2) {
+    throw new commonErrors.IllegalArgumentError(`The filter '${filter}' must contain ${HOST_PLACEHOLDER} once`);
+  }
+
+  try {
+    return new RegExp(filter.replace(HOST_PLACEHOLDER, HOST_PATTERN));
+  } catch (error) {
+    throw new commonErrors.IllegalArgumentError(`Invalid filter '${filter}': ${error.message}`);
+  }
+}
+
+/**
+ * Compile the rules of the job configuration, the job values are used by default
+ * @param {Object} jobConfiguration The job configuration validated
+ * @return {LogBanDaemon~Rule[]} The rules
+ * @throws {commonErrors.IllegalArgumentError} If a filter is invalid
+ */
+function compileRules(jobConfiguration) {
+  return _.map(jobConfiguration.rules, rule => ({
+    name: rule.name,
+    files: rule.files,
+    regexps: _.map(rule.filters, compileFilter),
+    maxRetry: rule.maxRetry || jobConfiguration.maxRetry,
+    findTimeSeconds: rule.findTimeSeconds || jobConfiguration.findTimeSeconds,
+    banTimeSeconds: rule.banTimeSeconds || jobConfiguration.banTimeSeconds
+  }));
+}
+
+/**
+ * Returns the address found in the line
+ * @param {LogBanDaemon~Rule} rule The rule
+ * @param {string} line The log line
+ * @return {string|null} The address or null if no filter matches
+ */
+function matchLine(rule, line) {
+  for (let index = 0; index < rule.regexps.length; ++index) {
+    const match = rule.regexps[index].exec(line);
+    if (match && net.isIP(match[1]) !== 0) {
+      // ::ffff:1.2.3.4 is the IPv4 address
+      return _.toLower(match[1]).replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record the failure and returns the failures in the time window
+ * @param {Object.<string, number[]>} failures The failure dates (ms) per key, updated
+ * @param {string} key The key (rule and address)
+ * @param {number} now The current date (ms)
+ * @param {number} findTimeSeconds The time window
+ * @return {number} The number of failures in the time window
+ */
+function recordFailure(failures, key, now, findTimeSeconds) {
+  const dates = _.filter(failures[key], date => date > now - findTimeSeconds * 1000);
+  dates.push(now);
+  failures[key] = dates;
+
+  return dates.length;
+}
+
+/**
+ * Create the state of a log file read from its current end
+ * @param {string} filePath The file
+ * @return {Promise} The tail on resolve
+ */
+function createTail(filePath) {
+  return fse.stat(filePath)
+    .then(stats => ({
+      filePath: filePath,
+      inode: stats.ino,
+      position: stats.size,
+      remainder: ''
+    }), () => ({
+      filePath: filePath,
+      inode: null,
+      position: 0,
+      remainder: ''
+    }));
+}
+
+/**
+ * Read the lines written since the last read. A rotated or truncated file is read from the beginning.
+ * @param {Object} tail The tail (see {@link createTail}), updated
+ * @return {Promise} The complete lines (string[]) on resolve
+ */
+function readNewLines(tail) {
+  return fse.stat(tail.filePath)
+    .then(stats => {
+      if (stats.ino !== tail.inode || stats.size < tail.position) {
+        tail.inode = stats.ino;
+        tail.position = 0;
+        tail.remainder = '';
+      }
+
+      if (stats.size === tail.position) {
+        return [];
+      }
+
+      return fse.open(tail.filePath, 'r')
+        .then(fileDescriptor => {
+          const length = Math.min(READ_CHUNK_SIZE, stats.size - tail.position),
+            buffer = Buffer.alloc(length);
+
+          return fse.read(fileDescriptor, buffer, 0, length, tail.position)
+            .then(result => {
+              tail.position += result.bytesRead;
+              return fse.close(fileDescriptor)
+                .then(() => buffer.toString('utf8', 0, result.bytesRead));
+            }, error => fse.close(fileDescriptor).then(() => {
+              throw error;
+            }));
+        })
+        .then(data => {
+          const lines = _.split(tail.remainder + data, '\n');
+          tail.remainder = lines.pop();
+          return lines;
+        });
+    }, error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      // Not created yet or being rotated
+      tail.inode = null;
+      tail.position = 0;
+      tail.remainder = '';
+      return [];
+    });
+}
+
+/**
+ * Add the address to the set block_dyn of the namespace with the timeout, the set is not replaced by the blacklist syncs
+ * @param {string} address The address
+ * @param {number} banTimeSeconds The ban duration
+ * @param {string} namespace The namespace of the job
+ * @param {string} backend iptables or nftables
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function banAddress(address, banTimeSeconds, namespace, backend, logger) {
+  const ipVersion = ipFamilies.getIpVersion(address),
+    operation = operations.addSetMember(ipVersion, namespaces.getSetName(namespace, namespaces.SETS.dynamicBlockNetworks, ipVersion), address, banTimeSeconds);
+
+  if (backend === 'nftables') {
+    return nftablesApply.applyScript(nftablesRenderer.renderOperations([operation]), logger);
+  }
+
+  return atomicApply.applyCommands(iptablesRenderer.render([operation]), logger);
+}
+
+/**
+ * Tail the log files and ban the addresses failing too often until the signal SIGINT or SIGTERM.
+ * The trusted networks are never banned.
+ * @param {Object} options The options
+ * @param {Object} options.jobConfiguration The configuration of the job log-ban, validated
+ * @param {string[]} options.trustedNetworks The networks never banned
+ * @param {number[]} options.ipVersions The ip versions enabled
+ * @param {string} options.namespace The namespace of the job
+ * @param {string} options.backend iptables or nftables
+ * @param {boolean} [options.dryRun] true to log the bans without applying them
+ * @param {Logger} options.logger The logger to use
+ * @return {Promise} Resolved when stopped
+ */
+function runDaemon(options) {
+  const {jobConfiguration, trustedNetworks, ipVersions, namespace, backend, dryRun, logger} = options;
+  const rules = compileRules(jobConfiguration),
+    failures = {},
+    bannedUntil = {};
+
+  const handleLine = (rule, line) => {
+    const address = matchLine(rule, line);
+    if (_.isNil(address)) {
+      return Promise.resolve();
+    }
+
+    const now = Date.now();
+    if (ipVersions.indexOf(ipFamilies.getIpVersion(address)) === -1 || bannedUntil[address] > now) {
+      return Promise.resolve();
+    } else if (_.some(trustedNetworks, network => ipFamilies.networkContains(network, address))) {
+      logger.debug("[%s] Ignore the failure of the trusted address %s", rule.name, address);
+      return Promise.resolve();
+    }
+
+    const key = `${rule.name}/${address}`,
+      count = recordFailure(failures, key, now, rule.findTimeSeconds);
+    logger.debug("[%s] Failure %d/%d of %s", rule.name, count, rule.maxRetry, address);
+    if (count < rule.maxRetry) {
+      return Promise.resolve();
+    }
+
+    delete failures[key];
+    bannedUntil[address] = now + rule.banTimeSeconds * 1000;
+    logger.warn("[%s] Ban %s for %d seconds after %d failures", rule.name, address, rule.banTimeSeconds, count);
+    if (dryRun === true) {
+      return Promise.resolve();
+    }
+
+    return banAddress(address, rule.banTimeSeconds, namespace, backend, logger)
+      .catch(error => {
+        logger.error("[%s] Failed to ban %s: %s", rule.name, address, error.message);
+      });
+  };
+
+  const cleanUp = () => {
+    // The failures out of the time windows and the expired bans are forgotten
+    const now = Date.now();
+    _.each(_.keys(bannedUntil), address => {
+      if (bannedUntil[address] <= now) {
+        delete bannedUntil[address];
+      }
+    });
+    _.each(_.keys(failures), key => {
+      const rule = _.find(rules, {name: key.substr(0, key.indexOf('/'))});
+      if (_.every(failures[key], date => date <= now - rule.findTimeSeconds * 1000)) {
+        delete failures[key];
+      }
+    });
+  };
+
+  const tailsPromise = Promise.all(_.flatMap(rules, rule => _.map(rule.files, filePath => {
+    return createTail(filePath)
+      .then(tail => {
+        logger.info("[%s] Watch %s", rule.name, filePath);
+        return {
+          rule: rule,
+          tail: tail
+        };
+      });
+  })));
+
+  return tailsPromise
+    .then(watchedFiles => new Promise(resolve => {
+      let timer = undefined,
+        stopped = false;
+
+      const poll = () => {
+        let workflowPromise = Promise.resolve();
+        _.each(watchedFiles, watchedFile => {
+          workflowPromise = workflowPromise
+            .then(() => readNewLines(watchedFile.tail))
+            .then(lines => {
+              let linePromise = Promise.resolve();
+              _.each(lines, line => {
+                linePromise = linePromise.then(() => handleLine(watchedFile.rule, line));
+              });
+              return linePromise;
+            })
+            .catch(error => {
+              logger.error("[%s] Failed to read %s: %s", watchedFile.rule.name, watchedFile.tail.filePath, error.message);
+            });
+        });
+
+        workflowPromise.then(() => {
+          cleanUp();
+          if (!stopped) {
+            timer = setTimeout(poll, jobConfiguration.pollIntervalMilliseconds);
+          }
+        });
+      };
+
+      const onSignal = signal => {
+        logger.info("%s received, stop", signal);
+        stopped = true;
+        clearTimeout(timer);
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+        resolve();
+      };
+
+      process.on('SIGINT', onSignal);
+      process.on('SIGTERM', onSignal);
+      poll();
+    }));
+}
+
+exports.HOST_PLACEHOLDER = module.exports.HOST_PLACEHOLDER = HOST_PLACEHOLDER;
+exports.compileFilter = module.exports.compileFilter = compileFilter;
+exports.compileRules = module.exports.compileRules = compileRules;
+exports.matchLine = module.exports.matchLine = matchLine;
+exports.recordFailure = module.exports.recordFailure = recordFailure;
+exports.createTail = module.exports.createTail = createTail;
+exports.readNewLines = module.exports.readNewLines = readNewLines;
+exports.runDaemon = module.exports.runDaemon = runDaemon;
@@ -0,0 +1,106 @@
+const _ = require('lodash'),
+  Joi = require('joi'),
+  ruleBuilder = require('./../netfilter/rule-builder');
+
+/**
+ * The logging of a chain, the rule is added before the verdict
+ * @typedef {Object} LogRules~Logging
+ * @property {boolean} enabled false to disable the logging
+ * @property {string} target LOG (kernel log) or NFLOG (netlink, ulogd)
+ * @property {string} [prefix] The prefix of the messages, each chain has its default prefix
+ * @property {string} level The syslog level (LOG)
+ * @property {number} group The netlink group (NFLOG)
+ * @property {{rate: string, burst: number}|boolean} limit The rate limit of the messages, false to log every packet
+ */
+
+/**
+ * The default rate limit of the messages
+ * @type {{rate: string, burst: number}}
+ */
+const DEFAULT_LIMIT = {
+  rate: '5/minute',
+  burst: 10
+};
+
+/**
+ * The configuration of the logging
+ * @type {Object}
+ */
+const LOGGING_SCHEMA = Joi.object().keys({
+  enabled: Joi.boolean().default(true),
+  target: Joi.string().valid(['LOG', 'NFLOG']).default('LOG'),
+  prefix: Joi.string().regex(/^[^"]+$/, 'prefix without double quote').max(64),
+  level: Joi.string().valid(ruleBuilder.LOG_LEVELS).default('warning'),
+  group: Joi.number().integer().min(0).max(65535).default(0),
+  limit: Joi.alternatives().try(
+    Joi.boolean().valid(false),
+    Joi.object().keys({
+      rate: Joi.string().regex(ruleBuilder.LIMIT_RATE_PATTERN, 'rate').default(DEFAULT_LIMIT.rate),
+      burst: Joi.number().integer().min(1).default(DEFAULT_LIMIT.burst)
+    })
+  ).default(DEFAULT_LIMIT)
+});
+
+/**
+ * Returns true if the logging is configured and enabled
+ * @param {LogRules~Logging} [logging] The logging validated
+ * @return {boolean} true to add the log rule
+ */
+function isEnabled(logging) {
+  return !!logging && logging.enabled === true;
+}
+
+/**
+ * Returns the default prefix of the messages: the name and the verdict.
+ * The name is shortened so the prefix fits the LOG limit (29 characters), a namespace can make it too long.
+ * @param {string} name The name (the chain for example)
+ * @param {string} verdict The verdict logged
+ * @return {string} The prefix
+ */
+function getDefaultPrefix(name, verdict) {
+  const suffix = ` ${verdict}: `;
+  return `${name.substr(0, ruleBuilder.LOG_PREFIX_MAX_LENGTHS.LOG - suffix.length)}${suffix}`;
+}
+
+/**
+ * Returns the prefix of the LOG messages of a logging not validated yet
+ * @param {LogRules~Logging} [logging] The logging configured
+ * @param {string} defaultPrefix The prefix when not configured
+ * @return {string|undefined} The prefix, undefined when the logging is disabled or uses NFLOG
+ */
+function getLogPrefix(logging, defaultPrefix) {
+  if (!_.isPlainObject(logging) || logging.enabled === false || (logging.target || 'LOG') !== 'LOG') {
+    return undefined;
+  }
+
+  return logging.prefix || defaultPrefix;
+}
+
+/**
+ * Start building the log rule, the matches of the verdict rule must be added
+ * @param {number} ipVersion The ip version
+ * @param {string} chain The chain
+ * @param {LogRules~Logging} logging The logging validated
+ * @param {string} defaultPrefix The prefix when not configured
+ * @return {RuleBuilder} The builder
+ */
+function logRule(ipVersion, chain, logging, defaultPrefix) {
+  const builder = ruleBuilder.rule(ipVersion, chain);
+  if (logging.limit) {
+    builder.limit(logging.limit.rate, logging.limit.burst);
+  }
+
+  return builder.jump(logging.target, logging.target === 'NFLOG' ? {
+    logPrefix: logging.prefix || defaultPrefix,
+    logGroup: logging.group
+  } : {
+    logPrefix: logging.prefix || defaultPrefix,
+    logLevel: logging.level
+  });
+}
+
+exports.LOGGING_SCHEMA = module.exports.LOGGING_SCHEMA = LOGGING_SCHEMA;
+exports.isEnabled = module.exports.isEnabled = isEnabled;
+exports.getDefaultPrefix = module.exports.getDefaultPrefix = getDefaultPrefix;
+exports.getLogPrefix = module.exports.getLogPrefix = getLogPrefix;
+exports.logRule = module.exports.logRule = logRule;
@@ -0,0 +1,170 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./ip-families'),
+  ruleBuilder = require('./../netfilter/rule-builder');
+
+/**
+ * The names a job creates, checked before the execution
+ * @typedef {Object} Namespaces~ReservedNames
+ * @property {string[]} chains The chain names
+ * @property {string[]} sets The set names
+ * @property {string[]} [logPrefixes] The prefixes of the LOG messages
+ */
+
+/**
+ * The chain names of iptables are limited to 28 characters
+ * @type {number}
+ */
+const CHAIN_NAME_MAX_LENGTH = 28;
+
+/**
+ * The set names of ipset are limited to 31 characters, the sets replaced at once use the suffix _tmp
+ * @type {number}
+ */
+const SET_NAME_MAX_LENGTH = 27;
+
+/**
+ * The namespace prefixes the names, the underscore separates it from the name
+ * @type {RegExp}
+ */
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9]+$/;
+
+/**
+ * The characters allowed in the chain and set names
+ * @type {RegExp}
+ */
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * The chains created by prepare-netfilter, shared by the jobs of the namespace
+ * @type {Object.<string, string>}
+ */
+const CHAINS = {
+  vitalAccess: 'vital_access_0',
+  blockAccess: 'block_access_0',
+  servicesAccess: 'services_access_0',
+  trustedAccess: 'trusted_access_0',
+  egressAccess: 'egress_access_0'
+};
+
+/**
+ * The sets created by prepare-netfilter, shared by the jobs of the namespace.
+ * block_net is replaced by sync-blacklist-ips, the bans added at runtime go to block_dyn.
+ * @type {Object.<string, string>}
+ */
+const SETS = {
+  blockNetworks: 'block_net',
+  dynamicBlockNetworks: 'block_dyn',
+  trustedNetworks: 'trusted_net'
+};
+
+/**
+ * Returns the namespace of the job.
+ * The job namespace has priority over the one of the configuration and the global one
+ * @param {BaseJob~ExecutionContext} context the context
+ * @return {string} The namespace, empty without namespace
+ */
+function getNamespace(context) {
+  return _.get(context, 'configurationJob.namespace') ||
+    _.get(context, 'configurationItem.namespace') ||
+    _.get(context, 'configuration.global.namespace') ||
+    '';
+}
+
+/**
+ * Prefix the name with the namespace
+ * @param {string} namespace The namespace
+ * @param {string} name The name
+ * @return {string} The name in the namespace, the name itself without namespace
+ */
+function qualify(namespace, name) {
+  return _.isEmpty(namespace) ? name : `${namespace}_${name}`;
+}
+
+/**
+ * Returns the name of a chain of the namespace
+ * @param {string} namespace The namespace
+ * @param {string} chainPrefix The prefix (IN, OUT or FWD)
+ * @param {string} chainName The chain name (see CHAINS)
+ * @return {string} The chain name
+ */
+function getChainName(namespace, chainPrefix, chainName) {
+  return `${chainPrefix}_${qualify(namespace, chainName)}`;
+}
+
+/**
+ * Returns the name of a set of the namespace for the ip version
+ * @param {string} namespace The namespace
+ * @param {string} setName The base set name (see SETS)
+ * @param {number} ipVersion The ip version
+ * @return {string} The set name
+ */
+function getSetName(namespace, setName, ipVersion) {
+  return ipFamilies.getSetName(qualify(namespace, setName), ipVersion);
+}
+
+/**
+ * Returns the chain name of a job: the configured chain name or the job name, in the namespace
+ * @param {string} namespace The namespace
+ * @param {string} jobName The job name
+ * @param {string} [chainName] The chain name configured
+ * @return {string} The chain name without prefix
+ */
+function getJobChainName(namespace, jobName, chainName) {
+  return qualify(namespace, chainName || jobName);
+}
+
+/**
+ * Check the names reserved by the jobs of a configuration: the length, the characters and the uniqueness.
+ * The names are unique per configuration, each configuration is a ruleset. The length of the LOG prefixes is checked too.
+ * @param {string} configurationId The configuration id
+ * @param {Object.<string, Namespaces~ReservedNames>} reservedNamesPerJob The names per job name
+ * @throws {commonErrors.IllegalArgumentError} If a name is invalid or used by two jobs
+ */
+function checkReservedNames(configurationId, reservedNamesPerJob) {
+  const owners = {},
+    errors = [];
+
+  _.each(reservedNamesPerJob, (reservedNames, jobName) => {
+    _.each([['chain', reservedNames.chains, CHAIN_NAME_MAX_LENGTH], ['set', reservedNames.sets, SET_NAME_MAX_LENGTH]], ([kind, names, maxLength]) => {
+      _.each(_.uniq(names), name => {
+        const key = `${kind}/${name}`;
+
+        if (!NAME_PATTERN.test(name)) {
+          errors.push(`the ${kind} ${name} of the job ${jobName} contains invalid characters`);
+        } else if (name.length > maxLength) {
+          errors.push(`the ${kind} ${name} of the job ${jobName} is longer than ${maxLength} characters`);
+        }
+
+        if (_.has(owners, key)) {
+          errors.push(`the ${kind} ${name} is used by the jobs ${owners[key]} and ${jobName}`);
+        } else {
+          owners[key] = jobName;
+        }
+      });
+    });
+
+    _.each(_.uniq(reservedNames.logPrefixes), logPrefix => {
+      if (logPrefix.length > ruleBuilder.LOG_PREFIX_MAX_LENGTHS.LOG) {
+        errors.push(`the log prefix '${logPrefix}' of the job ${jobName} is longer than ${ruleBuilder.LOG_PREFIX_MAX_LENGTHS.LOG} characters`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new commonErrors.IllegalArgumentError(`Invalid names in the configuration ${configurationId}: ${errors.join(', ')}`);
+  }
+}
+
+exports.CHAIN_NAME_MAX_LENGTH = module.exports.CHAIN_NAME_MAX_LENGTH = CHAIN_NAME_MAX_LENGTH;
+exports.SET_NAME_MAX_LENGTH = module.exports.SET_NAME_MAX_LENGTH = SET_NAME_MAX_LENGTH;
+exports.NAMESPACE_PATTERN = module.exports.NAMESPACE_PATTERN = NAMESPACE_PATTERN;
+exports.CHAINS = module.exports.CHAINS = CHAINS;
+exports.SETS = module.exports.SETS = SETS;
+exports.getNamespace = module.exports.getNamespace = getNamespace;
+exports.qualify = module.exports.qualify = qualify;
+exports.getChainName = module.exports.getChainName = getChainName;
+exports.getSetName = module.exports.getSetName = getSetName;
+exports.getJobChainName = module.exports.getJobChainName = getJobChainName;
+exports.checkReservedNames = module.exports.checkReservedNames = checkReservedNames;
@@ -0,0 +1,336 @@
+const _ = require('lodash'),
+  net = require('net'),
+  path = require('path'),
+  url = require('url'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * A source of networks
+ * @typedef {Object} NetworkSource
+ * @property {string} type file, directory, http or postgres
+ * @property {string} [path] The file or the directory (file, directory)
+ * @property {string} [format] text or csv (file, directory, http), text by default
+ * @property {number} [column] The column containing the network (csv), 0 by default
+ * @property {string} [url] The url (http)
+ * @property {number} [timeoutSeconds] The time to wait for the answer (http)
+ * @property {string} [connectionString] The database (postgres)
+ * @property {string} [query] The query returning the networks in the column value and optionally their expiry date
+ *  in the column expires_at (postgres)
+ * @property {boolean} [optional] true to ignore the source when it cannot be loaded
+ */
+
+/**
+ * A network loaded from the sources
+ * @typedef {Object} NetworkEntry
+ * @property {string} network The network
+ * @property {Date|null} expiresAt The expiry date, null if the network never expires
+ */
+
+/**
+ * The query used by default for the postgres sources
+ * @type {string}
+ */
+const DEFAULT_POSTGRES_QUERY = 'SELECT value FROM security.blacklist_networks';
+
+/**
+ * The query used by default for the postgres sources when the entries expire
+ * @type {string}
+ */
+const EXPIRY_POSTGRES_QUERY = 'SELECT value, expires_at FROM security.blacklist_networks WHERE expires_at IS NULL OR expires_at > NOW()';
+
+/**
+ * The number of redirections followed by the http sources
+ * @type {number}
+ */
+const MAX_REDIRECTIONS = 5;
+
+/**
+ * Returns the bytes of the address
+ * @param {string} address The address, valid
+ * @param {number} ipVersion The ip version of the address
+ * @return {number[]} The 4 or 16 bytes
+ */
+function getAddressBytes(address, ipVersion) {
+  if (ipVersion === 4) {
+    return _.map(_.split(address, '.'), _.toNumber);
+  }
+
+  // The address may end with an IPv4 address (::ffff:1.2.3.4)
+  let groups = _.split(address, ':');
+  if (_.includes(_.last(groups), '.')) {
+    const ipv4Bytes = getAddressBytes(groups.pop(), 4);
+    groups.push(((ipv4Bytes[0] << 8) + ipv4Bytes[1]).toString(16), ((ipv4Bytes[2] << 8) + ipv4Bytes[3]).toString(16));
+  }
+
+  // :: replaces the zero groups
+  const compressedIndex = address.indexOf('::') === -1 ? -1 : _.indexOf(groups, '', groups[0] === '' ? 1 : 0);
+  if (compressedIndex !== -1) {
+    const head = _.reject(_.take(groups, compressedIndex), _.isEmpty),
+      tail = _.reject(_.drop(groups, compressedIndex + 1), _.isEmpty);
+    groups = _.concat(head, _.fill(new Array(8 - head.length - tail.length), '0'), tail);
+  }
+
+  return _.flatMap(groups, group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * Format the bytes of an address, the IPv6 addresses use the compressed form (RFC 5952)
+ * @param {number[]} bytes The 4 or 16 bytes
+ * @return {string} The address
+ */
+function formatAddressBytes(bytes) {
+  if (bytes.length === 4) {
+    return bytes.join('.');
+  }
+
+  const groups = _.map(_.chunk(bytes, 2), ([high, low]) => ((high << 8) + low).toString(16));
+
+  // The longest run of zero groups (2 at least, the first one on a tie) is replaced by ::
+  let bestStart = -1, bestLength = 1, start = -1;
+  _.each(groups, (group, index) => {
+    if (group !== '0') {
+      start = -1;
+      return;
+    }
+
+    start = start === -1 ? index : start;
+    if (index - start + 1 > bestLength) {
+      bestStart = start;
+      bestLength = index - start + 1;
+    }
+  });
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+
+  return `${_.take(groups, bestStart).join(':')}::${_.drop(groups, bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Normalize the network to its canonical form: the host bits are cleared and a host has no prefix length,
+ * 1.2.3.4/32 is 1.2.3.4 and 1.2.3.4/24 is 1.2.3.0/24
+ * @param {string} value The address or the network (CIDR)
+ * @return {string|null} The network or null if invalid
+ */
+function normalizeNetwork(value) {
+  const [address, prefix] = _.split(_.toLower(_.trim(value)), '/');
+  const ipVersion = net.isIP(address),
+    maxPrefixLength = ipVersion === 6 ? 128 : 32;
+  if (ipVersion === 0) {
+    return null;
+  }
+
+  const prefixLength = _.isNil(prefix) ? maxPrefixLength : (/^\d+$/.test(prefix) ? _.toNumber(prefix) : -1);
+  if (prefixLength < 0 || prefixLength > maxPrefixLength) {
+    return null;
+  }
+
+  const bytes = _.map(getAddressBytes(address, ipVersion), (byte, index) => {
+    const bits = Math.min(Math.max(prefixLength - index * 8, 0), 8);
+    return byte & ((0xff << (8 - bits)) & 0xff);
+  });
+
+  const network = formatAddressBytes(bytes);
+  return prefixLength === maxPrefixLength ? network : `${network}/${prefixLength}`;
+}
+
+/**
+ * Extract the networks of a list. The comments (# or ;) and the empty lines are ignored.
+ * With the text format, the network is the first word of the line.
+ * @param {string} data The list
+ * @param {Object} [options] The options
+ * @param {string} [options.format] text or csv, text by default
+ * @param {number} [options.column] The column containing the network (csv), 0 by default
+ * @return {string[]} The values found, not validated
+ */
+function parseNetworkList(data, options) {
+  const format = _.get(options, 'format', 'text'),
+    column = _.get(options, 'column', 0);
+
+  return _.compact(_.map(_.split(data, /\r?\n/), line => {
+    const content = _.trim(line.replace(/[#;].*$/, ''));
+    if (content.length === 0) {
+      return null;
+    }
+
+    if (format === 'csv') {
+      return _.trim(_.split(content, ',')[column] || '', ' "\'');
+    }
+
+    return _.split(content, /[\s,]+/)[0];
+  }));
+}
+
+/**
+ * Fetch the url, following the redirections
+ * @param {string} sourceUrl The url
+ * @param {number} timeoutSeconds The time to wait for the answer
+ * @param {number} [redirections] The redirections already followed
+ * @return {Promise} The body on resolve
+ */
+function fetchUrl(sourceUrl, timeoutSeconds, redirections) {
+  return new Promise((resolve, reject) => {
+    const client = _.startsWith(sourceUrl, 'https:') ? require('https') : require('http');
+
+    const request = client.get(sourceUrl, response => {
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        if ((redirections || 0) >= MAX_REDIRECTIONS) {
+          return reject(new commonErrors.IllegalArgumentError(`Too many redirections for ${sourceUrl}`));
+        }
+
+        return fetchUrl(url.resolve(sourceUrl, response.headers.location), timeoutSeconds, (redirections || 0) + 1)
+          .then(resolve, reject);
+      } else if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Failed to fetch ${sourceUrl}: HTTP ${response.statusCode}`));
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      response.on('error', reject);
+    });
+
+    request.setTimeout(timeoutSeconds * 1000, () => {
+      request.abort();
+      reject(new commonErrors.TimedOutError(`No answer from ${sourceUrl} after ${timeoutSeconds} seconds`));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * The loaders of the sources per type. A loader returns the values found in the source, not validated:
+ * the network or an object with the network (value) and its expiry date (expiresAt).
+ * @type {Object.<string, function(NetworkSource): Promise>}
+ */
+const SOURCE_LOADERS = {
+  file: source => fse.readFile(source.path)
+    .then(data => parseNetworkList(data.toString(), source)),
+  directory: source => fse.readdir(source.path)
+    .then(fileNames => Promise.all(_.map(_.sortBy(fileNames), fileName => {
+      const filePath = path.join(source.path, fileName);
+      return fse.stat(filePath)
+        .then(stats => stats.isFile() ? SOURCE_LOADERS.file(_.assign({}, source, {path: filePath})) : []);
+    })))
+    .then(_.flatten),
+  http: source => fetchUrl(source.url, source.timeoutSeconds || 30)
+    .then(data => parseNetworkList(data, source)),
+  postgres: source => {
+    const pgp = require('pg-promise')();
+    const db = pgp(source.connectionString);
+
+    return db.query(source.query || DEFAULT_POSTGRES_QUERY)
+      .then(result => {
+        db.$pool.end();
+        return _.map(result, row => ({
+          value: row.value,
+          expiresAt: row.expires_at || null
+        }));
+      }, error => {
+        db.$pool.end();
+        throw error;
+      });
+  }
+};
+
+/**
+ * Returns the name of the source for the logs
+ * @param {NetworkSource} source The source
+ * @return {string} The name
+ */
+function describeSource(source) {
+  if (source.type === 'postgres') {
+    // The connection string may contain the password
+    return 'postgres';
+  }
+
+  return `${source.type} ${source.path || source.url}`;
+}
+
+/**
+ * Merge the network in the entries, the latest expiry date is kept
+ * @param {Object.<string, NetworkEntry>} entries The entries per network
+ * @param {string} network The network
+ * @param {Date|null} expiresAt The expiry date of the network
+ */
+function mergeNetworkEntry(entries, network, expiresAt) {
+  const entry = entries[network];
+  if (!entry) {
+    entries[network] = {
+      network: network,
+      expiresAt: expiresAt
+    };
+  } else if (!_.isNil(entry.expiresAt) && (_.isNil(expiresAt) || expiresAt > entry.expiresAt)) {
+    entry.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * Load the networks of the sources. The invalid values are ignored and the networks are merged without duplicates.
+ * @param {NetworkSource[]} sources The sources
+ * @param {Logger} logger The logger to use
+ * @return {Promise} {@link NetworkEntry}[] in the order of the sources on resolve
+ */
+function loadNetworks(sources, logger) {
+  const entries = {},
+    networks = [];
+
+  let workflowPromise = Promise.resolve();
+  _.each(sources, source => {
+    workflowPromise = workflowPromise.then(() => {
+      const loader = SOURCE_LOADERS[source.type];
+      if (!loader) {
+        throw new commonErrors.IllegalArgumentError(`Unknown network source type ${source.type}`);
+      }
+
+      return loader(source)
+        .then(values => {
+          let invalidCount = 0;
+          _.each(values, item => {
+            const value = _.isString(item) ? item : item.value,
+              network = normalizeNetwork(value);
+            if (_.isNil(network)) {
+              ++invalidCount;
+              logger.debug("Ignore the invalid network '%s' from %s", value, describeSource(source));
+              return;
+            } else if (_.endsWith(network, '/0')) {
+              // The sets hash:net refuse the prefix length 0, the whole restore would fail
+              ++invalidCount;
+              logger.warn("Ignore the network '%s' from %s: the prefix length 0 blocks every address", value, describeSource(source));
+              return;
+            }
+
+            if (!entries[network]) {
+              networks.push(network);
+            }
+            mergeNetworkEntry(entries, network, _.isString(item) ? null : item.expiresAt);
+          });
+
+          logger.info("%d networks loaded from %s (%d invalid ignored)", values.length - invalidCount, describeSource(source), invalidCount);
+        }, error => {
+          if (source.optional !== true) {
+            throw error;
+          }
+
+          logger.warn("Ignore the source %s: %s", describeSource(source), error.message);
+        });
+    });
+  });
+
+  return workflowPromise.then(() => _.map(networks, network => entries[network]));
+}
+
+exports.DEFAULT_POSTGRES_QUERY = module.exports.DEFAULT_POSTGRES_QUERY = DEFAULT_POSTGRES_QUERY;
+exports.EXPIRY_POSTGRES_QUERY = module.exports.EXPIRY_POSTGRES_QUERY = EXPIRY_POSTGRES_QUERY;
+exports.SOURCE_LOADERS = module.exports.SOURCE_LOADERS = SOURCE_LOADERS;
+exports.normalizeNetwork = module.exports.normalizeNetwork = normalizeNetwork;
+exports.parseNetworkList = module.exports.parseNetworkList = parseNetworkList;
+exports.loadNetworks = module.exports.loadNetworks = loadNetworks;
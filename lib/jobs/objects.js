@@ -0,0 +1,286 @@
+const _ = require('lodash'),
+  Joi = require('joi'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * A network group
+ * @typedef {Object} Objects~NetworkGroup
+ * @property {string[]} values The networks
+ * @property {boolean} ipset true to match the group with a set instead of one rule per network
+ * @property {string} [description] The description
+ */
+
+/**
+ * A service: the protocol and the ports
+ * @typedef {Object} Objects~Service
+ * @property {string} protocol The protocol
+ * @property {Array.<number|string>} ports The ports or the port ranges, the references are resolved
+ */
+
+/**
+ * The reference to a network group or a port group: @name
+ * @type {RegExp}
+ */
+const REFERENCE_PATTERN = /^@([a-zA-Z0-9_-]+)$/;
+
+/**
+ * A port or a port range (8000:8010, 8000-8010 is normalized)
+ * @type {Object}
+ */
+const PORT_SCHEMA = Joi.alternatives().try(
+  Joi.number().integer().min(1).max(65535),
+  Joi.string().regex(/^\d+[:-]\d+$/, 'port range')
+);
+
+/**
+ * The objects shared by the jobs, referenced by name
+ * @type {Object}
+ */
+const OBJECTS_SCHEMA = Joi.object().keys({
+  networks: Joi.object().pattern(/^[a-zA-Z0-9_-]+$/, Joi.alternatives().try(
+    Joi.array().items(
+      Joi.string().ip({
+        cidr: 'optional'
+      })
+    ).min(1),
+    Joi.object().keys({
+      values: Joi.array().items(
+        Joi.string().ip({
+          cidr: 'optional'
+        })
+      ).min(1).required(),
+      ipset: Joi.boolean().default(false),
+      description: Joi.string()
+    })
+  )).default({}),
+  ports: Joi.object().pattern(/^[a-zA-Z0-9_-]+$/, Joi.array().items(PORT_SCHEMA).min(1)).default({}),
+  services: Joi.object().pattern(/^[a-zA-Z0-9_-]+$/, Joi.object().keys({
+    protocol: Joi.string().required(),
+    ports: Joi.array().items(PORT_SCHEMA, Joi.string().regex(REFERENCE_PATTERN, 'port group reference')).min(1).required(),
+    description: Joi.string()
+  })).default({})
+}).default({});
+
+/**
+ * Normalize the port range to the iptables form: 8000-8010 becomes 8000:8010
+ * @param {number|string} port The port or the port range
+ * @return {number|string} The port or the range normalized
+ */
+function normalizePort(port) {
+  return _.isString(port) ? port.replace('-', ':') : port;
+}
+
+/**
+ * Returns the name of the object referenced
+ * @param {*} value The value
+ * @return {string|null} The name or null if the value is not a reference
+ */
+function getReferenceName(value) {
+  const match = _.isString(value) ? REFERENCE_PATTERN.exec(value) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns the network groups with the values, the short form (the list of networks) is expanded
+ * @param {Object} objects The objects of the configuration, validated
+ * @return {Object.<string, Objects~NetworkGroup>} The groups per name
+ */
+function getNetworkGroups(objects) {
+  return _.mapValues(_.get(objects, 'networks', {}), group => _.isArray(group) ? {
+    values: group,
+    ipset: false
+  } : group);
+}
+
+/**
+ * Returns the network groups compiled to sets
+ * @param {Object} objects The objects of the configuration, validated
+ * @return {Object.<string, Objects~NetworkGroup>} The groups per name
+ */
+function getSetNetworkGroups(objects) {
+  return _.pickBy(getNetworkGroups(objects), group => group.ipset === true);
+}
+
+/**
+ * Returns the set base name of a network group, see namespaces.getSetName
+ * @param {string} groupName The group name
+ * @return {string} The set name
+ */
+function getGroupSetName(groupName) {
+  return `grp_${groupName}`;
+}
+
+/**
+ * Create the resolver of the references
+ * @param {Object} objects The objects of the configuration, validated
+ * @return {{values: function(string, string): Array, service: function(string, string): Objects~Service, networkGroups: Object}} The resolver
+ * @throws {commonErrors.IllegalArgumentError} If a name is used by a network group and a port group
+ */
+function createResolver(objects) {
+  const networkGroups = getNetworkGroups(objects),
+    portGroups = _.mapValues(_.get(objects, 'ports', {}), ports => _.map(ports, normalizePort)),
+    duplicatedNames = _.intersection(_.keys(networkGroups), _.keys(portGroups));
+
+  if (duplicatedNames.length > 0) {
+    throw new commonErrors.IllegalArgumentError(`The objects ${duplicatedNames.join(', ')} are network groups and port groups`);
+  }
+
+  const values = (name, path) => {
+    if (_.has(networkGroups, name)) {
+      return networkGroups[name].values;
+    } else if (_.has(portGroups, name)) {
+      return portGroups[name];
+    }
+
+    throw new commonErrors.IllegalArgumentError(`${path}: unknown network group or port group @${name}`);
+  };
+
+  const services = _.mapValues(_.get(objects, 'services', {}), (service, serviceName) => ({
+    protocol: service.protocol,
+    ports: _.flatMap(service.ports, port => {
+      const name = getReferenceName(port);
+      if (_.isNil(name)) {
+        return [normalizePort(port)];
+      } else if (!_.has(portGroups, name)) {
+        throw new commonErrors.IllegalArgumentError(`objects.services.${serviceName}: unknown port group @${name}`);
+      }
+      return portGroups[name];
+    })
+  }));
+
+  return {
+    values: values,
+    service: (name, path) => {
+      if (!_.has(services, name)) {
+        throw new commonErrors.IllegalArgumentError(`${path}: unknown service ${name}`);
+      }
+      return services[name];
+    },
+    networkGroups: networkGroups
+  };
+}
+
+/**
+ * Resolve the references of a value
+ * @param {Object} resolver The resolver (see createResolver)
+ * @param {*} value The value
+ * @param {string} path The path of the value, for the errors
+ * @param {string[]} setReferenceKeys The keys of the arrays keeping the references to the groups compiled to sets
+ * @param {string} [key] The key of the value in its parent object
+ * @return {*} The value resolved
+ * @throws {commonErrors.IllegalArgumentError} If a reference is unknown or a group has several values for a single value
+ */
+function resolveValue(resolver, value, path, setReferenceKeys, key) {
+  if (_.isArray(value)) {
+    return _.flatMap(value, (item, index) => resolveArrayItem(resolver, item, `${path}[${index}]`, setReferenceKeys, key));
+  } else if (_.isPlainObject(value)) {
+    return _.mapValues(value, (childValue, childKey) => resolveValue(resolver, childValue, `${path}.${childKey}`, setReferenceKeys, childKey));
+  }
+
+  const name = getReferenceName(value);
+  if (_.isNil(name)) {
+    return value;
+  }
+
+  const values = resolver.values(name, path);
+  if (values.length !== 1) {
+    throw new commonErrors.IllegalArgumentError(`${path}: the group @${name} has ${values.length} values, a single value is expected`);
+  }
+  return values[0];
+}
+
+/**
+ * Resolve an item of an array, the references are replaced by the values of the groups:
+ * - @name: the values of the group, the reference is kept for a group compiled to a set in the arrays of setReferenceKeys
+ * - {value: '@name', ...}: one copy of the object per value of the group
+ * - {service: name, ...}: one copy of the object per port of the service, with protocol and portNumber
+ * @param {Object} resolver The resolver (see createResolver)
+ * @param {*} item The item
+ * @param {string} path The path of the item, for the errors
+ * @param {string[]} setReferenceKeys The keys of the arrays keeping the references to the groups compiled to sets
+ * @param {string} [key] The key of the array in its parent object
+ * @return {Array} The items replacing the item
+ * @throws {commonErrors.IllegalArgumentError} If a reference is unknown
+ */
+function resolveArrayItem(resolver, item, path, setReferenceKeys, key) {
+  const name = getReferenceName(item);
+  if (!_.isNil(name)) {
+    const networkGroup = resolver.networkGroups[name];
+    if (networkGroup && networkGroup.ipset === true && setReferenceKeys.indexOf(key) !== -1) {
+      return [item];
+    }
+    return resolver.values(name, path);
+  } else if (!_.isPlainObject(item)) {
+    return [resolveValue(resolver, item, path, setReferenceKeys, key)];
+  }
+
+  const valueName = getReferenceName(item.value);
+  if (!_.isNil(valueName)) {
+    const otherValues = resolveValue(resolver, _.omit(item, 'value'), path, setReferenceKeys);
+    return _.map(resolver.values(valueName, `${path}.value`), value => _.assign({}, otherValues, {
+      value: value
+    }));
+  } else if (_.has(item, 'service')) {
+    const service = resolver.service(item.service, `${path}.service`),
+      otherValues = resolveValue(resolver, _.omit(item, 'service'), path, setReferenceKeys);
+    return _.map(service.ports, port => _.assign({}, otherValues, {
+      protocol: service.protocol,
+      portNumber: port
+    }));
+  }
+
+  return [resolveValue(resolver, item, path, setReferenceKeys, key)];
+}
+
+/**
+ * Resolve the references of the global section and of the job configurations.
+ * The configuration is validated after, with the values of the objects.
+ * @param {Object} configuration The whole configuration, not validated
+ * @param {function(Object): string[]} getSetReferenceKeys Returns the keys keeping the references to the groups
+ * compiled to sets for the job (see the engines SET_REFERENCE_KEYS)
+ * @return {Object} The configuration resolved
+ * @throws {commonErrors.IllegalArgumentError} If the objects are invalid or a reference is unknown
+ */
+function resolveConfiguration(configuration, getSetReferenceKeys) {
+  const result = Joi.validate(_.get(configuration, 'objects'), OBJECTS_SCHEMA);
+  if (result.error) {
+    throw new commonErrors.IllegalArgumentError(`Invalid objects: ${result.error.message}`);
+  }
+
+  const resolver = createResolver(result.value),
+    resolvedConfiguration = _.assign({}, configuration);
+
+  if (_.has(configuration, 'global')) {
+    resolvedConfiguration.global = resolveValue(resolver, configuration.global, 'global', []);
+  }
+
+  if (_.isArray(_.get(configuration, 'configurations'))) {
+    resolvedConfiguration.configurations = _.map(configuration.configurations, configurationItem => {
+      if (!_.isArray(_.get(configurationItem, 'jobs'))) {
+        return configurationItem;
+      }
+
+      return _.assign({}, configurationItem, {
+        jobs: _.map(configurationItem.jobs, configurationJob => {
+          const path = `configurations.${configurationItem.id}.jobs.${_.get(configurationJob, 'name')}.configuration`;
+          return _.assign({}, configurationJob, {
+            configuration: resolveValue(resolver, _.get(configurationJob, 'configuration'), path, getSetReferenceKeys(configurationJob))
+          });
+        })
+      });
+    });
+  }
+
+  return resolvedConfiguration;
+}
+
+exports.REFERENCE_PATTERN = module.exports.REFERENCE_PATTERN = REFERENCE_PATTERN;
+exports.PORT_SCHEMA = module.exports.PORT_SCHEMA = PORT_SCHEMA;
+exports.normalizePort = module.exports.normalizePort = normalizePort;
+exports.OBJECTS_SCHEMA = module.exports.OBJECTS_SCHEMA = OBJECTS_SCHEMA;
+exports.getReferenceName = module.exports.getReferenceName = getReferenceName;
+exports.getNetworkGroups = module.exports.getNetworkGroups = getNetworkGroups;
+exports.getSetNetworkGroups = module.exports.getSetNetworkGroups = getSetNetworkGroups;
+exports.getGroupSetName = module.exports.getGroupSetName = getGroupSetName;
+exports.resolveConfiguration = module.exports.resolveConfiguration = resolveConfiguration;
@@ -0,0 +1,259 @@
+const _ = require('lodash'),
+  path = require('path'),
+  readline = require('readline'),
+  fse = require('fs-extra'),
+  generateUuid = require('uuid/v4'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * Pending confirmation written in the state directory
+ * @typedef {Object} ApplyConfirmation~Pending
+ * @property {number} pid The process waiting for the confirmation
+ * @property {string} token The token to give back to confirm
+ * @property {string} deadline The deadline (ISO 8601)
+ * @property {string} [snapshotFilePath] The snapshot to restore without confirmation
+ */
+
+/**
+ * Interval used to check the confirmation file
+ * @type {number}
+ */
+const POLL_INTERVAL_MS = 500;
+
+/**
+ * The write errors of stdout and stderr once the terminal is gone (ssh connection dropped)
+ * @type {string[]}
+ */
+const CLOSED_TERMINAL_ERROR_CODES = ['EIO', 'EPIPE'];
+
+/**
+ * Ignore the write error of a standard stream when the terminal is gone, the other errors are thrown
+ * @param {Error} error The error
+ * @throws {Error} If the error is not caused by the terminal
+ */
+function onStandardStreamError(error) {
+  if (CLOSED_TERMINAL_ERROR_CODES.indexOf(error.code) === -1) {
+    throw error;
+  }
+}
+
+/**
+ * Ignore the write errors of stdout and stderr once the terminal is gone.
+ * Without it, the next log after the hang up stops the process and the rollback never runs.
+ */
+function ignoreClosedTerminalErrors() {
+  _.each([process.stdout, process.stderr], stream => {
+    if (stream.listeners('error').indexOf(onStandardStreamError) === -1) {
+      stream.on('error', onStandardStreamError);
+    }
+  });
+}
+
+/**
+ * Returns the file containing the pending confirmation
+ * @param {string} stateDirectory The state directory
+ * @return {string} The file path
+ */
+function getPendingFilePath(stateDirectory) {
+  return path.join(stateDirectory, 'apply-confirmation.pending.json');
+}
+
+/**
+ * Returns the file written to confirm
+ * @param {string} stateDirectory The state directory
+ * @return {string} The file path
+ */
+function getConfirmedFilePath(stateDirectory) {
+  return path.join(stateDirectory, 'apply-confirmation.confirmed');
+}
+
+/**
+ * Wait for the confirmation.
+ * The confirmation comes from the prompt (when interactive) or from the confirm command ({@link confirmPending}).
+ * The hang up signal is ignored during the wait to not lose the rollback when the ssh connection drops.
+ * @param {Object} options The options
+ * @param {string} options.stateDirectory The state directory
+ * @param {number} options.timeoutSeconds The time to wait
+ * @param {boolean} options.interactive true to prompt on the terminal
+ * @param {string} [options.snapshotFilePath] The snapshot file, written in the pending confirmation
+ * @param {Logger} options.logger The logger to use
+ * @return {Promise} true on resolve when confirmed, false otherwise
+ */
+function waitForConfirmation(options) {
+  const {stateDirectory, timeoutSeconds, interactive, logger} = options;
+  const pendingFilePath = getPendingFilePath(stateDirectory),
+    confirmedFilePath = getConfirmedFilePath(stateDirectory);
+
+  const pending = {
+    pid: process.pid,
+    token: generateUuid(),
+    deadline: new Date(Date.now() + timeoutSeconds * 1000).toISOString(),
+    snapshotFilePath: options.snapshotFilePath
+  };
+
+  // The logs and the rollback go on after the terminal is gone
+  ignoreClosedTerminalErrors();
+
+  return fse.remove(confirmedFilePath)
+    .then(() => fse.outputJson(pendingFilePath, pending, {
+      mode: 0o600
+    }))
+    .then(() => {
+      return new Promise(resolve => {
+        let pollTimer = undefined,
+          deadlineTimer = undefined,
+          readlineInterface = undefined,
+          done = false;
+
+        const onSignal = signal => {
+          if (signal === 'SIGHUP') {
+            logger.warn("Hang up received, keep waiting for the confirmation");
+            if (readlineInterface) {
+              // Nobody can answer the prompt anymore
+              readlineInterface.close();
+            }
+            return;
+          }
+
+          logger.warn("Signal %s received, the changes are not confirmed", signal);
+          finish(false);
+        };
+
+        const finish = confirmed => {
+          if (done) {
+            return;
+          }
+
+          done = true;
+          clearInterval(pollTimer);
+          clearTimeout(deadlineTimer);
+          if (readlineInterface) {
+            readlineInterface.close();
+          }
+          _.each(['SIGHUP', 'SIGINT', 'SIGTERM'], signal => process.removeListener(signal, onSignal));
+
+          Promise.all([fse.remove(pendingFilePath), fse.remove(confirmedFilePath)])
+            .catch(error => {
+              logger.error(`Failed to remove the confirmation files: ${error.message}`);
+            })
+            .then(() => resolve(confirmed));
+        };
+
+        _.each(['SIGHUP', 'SIGINT', 'SIGTERM'], signal => process.on(signal, onSignal));
+
+        deadlineTimer = setTimeout(() => {
+          logger.warn("No confirmation after %d seconds", timeoutSeconds);
+          finish(false);
+        }, timeoutSeconds * 1000);
+
+        pollTimer = setInterval(() => {
+          fse.readFile(confirmedFilePath)
+            .then(data => {
+              if (_.trim(data.toString()) === pending.token) {
+                logger.info("Confirmation received from the confirm command");
+                finish(true);
+              }
+            })
+            .catch(_.noop);
+        }, POLL_INTERVAL_MS);
+
+        logger.info(`Waiting ${timeoutSeconds} seconds for the confirmation (run 'ze-netfilter-cmd confirm --state-dir ${stateDirectory}' from another shell)`);
+        if (interactive) {
+          readlineInterface = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+          });
+          readlineInterface.on('close', () => {
+            readlineInterface = undefined;
+          });
+          readlineInterface.question(`Keep the new rules? Type 'yes' within ${timeoutSeconds} seconds: `, answer => {
+            if (_.toLower(_.trim(answer)) === 'yes') {
+              logger.info("Confirmation received from the prompt");
+              finish(true);
+            } else {
+              logger.warn("The changes are not confirmed");
+              finish(false);
+            }
+          });
+        }
+      });
+    });
+}
+
+/**
+ * Confirm the pending apply
+ * @param {string} stateDirectory The state directory
+ * @return {Promise} {@link ApplyConfirmation~Pending} on resolve
+ * @throws {commonErrors.NotFoundError} If nothing is waiting for a confirmation
+ * @throws {commonErrors.TimedOutError} If the deadline is passed
+ */
+function confirmPending(stateDirectory) {
+  const pendingFilePath = getPendingFilePath(stateDirectory);
+
+  return fse.pathExists(pendingFilePath)
+    .then(exists => {
+      if (!exists) {
+        throw new commonErrors.NotFoundError(`No apply is waiting for a confirmation in ${stateDirectory}`);
+      }
+
+      return fse.readJson(pendingFilePath);
+    })
+    .then(pending => {
+      if (Date.parse(pending.deadline) < Date.now()) {
+        throw new commonErrors.TimedOutError(`The confirmation deadline ${pending.deadline} is passed`);
+      }
+
+      return fse.outputFile(getConfirmedFilePath(stateDirectory), pending.token, {
+        mode: 0o600
+      })
+        .then(() => pending);
+    });
+}
+
+/**
+ * Wait for the confirmation of the applied changes, the snapshot is restored without confirmation.
+ * The snapshot is kept in the state directory during the wait to restore it manually if this process is killed.
+ * @param {Object} options The options
+ * @param {string} options.stateDirectory The state directory
+ * @param {number} options.timeoutSeconds The time to wait
+ * @param {boolean} options.interactive true to prompt on the terminal
+ * @param {Object} options.snapshot The snapshot taken before the apply
+ * @param {function(Object, Logger): Promise} options.restoreSnapshot The function restoring the snapshot
+ * @param {Logger} options.logger The logger to use
+ * @return {Promise} Rejected with {@link commonErrors.TimedOutError} when the changes are not confirmed
+ */
+function confirmOrRestore(options) {
+  const {stateDirectory, snapshot, logger} = options,
+    snapshotFilePath = path.join(stateDirectory, 'apply-confirmation.snapshot.json');
+
+  return fse.outputJson(snapshotFilePath, snapshot, {
+    mode: 0o600
+  })
+    .then(() => waitForConfirmation({
+      stateDirectory: stateDirectory,
+      timeoutSeconds: options.timeoutSeconds,
+      interactive: options.interactive,
+      snapshotFilePath: snapshotFilePath,
+      logger: logger
+    }))
+    .then(confirmed => {
+      if (confirmed) {
+        logger.info("Changes confirmed");
+        return fse.remove(snapshotFilePath);
+      }
+
+      logger.warn("Changes not confirmed, restore the previous rules");
+      return options.restoreSnapshot(snapshot, logger)
+        .then(() => fse.remove(snapshotFilePath))
+        .then(() => {
+          throw new commonErrors.TimedOutError('The changes have not been confirmed, the previous rules have been restored');
+        });
+    });
+}
+
+exports.getPendingFilePath = module.exports.getPendingFilePath = getPendingFilePath;
+exports.getConfirmedFilePath = module.exports.getConfirmedFilePath = getConfirmedFilePath;
+exports.waitForConfirmation = module.exports.waitForConfirmation = waitForConfirmation;
+exports.confirmPending = module.exports.confirmPending = confirmPending;
+exports.confirmOrRestore = module.exports.confirmOrRestore = confirmOrRestore;
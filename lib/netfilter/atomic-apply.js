@@ -0,0 +1,61 @@
+const _ = require('lodash'),
+  securityCommands = require('./security-commands'),
+  rulesetSnapshot = require('./ruleset-snapshot'),
+  runProcess = require('./process-runner').runProcess;
+
+/**
+ * Apply the commands using the restore binaries (iptables-restore --noflush, ip6tables-restore --noflush, ipset restore).
+ * The sets are created and filled in one transaction, then the rules of each family are applied in one transaction
+ * and the sets are destroyed last.
+ * @param {SecurityCommand[]} commands The commands to apply
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function applyCommands(commands, logger) {
+  let workflowPromise = Promise.resolve();
+  _.each(securityCommands.splitInBatches(commands), (batch, index) => {
+    const commandType = securityCommands.getCommandType(batch.type);
+    workflowPromise = workflowPromise.then(() => {
+      logger.debug("Apply batch %d: %d %s commands", index + 1, batch.commands.length, commandType.binary);
+      return runProcess(commandType.restoreBinary, commandType.restoreArguments, securityCommands.renderRestore(batch.type, batch.commands));
+    });
+  });
+
+  return workflowPromise;
+}
+
+/**
+ * Apply the commands and restore the previous ruleset if something failed.
+ * @param {SecurityCommand[]} commands The commands to apply
+ * @param {Logger} logger The logger to use
+ * @return {Promise} The {@link RulesetSnapshot} taken before the apply on resolve
+ */
+function applyWithRollback(commands, logger) {
+  // ip6tables uses sets too, always save them when iptables is used
+  let types = _.uniq(_.map(commands, 'type'));
+  if (_.some(commands, securityCommands.isIptablesCommand)) {
+    types = _.union(types, ['ipset']);
+  }
+
+  logger.info("Take a snapshot of the current ruleset");
+  return rulesetSnapshot.takeSnapshot(types)
+    .then(snapshot => {
+      logger.info("Apply %d commands", commands.length);
+      return applyCommands(commands, logger)
+        .then(() => snapshot)
+        .catch(error => {
+          logger.error(`Failed to apply the commands, restore the snapshot: ${error.message}`);
+          return rulesetSnapshot.restoreSnapshot(snapshot, logger)
+            .then(() => {
+              logger.info("Snapshot restored");
+              throw error;
+            }, rollbackError => {
+              logger.error(`Failed to restore the snapshot: ${rollbackError.message}\n${rollbackError.stack}`);
+              throw error;
+            });
+        });
+    });
+}
+
+exports.applyCommands = module.exports.applyCommands = applyCommands;
+exports.applyWithRollback = module.exports.applyWithRollback = applyWithRollback;
@@ -0,0 +1,156 @@
+const _ = require('lodash'),
+  rulesetModel = require('./ruleset-model'),
+  ruleNormalizer = require('./rule-normalizer'),
+  securityCommands = require('./security-commands');
+
+/**
+ * Returns the key identifying a chain
+ * @param {string} type The command type
+ * @param {string} table The table
+ * @param {string} chainName The chain name
+ * @return {string} The key
+ */
+function getChainKey(type, table, chainName) {
+  return `${type}/${table}/${chainName}`;
+}
+
+/**
+ * Compute the members expected in the sets filled by the commands
+ * @param {RulesetModel~Ruleset} expected The ruleset created by the commands
+ * @return {Object.<string, string[]>} The members per set name
+ */
+function getExpectedSetMembers(expected) {
+  const members = {};
+  _.each(expected.sets, (set, setName) => {
+    if (set.membersManaged) {
+      members[setName] = set.members;
+    }
+  });
+
+  return members;
+}
+
+/**
+ * Returns the live rules of the chain jumping to a chain not created by the commands, the chains of the other jobs
+ * (the services inserted in IN_services_access_0 for example). The jumps added again by the commands are ignored.
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} type The command type
+ * @param {string} table The table
+ * @param {RulesetModel~Chain} liveChain The live chain
+ * @param {Object.<string, boolean>} createdChains The chains created by the commands, per chain key
+ * @param {string[]} expectedRules The rules added to the chain by the commands
+ * @return {string[]} The rule specifications as printed by iptables-save
+ */
+function getOtherJobJumps(ruleset, type, table, liveChain, createdChains, expectedRules) {
+  return _.compact(_.map(_.difference(liveChain.rules, expectedRules), rule => {
+    const tokens = ruleNormalizer.tokenize(rule),
+      jumpIndex = _.findIndex(tokens, token => token === '-j' || token === '-g'),
+      target = jumpIndex === -1 ? undefined : tokens[jumpIndex + 1];
+
+    if (_.isNil(target) || createdChains[getChainKey(type, table, target)] ||
+      !rulesetModel.getChain(ruleset, type, table, target)) {
+      return null;
+    }
+
+    return _.get(liveChain, ['specifications', rule], null);
+  }));
+}
+
+/**
+ * Rewrite the install commands to converge from the live ruleset:
+ * - The chains already existing are flushed instead of created, the following commands rebuild them.
+ *   The jumps of the chain to the chains of the other jobs are kept first, installing a job alone keeps the jobs using its chains
+ * - The rules added in the other chains (built-in or not rebuilt) are skipped when already present
+ * - The rules deleted and the chains flushed or deleted are skipped when already absent
+ * - The set members not expected anymore are deleted after the last member added
+ *
+ * Running the commands returned twice gives the same ruleset as running them once.
+ * @param {SecurityCommand[]} commands The install commands
+ * @param {RulesetModel~Ruleset} liveRuleset The live ruleset
+ * @return {SecurityCommand[]} The commands to apply
+ */
+function makeConvergent(commands, liveRuleset) {
+  const ruleset = _.cloneDeep(liveRuleset),
+    rebuiltChains = {},
+    createdChains = {},
+    expected = rulesetModel.applyCommands(rulesetModel.createRuleset(), commands),
+    expectedSetMembers = getExpectedSetMembers(expected),
+    liveSetMembers = _.mapValues(liveRuleset.sets, 'members');
+
+  // The stale members are removed after the last add of the set
+  const lastAddIndexes = {};
+  _.each(commands, (command, index) => {
+    if (securityCommands.isIptablesCommand(command)) {
+      const {table, operation, chainName} = rulesetModel.parseIptablesCommand(command);
+      if (operation === '-N') {
+        createdChains[getChainKey(command.type, table, chainName)] = true;
+      }
+    } else if (command.type === 'ipset') {
+      const {operation, setName} = rulesetModel.parseIpsetCommand(command);
+      if (operation === 'add') {
+        lastAddIndexes[setName] = index;
+      }
+    }
+  });
+
+  const result = [];
+  _.each(commands, (command, index) => {
+    let convergentCommand = command,
+      keptCommands = [];
+
+    if (securityCommands.isIptablesCommand(command)) {
+      const {table, operation, chainName, rule} = rulesetModel.parseIptablesCommand(command);
+      const chainKey = getChainKey(command.type, table, chainName),
+        liveChain = rulesetModel.getChain(ruleset, command.type, table, chainName);
+
+      if (operation === '-N') {
+        rebuiltChains[chainKey] = true;
+        if (liveChain) {
+          const tableOption = table === 'filter' ? '' : `-t ${table} `;
+          convergentCommand = {
+            type: command.type,
+            value: `${tableOption}-F ${chainName}`
+          };
+          keptCommands = _.map(getOtherJobJumps(ruleset, command.type, table, liveChain, createdChains,
+            _.get(rulesetModel.getChain(expected, command.type, table, chainName), 'rules', [])), specification => ({
+            type: command.type,
+            value: `${tableOption}-A ${chainName} ${specification}`
+          }));
+        }
+      } else if ((operation === '-F' || operation === '-X') && !liveChain) {
+        // Already absent
+        return;
+      } else if (operation === '-F') {
+        rebuiltChains[chainKey] = true;
+      } else if ((operation === '-A' || operation === '-I') && !rebuiltChains[chainKey] && liveChain && _.includes(liveChain.rules, rule)) {
+        // Already present
+        return;
+      } else if (operation === '-D' && !_.isNil(rule) && !(liveChain && _.includes(liveChain.rules, rule))) {
+        // Already absent
+        return;
+      }
+    }
+
+    _.each(_.concat([convergentCommand], keptCommands), convergentOrKeptCommand => {
+      rulesetModel.applyCommand(ruleset, convergentOrKeptCommand);
+      result.push(convergentOrKeptCommand);
+    });
+
+    if (command.type === 'ipset') {
+      const {setName} = rulesetModel.parseIpsetCommand(command);
+      if (lastAddIndexes[setName] === index) {
+        const staleMembers = _.difference(liveSetMembers[setName] || [], _.map(expectedSetMembers[setName], ruleNormalizer.normalizeSetMember));
+        _.each(staleMembers, member => {
+          result.push({
+            type: 'ipset',
+            value: `-! del ${setName} ${member}`
+          });
+        });
+      }
+    }
+  });
+
+  return result;
+}
+
+exports.makeConvergent = module.exports.makeConvergent = makeConvergent;
@@ -0,0 +1,230 @@
+const _ = require('lodash'),
+  rulesetModel = require('./ruleset-model'),
+  securityCommands = require('./security-commands'),
+  runProcess = require('./process-runner').runProcess;
+
+/**
+ * The drift of a chain or a set
+ * @typedef {Object} DriftDetection~Drift
+ * @property {string} kind chain or set
+ * @property {string} [type] The command type (for the chains)
+ * @property {string} [table] The table (for the chains)
+ * @property {string} name The chain or set name
+ * @property {boolean} absent true if the chain or set does not exist
+ * @property {string[]} missing The rules or members missing
+ * @property {string[]} extra The rules or members not expected
+ * @property {string[]} reordered The rules not at the expected position
+ */
+
+/**
+ * Returns the elements of the first list not in the second one (as multiset)
+ * @param {string[]} items The items
+ * @param {string[]} others The items to remove
+ * @return {string[]} The difference
+ */
+function multisetDifference(items, others) {
+  const remaining = _.countBy(others);
+  return _.filter(items, item => {
+    if (remaining[item] > 0) {
+      --remaining[item];
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Align the expected rules with the actual ones using the longest common subsequence.
+ * The expected rules outside the subsequence are reordered when present elsewhere, missing otherwise.
+ * The actual rules left are extra.
+ * @param {string[]} expected The expected rules
+ * @param {string[]} actual The actual rules
+ * @return {{missing: string[], extra: string[], reordered: string[]}} The differences
+ */
+function alignRules(expected, actual) {
+  const lengths = _.times(expected.length + 1, () => _.fill(new Array(actual.length + 1), 0));
+  for (let i = expected.length - 1; i >= 0; --i) {
+    for (let j = actual.length - 1; j >= 0; --j) {
+      lengths[i][j] = expected[i] === actual[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const unmatchedExpected = [],
+    unmatchedActual = [];
+  let i = 0, j = 0;
+  while (i < expected.length && j < actual.length) {
+    if (expected[i] === actual[j]) {
+      ++i;
+      ++j;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      unmatchedExpected.push(expected[i++]);
+    } else {
+      unmatchedActual.push(actual[j++]);
+    }
+  }
+  Array.prototype.push.apply(unmatchedExpected, _.drop(expected, i));
+  Array.prototype.push.apply(unmatchedActual, _.drop(actual, j));
+
+  const missing = multisetDifference(unmatchedExpected, unmatchedActual);
+  return {
+    missing: missing,
+    extra: multisetDifference(unmatchedActual, unmatchedExpected),
+    reordered: multisetDifference(unmatchedExpected, missing)
+  };
+}
+
+/**
+ * Compare a chain.
+ * For the managed chains the whole chain is compared. For the other chains (built-in or created by another job),
+ * only the expected rules are checked: missing, duplicated and order.
+ * @param {RulesetModel~Chain} expectedChain The expected chain
+ * @param {RulesetModel~Chain|undefined} actualChain The live chain
+ * @return {Object} The missing, extra and reordered rules
+ */
+function compareChain(expectedChain, actualChain) {
+  const actualRules = actualChain ? actualChain.rules : [];
+  const relevantActualRules = expectedChain.managed ? actualRules : _.filter(actualRules, rule => _.includes(expectedChain.rules, rule));
+
+  return _.assign({
+    absent: !actualChain && !expectedChain.builtin
+  }, alignRules(expectedChain.rules, relevantActualRules));
+}
+
+/**
+ * Compute the drift between the expected ruleset and the live one
+ * @param {RulesetModel~Ruleset} expected The ruleset generated from the configuration
+ * @param {RulesetModel~Ruleset} actual The live ruleset
+ * @return {DriftDetection~Drift[]} The drifts
+ */
+function computeDrift(expected, actual) {
+  const drifts = [];
+
+  _.each(expected.iptables, (tables, type) => {
+    _.each(tables, (chains, table) => {
+      _.each(chains, (expectedChain, chainName) => {
+        if (!expectedChain.managed && expectedChain.rules.length === 0) {
+          return;
+        }
+
+        const actualChain = _.get(actual, ['iptables', type, table, chainName]);
+        const result = compareChain(expectedChain, actualChain);
+        if (result.absent || result.missing.length + result.extra.length + result.reordered.length > 0) {
+          drifts.push(_.assign({
+            kind: 'chain',
+            type: type,
+            table: table,
+            name: chainName
+          }, result));
+        }
+      });
+    });
+  });
+
+  _.each(expected.sets, (expectedSet, setName) => {
+    if (!expectedSet.managed && !expectedSet.membersManaged) {
+      return;
+    }
+
+    const actualSet = actual.sets[setName];
+    const result = {
+      absent: !actualSet,
+      missing: [],
+      extra: [],
+      reordered: []
+    };
+
+    // Without member in the commands, the set is filled by something else
+    if (expectedSet.membersManaged) {
+      const actualMembers = actualSet ? actualSet.members : [];
+      result.missing = _.difference(expectedSet.members, actualMembers);
+      result.extra = _.difference(actualMembers, expectedSet.members);
+    }
+
+    if (result.absent || result.missing.length + result.extra.length > 0) {
+      drifts.push(_.assign({
+        kind: 'set',
+        name: setName
+      }, result));
+    }
+  });
+
+  return drifts;
+}
+
+/**
+ * Load the live ruleset
+ * @param {string[]} types The command types to load
+ * @return {Promise} {@link RulesetModel~Ruleset} on resolve
+ */
+function loadLiveRuleset(types) {
+  const ruleset = rulesetModel.createRuleset();
+
+  let workflowPromise = Promise.resolve();
+  _.each(_.uniq(types), type => {
+    const commandType = securityCommands.getCommandType(type);
+    workflowPromise = workflowPromise.then(() => {
+      if (type === 'ipset') {
+        return runProcess('ipset', ['list'])
+          .then(result => rulesetModel.loadIpsetList(ruleset, result.stdout));
+      }
+
+      return runProcess(commandType.saveBinary, commandType.saveArguments)
+        .then(result => rulesetModel.loadIptablesSave(ruleset, type, result.stdout));
+    });
+  });
+
+  return workflowPromise.then(() => ruleset);
+}
+
+/**
+ * Compare the commands with the live ruleset
+ * @param {SecurityCommand[]} commands The install commands
+ * @return {Promise} {@link DriftDetection~Drift[]} on resolve
+ */
+function detectDrift(commands) {
+  const expected = rulesetModel.applyCommands(rulesetModel.createRuleset(), commands);
+  return loadLiveRuleset(_.map(commands, 'type'))
+    .then(actual => computeDrift(expected, actual));
+}
+
+/**
+ * Format the drifts for a human
+ * @param {DriftDetection~Drift[]} drifts The drifts
+ * @return {string} The report
+ */
+function formatDrifts(drifts) {
+  if (drifts.length === 0) {
+    return 'No drift detected\n';
+  }
+
+  let data = '';
+  _.each(drifts, drift => {
+    if (drift.kind === 'chain') {
+      data += `[${securityCommands.getCommandType(drift.type).binary} ${drift.table}] chain ${drift.name}\n`;
+    } else {
+      data += `[ipset] set ${drift.name}\n`;
+    }
+
+    if (drift.absent) {
+      data += '  absent\n';
+    }
+    _.each(drift.missing, item => {
+      data += `  missing: ${item}\n`;
+    });
+    _.each(drift.extra, item => {
+      data += `  extra: ${item}\n`;
+    });
+    _.each(drift.reordered, item => {
+      data += `  reordered: ${item}\n`;
+    });
+  });
+
+  return data;
+}
+
+exports.alignRules = module.exports.alignRules = alignRules;
+exports.computeDrift = module.exports.computeDrift = computeDrift;
+exports.loadLiveRuleset = module.exports.loadLiveRuleset = loadLiveRuleset;
+exports.detectDrift = module.exports.detectDrift = detectDrift;
+exports.formatDrifts = module.exports.formatDrifts = formatDrifts;
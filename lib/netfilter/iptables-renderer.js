@@ -0,0 +1,257 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../jobs/ip-families');
+
+/**
+ * The iptables command per rule action
+ * @type {Object.<string, string>}
+ */
+const RULE_ACTIONS = {
+  append: '-A',
+  insert: '-I',
+  delete: '-D'
+};
+
+/**
+ * The iptables command per chain action
+ * @type {Object.<string, string>}
+ */
+const CHAIN_ACTIONS = {
+  create: '-N',
+  flush: '-F',
+  delete: '-X'
+};
+
+/**
+ * The default maximal number of elements of an ipset set
+ * @type {number}
+ */
+const IPSET_DEFAULT_MAX_ELEMENTS = 65536;
+
+/**
+ * Render one match field
+ * @param {string} field The field name
+ * @param {*} value The field value
+ * @param {number} ipVersion The ip version
+ * @param {boolean} negated true if the field is negated
+ * @return {string[]} The tokens
+ */
+function renderMatchField(field, value, ipVersion, negated) {
+  const not = negated ? ['!'] : [];
+
+  switch (field) {
+    case 'protocol':
+      return _.concat(not, ['-p', value]);
+    case 'icmpType':
+      return _.concat(not, [ipVersion === 6 ? '--icmpv6-type' : '--icmp-type', `${value}`]);
+    case 'inInterface':
+      return _.concat(not, ['--in-interface', value]);
+    case 'outInterface':
+      return _.concat(not, ['--out-interface', value]);
+    case 'source':
+      return _.concat(not, ['-s', value]);
+    case 'destination':
+      return _.concat(not, ['-d', value]);
+    case 'sourcePort':
+      return _.concat(not, ['--sport', `${value}`]);
+    case 'destinationPort':
+      return _.concat(not, ['--dport', `${value}`]);
+    case 'state':
+      return _.concat(['-m', 'state'], not, ['--state', _.castArray(value).join(',')]);
+    case 'uidOwner':
+      return _.concat(['-m', 'owner'], not, ['--uid-owner', `${value}`]);
+    case 'gidOwner':
+      return _.concat(['-m', 'owner'], not, ['--gid-owner', `${value}`]);
+    case 'set':
+      return _.concat(['-m', 'set'], not, ['--match-set', value.name, value.direction]);
+    case 'limit':
+      return _.concat(['-m', 'limit', '--limit', value.rate], _.isNil(value.burst) ? [] : ['--limit-burst', `${value.burst}`]);
+    case 'hashLimit':
+      return _.concat(['-m', 'hashlimit', '--hashlimit-above', value.rate], _.isNil(value.burst) ? [] : ['--hashlimit-burst', `${value.burst}`],
+        ['--hashlimit-mode', 'srcip', '--hashlimit-name', value.name]);
+    case 'connectionLimit':
+      return ['-m', 'connlimit', '--connlimit-above', `${value.above}`, '--connlimit-mask', ipVersion === 6 ? '128' : '32', '--connlimit-saddr'];
+    case 'recent':
+      // The source is recorded then the hits are counted, the current packet included
+      return ['-m', 'recent', '--set', '--name', value.name, '--rsource',
+        '-m', 'recent', '--rcheck', '--seconds', `${value.seconds}`, '--hitcount', `${value.hits}`, '--name', value.name, '--rsource'];
+    default:
+      throw new commonErrors.IllegalArgumentError(`Unknown match ${field}`);
+  }
+}
+
+/**
+ * The order of the match fields in the rule, the protocol must be before the ports
+ * @type {string[]}
+ */
+const MATCH_FIELDS = ['protocol', 'icmpType', 'inInterface', 'outInterface', 'source', 'destination', 'sourcePort',
+  'destinationPort', 'state', 'uidOwner', 'gidOwner', 'set', 'connectionLimit', 'hashLimit', 'recent', 'limit'];
+
+/**
+ * Render the rule specification (matches and target)
+ * @param {NetfilterOperation} operation The rule operation
+ * @return {string[]} The tokens
+ */
+function renderRuleSpecification(operation) {
+  const match = operation.match || {},
+    negatedMatch = match.not || {},
+    target = operation.target,
+    tokens = [];
+
+  _.each(MATCH_FIELDS, field => {
+    if (!_.isNil(match[field])) {
+      Array.prototype.push.apply(tokens, renderMatchField(field, match[field], operation.ipVersion, false));
+    }
+    if (!_.isNil(negatedMatch[field])) {
+      Array.prototype.push.apply(tokens, renderMatchField(field, negatedMatch[field], operation.ipVersion, true));
+    }
+  });
+
+  tokens.push('-j', target.jump);
+  if (target.toDestination) {
+    tokens.push('--to-destination', target.toDestination);
+  }
+  if (target.toSource) {
+    tokens.push('--to-source', target.toSource);
+  }
+  if (target.addSet) {
+    tokens.push('--add-set', target.addSet.name, target.addSet.direction, '--exist');
+    if (!_.isNil(target.addSet.timeout)) {
+      tokens.push('--timeout', `${target.addSet.timeout}`);
+    }
+  }
+  if (!_.isNil(target.logGroup)) {
+    tokens.push('--nflog-group', `${target.logGroup}`);
+  }
+  if (!_.isNil(target.logPrefix)) {
+    // The prefix usually ends with a space
+    tokens.push(target.jump === 'NFLOG' ? '--nflog-prefix' : '--log-prefix', `"${target.logPrefix}"`);
+  }
+  if (!_.isNil(target.logLevel)) {
+    tokens.push('--log-level', target.logLevel);
+  }
+
+  return tokens;
+}
+
+/**
+ * Render an operation as iptables, ip6tables or ipset command
+ * @param {NetfilterOperation} operation The operation
+ * @return {SecurityCommand} The command
+ * @throws {commonErrors.IllegalArgumentError} If the operation is invalid
+ */
+function renderOperation(operation) {
+  if (operation.kind === 'set') {
+    return {
+      type: 'ipset',
+      value: renderSetOperation(operation)
+    };
+  }
+
+  const tokens = operation.table && operation.table !== 'filter' ? ['-t', operation.table] : [];
+  if (operation.kind === 'chain' && CHAIN_ACTIONS[operation.action]) {
+    tokens.push(CHAIN_ACTIONS[operation.action], operation.chain);
+  } else if (operation.kind === 'rule' && RULE_ACTIONS[operation.action]) {
+    tokens.push(RULE_ACTIONS[operation.action], operation.chain);
+    if (operation.action === 'insert') {
+      tokens.push(`${operation.position}`);
+    }
+    Array.prototype.push.apply(tokens, renderRuleSpecification(operation));
+  } else {
+    throw new commonErrors.IllegalArgumentError(`Invalid operation ${operation.kind} ${operation.action}`);
+  }
+
+  return {
+    type: operation.ipVersion === 6 ? 'iptables-6' : 'iptables-4',
+    value: tokens.join(' ')
+  };
+}
+
+/**
+ * Render the ipset create command
+ * @param {string} name The set name
+ * @param {NetfilterOperation} operation The set create or replace operation
+ * @return {string} The ipset command
+ */
+function renderSetCreate(name, operation) {
+  // With timeout 0, the members added without timeout never expire
+  const timeoutOption = operation.withTimeout === true ? ' timeout 0' : '';
+  return `-! create ${name} ${operation.setType || 'hash:net'} family ${ipFamilies.getSetFamily(operation.ipVersion)}${timeoutOption}`;
+}
+
+/**
+ * Render a set operation as ipset command
+ * @param {NetfilterOperation} operation The set operation
+ * @return {string} The ipset command
+ * @throws {commonErrors.IllegalArgumentError} If the operation is invalid
+ */
+function renderSetOperation(operation) {
+  switch (operation.action) {
+    case 'create':
+      return renderSetCreate(operation.name, operation);
+    case 'destroy':
+      return `-! destroy ${operation.name}`;
+    case 'flush':
+      return `flush ${operation.name}`;
+    case 'add':
+      return _.isNil(operation.timeout) ? `-! add ${operation.name} ${operation.member}` : `-! add ${operation.name} ${operation.member} timeout ${operation.timeout}`;
+    case 'del':
+      return `-! del ${operation.name} ${operation.member}`;
+    case 'swap':
+      return `swap ${operation.name} ${operation.otherName}`;
+    case 'replace':
+      throw new commonErrors.IllegalArgumentError(`The set operation replace of ${operation.name} needs several commands, use render`);
+    default:
+      throw new commonErrors.IllegalArgumentError(`Invalid set operation ${operation.action}`);
+  }
+}
+
+/**
+ * Render a set replace operation as ipset commands: the temporary set is filled, swapped with the set and destroyed.
+ * Applied with ipset restore, the set is never partially filled.
+ * @param {NetfilterOperation} operation The set replace operation
+ * @return {SecurityCommand[]} The commands
+ */
+function renderSetReplace(operation) {
+  const temporaryName = operation.temporaryName,
+    members = operation.members || [];
+
+  let createCommand = renderSetCreate(temporaryName, operation);
+  if (members.length > IPSET_DEFAULT_MAX_ELEMENTS) {
+    createCommand += ` maxelem ${members.length}`;
+  }
+
+  // The temporary set may remain from an interrupted run
+  const values = _.concat(
+    [createCommand, `flush ${temporaryName}`],
+    _.map(members, member => {
+      const timeout = _.get(operation.timeouts, member);
+      return _.isNil(timeout) ? `-! add ${temporaryName} ${member}` : `-! add ${temporaryName} ${member} timeout ${timeout}`;
+    }),
+    [`swap ${temporaryName} ${operation.name}`, `-! destroy ${temporaryName}`]
+  );
+
+  return _.map(values, value => ({
+    type: 'ipset',
+    value: value
+  }));
+}
+
+/**
+ * Render the operations as iptables, ip6tables and ipset commands
+ * @param {NetfilterOperation[]} operations The operations
+ * @return {SecurityCommand[]} The commands
+ */
+function render(operations) {
+  return _.flatMap(operations, operation => {
+    if (operation.kind === 'set' && operation.action === 'replace') {
+      return renderSetReplace(operation);
+    }
+
+    return [renderOperation(operation)];
+  });
+}
+
+exports.renderOperation = module.exports.renderOperation = renderOperation;
+exports.render = module.exports.render = render;
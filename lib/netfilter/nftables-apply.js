@@ -0,0 +1,111 @@
+const _ = require('lodash'),
+  nftablesRenderer = require('./nftables-renderer'),
+  runProcess = require('./process-runner').runProcess;
+
+/**
+ * The nft families of our tables
+ * @type {string[]}
+ */
+const FAMILIES = ['ip', 'ip6'];
+
+/**
+ * Saved state of our tables. The key is the family, the value the listing or null if the table does not exist
+ * @typedef {Object.<string, string|null>} NftablesApply~Snapshot
+ */
+
+/**
+ * List our table of the family
+ * @param {string} family The family
+ * @param {string[]} [extraArguments] The other arguments given to nft
+ * @return {Promise} The listing or null if the table does not exist on resolve
+ */
+function listTable(family, extraArguments) {
+  return runProcess('nft', _.concat(extraArguments || [], ['list', 'table', family, nftablesRenderer.TABLE_NAME]))
+    .then(result => result.stdout, error => {
+      if (!_.isNil(error.exitCode)) {
+        // The table does not exist yet
+        return null;
+      }
+
+      throw error;
+    });
+}
+
+/**
+ * Load the rules of our live tables
+ * @return {Promise} {@link NftablesRenderer~LiveRules} on resolve
+ */
+function loadLiveRules() {
+  const liveRules = {};
+
+  let workflowPromise = Promise.resolve();
+  _.each(FAMILIES, family => {
+    workflowPromise = workflowPromise
+      .then(() => listTable(family, ['-a']))
+      .then(listing => {
+        liveRules[family] = _.isNil(listing) ? {} : nftablesRenderer.parseListing(listing);
+      });
+  });
+
+  return workflowPromise.then(() => liveRules);
+}
+
+/**
+ * Take a snapshot of our tables
+ * @return {Promise} {@link NftablesApply~Snapshot} on resolve
+ */
+function takeSnapshot() {
+  const snapshot = {};
+
+  let workflowPromise = Promise.resolve();
+  _.each(FAMILIES, family => {
+    workflowPromise = workflowPromise
+      .then(() => listTable(family))
+      .then(listing => {
+        snapshot[family] = listing;
+      });
+  });
+
+  return workflowPromise.then(() => snapshot);
+}
+
+/**
+ * Apply the script with nft -f. nft applies the whole script in one transaction.
+ * @param {string} script The script
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function applyScript(script, logger) {
+  logger.debug("Apply the nft script");
+  return runProcess('nft', ['-f', '-'], script);
+}
+
+/**
+ * Restore the snapshot: our tables are deleted and loaded back from the listing
+ * @param {NftablesApply~Snapshot} snapshot The snapshot
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function restoreSnapshot(snapshot, logger) {
+  let script = '';
+  _.each(FAMILIES, family => {
+    if (!_.has(snapshot, family)) {
+      return;
+    }
+
+    // Declaring the table first makes the delete work when it does not exist
+    script += `table ${family} ${nftablesRenderer.TABLE_NAME} {}\n`;
+    script += `delete table ${family} ${nftablesRenderer.TABLE_NAME}\n`;
+    if (!_.isNil(snapshot[family])) {
+      script += `${snapshot[family]}\n`;
+    }
+  });
+
+  logger.info("Restore the nftables snapshot");
+  return runProcess('nft', ['-f', '-'], script);
+}
+
+exports.loadLiveRules = module.exports.loadLiveRules = loadLiveRules;
+exports.takeSnapshot = module.exports.takeSnapshot = takeSnapshot;
+exports.applyScript = module.exports.applyScript = applyScript;
+exports.restoreSnapshot = module.exports.restoreSnapshot = restoreSnapshot;
@@ -0,0 +1,453 @@
+const _ = require('lodash'),
+  crypto = require('crypto'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  operations = require('./operations');
+
+/**
+ * The table containing all the chains and sets, one per family
+ * @type {string}
+ */
+const TABLE_NAME = 'ze_netfilter';
+
+/**
+ * The prefix of the rule comments identifying the rules
+ * @type {string}
+ */
+const RULE_ID_PREFIX = 'ze:';
+
+/**
+ * The base chains per iptables table: hook and priority
+ * @type {Object.<string, Object.<string, {hook: string, priority: number}>>}
+ */
+const BASE_CHAINS = {
+  filter: {
+    INPUT: {hook: 'input', priority: 0},
+    FORWARD: {hook: 'forward', priority: 0},
+    OUTPUT: {hook: 'output', priority: 0}
+  },
+  nat: {
+    PREROUTING: {hook: 'prerouting', priority: -100},
+    INPUT: {hook: 'input', priority: 100},
+    OUTPUT: {hook: 'output', priority: -100},
+    POSTROUTING: {hook: 'postrouting', priority: 100}
+  }
+};
+
+/**
+ * The icmpv6 type names of iptables and their name for nft
+ * @type {Object.<string, string>}
+ */
+const ICMPV6_TYPES = {
+  'router-solicitation': 'nd-router-solicit',
+  'router-advertisement': 'nd-router-advert',
+  'neighbour-solicitation': 'nd-neighbor-solicit',
+  'neighbor-solicitation': 'nd-neighbor-solicit',
+  'neighbour-advertisement': 'nd-neighbor-advert',
+  'neighbor-advertisement': 'nd-neighbor-advert',
+  'redirect': 'nd-redirect'
+};
+
+/**
+ * The verdicts and statements of the built-in targets
+ * @type {Object.<string, string>}
+ */
+const TARGET_STATEMENTS = {
+  ACCEPT: 'accept',
+  DROP: 'drop',
+  RETURN: 'return',
+  REJECT: 'reject',
+  MASQUERADE: 'masquerade'
+};
+
+/**
+ * The syslog levels of the target LOG and their name for nft
+ * @type {Object.<string, string>}
+ */
+const LOG_LEVELS = {
+  error: 'err',
+  warning: 'warn'
+};
+
+/**
+ * The live rules of our tables: the handle per rule id, per chain, per family
+ * @typedef {Object.<string, Object.<string, Object.<string, number>>>} NftablesRenderer~LiveRules
+ */
+
+/**
+ * Returns the nft family of the ip version
+ * @param {number} ipVersion The ip version
+ * @return {string} ip or ip6
+ */
+function getFamily(ipVersion) {
+  return ipVersion === 6 ? 'ip6' : 'ip';
+}
+
+/**
+ * Returns the nft chain name, the chains of the other tables than filter are prefixed by the table
+ * @param {string} table The iptables table
+ * @param {string} chain The iptables chain
+ * @return {string} The chain name
+ */
+function getChainName(table, chain) {
+  return !table || table === 'filter' ? chain : `${table}_${chain}`;
+}
+
+/**
+ * Returns the nft port or range
+ * @param {number|string} value The port or the iptables range (1024:65535)
+ * @return {string} The port or range (1024-65535)
+ */
+function renderPort(value) {
+  return `${value}`.replace(':', '-');
+}
+
+/**
+ * Render one match field as nft expression
+ * @param {string} field The field name
+ * @param {*} value The value
+ * @param {NetfilterOperation~Match} match The whole match (to get the protocol)
+ * @param {number} ipVersion The ip version
+ * @param {boolean} negated true if the field is negated
+ * @return {string|undefined} The expression, undefined if handled by another field
+ */
+function renderMatchField(field, value, match, ipVersion, negated) {
+  const operator = negated ? '!= ' : '',
+    addressFamily = getFamily(ipVersion),
+    protocol = match.protocol || _.get(match, 'not.protocol');
+
+  switch (field) {
+    case 'protocol':
+      // The ports and the icmp type imply the protocol
+      if (!negated && (!_.isNil(match.sourcePort) || !_.isNil(match.destinationPort) || !_.isNil(match.icmpType))) {
+        return undefined;
+      }
+      return `meta l4proto ${operator}${value}`;
+    case 'icmpType':
+      if (ipVersion === 6) {
+        return `icmpv6 type ${operator}${ICMPV6_TYPES[value] || value}`;
+      }
+      return `icmp type ${operator}${value}`;
+    case 'inInterface':
+      return `iifname ${operator}"${value}"`;
+    case 'outInterface':
+      return `oifname ${operator}"${value}"`;
+    case 'source':
+      return `${addressFamily} saddr ${operator}${value}`;
+    case 'destination':
+      return `${addressFamily} daddr ${operator}${value}`;
+    case 'sourcePort':
+      return `${protocol} sport ${operator}${renderPort(value)}`;
+    case 'destinationPort':
+      return `${protocol} dport ${operator}${renderPort(value)}`;
+    case 'state': {
+      const states = _.map(_.castArray(value), _.toLower);
+      return `ct state ${operator}${states.length === 1 ? states[0] : `{ ${states.join(', ')} }`}`;
+    }
+    case 'uidOwner':
+      return `meta skuid ${operator}${value}`;
+    case 'gidOwner':
+      return `meta skgid ${operator}${value}`;
+    case 'set':
+      return `${addressFamily} ${value.direction === 'dst' ? 'daddr' : 'saddr'} ${operator}@${value.name}`;
+    case 'limit':
+      return `limit rate ${value.rate}${_.isNil(value.burst) ? '' : ` burst ${value.burst} packets`}`;
+    case 'hashLimit':
+      return `meter ${value.name} { ${addressFamily} saddr limit rate over ${value.rate}${_.isNil(value.burst) ? '' : ` burst ${value.burst} packets`} }`;
+    case 'connectionLimit':
+      return `meter ${value.name} { ${addressFamily} saddr ct count over ${value.above} }`;
+    case 'recent':
+      throw new commonErrors.IllegalArgumentError('The match recent is not supported by nftables, use a hashlimit');
+    default:
+      throw new commonErrors.IllegalArgumentError(`Unknown match ${field}`);
+  }
+}
+
+/**
+ * The order of the match fields in the rule
+ * @type {string[]}
+ */
+const MATCH_FIELDS = ['inInterface', 'outInterface', 'source', 'destination', 'set', 'protocol', 'icmpType', 'sourcePort',
+  'destinationPort', 'state', 'uidOwner', 'gidOwner', 'connectionLimit', 'hashLimit', 'recent', 'limit'];
+
+/**
+ * Render the statement of the target
+ * @param {NetfilterOperation} operation The rule operation
+ * @return {string} The statement
+ */
+function renderTarget(operation) {
+  const target = operation.target;
+
+  if (target.jump === 'DNAT') {
+    return `dnat to ${target.toDestination}`;
+  } else if (target.jump === 'SNAT') {
+    return `snat to ${target.toSource}`;
+  } else if (target.jump === 'LOG' || target.jump === 'NFLOG') {
+    const parts = ['log'];
+    if (target.jump === 'NFLOG') {
+      parts.push(`group ${target.logGroup || 0}`);
+    }
+    if (!_.isNil(target.logPrefix)) {
+      parts.push(`prefix "${target.logPrefix}"`);
+    }
+    if (!_.isNil(target.logLevel)) {
+      parts.push(`level ${LOG_LEVELS[target.logLevel] || target.logLevel}`);
+    }
+    return parts.join(' ');
+  } else if (target.jump === 'SET') {
+    // The address is added like ipset --exist: the packets of a source already in the set do not reach the rule
+    const address = `${getFamily(operation.ipVersion)} ${target.addSet.direction === 'dst' ? 'daddr' : 'saddr'}`,
+      timeout = _.isNil(target.addSet.timeout) ? '' : ` timeout ${target.addSet.timeout}s`;
+    return `add @${target.addSet.name} { ${address}${timeout} }`;
+  } else if (operations.isChainTarget(target)) {
+    return `jump ${getChainName(operation.table, target.jump)}`;
+  } else if (!TARGET_STATEMENTS[target.jump]) {
+    throw new commonErrors.IllegalArgumentError(`The target ${target.jump} is not supported by nftables`);
+  }
+
+  return TARGET_STATEMENTS[target.jump];
+}
+
+/**
+ * Render the rule expression (matches and statement) without the comment
+ * @param {NetfilterOperation} operation The rule operation
+ * @return {string} The expression
+ */
+function renderRuleExpression(operation) {
+  const match = operation.match || {},
+    negatedMatch = match.not || {},
+    parts = [];
+
+  _.each(MATCH_FIELDS, field => {
+    if (!_.isNil(match[field])) {
+      parts.push(renderMatchField(field, match[field], match, operation.ipVersion, false));
+    }
+    if (!_.isNil(negatedMatch[field])) {
+      parts.push(renderMatchField(field, negatedMatch[field], match, operation.ipVersion, true));
+    }
+  });
+
+  parts.push(renderTarget(operation));
+  return _.compact(parts).join(' ');
+}
+
+/**
+ * Returns the id of the rule, written in the rule comment to find the rule in the live ruleset
+ * @param {string} chainName The nft chain name
+ * @param {string} expression The rule expression
+ * @return {string} The id
+ */
+function getRuleId(chainName, expression) {
+  return crypto.createHash('sha1').update(`${chainName} ${expression}`).digest('hex').substr(0, 16);
+}
+
+/**
+ * Render the set type.
+ * The networks are stored in an interval set merging the overlapping members (auto-merge), like ipset does
+ * with hash:net: without it, adding 10.1.0.0/16 to a set containing 10.0.0.0/8 fails.
+ * @param {NetfilterOperation} operation The set create operation
+ * @return {string} The set specification
+ */
+function renderSetSpecification(operation) {
+  const addressType = operation.ipVersion === 6 ? 'ipv6_addr' : 'ipv4_addr',
+    flags = [];
+  let interval = false;
+  if (!operation.setType || operation.setType === 'hash:net') {
+    flags.push('interval');
+    interval = true;
+  } else if (operation.setType !== 'hash:ip') {
+    throw new commonErrors.IllegalArgumentError(`The set type ${operation.setType} is not supported by nftables`);
+  }
+  if (operation.withTimeout === true && !interval) {
+    // The addresses expiring are added by the rules too (BLOCK), the interval sets cannot be updated from the packet path
+    flags.push('dynamic', 'timeout');
+  } else if (operation.withTimeout === true) {
+    flags.push('timeout');
+  }
+
+  const declarations = [`type ${addressType};`];
+  if (flags.length > 0) {
+    declarations.push(`flags ${flags.join(', ')};`);
+  }
+  if (interval) {
+    declarations.push('auto-merge;');
+  }
+
+  return `{ ${declarations.join(' ')} }`;
+}
+
+/**
+ * Render the declarations needed by the operations: the tables and the base chains
+ * @param {NetfilterOperation[]} operationsToRender The operations
+ * @return {string} The nft commands
+ */
+function renderPreamble(operationsToRender) {
+  let data = '';
+
+  const ipVersions = _.sortBy(_.uniq(_.map(operationsToRender, 'ipVersion')));
+  _.each(ipVersions, ipVersion => {
+    const family = getFamily(ipVersion);
+    data += `add table ${family} ${TABLE_NAME}\n`;
+
+    const baseChains = _.uniqBy(_.filter(operationsToRender, operation => {
+      return operation.ipVersion === ipVersion && operation.kind === 'rule' && _.has(BASE_CHAINS, [operation.table, operation.chain]);
+    }), operation => `${operation.table}/${operation.chain}`);
+
+    _.each(baseChains, operation => {
+      const baseChain = BASE_CHAINS[operation.table][operation.chain];
+      data += `add chain ${family} ${TABLE_NAME} ${getChainName(operation.table, operation.chain)} { type ${operation.table} hook ${baseChain.hook} priority ${baseChain.priority}; policy accept; }\n`;
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Render the operations as nft commands.
+ * The chains created are flushed and rebuilt. Without live rules, the rules deleted cannot be resolved
+ * and are written as comments. With the live rules, the rules added to the other chains are skipped when present.
+ * @param {NetfilterOperation[]} operationsToRender The operations
+ * @param {NftablesRenderer~LiveRules} [liveRules] The rules of our live tables
+ * @param {Object.<string, boolean>} [rebuiltChains] The chains rebuilt, shared when the operations are rendered in several calls
+ * @return {string} The nft commands
+ * @throws {commonErrors.IllegalArgumentError} If an operation is not supported
+ */
+function renderOperations(operationsToRender, liveRules, rebuiltChains) {
+  rebuiltChains = rebuiltChains || {};
+  let data = '';
+
+  _.each(operationsToRender, operation => {
+    const family = getFamily(operation.ipVersion),
+      prefix = `${family} ${TABLE_NAME}`;
+
+    if (operation.kind === 'chain') {
+      const chainName = getChainName(operation.table, operation.chain);
+      switch (operation.action) {
+        case 'create':
+          rebuiltChains[`${family}/${chainName}`] = true;
+          data += `add chain ${prefix} ${chainName}\n`;
+          data += `flush chain ${prefix} ${chainName}\n`;
+          break;
+        case 'flush':
+          rebuiltChains[`${family}/${chainName}`] = true;
+          data += `flush chain ${prefix} ${chainName}\n`;
+          break;
+        case 'delete':
+          data += `delete chain ${prefix} ${chainName}\n`;
+          break;
+        default:
+          throw new commonErrors.IllegalArgumentError(`Invalid chain operation ${operation.action}`);
+      }
+    } else if (operation.kind === 'rule') {
+      const chainName = getChainName(operation.table, operation.chain),
+        expression = renderRuleExpression(operation),
+        ruleId = getRuleId(chainName, expression),
+        liveHandle = _.get(liveRules, [family, chainName, ruleId]);
+
+      if (operation.action === 'delete') {
+        if (_.isNil(liveHandle)) {
+          data += `# rule not found in ${chainName}: ${expression}\n`;
+        } else {
+          data += `delete rule ${prefix} ${chainName} handle ${liveHandle}\n`;
+        }
+        return;
+      }
+
+      if (!rebuiltChains[`${family}/${chainName}`] && !_.isNil(liveHandle)) {
+        // Already present
+        return;
+      }
+
+      const rule = `${expression} comment "${RULE_ID_PREFIX}${ruleId}"`;
+      if (operation.action === 'append') {
+        data += `add rule ${prefix} ${chainName} ${rule}\n`;
+      } else if (operation.action === 'insert' && operation.position > 1) {
+        // The index is the position of the rule after which the rule is added
+        data += `add rule ${prefix} ${chainName} index ${operation.position - 2} ${rule}\n`;
+      } else if (operation.action === 'insert') {
+        data += `insert rule ${prefix} ${chainName} ${rule}\n`;
+      } else {
+        throw new commonErrors.IllegalArgumentError(`Invalid rule operation ${operation.action}`);
+      }
+    } else if (operation.kind === 'set') {
+      switch (operation.action) {
+        case 'create':
+          data += `add set ${prefix} ${operation.name} ${renderSetSpecification(operation)}\n`;
+          break;
+        case 'destroy':
+          data += `delete set ${prefix} ${operation.name}\n`;
+          break;
+        case 'flush':
+          data += `flush set ${prefix} ${operation.name}\n`;
+          break;
+        case 'add':
+          data += `add element ${prefix} ${operation.name} { ${_.isNil(operation.timeout) ? operation.member : `${operation.member} timeout ${operation.timeout}s`} }\n`;
+          break;
+        case 'del':
+          data += `delete element ${prefix} ${operation.name} { ${operation.member} }\n`;
+          break;
+        case 'replace':
+          // nft applies the script in one transaction, the set is never partially filled
+          data += `flush set ${prefix} ${operation.name}\n`;
+          if (!_.isEmpty(operation.members)) {
+            const elements = _.map(operation.members, member => {
+              const timeout = _.get(operation.timeouts, member);
+              return _.isNil(timeout) ? member : `${member} timeout ${timeout}s`;
+            });
+            data += `add element ${prefix} ${operation.name} { ${elements.join(', ')} }\n`;
+          }
+          break;
+        default:
+          throw new commonErrors.IllegalArgumentError(`The set operation ${operation.action} is not supported by nftables`);
+      }
+    } else {
+      throw new commonErrors.IllegalArgumentError(`Invalid operation ${operation.kind}`);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Render the operations as a script for nft -f
+ * @param {NetfilterOperation[]} operationsToRender The operations
+ * @param {NftablesRenderer~LiveRules} [liveRules] The rules of our live tables
+ * @return {string} The script
+ */
+function render(operationsToRender, liveRules) {
+  return renderPreamble(operationsToRender) + renderOperations(operationsToRender, liveRules);
+}
+
+/**
+ * Parse the output of nft -a list table to find the rules we added
+ * @param {string} data The output
+ * @return {Object.<string, Object.<string, number>>} The handle per rule id per chain
+ */
+function parseListing(data) {
+  const rules = {};
+  let chainName = undefined;
+
+  _.each(_.split(data, '\n'), line => {
+    const chainMatch = /^\s*chain\s+(\S+)\s*\{/.exec(line);
+    if (chainMatch) {
+      chainName = chainMatch[1];
+      return;
+    }
+
+    const ruleMatch = new RegExp(`comment\\s+"${RULE_ID_PREFIX}([0-9a-f]+)".*#\\s*handle\\s+(\\d+)`).exec(line);
+    if (chainName && ruleMatch) {
+      _.set(rules, [chainName, ruleMatch[1]], parseInt(ruleMatch[2], 10));
+    }
+  });
+
+  return rules;
+}
+
+exports.TABLE_NAME = module.exports.TABLE_NAME = TABLE_NAME;
+exports.getFamily = module.exports.getFamily = getFamily;
+exports.getChainName = module.exports.getChainName = getChainName;
+exports.renderRuleExpression = module.exports.renderRuleExpression = renderRuleExpression;
+exports.renderPreamble = module.exports.renderPreamble = renderPreamble;
+exports.renderOperations = module.exports.renderOperations = renderOperations;
+exports.render = module.exports.render = render;
+exports.parseListing = module.exports.parseListing = parseListing;
@@ -0,0 +1,229 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * The match part of a rule. All the fields are optional.
+ * @typedef {Object} NetfilterOperation~Match
+ * @property {string} [protocol] The protocol (tcp, udp, icmp, ipv6-icmp)
+ * @property {string} [source] The source address or network
+ * @property {string} [destination] The destination address or network
+ * @property {string} [inInterface] The input interface
+ * @property {string} [outInterface] The output interface
+ * @property {number|string} [sourcePort] The source port or range (1024:65535)
+ * @property {number|string} [destinationPort] The destination port or range
+ * @property {number|string} [icmpType] The icmp type (icmp or ipv6-icmp protocol)
+ * @property {string[]} [state] The connection states (NEW, ESTABLISHED, RELATED)
+ * @property {number} [uidOwner] The owner user id (output only)
+ * @property {number} [gidOwner] The owner group id (output only)
+ * @property {{name: string, direction: string}} [set] The set to match, direction is src or dst
+ * @property {{rate: string, burst: number}} [limit] The rate limit, the rate is a number per second, minute, hour or day (5/minute)
+ * @property {{name: string, rate: string, burst: number}} [hashLimit] Match the sources above the rate, one bucket per source
+ * @property {{name: string, above: number}} [connectionLimit] Match the sources having more connections
+ * @property {{name: string, seconds: number, hits: number}} [recent] Record the source and match it when seen hits times in the seconds
+ * @property {NetfilterOperation~Match} [not] The negated matches
+ */
+
+/**
+ * The target of a rule
+ * @typedef {Object} NetfilterOperation~Target
+ * @property {string} jump The target: ACCEPT, DROP, RETURN, REJECT, DNAT, SNAT, MASQUERADE, LOG, NFLOG, SET or a chain name
+ * @property {string} [toDestination] The destination (DNAT)
+ * @property {string} [toSource] The source (SNAT)
+ * @property {string} [logPrefix] The prefix of the log messages (LOG and NFLOG)
+ * @property {string} [logLevel] The syslog level: emerg, alert, crit, error, warning, notice, info or debug (LOG)
+ * @property {number} [logGroup] The netlink group (NFLOG)
+ * @property {{name: string, direction: string, timeout: number}} [addSet] The set receiving the address (SET), direction is src or dst
+ */
+
+/**
+ * A backend-neutral netfilter operation
+ * @typedef {Object} NetfilterOperation
+ * @property {string} kind chain, rule or set
+ * @property {string} action The action. chain: create, flush, delete. rule: append, insert, delete.
+ *  set: create, destroy, flush, add, del, swap, replace
+ * @property {number} [ipVersion] The ip version (4 or 6)
+ * @property {string} [table] The table (chain and rule)
+ * @property {string} [chain] The chain name (chain and rule)
+ * @property {number} [position] The position (rule insert)
+ * @property {NetfilterOperation~Match} [match] The match (rule)
+ * @property {NetfilterOperation~Target} [target] The target (rule)
+ * @property {string} [item] The configuration item generating the rule (rule)
+ * @property {string} [name] The set name (set)
+ * @property {string} [setType] The set type (set create), hash:net by default
+ * @property {boolean} [withTimeout] true if the members can expire (set create and replace)
+ * @property {string} [member] The set member (set add and del)
+ * @property {number} [timeout] The timeout of the member in seconds, the set must support the timeouts (set add)
+ * @property {string} [otherName] The other set name (set swap)
+ * @property {string[]} [members] The new members (set replace)
+ * @property {Object.<string, number>} [timeouts] The timeout in seconds of the members, the others never expire (set replace)
+ * @property {string} [temporaryName] The set filled then swapped with the set (set replace)
+ */
+
+/**
+ * The built-in targets, the other targets are chains
+ * @type {string[]}
+ */
+const BUILTIN_TARGETS = ['ACCEPT', 'DROP', 'RETURN', 'REJECT', 'DNAT', 'SNAT', 'MASQUERADE', 'LOG', 'NFLOG', 'SET'];
+
+/**
+ * The maximal timeout of a set member accepted by ipset, in seconds (about 24.8 days)
+ * @type {number}
+ */
+const MAX_SET_TIMEOUT_SECONDS = 2147483;
+
+/**
+ * Create a chain operation
+ * @param {string} action The action (create, flush, delete)
+ * @param {number} ipVersion The ip version
+ * @param {string} chain The chain name
+ * @param {string} [table] The table, filter by default
+ * @return {NetfilterOperation} The operation
+ */
+function chainOperation(action, ipVersion, chain, table) {
+  return {
+    kind: 'chain',
+    action: action,
+    ipVersion: ipVersion,
+    table: table || 'filter',
+    chain: chain
+  };
+}
+
+/**
+ * Create a rule operation
+ * @param {string} action The action (append, insert, delete)
+ * @param {number} ipVersion The ip version
+ * @param {string} chain The chain name
+ * @param {Object} specification The rule
+ * @param {NetfilterOperation~Match} [specification.match] The match
+ * @param {NetfilterOperation~Target} specification.target The target
+ * @param {string} [specification.table] The table, filter by default
+ * @param {string} [specification.item] The configuration item generating the rule
+ * @param {number} [position] The position (insert)
+ * @return {NetfilterOperation} The operation
+ */
+function ruleOperation(action, ipVersion, chain, specification, position) {
+  const operation = {
+    kind: 'rule',
+    action: action,
+    ipVersion: ipVersion,
+    table: specification.table || 'filter',
+    chain: chain,
+    match: specification.match || {},
+    target: specification.target
+  };
+
+  if (action === 'insert') {
+    operation.position = position || 1;
+  }
+  if (specification.item) {
+    operation.item = specification.item;
+  }
+
+  return operation;
+}
+
+/**
+ * Create a set operation
+ * @param {string} action The action (create, destroy, flush, add, del, swap, replace)
+ * @param {number} ipVersion The ip version of the set
+ * @param {string} name The set name
+ * @param {Object} [properties] The other properties (setType, withTimeout, member, otherName, members, timeouts, temporaryName)
+ * @return {NetfilterOperation} The operation
+ */
+function setOperation(action, ipVersion, name, properties) {
+  return _.assign({
+    kind: 'set',
+    action: action,
+    ipVersion: ipVersion,
+    name: name
+  }, properties);
+}
+
+/**
+ * Returns true if the target is a chain
+ * @param {NetfilterOperation~Target} target The target
+ * @return {boolean} true for a jump to a chain
+ */
+function isChainTarget(target) {
+  return BUILTIN_TARGETS.indexOf(target.jump) === -1;
+}
+
+/**
+ * Returns the operation to undo the rule operation (append and insert become delete)
+ * @param {NetfilterOperation} operation The rule operation
+ * @return {NetfilterOperation} The delete operation
+ */
+function toDeleteRule(operation) {
+  return ruleOperation('delete', operation.ipVersion, operation.chain, operation);
+}
+
+/**
+ * Returns the operations undoing the operation
+ * @param {NetfilterOperation} operation The operation
+ * @return {NetfilterOperation[]} The operations
+ * @throws {commonErrors.IllegalArgumentError} If the operation cannot be undone
+ */
+function invertOperation(operation) {
+  if (operation.kind === 'chain' && operation.action === 'create') {
+    return [
+      chainOperation('flush', operation.ipVersion, operation.chain, operation.table),
+      chainOperation('delete', operation.ipVersion, operation.chain, operation.table)
+    ];
+  } else if (operation.kind === 'rule' && ['append', 'insert'].indexOf(operation.action) !== -1) {
+    return [toDeleteRule(operation)];
+  } else if (operation.kind === 'set' && operation.action === 'create') {
+    return [setOperation('destroy', operation.ipVersion, operation.name)];
+  } else if (operation.kind === 'set' && operation.action === 'add') {
+    return [setOperation('del', operation.ipVersion, operation.name, {member: operation.member})];
+  } else if (operation.kind === 'set' && operation.action === 'swap') {
+    // Swapping again restores the sets
+    return [setOperation('swap', operation.ipVersion, operation.name, {otherName: operation.otherName})];
+  } else if (operation.kind === 'set' && operation.action === 'replace') {
+    // The previous members are lost, the set is emptied
+    return [setOperation('flush', operation.ipVersion, operation.name)];
+  }
+
+  throw new commonErrors.IllegalArgumentError(`The ${operation.kind} operation ${operation.action} cannot be undone`);
+}
+
+/**
+ * Returns the operations undoing the operations. The operations are undone in the reverse order so a chain or a set
+ * is removed after the rules using it.
+ * @param {NetfilterOperation[]} operationList The operations
+ * @return {NetfilterOperation[]} The operations
+ * @throws {commonErrors.IllegalArgumentError} If an operation cannot be undone
+ */
+function invertOperations(operationList) {
+  return _.flatMap(_.reverse(_.clone(operationList)), invertOperation);
+}
+
+exports.BUILTIN_TARGETS = module.exports.BUILTIN_TARGETS = BUILTIN_TARGETS;
+exports.MAX_SET_TIMEOUT_SECONDS = module.exports.MAX_SET_TIMEOUT_SECONDS = MAX_SET_TIMEOUT_SECONDS;
+exports.createChain = module.exports.createChain = _.partial(chainOperation, 'create');
+exports.flushChain = module.exports.flushChain = _.partial(chainOperation, 'flush');
+exports.deleteChain = module.exports.deleteChain = _.partial(chainOperation, 'delete');
+exports.appendRule = module.exports.appendRule = (ipVersion, chain, specification) => ruleOperation('append', ipVersion, chain, specification);
+exports.insertRule = module.exports.insertRule = (ipVersion, chain, position, specification) => ruleOperation('insert', ipVersion, chain, specification, position);
+exports.deleteRule = module.exports.deleteRule = (ipVersion, chain, specification) => ruleOperation('delete', ipVersion, chain, specification);
+exports.createSet = module.exports.createSet = (ipVersion, name, setType, withTimeout) => setOperation('create', ipVersion, name, {
+  setType: setType || 'hash:net',
+  withTimeout: withTimeout === true
+});
+exports.destroySet = module.exports.destroySet = (ipVersion, name) => setOperation('destroy', ipVersion, name);
+exports.flushSet = module.exports.flushSet = (ipVersion, name) => setOperation('flush', ipVersion, name);
+exports.addSetMember = module.exports.addSetMember = (ipVersion, name, member, timeout) => setOperation('add', ipVersion, name, _.isNil(timeout) ? {member: member} : {member: member, timeout: timeout});
+exports.deleteSetMember = module.exports.deleteSetMember = (ipVersion, name, member) => setOperation('del', ipVersion, name, {member: member});
+exports.swapSets = module.exports.swapSets = (ipVersion, name, otherName) => setOperation('swap', ipVersion, name, {otherName: otherName});
+exports.replaceSetMembers = module.exports.replaceSetMembers = (ipVersion, name, members, setType, timeouts) => setOperation('replace', ipVersion, name, {
+  setType: setType || 'hash:net',
+  withTimeout: !_.isNil(timeouts),
+  members: members,
+  timeouts: timeouts || {},
+  temporaryName: `${name}_tmp`
+});
+exports.isChainTarget = module.exports.isChainTarget = isChainTarget;
+exports.toDeleteRule = module.exports.toDeleteRule = toDeleteRule;
+exports.invertOperation = module.exports.invertOperation = invertOperation;
+exports.invertOperations = module.exports.invertOperations = invertOperations;
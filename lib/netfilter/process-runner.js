@@ -0,0 +1,74 @@
+const child_process = require('child_process');
+
+/**
+ * Result of a process execution
+ * @typedef {Object} ProcessRunner~Result
+ * @property {string} stdout The standard output
+ * @property {string} stderr The error output
+ */
+
+/**
+ * Run the binary with the arguments and write the input on the standard input.
+ * The binary is searched using the PATH.
+ * @param {string} binary The binary
+ * @param {string[]} args The arguments
+ * @param {string} [input] The data to write in the standard input
+ * @return {Promise} {@link ProcessRunner~Result} on resolve. On failure the error contains exitCode, stdout and stderr
+ */
+function runProcess(binary, args, input) {
+  return new Promise((resolve, reject) => {
+    const commandLine = [binary].concat(args).join(' ');
+    let stdout = '',
+      stderr = '',
+      done = false;
+
+    const child = child_process.spawn(binary, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    child.stdout.on('data', data => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+
+    child.on('error', error => {
+      if (done) {
+        return;
+      }
+
+      done = true;
+      error.message = `Cannot execute ${commandLine}: ${error.message}`;
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    child.on('close', exitCode => {
+      if (done) {
+        return;
+      }
+
+      done = true;
+      if (exitCode !== 0) {
+        const error = new Error(`${commandLine} exited with code ${exitCode}: ${stderr.trim()}`);
+        error.exitCode = exitCode;
+        error.stdout = stdout;
+        error.stderr = stderr;
+        return reject(error);
+      }
+
+      resolve({
+        stdout: stdout,
+        stderr: stderr
+      });
+    });
+
+    // The process may exit before reading everything
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+  });
+}
+
+exports.runProcess = module.exports.runProcess = runProcess;
@@ -0,0 +1,562 @@
+const _ = require('lodash'),
+  net = require('net'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  operations = require('./operations'),
+  iptablesRenderer = require('./iptables-renderer');
+
+/**
+ * The hook of the built-in chains
+ * @type {Object.<string, string>}
+ */
+const BUILTIN_CHAIN_HOOKS = {
+  PREROUTING: 'prerouting',
+  INPUT: 'input',
+  FORWARD: 'forward',
+  OUTPUT: 'output',
+  POSTROUTING: 'postrouting'
+};
+
+/**
+ * The hook of our chains per name prefix: IN_ chains are jumped from INPUT, OUT_ from OUTPUT and FWD_ from FORWARD
+ * @type {Object.<string, string>}
+ */
+const CHAIN_PREFIX_HOOKS = {
+  IN_: 'input',
+  OUT_: 'output',
+  FWD_: 'forward'
+};
+
+/**
+ * The hooks where the input interface is unknown
+ * @type {string[]}
+ */
+const HOOKS_WITHOUT_IN_INTERFACE = ['output', 'postrouting'];
+
+/**
+ * The hooks where the output interface is unknown
+ * @type {string[]}
+ */
+const HOOKS_WITHOUT_OUT_INTERFACE = ['prerouting', 'input'];
+
+/**
+ * The hooks where the owner of the packet is known
+ * @type {string[]}
+ */
+const HOOKS_WITH_OWNER = ['output', 'postrouting'];
+
+/**
+ * The protocols having ports
+ * @type {string[]}
+ */
+const PROTOCOLS_WITH_PORTS = ['tcp', 'udp', 'sctp', 'dccp'];
+
+/**
+ * The connection states
+ * @type {string[]}
+ */
+const STATES = ['NEW', 'ESTABLISHED', 'RELATED', 'INVALID', 'UNTRACKED'];
+
+/**
+ * The nat targets and the hooks where they can be used
+ * @type {Object.<string, string[]>}
+ */
+const NAT_TARGET_HOOKS = {
+  DNAT: ['prerouting', 'output'],
+  SNAT: ['postrouting', 'input'],
+  MASQUERADE: ['postrouting']
+};
+
+/**
+ * The syslog levels of the target LOG
+ * @type {string[]}
+ */
+const LOG_LEVELS = ['emerg', 'alert', 'crit', 'error', 'warning', 'notice', 'info', 'debug'];
+
+/**
+ * The rate of the limit match: a number per second, minute, hour or day
+ * @type {RegExp}
+ */
+const LIMIT_RATE_PATTERN = /^\d+\/(second|minute|hour|day)$/;
+
+/**
+ * The maximal length of the hashlimit name
+ * @type {number}
+ */
+const HASH_LIMIT_NAME_MAX_LENGTH = 15;
+
+/**
+ * The maximal hits of the recent match (ip_pkt_list_tot of the module xt_recent)
+ * @type {number}
+ */
+const RECENT_MAX_HITS = 20;
+
+/**
+ * The maximal length of the prefix per log target
+ * @type {Object.<string, number>}
+ */
+const LOG_PREFIX_MAX_LENGTHS = {
+  LOG: 29,
+  NFLOG: 64
+};
+
+/**
+ * Build a rule step by step. The rule is validated when the operation is built.
+ * @param {number} ipVersion The ip version (4 or 6)
+ * @param {string} chain The chain
+ * @constructor
+ */
+function RuleBuilder(ipVersion, chain) {
+  if (!(this instanceof RuleBuilder)) {
+    return new RuleBuilder(ipVersion, chain);
+  }
+
+  this.properties = {
+    ipVersion: ipVersion,
+    table: 'filter',
+    chain: chain,
+    hook: undefined,
+    match: {},
+    target: undefined,
+    negateNext: false
+  };
+}
+
+/**
+ * Set the table (filter by default)
+ * @param {string} table The table
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.table = function (table) {
+  this.properties.table = table;
+  return this;
+};
+
+/**
+ * Set the configuration item generating the rule, shown by the reports
+ * @param {string} item The item description
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.item = function (item) {
+  this.properties.item = item;
+  return this;
+};
+
+/**
+ * Set the hook reaching the chain. By default, it is deduced from the chain name.
+ * @param {string} hook The hook (prerouting, input, forward, output, postrouting)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.hook = function (hook) {
+  this.properties.hook = hook;
+  return this;
+};
+
+/**
+ * Negate the next match
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.not = function () {
+  this.properties.negateNext = true;
+  return this;
+};
+
+/**
+ * Set a match field, in the negated matches if {@link RuleBuilder#not} has been called before
+ * @param {string} field The field
+ * @param {*} value The value
+ * @return {RuleBuilder} this
+ * @private
+ */
+RuleBuilder.prototype._setMatch = function (field, value) {
+  if (this.properties.negateNext) {
+    _.set(this.properties.match, ['not', field], value);
+    this.properties.negateNext = false;
+  } else {
+    this.properties.match[field] = value;
+  }
+
+  return this;
+};
+
+/**
+ * Match the protocol
+ * @param {string} protocol The protocol (tcp, udp, icmp, ipv6-icmp)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.protocol = function (protocol) {
+  return this._setMatch('protocol', protocol);
+};
+
+/**
+ * Match the source port
+ * @param {number|string} port The port or the range (1024:65535)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.sourcePort = function (port) {
+  return this._setMatch('sourcePort', port);
+};
+
+/**
+ * Match the destination port
+ * @param {number|string} port The port or the range (1024:65535)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.destinationPort = function (port) {
+  return this._setMatch('destinationPort', port);
+};
+
+/**
+ * Match the icmp type (icmp or ipv6-icmp protocol)
+ * @param {number|string} icmpType The type
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.icmpType = function (icmpType) {
+  return this._setMatch('icmpType', icmpType);
+};
+
+/**
+ * Match the input interface
+ * @param {string} name The interface name
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.inInterface = function (name) {
+  return this._setMatch('inInterface', name);
+};
+
+/**
+ * Match the output interface
+ * @param {string} name The interface name
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.outInterface = function (name) {
+  return this._setMatch('outInterface', name);
+};
+
+/**
+ * Match the source address or network
+ * @param {string} network The address or network
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.source = function (network) {
+  return this._setMatch('source', network);
+};
+
+/**
+ * Match the destination address or network
+ * @param {string} network The address or network
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.destination = function (network) {
+  return this._setMatch('destination', network);
+};
+
+/**
+ * Match the connection states
+ * @param {...string} states The states (NEW, ESTABLISHED, RELATED...)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.state = function () {
+  return this._setMatch('state', _.flatten(Array.prototype.slice.call(arguments)));
+};
+
+/**
+ * Match the user owning the packet (output only)
+ * @param {number} uid The user id
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.uidOwner = function (uid) {
+  return this._setMatch('uidOwner', uid);
+};
+
+/**
+ * Match the group owning the packet (output only)
+ * @param {number} gid The group id
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.gidOwner = function (gid) {
+  return this._setMatch('gidOwner', gid);
+};
+
+/**
+ * Match the set
+ * @param {string} name The set name
+ * @param {string} direction src or dst
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.matchSet = function (name, direction) {
+  return this._setMatch('set', {
+    name: name,
+    direction: direction
+  });
+};
+
+/**
+ * Limit the rate of the packets matched
+ * @param {string} rate The rate (5/minute)
+ * @param {number} [burst] The burst, 5 by default
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.limit = function (rate, burst) {
+  this.properties.match.limit = _.isNil(burst) ? {rate: rate} : {rate: rate, burst: burst};
+  return this;
+};
+
+/**
+ * Match the sources sending more packets than the rate, each source has its bucket
+ * @param {string} name The name of the hash table
+ * @param {string} rate The rate (10/minute)
+ * @param {number} [burst] The burst, 5 by default
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.hashLimit = function (name, rate, burst) {
+  this.properties.match.hashLimit = _.isNil(burst) ? {name: name, rate: rate} : {name: name, rate: rate, burst: burst};
+  return this;
+};
+
+/**
+ * Match the sources having more connections than the limit
+ * @param {string} name The name identifying the counters (nftables meter)
+ * @param {number} above The connections allowed per source
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.connectionLimit = function (name, above) {
+  this.properties.match.connectionLimit = {
+    name: name,
+    above: above
+  };
+  return this;
+};
+
+/**
+ * Record the source in the list and match it when it has been seen hits times in the seconds
+ * @param {string} name The list name
+ * @param {number} seconds The time window
+ * @param {number} hits The hits matching, 20 maximum
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.recent = function (name, seconds, hits) {
+  this.properties.match.recent = {
+    name: name,
+    seconds: seconds,
+    hits: hits
+  };
+  return this;
+};
+
+/**
+ * Set the target
+ * @param {string} target The target (ACCEPT, DROP, RETURN, REJECT, DNAT, SNAT, MASQUERADE, LOG, NFLOG, SET or a chain)
+ * @param {Object} [options] The target options (toDestination, toSource, logPrefix, logLevel, logGroup, addSet)
+ * @return {RuleBuilder} this
+ */
+RuleBuilder.prototype.jump = function (target, options) {
+  this.properties.target = _.assign({
+    jump: target
+  }, options);
+  return this;
+};
+
+/**
+ * Returns the hook reaching the chain
+ * @return {string|undefined} The hook or undefined if unknown
+ */
+RuleBuilder.prototype.getHook = function () {
+  if (this.properties.hook) {
+    return this.properties.hook;
+  } else if (BUILTIN_CHAIN_HOOKS[this.properties.chain]) {
+    return BUILTIN_CHAIN_HOOKS[this.properties.chain];
+  }
+
+  const prefix = _.find(_.keys(CHAIN_PREFIX_HOOKS), p => _.startsWith(this.properties.chain, p));
+  return prefix ? CHAIN_PREFIX_HOOKS[prefix] : undefined;
+};
+
+/**
+ * Validate the combination of the options
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.validate = function () {
+  const {ipVersion, chain, table, match, target} = this.properties,
+    negatedMatch = match.not || {},
+    hook = this.getHook(),
+    description = `Invalid rule in ${table}/${chain} (IPv${ipVersion})`,
+    has = field => !_.isNil(match[field]) || !_.isNil(negatedMatch[field]);
+
+  if (!chain) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the chain is missing`);
+  } else if (!target || !target.jump) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the target is missing`);
+  }
+
+  if (has('inInterface') && HOOKS_WITHOUT_IN_INTERFACE.indexOf(hook) !== -1) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the input interface cannot be used in ${hook}`);
+  } else if (has('outInterface') && HOOKS_WITHOUT_OUT_INTERFACE.indexOf(hook) !== -1) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the output interface cannot be used in ${hook}`);
+  } else if ((has('uidOwner') || has('gidOwner')) && hook && HOOKS_WITH_OWNER.indexOf(hook) === -1) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the owner cannot be used in ${hook}`);
+  }
+
+  if ((has('sourcePort') || has('destinationPort')) && PROTOCOLS_WITH_PORTS.indexOf(match.protocol) === -1) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the ports require the protocol tcp, udp, sctp or dccp`);
+  } else if (has('icmpType') && match.protocol !== (ipVersion === 6 ? 'ipv6-icmp' : 'icmp')) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the icmp type requires the protocol ${ipVersion === 6 ? 'ipv6-icmp' : 'icmp'}`);
+  }
+
+  _.each(['source', 'destination'], field => {
+    _.each([match[field], negatedMatch[field]], value => {
+      if (_.isNil(value)) {
+        return;
+      }
+
+      const address = _.split(value, '/')[0];
+      if (net.isIP(address) !== ipVersion) {
+        throw new commonErrors.IllegalArgumentError(`${description}: the ${field} ${value} is not an IPv${ipVersion} address`);
+      }
+    });
+  });
+
+  _.each([match.state, negatedMatch.state], states => {
+    const unknownStates = _.difference(states, STATES);
+    if (unknownStates.length > 0) {
+      throw new commonErrors.IllegalArgumentError(`${description}: unknown states ${unknownStates.join(', ')}`);
+    }
+  });
+
+  _.each([match.set, negatedMatch.set], set => {
+    if (set && ['src', 'dst'].indexOf(set.direction) === -1) {
+      throw new commonErrors.IllegalArgumentError(`${description}: the set direction must be src or dst`);
+    }
+  });
+
+  if (NAT_TARGET_HOOKS[target.jump]) {
+    if (table !== 'nat') {
+      throw new commonErrors.IllegalArgumentError(`${description}: the target ${target.jump} requires the table nat`);
+    } else if (BUILTIN_CHAIN_HOOKS[chain] && NAT_TARGET_HOOKS[target.jump].indexOf(hook) === -1) {
+      throw new commonErrors.IllegalArgumentError(`${description}: the target ${target.jump} cannot be used in ${chain}`);
+    }
+  }
+
+  if (match.limit && !LIMIT_RATE_PATTERN.test(match.limit.rate)) {
+    throw new commonErrors.IllegalArgumentError(`${description}: invalid limit rate ${match.limit.rate}, expected a number per second, minute, hour or day`);
+  }
+
+  if (match.hashLimit) {
+    if (!LIMIT_RATE_PATTERN.test(match.hashLimit.rate)) {
+      throw new commonErrors.IllegalArgumentError(`${description}: invalid hashlimit rate ${match.hashLimit.rate}, expected a number per second, minute, hour or day`);
+    } else if (!match.hashLimit.name || match.hashLimit.name.length > HASH_LIMIT_NAME_MAX_LENGTH) {
+      throw new commonErrors.IllegalArgumentError(`${description}: the hashlimit name must have 1 to ${HASH_LIMIT_NAME_MAX_LENGTH} characters`);
+    }
+  }
+  if (match.recent && (match.recent.hits < 1 || match.recent.hits > RECENT_MAX_HITS)) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the recent hits must be between 1 and ${RECENT_MAX_HITS}`);
+  }
+
+  if (target.jump === 'SET' && (!target.addSet || ['src', 'dst'].indexOf(target.addSet.direction) === -1)) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the target SET requires the set and the direction src or dst`);
+  }
+
+  if (!_.isNil(target.logPrefix)) {
+    if (!LOG_PREFIX_MAX_LENGTHS[target.jump]) {
+      throw new commonErrors.IllegalArgumentError(`${description}: the log prefix requires the target LOG or NFLOG`);
+    } else if (target.logPrefix.length > LOG_PREFIX_MAX_LENGTHS[target.jump] || target.logPrefix.indexOf('"') !== -1) {
+      throw new commonErrors.IllegalArgumentError(`${description}: invalid log prefix '${target.logPrefix}', ${LOG_PREFIX_MAX_LENGTHS[target.jump]} characters maximum without double quote`);
+    }
+  }
+  if (!_.isNil(target.logLevel) && (target.jump !== 'LOG' || LOG_LEVELS.indexOf(target.logLevel) === -1)) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the log level requires the target LOG and one of ${LOG_LEVELS.join(', ')}`);
+  } else if (!_.isNil(target.logGroup) && target.jump !== 'NFLOG') {
+    throw new commonErrors.IllegalArgumentError(`${description}: the log group requires the target NFLOG`);
+  }
+
+  if (target.jump === 'DNAT' && !target.toDestination) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the target DNAT requires the destination`);
+  } else if (target.jump === 'SNAT' && !target.toSource) {
+    throw new commonErrors.IllegalArgumentError(`${description}: the target SNAT requires the source`);
+  }
+};
+
+/**
+ * Returns the rule specification, validated
+ * @return {{table: string, match: NetfilterOperation~Match, target: NetfilterOperation~Target, item: string}} The specification
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.toSpecification = function () {
+  this.validate();
+
+  const specification = _.cloneDeep({
+    table: this.properties.table,
+    match: this.properties.match,
+    target: this.properties.target
+  });
+  if (this.properties.item) {
+    specification.item = this.properties.item;
+  }
+
+  return specification;
+};
+
+/**
+ * Build the operation appending the rule
+ * @return {NetfilterOperation} The operation
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.append = function () {
+  return operations.appendRule(this.properties.ipVersion, this.properties.chain, this.toSpecification());
+};
+
+/**
+ * Build the operation inserting the rule
+ * @param {number} [position] The position, 1 by default
+ * @return {NetfilterOperation} The operation
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.insert = function (position) {
+  return operations.insertRule(this.properties.ipVersion, this.properties.chain, position || 1, this.toSpecification());
+};
+
+/**
+ * Build the operation deleting the rule
+ * @return {NetfilterOperation} The operation
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.delete = function () {
+  return operations.deleteRule(this.properties.ipVersion, this.properties.chain, this.toSpecification());
+};
+
+/**
+ * Serialize the rule as iptables or ip6tables command
+ * @param {string} [action] append, insert or delete. append by default
+ * @param {number} [position] The position for insert
+ * @return {SecurityCommand} The command
+ * @throws {commonErrors.IllegalArgumentError} If the rule is invalid
+ */
+RuleBuilder.prototype.toSecurityCommand = function (action, position) {
+  let operation = undefined;
+  if (action === 'insert') {
+    operation = this.insert(position);
+  } else if (action === 'delete') {
+    operation = this.delete();
+  } else {
+    operation = this.append();
+  }
+
+  return iptablesRenderer.renderOperation(operation);
+};
+
+/**
+ * Start building a rule
+ * @param {number} ipVersion The ip version (4 or 6)
+ * @param {string} chain The chain
+ * @return {RuleBuilder} The builder
+ */
+function rule(ipVersion, chain) {
+  return new RuleBuilder(ipVersion, chain);
+}
+
+exports.LOG_LEVELS = module.exports.LOG_LEVELS = LOG_LEVELS;
+exports.LOG_PREFIX_MAX_LENGTHS = module.exports.LOG_PREFIX_MAX_LENGTHS = LOG_PREFIX_MAX_LENGTHS;
+exports.RECENT_MAX_HITS = module.exports.RECENT_MAX_HITS = RECENT_MAX_HITS;
+exports.LIMIT_RATE_PATTERN = module.exports.LIMIT_RATE_PATTERN = LIMIT_RATE_PATTERN;
+exports.RuleBuilder = module.exports.RuleBuilder = RuleBuilder;
+exports.rule = module.exports.rule = rule;
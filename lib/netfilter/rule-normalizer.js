@@ -0,0 +1,335 @@
+const _ = require('lodash');
+
+/**
+ * The long options and their short name as printed by iptables-save
+ * @type {Object.<string, string>}
+ */
+const OPTION_ALIASES = {
+  '--in-interface': '-i',
+  '--out-interface': '-o',
+  '--source': '-s',
+  '--src': '-s',
+  '--destination': '-d',
+  '--dst': '-d',
+  '--protocol': '-p',
+  '--jump': '-j',
+  '--goto': '-g',
+  '--match': '-m',
+  '--table': '-t',
+  '--source-port': '--sport',
+  '--destination-port': '--dport',
+  '--source-ports': '--sports',
+  '--destination-ports': '--dports'
+};
+
+/**
+ * The icmp type names and the number printed by iptables-save
+ * @type {Object.<string, string>}
+ */
+const ICMP_TYPES = {
+  'echo-reply': '0',
+  'destination-unreachable': '3',
+  'echo-request': '8',
+  'time-exceeded': '11',
+  'parameter-problem': '12'
+};
+
+/**
+ * The icmpv6 type names and the number printed by ip6tables-save
+ * @type {Object.<string, string>}
+ */
+const ICMPV6_TYPES = {
+  'destination-unreachable': '1',
+  'packet-too-big': '2',
+  'time-exceeded': '3',
+  'parameter-problem': '4',
+  'echo-request': '128',
+  'echo-reply': '129',
+  'router-solicitation': '133',
+  'router-advertisement': '134',
+  'neighbour-solicitation': '135',
+  'neighbor-solicitation': '135',
+  'neighbour-advertisement': '136',
+  'neighbor-advertisement': '136',
+  'redirect': '137'
+};
+
+/**
+ * The default reject-with value, not printed by iptables-save when explicit
+ * @type {string[]}
+ */
+const DEFAULT_REJECT_WITH = ['icmp-port-unreachable', 'icmp6-port-unreachable'];
+
+/**
+ * The syslog level names and the number printed by iptables-save
+ * @type {Object.<string, string>}
+ */
+const LOG_LEVELS = {
+  emerg: '0',
+  alert: '1',
+  crit: '2',
+  error: '3',
+  warning: '4',
+  notice: '5',
+  info: '6',
+  debug: '7'
+};
+
+/**
+ * The options not printed by iptables-save when set to their default value
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_OPTION_VALUES = {
+  '--limit-burst': '5',
+  '--hashlimit-burst': '5',
+  '--log-level': '4',
+  '--nflog-group': '0'
+};
+
+/**
+ * The masks of the recent match keeping the whole address, printed by iptables-save
+ * @type {string[]}
+ */
+const FULL_ADDRESS_MASKS = ['255.255.255.255', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'];
+
+/**
+ * The limit units and their value in seconds
+ * @type {Object.<string, number>}
+ */
+const LIMIT_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400
+};
+
+/**
+ * The options at the beginning of the normalized rule
+ * @type {string[]}
+ */
+const LEADING_OPTIONS = ['-i', '-o', '-s', '-d', '-p'];
+
+/**
+ * An option of a rule
+ * @typedef {Object} RuleNormalizer~Option
+ * @property {string} name The option name
+ * @property {boolean} negated true if the option is negated (!)
+ * @property {string[]} values The option values
+ * @property {boolean} target true if the option is the target or a target option
+ */
+
+/**
+ * Split the command in tokens, handle the double quotes
+ * @param {string} value The command
+ * @return {string[]} The tokens
+ */
+function tokenize(value) {
+  const tokens = _.trim(value).match(/"(?:[^"\\]|\\.)*"|\S+/g) || [];
+  return _.map(tokens, token => {
+    if (token.length >= 2 && _.startsWith(token, '"') && _.endsWith(token, '"')) {
+      return token.substr(1, token.length - 2).replace(/\\"/g, '"');
+    }
+
+    return token;
+  });
+}
+
+/**
+ * Returns true if the token is an option name
+ * @param {string} token The token
+ * @return {boolean} true if the token is an option name
+ */
+function isOptionName(token) {
+  return _.startsWith(token, '-') && !/^-\d/.test(token);
+}
+
+/**
+ * Parse the rule tokens as options
+ * @param {string[]} tokens The tokens
+ * @return {RuleNormalizer~Option[]} The options
+ */
+function parseOptions(tokens) {
+  const options = [];
+  let negateNext = false,
+    inTarget = false,
+    current = undefined;
+
+  _.each(tokens, token => {
+    if (token === '!') {
+      negateNext = true;
+      return;
+    }
+
+    if (isOptionName(token)) {
+      const name = OPTION_ALIASES[token] || token;
+      inTarget = inTarget || name === '-j' || name === '-g';
+      current = {
+        name: name,
+        negated: negateNext,
+        values: [],
+        target: inTarget
+      };
+      negateNext = false;
+      options.push(current);
+    } else if (current) {
+      current.values.push(token);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Add the prefix length to the address if missing
+ * @param {string} value The address or network
+ * @param {number} ipVersion The ip version
+ * @return {string} The network
+ */
+function normalizeNetwork(value, ipVersion) {
+  if (value.indexOf('/') !== -1) {
+    return _.toLower(value);
+  }
+
+  return `${_.toLower(value)}/${ipVersion === 6 ? 128 : 32}`;
+}
+
+/**
+ * Normalize the rate of the limit match as a number per day: iptables-save prints 60/minute as 1/sec
+ * @param {string} value The rate (5/minute, 5/min, 5/m...)
+ * @return {string} The rate per day
+ */
+function normalizeLimitRate(value) {
+  const match = /^(\d+)\/([smhd])/.exec(_.toLower(value));
+  if (!match) {
+    return value;
+  }
+
+  return `${_.toNumber(match[1]) * LIMIT_UNITS.d / LIMIT_UNITS[match[2]]}/day`;
+}
+
+/**
+ * Normalize one option
+ * @param {RuleNormalizer~Option} option The option
+ * @param {number} ipVersion The ip version
+ * @param {string} targetName The rule target
+ * @return {RuleNormalizer~Option|undefined} The option normalized or undefined to ignore it
+ */
+function normalizeOption(option, ipVersion, targetName) {
+  const normalized = _.clone(option);
+  normalized.values = _.clone(option.values);
+
+  switch (normalized.name) {
+    case '-m':
+      // The matches are identified by their options
+      return undefined;
+    case '-s':
+    case '-d':
+      normalized.values = _.map(normalized.values, v => normalizeNetwork(v, ipVersion));
+      if (!normalized.negated && ['0.0.0.0/0', '::/0'].indexOf(normalized.values[0]) !== -1) {
+        return undefined;
+      }
+      break;
+    case '-p':
+      normalized.values = _.map(normalized.values, v => {
+        const protocol = _.toLower(v);
+        return protocol === 'icmpv6' ? 'ipv6-icmp' : protocol;
+      });
+      break;
+    case '--state':
+    case '--ctstate':
+      normalized.values = _.map(normalized.values, v => _.sortBy(_.split(_.toUpper(v), ',')).join(','));
+      break;
+    case '--icmp-type':
+      normalized.values = _.map(normalized.values, v => ICMP_TYPES[v] || v);
+      break;
+    case '--icmpv6-type':
+      normalized.values = _.map(normalized.values, v => ICMPV6_TYPES[v] || v);
+      break;
+    case '--to':
+      if (targetName === 'DNAT') {
+        normalized.name = '--to-destination';
+      } else if (targetName === 'SNAT') {
+        normalized.name = '--to-source';
+      }
+      break;
+    case '--reject-with':
+      if (DEFAULT_REJECT_WITH.indexOf(normalized.values[0]) !== -1) {
+        return undefined;
+      }
+      break;
+    case '--limit':
+    case '--hashlimit-above':
+      normalized.values = _.map(normalized.values, normalizeLimitRate);
+      break;
+    case '--mask':
+      if (FULL_ADDRESS_MASKS.indexOf(_.toLower(normalized.values[0])) !== -1) {
+        return undefined;
+      }
+      break;
+    case '--log-level':
+      normalized.values = _.map(normalized.values, v => LOG_LEVELS[_.toLower(v)] || v);
+      break;
+    default:
+      break;
+  }
+
+  if (_.has(DEFAULT_OPTION_VALUES, normalized.name) && DEFAULT_OPTION_VALUES[normalized.name] === normalized.values[0]) {
+    return undefined;
+  }
+
+  return normalized;
+}
+
+/**
+ * Returns the option as string
+ * @param {RuleNormalizer~Option} option The option
+ * @return {string} The string
+ */
+function optionToString(option) {
+  return _.compact([option.negated ? '!' : '', option.name, option.values.join(' ')]).join(' ');
+}
+
+/**
+ * Returns the rank of the option in the normalized rule, the generic matches are first
+ * @param {RuleNormalizer~Option} option The option
+ * @return {number} The rank
+ */
+function getOptionRank(option) {
+  const index = LEADING_OPTIONS.indexOf(option.name);
+  return index === -1 ? LEADING_OPTIONS.length : index;
+}
+
+/**
+ * Normalize the rule specification (without the command and the chain).
+ * The matches are sorted, the target and its options are at the end.
+ * Two rules with the same meaning for iptables have the same normalized value.
+ * @param {string|string[]} rule The rule specification or its tokens
+ * @param {number} [ipVersion] The ip version (4 by default)
+ * @return {string} The rule normalized
+ */
+function normalizeRule(rule, ipVersion) {
+  const tokens = _.isArray(rule) ? rule : tokenize(rule);
+  const options = parseOptions(tokens);
+  const targetOption = _.find(options, o => o.name === '-j' || o.name === '-g'),
+    targetName = targetOption ? targetOption.values[0] : undefined;
+
+  const normalizedOptions = _.compact(_.map(options, o => normalizeOption(o, ipVersion || 4, targetName)));
+  const matches = _.map(_.sortBy(_.reject(normalizedOptions, 'target'), [getOptionRank, optionToString]), optionToString),
+    target = _.filter(normalizedOptions, 'target'),
+    targetParts = _.concat(_.map(_.take(target, 1), optionToString), _.sortBy(_.map(_.drop(target, 1), optionToString)));
+
+  return _.concat(matches, targetParts).join(' ');
+}
+
+/**
+ * Normalize a set member as printed by ipset list
+ * @param {string} member The member
+ * @return {string} The member normalized
+ */
+function normalizeSetMember(member) {
+  return _.toLower(_.trim(member)).replace(/\/(32|128)$/, '');
+}
+
+exports.tokenize = module.exports.tokenize = tokenize;
+exports.normalizeRule = module.exports.normalizeRule = normalizeRule;
+exports.normalizeSetMember = module.exports.normalizeSetMember = normalizeSetMember;
@@ -0,0 +1,414 @@
+const _ = require('lodash'),
+  securityCommands = require('./security-commands'),
+  ruleNormalizer = require('./rule-normalizer');
+
+/**
+ * The built-in chains per table
+ * @type {Object.<string, string[]>}
+ */
+const BUILTIN_CHAINS = {
+  filter: ['INPUT', 'FORWARD', 'OUTPUT'],
+  nat: ['PREROUTING', 'INPUT', 'OUTPUT', 'POSTROUTING'],
+  mangle: ['PREROUTING', 'INPUT', 'FORWARD', 'OUTPUT', 'POSTROUTING'],
+  raw: ['PREROUTING', 'OUTPUT'],
+  security: ['INPUT', 'FORWARD', 'OUTPUT']
+};
+
+/**
+ * A chain of the model
+ * @typedef {Object} RulesetModel~Chain
+ * @property {boolean} builtin true for the built-in chains
+ * @property {boolean} managed true if the chain has been created by the commands
+ * @property {string[]} rules The rules normalized
+ * @property {Object.<string, string>} [specifications] The specifications of the live rules as printed by iptables-save,
+ *  per rule normalized
+ */
+
+/**
+ * A set of the model
+ * @typedef {Object} RulesetModel~Set
+ * @property {boolean} managed true if the set has been created by the commands
+ * @property {boolean} membersManaged true if the commands change the members
+ * @property {string[]} members The members normalized
+ */
+
+/**
+ * The ruleset
+ * @typedef {Object} RulesetModel~Ruleset
+ * @property {Object} iptables The chains per command type (iptables-4, iptables-6), then per table and chain name
+ * @property {Object.<string, RulesetModel~Set>} sets The sets
+ */
+
+/**
+ * Create an empty ruleset
+ * @return {RulesetModel~Ruleset} The ruleset
+ */
+function createRuleset() {
+  return {
+    iptables: {
+      'iptables-4': {},
+      'iptables-6': {}
+    },
+    sets: {}
+  };
+}
+
+/**
+ * Returns the chain, create it if needed
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} type The command type
+ * @param {string} table The table
+ * @param {string} chainName The chain name
+ * @return {RulesetModel~Chain} The chain
+ */
+function getOrCreateChain(ruleset, type, table, chainName) {
+  const tables = ruleset.iptables[type];
+  tables[table] = tables[table] || {};
+  if (!tables[table][chainName]) {
+    tables[table][chainName] = {
+      builtin: _.includes(BUILTIN_CHAINS[table], chainName),
+      managed: false,
+      rules: []
+    };
+  }
+
+  return tables[table][chainName];
+}
+
+/**
+ * Returns the set, create it if needed
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} setName The set name
+ * @return {RulesetModel~Set} The set
+ */
+function getOrCreateSet(ruleset, setName) {
+  if (!ruleset.sets[setName]) {
+    ruleset.sets[setName] = {
+      managed: false,
+      membersManaged: false,
+      members: []
+    };
+  }
+
+  return ruleset.sets[setName];
+}
+
+/**
+ * The lookup of the members per members array, built when the members are first changed.
+ * The sets can contain tens of thousands of members.
+ * @type {WeakMap<string[], Set<string>>}
+ */
+const memberLookups = new WeakMap();
+
+/**
+ * Returns the lookup of the set members
+ * @param {RulesetModel~Set} set The set
+ * @return {Set<string>} The members
+ */
+function getMemberLookup(set) {
+  if (!memberLookups.has(set.members)) {
+    memberLookups.set(set.members, new Set(set.members));
+  }
+
+  return memberLookups.get(set.members);
+}
+
+/**
+ * A parsed iptables command
+ * @typedef {Object} RulesetModel~IptablesCommand
+ * @property {number} ipVersion The ip version
+ * @property {string} table The table
+ * @property {string} operation The operation, short option (-N, -X, -F, -A, -I, -D, -P)
+ * @property {string} chainName The chain name
+ * @property {number} [position] The position (-I and -D with a rule number)
+ * @property {string} [rule] The rule normalized (-A, -I, -D)
+ */
+
+/**
+ * The long operations and their short name
+ * @type {Object.<string, string>}
+ */
+const IPTABLES_OPERATIONS = {
+  '--new-chain': '-N',
+  '--delete-chain': '-X',
+  '--flush': '-F',
+  '--append': '-A',
+  '--insert': '-I',
+  '--delete': '-D',
+  '--policy': '-P'
+};
+
+/**
+ * Parse the iptables command
+ * @param {SecurityCommand} command The command
+ * @return {RulesetModel~IptablesCommand} The command parsed
+ */
+function parseIptablesCommand(command) {
+  const ipVersion = command.type === 'iptables-6' ? 6 : 4;
+  const {table, rule} = securityCommands.extractIptablesTable(command.value);
+  const tokens = ruleNormalizer.tokenize(rule);
+  const parsed = {
+    ipVersion: ipVersion,
+    table: table,
+    operation: IPTABLES_OPERATIONS[tokens[0]] || tokens[0],
+    chainName: tokens[1]
+  };
+
+  let ruleTokens = _.drop(tokens, 2);
+  if (parsed.operation === '-I' || parsed.operation === '-D') {
+    if (/^\d+$/.test(ruleTokens[0])) {
+      parsed.position = parseInt(ruleTokens[0]);
+      ruleTokens = _.drop(ruleTokens, 1);
+    } else if (parsed.operation === '-I') {
+      parsed.position = 1;
+    }
+  }
+
+  if (['-A', '-I', '-D'].indexOf(parsed.operation) !== -1 && ruleTokens.length > 0) {
+    parsed.rule = ruleNormalizer.normalizeRule(ruleTokens, ipVersion);
+  }
+
+  return parsed;
+}
+
+/**
+ * Returns the chain if it exists
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} type The command type
+ * @param {string} table The table
+ * @param {string} chainName The chain name
+ * @return {RulesetModel~Chain|undefined} The chain
+ */
+function getChain(ruleset, type, table, chainName) {
+  return _.get(ruleset, ['iptables', type, table, chainName]);
+}
+
+/**
+ * Simulate the iptables command on the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {SecurityCommand} command The command
+ */
+function applyIptablesCommand(ruleset, command) {
+  const {table, operation, chainName, position, rule} = parseIptablesCommand(command);
+
+  if (!chainName) {
+    return;
+  }
+
+  const tables = ruleset.iptables[command.type];
+  switch (operation) {
+    case '-N':
+      getOrCreateChain(ruleset, command.type, table, chainName).managed = true;
+      break;
+    case '-X':
+      if (tables[table]) {
+        delete tables[table][chainName];
+      }
+      break;
+    case '-F':
+      getOrCreateChain(ruleset, command.type, table, chainName).rules = [];
+      break;
+    case '-A':
+      getOrCreateChain(ruleset, command.type, table, chainName).rules.push(rule);
+      break;
+    case '-I': {
+      const chain = getOrCreateChain(ruleset, command.type, table, chainName);
+      chain.rules.splice(Math.min(Math.max(position - 1, 0), chain.rules.length), 0, rule);
+      break;
+    }
+    case '-D': {
+      const chain = getOrCreateChain(ruleset, command.type, table, chainName);
+      const index = _.isNil(rule) ? position - 1 : chain.rules.indexOf(rule);
+      if (index >= 0 && index < chain.rules.length) {
+        chain.rules.splice(index, 1);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * A parsed ipset command
+ * @typedef {Object} RulesetModel~IpsetCommand
+ * @property {string} operation The operation (create, add, del, flush, destroy, swap, rename)
+ * @property {string} setName The set name
+ * @property {string[]} args The other arguments
+ */
+
+/**
+ * The ipset operation aliases
+ * @type {Object.<string, string>}
+ */
+const IPSET_OPERATIONS = {
+  n: 'create',
+  x: 'destroy',
+  w: 'swap',
+  e: 'rename'
+};
+
+/**
+ * Parse the ipset command
+ * @param {SecurityCommand} command The command
+ * @return {RulesetModel~IpsetCommand} The command parsed
+ */
+function parseIpsetCommand(command) {
+  const tokens = _.reject(ruleNormalizer.tokenize(command.value), token => token === '-!' || token === '-exist');
+  return {
+    operation: IPSET_OPERATIONS[tokens[0]] || tokens[0],
+    setName: tokens[1],
+    args: _.drop(tokens, 2)
+  };
+}
+
+/**
+ * Simulate the ipset command on the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {SecurityCommand} command The command
+ */
+function applyIpsetCommand(ruleset, command) {
+  const {operation, setName, args} = parseIpsetCommand(command);
+
+  if (!setName) {
+    return;
+  }
+
+  switch (operation) {
+    case 'create':
+      getOrCreateSet(ruleset, setName).managed = true;
+      break;
+    case 'add':
+    case 'del': {
+      const set = getOrCreateSet(ruleset, setName),
+        member = ruleNormalizer.normalizeSetMember(args[0] || '');
+      set.membersManaged = true;
+      const lookup = getMemberLookup(set);
+      if (operation === 'add' && !lookup.has(member)) {
+        lookup.add(member);
+        set.members.push(member);
+      } else if (operation === 'del' && lookup.has(member)) {
+        lookup.delete(member);
+        set.members.splice(set.members.indexOf(member), 1);
+      }
+      break;
+    }
+    case 'flush':
+      getOrCreateSet(ruleset, setName).members = [];
+      getOrCreateSet(ruleset, setName).membersManaged = true;
+      break;
+    case 'destroy':
+      delete ruleset.sets[setName];
+      break;
+    case 'swap': {
+      const otherSetName = args[0],
+        set = getOrCreateSet(ruleset, setName),
+        otherSet = getOrCreateSet(ruleset, otherSetName);
+      ruleset.sets[setName] = _.assign({}, otherSet, {managed: set.managed || otherSet.managed});
+      ruleset.sets[otherSetName] = _.assign({}, set, {managed: set.managed || otherSet.managed});
+      break;
+    }
+    case 'rename':
+      ruleset.sets[args[0]] = getOrCreateSet(ruleset, setName);
+      delete ruleset.sets[setName];
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Simulate the command on the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {SecurityCommand} command The command
+ * @return {RulesetModel~Ruleset} The ruleset
+ */
+function applyCommand(ruleset, command) {
+  if (securityCommands.isIptablesCommand(command)) {
+    applyIptablesCommand(ruleset, command);
+  } else if (command.type === 'ipset') {
+    applyIpsetCommand(ruleset, command);
+  }
+
+  return ruleset;
+}
+
+/**
+ * Simulate the commands on the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {SecurityCommand[]} commands The commands
+ * @return {RulesetModel~Ruleset} The ruleset
+ */
+function applyCommands(ruleset, commands) {
+  _.each(commands, command => applyCommand(ruleset, command));
+
+  return ruleset;
+}
+
+/**
+ * Load the output of iptables-save in the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} type The command type (iptables-4 or iptables-6)
+ * @param {string} data The output of iptables-save
+ * @return {RulesetModel~Ruleset} The ruleset
+ */
+function loadIptablesSave(ruleset, type, data) {
+  const ipVersion = type === 'iptables-6' ? 6 : 4;
+  let table = 'filter';
+
+  _.each(_.split(data, '\n'), line => {
+    const trimmedLine = _.trim(line);
+    if (_.startsWith(trimmedLine, '*')) {
+      table = trimmedLine.substr(1);
+    } else if (_.startsWith(trimmedLine, ':')) {
+      const chainName = _.split(trimmedLine.substr(1), /\s+/)[0];
+      getOrCreateChain(ruleset, type, table, chainName);
+    } else if (_.startsWith(trimmedLine, '-A ')) {
+      const tokens = ruleNormalizer.tokenize(trimmedLine),
+        chain = getOrCreateChain(ruleset, type, table, tokens[1]),
+        rule = ruleNormalizer.normalizeRule(_.drop(tokens, 2), ipVersion);
+
+      chain.rules.push(rule);
+      // The specification can be applied again, the normalized rule cannot (the matches are dropped)
+      chain.specifications = chain.specifications || {};
+      chain.specifications[rule] = _.trim(trimmedLine.substr('-A '.length + tokens[1].length));
+    }
+  });
+
+  return ruleset;
+}
+
+/**
+ * Load the output of ipset list in the ruleset
+ * @param {RulesetModel~Ruleset} ruleset The ruleset
+ * @param {string} data The output of ipset list
+ * @return {RulesetModel~Ruleset} The ruleset
+ */
+function loadIpsetList(ruleset, data) {
+  let set = undefined,
+    inMembers = false;
+
+  _.each(_.split(data, '\n'), line => {
+    const trimmedLine = _.trim(line);
+    if (_.startsWith(trimmedLine, 'Name:')) {
+      set = getOrCreateSet(ruleset, _.trim(trimmedLine.substr('Name:'.length)));
+      inMembers = false;
+    } else if (trimmedLine === 'Members:') {
+      inMembers = true;
+    } else if (inMembers && set && trimmedLine.length > 0) {
+      set.members.push(ruleNormalizer.normalizeSetMember(_.split(trimmedLine, /\s+/)[0]));
+    }
+  });
+
+  return ruleset;
+}
+
+exports.BUILTIN_CHAINS = module.exports.BUILTIN_CHAINS = BUILTIN_CHAINS;
+exports.createRuleset = module.exports.createRuleset = createRuleset;
+exports.getChain = module.exports.getChain = getChain;
+exports.parseIptablesCommand = module.exports.parseIptablesCommand = parseIptablesCommand;
+exports.parseIpsetCommand = module.exports.parseIpsetCommand = parseIpsetCommand;
+exports.applyCommand = module.exports.applyCommand = applyCommand;
+exports.applyCommands = module.exports.applyCommands = applyCommands;
+exports.loadIptablesSave = module.exports.loadIptablesSave = loadIptablesSave;
+exports.loadIpsetList = module.exports.loadIpsetList = loadIpsetList;
@@ -0,0 +1,123 @@
+const _ = require('lodash'),
+  securityCommands = require('./security-commands'),
+  runProcess = require('./process-runner').runProcess;
+
+/**
+ * Saved state of the ruleset. The key is the command type, the value the save output
+ * @typedef {Object.<string, string>} RulesetSnapshot
+ */
+
+/**
+ * Take a snapshot of the current ruleset
+ * @param {string[]} types The command types to save (iptables-4, iptables-6, ipset)
+ * @return {Promise} {@link RulesetSnapshot} on resolve
+ */
+function takeSnapshot(types) {
+  const snapshot = {};
+
+  let workflowPromise = Promise.resolve();
+  _.each(_.uniq(types), type => {
+    const commandType = securityCommands.getCommandType(type);
+    workflowPromise = workflowPromise
+      .then(() => runProcess(commandType.saveBinary, commandType.saveArguments))
+      .then(result => {
+        snapshot[type] = result.stdout;
+      });
+  });
+
+  return workflowPromise.then(() => snapshot);
+}
+
+/**
+ * Returns the set names of the ipset save output
+ * @param {string} ipsetSave The ipset save output
+ * @return {string[]} The set names
+ */
+function getIpsetSaveSetNames(ipsetSave) {
+  return _.compact(_.map(_.split(ipsetSave, '\n'), line => {
+    const parts = _.split(_.trim(line), /\s+/);
+    return parts[0] === 'create' ? parts[1] : undefined;
+  }));
+}
+
+/**
+ * Render the ipset restore input to put back the sets of the snapshot.
+ * The sets are created if needed and flushed before adding the saved members.
+ * @param {string} ipsetSave The ipset save output
+ * @return {string} The ipset restore input
+ */
+function renderIpsetSnapshotRestore(ipsetSave) {
+  let data = '';
+  _.each(_.split(ipsetSave, '\n'), line => {
+    const trimmedLine = _.trim(line);
+    if (trimmedLine.length === 0) {
+      return;
+    }
+
+    const parts = _.split(trimmedLine, /\s+/);
+    if (parts[0] === 'create') {
+      data += `-exist ${trimmedLine}\n`;
+      data += `flush ${parts[1]}\n`;
+    } else {
+      data += `-exist ${trimmedLine}\n`;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Restore the snapshot.
+ * The sets are restored first since the iptables rules may reference them, the sets created
+ * after the snapshot are destroyed once the iptables rules have been restored.
+ * @param {RulesetSnapshot} snapshot The snapshot
+ * @param {Logger} logger The logger to use
+ * @return {Promise}
+ */
+function restoreSnapshot(snapshot, logger) {
+  let workflowPromise = Promise.resolve();
+
+  if (_.has(snapshot, 'ipset')) {
+    workflowPromise = workflowPromise.then(() => {
+      logger.info("Restore the ipset snapshot");
+      return runProcess('ipset', ['restore'], renderIpsetSnapshotRestore(snapshot.ipset));
+    });
+  }
+
+  _.each(['iptables-4', 'iptables-6'], type => {
+    if (!_.has(snapshot, type)) {
+      return;
+    }
+
+    const commandType = securityCommands.getCommandType(type);
+    workflowPromise = workflowPromise.then(() => {
+      logger.info("Restore the %s snapshot", commandType.binary);
+      return runProcess(commandType.restoreBinary, [], snapshot[type]);
+    });
+  });
+
+  if (_.has(snapshot, 'ipset')) {
+    workflowPromise = workflowPromise
+      .then(() => runProcess('ipset', ['list', '-n']))
+      .then(result => {
+        const savedSetNames = getIpsetSaveSetNames(snapshot.ipset),
+          currentSetNames = _.compact(_.map(_.split(result.stdout, '\n'), _.trim));
+        const createdSetNames = _.difference(currentSetNames, savedSetNames);
+
+        if (createdSetNames.length === 0) {
+          return;
+        }
+
+        logger.info("Destroy the sets created after the snapshot: %s", createdSetNames.join(', '));
+        const data = _.map(createdSetNames, setName => `destroy ${setName}\n`).join('');
+        return runProcess('ipset', ['restore'], data);
+      });
+  }
+
+  return workflowPromise;
+}
+
+exports.takeSnapshot = module.exports.takeSnapshot = takeSnapshot;
+exports.restoreSnapshot = module.exports.restoreSnapshot = restoreSnapshot;
+exports.getIpsetSaveSetNames = module.exports.getIpsetSaveSetNames = getIpsetSaveSetNames;
+exports.renderIpsetSnapshotRestore = module.exports.renderIpsetSnapshotRestore = renderIpsetSnapshotRestore;
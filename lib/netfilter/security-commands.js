@@ -0,0 +1,210 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common;
+
+/**
+ * Information about a command type
+ * @typedef {Object} SecurityCommandType
+ * @property {string} binary The binary executing one command
+ * @property {string} saveBinary The binary used to save the current state
+ * @property {string[]} saveArguments The arguments of the save binary
+ * @property {string} restoreBinary The binary used to restore a state
+ * @property {string[]} restoreArguments The arguments to apply commands without flushing the current state
+ */
+
+/**
+ * The command types known
+ * @type {Object.<string, SecurityCommandType>}
+ */
+const COMMAND_TYPES = {
+  'iptables-4': {
+    binary: 'iptables',
+    saveBinary: 'iptables-save',
+    saveArguments: [],
+    restoreBinary: 'iptables-restore',
+    restoreArguments: ['--noflush']
+  },
+  'iptables-6': {
+    binary: 'ip6tables',
+    saveBinary: 'ip6tables-save',
+    saveArguments: [],
+    restoreBinary: 'ip6tables-restore',
+    restoreArguments: ['--noflush']
+  },
+  'ipset': {
+    binary: 'ipset',
+    saveBinary: 'ipset',
+    saveArguments: ['save'],
+    restoreBinary: 'ipset',
+    restoreArguments: ['restore']
+  }
+};
+
+/**
+ * Returns the information about the command type
+ * @param {string} type The command type
+ * @return {SecurityCommandType} The information
+ * @throws {commonErrors.IllegalArgumentError} If the type is unknown
+ */
+function getCommandType(type) {
+  const commandType = COMMAND_TYPES[type];
+  if (!commandType) {
+    throw new commonErrors.IllegalArgumentError(`Unknown command type ${type}`);
+  }
+
+  return commandType;
+}
+
+/**
+ * Returns true if the command is an iptables command (IPv4 or IPv6)
+ * @param {SecurityCommand} command The command
+ * @return {boolean} true if it is an iptables command
+ */
+function isIptablesCommand(command) {
+  return command.type === 'iptables-4' || command.type === 'iptables-6';
+}
+
+/**
+ * Returns the shell line of the command
+ * @param {SecurityCommand} command The command
+ * @return {string|undefined} The shell line or undefined if the type is unknown
+ */
+function toShellLine(command) {
+  const commandType = COMMAND_TYPES[command.type];
+  if (!commandType) {
+    return undefined;
+  }
+
+  return `${commandType.binary} ${command.value}`;
+}
+
+/**
+ * Returns true if the command destroys an ipset set
+ * @param {SecurityCommand} command The command
+ * @return {boolean} true if it is an ipset destroy command
+ */
+function isSetDestroyCommand(command) {
+  return command.type === 'ipset' && /^(-!\s+)?destroy\s/.test(_.trim(command.value));
+}
+
+/**
+ * Split the commands in the batches applied each in one transaction:
+ * - The ipset commands creating, filling and swapping the sets since the rules may reference them
+ * - The iptables commands then the ip6tables commands, keeping their order
+ * - The ipset destroy commands since the sets can be destroyed only when no rule references them anymore
+ * The empty batches are omitted
+ * @param {SecurityCommand[]} commands The commands
+ * @return {Array.<{type: string, commands: SecurityCommand[]}>} The batches
+ */
+function splitInBatches(commands) {
+  // Fail on the unknown types instead of ignoring their commands
+  _.each(commands, command => getCommandType(command.type));
+
+  const setDestroyCommands = _.filter(commands, isSetDestroyCommand);
+  const batches = [
+    {
+      type: 'ipset',
+      commands: _.filter(commands, command => command.type === 'ipset' && !isSetDestroyCommand(command))
+    },
+    {
+      type: 'iptables-4',
+      commands: _.filter(commands, {type: 'iptables-4'})
+    },
+    {
+      type: 'iptables-6',
+      commands: _.filter(commands, {type: 'iptables-6'})
+    },
+    {
+      type: 'ipset',
+      commands: setDestroyCommands
+    }
+  ];
+
+  return _.filter(batches, batch => batch.commands.length > 0);
+}
+
+/**
+ * Extract the table of the iptables command
+ * @param {string} value The command value
+ * @return {{table: string, rule: string}} The table (filter by default) and the command without the table option
+ */
+function extractIptablesTable(value) {
+  const tableRegex = /(^|\s)(?:-t|--table)\s+(\S+)/;
+  const match = tableRegex.exec(value);
+  if (!match) {
+    return {
+      table: 'filter',
+      rule: _.trim(value)
+    };
+  }
+
+  return {
+    table: match[2],
+    rule: _.trim(value.replace(tableRegex, '$1').replace(/\s+/g, ' '))
+  };
+}
+
+/**
+ * Render the iptables commands as iptables-restore input.
+ * The commands are grouped per table, keeping the order inside the table
+ * @param {SecurityCommand[]} commands The iptables commands
+ * @return {string} The iptables-restore input
+ */
+function renderIptablesRestore(commands) {
+  const tables = [],
+    rulesByTable = {};
+
+  _.each(commands, command => {
+    const {table, rule} = extractIptablesTable(command.value);
+    if (!rulesByTable[table]) {
+      tables.push(table);
+      rulesByTable[table] = [];
+    }
+
+    rulesByTable[table].push(rule);
+  });
+
+  let data = '';
+  _.each(tables, table => {
+    data += `*${table}\n`;
+    data += _.map(rulesByTable[table], rule => `${rule}\n`).join('');
+    data += 'COMMIT\n';
+  });
+
+  return data;
+}
+
+/**
+ * Render the ipset commands as ipset restore input
+ * @param {SecurityCommand[]} commands The ipset commands
+ * @return {string} The ipset restore input
+ */
+function renderIpsetRestore(commands) {
+  return _.map(commands, command => `${_.trim(command.value)}\n`).join('');
+}
+
+/**
+ * Render the commands as restore input
+ * @param {string} type The command type
+ * @param {SecurityCommand[]} commands The commands of this type
+ * @return {string} The restore input
+ */
+function renderRestore(type, commands) {
+  if (type === 'ipset') {
+    return renderIpsetRestore(commands);
+  }
+
+  getCommandType(type);
+  return renderIptablesRestore(commands);
+}
+
+exports.COMMAND_TYPES = module.exports.COMMAND_TYPES = COMMAND_TYPES;
+exports.getCommandType = module.exports.getCommandType = getCommandType;
+exports.isIptablesCommand = module.exports.isIptablesCommand = isIptablesCommand;
+exports.toShellLine = module.exports.toShellLine = toShellLine;
+exports.isSetDestroyCommand = module.exports.isSetDestroyCommand = isSetDestroyCommand;
+exports.splitInBatches = module.exports.splitInBatches = splitInBatches;
+exports.extractIptablesTable = module.exports.extractIptablesTable = extractIptablesTable;
+exports.renderIptablesRestore = module.exports.renderIptablesRestore = renderIptablesRestore;
+exports.renderIpsetRestore = module.exports.renderIpsetRestore = renderIpsetRestore;
+exports.renderRestore = module.exports.renderRestore = renderRestore;
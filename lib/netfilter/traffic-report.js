@@ -0,0 +1,254 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  rulesetModel = require('./ruleset-model'),
+  ruleNormalizer = require('./rule-normalizer'),
+  securityCommands = require('./security-commands'),
+  iptablesRenderer = require('./iptables-renderer'),
+  runProcess = require('./process-runner').runProcess;
+
+/**
+ * The counters of a live rule
+ * @typedef {Object} TrafficReport~RuleCounter
+ * @property {string} type The command type (iptables-4 or iptables-6)
+ * @property {string} table The table
+ * @property {string} chain The chain name
+ * @property {string} rule The rule normalized
+ * @property {number} packets The packets matched
+ * @property {number} bytes The bytes matched
+ */
+
+/**
+ * The live counters
+ * @typedef {Object} TrafficReport~Counters
+ * @property {TrafficReport~RuleCounter[]} rules The rule counters
+ * @property {Object.<string, number>} sets The number of entries per set name
+ */
+
+/**
+ * The report of a job
+ * @typedef {Object} TrafficReport~JobReport
+ * @property {string} job The job name
+ * @property {Object[]} rules The rules: item, ipVersion, table, chain, rule, present, packets and bytes
+ * @property {Object[]} sets The sets: name, present and entries
+ */
+
+/**
+ * The report formats
+ * @type {string[]}
+ */
+const REPORT_FORMATS = ['table', 'json'];
+
+/**
+ * Parse the output of iptables-save -c
+ * @param {string} type The command type (iptables-4 or iptables-6)
+ * @param {string} data The output
+ * @return {TrafficReport~RuleCounter[]} The counters in the order of the output
+ */
+function parseIptablesSaveCounters(type, data) {
+  const ipVersion = type === 'iptables-6' ? 6 : 4,
+    counters = [];
+  let table = 'filter';
+
+  _.each(_.split(data, '\n'), line => {
+    const trimmedLine = _.trim(line);
+    if (_.startsWith(trimmedLine, '*')) {
+      table = trimmedLine.substr(1);
+      return;
+    }
+
+    const match = /^\[(\d+):(\d+)\]\s+(-A\s.*)$/.exec(trimmedLine);
+    if (!match) {
+      return;
+    }
+
+    const tokens = ruleNormalizer.tokenize(match[3]);
+    counters.push({
+      type: type,
+      table: table,
+      chain: tokens[1],
+      rule: ruleNormalizer.normalizeRule(_.drop(tokens, 2), ipVersion),
+      packets: _.toNumber(match[1]),
+      bytes: _.toNumber(match[2])
+    });
+  });
+
+  return counters;
+}
+
+/**
+ * Parse the output of ipset list -t
+ * @param {string} data The output
+ * @return {Object.<string, number>} The number of entries per set name
+ */
+function parseIpsetEntryCounts(data) {
+  const entryCounts = {};
+  let setName = undefined;
+
+  _.each(_.split(data, '\n'), line => {
+    const trimmedLine = _.trim(line);
+    if (_.startsWith(trimmedLine, 'Name:')) {
+      setName = _.trim(trimmedLine.substr('Name:'.length));
+    } else if (_.startsWith(trimmedLine, 'Number of entries:') && !_.isNil(setName)) {
+      entryCounts[setName] = _.toNumber(_.trim(trimmedLine.substr('Number of entries:'.length)));
+    }
+  });
+
+  return entryCounts;
+}
+
+/**
+ * Load the live counters. The rule counters are the ones of iptables -L -v -x, read with iptables-save -c
+ * to compare the rules with the generated ones.
+ * @param {string[]} types The command types to load
+ * @return {Promise} {@link TrafficReport~Counters} on resolve
+ */
+function loadLiveCounters(types) {
+  const counters = {
+    rules: [],
+    sets: {}
+  };
+
+  let workflowPromise = Promise.resolve();
+  _.each(_.uniq(types), type => {
+    workflowPromise = workflowPromise.then(() => {
+      if (type === 'ipset') {
+        return runProcess('ipset', ['list', '-t'])
+          .then(result => {
+            counters.sets = parseIpsetEntryCounts(result.stdout);
+          });
+      }
+
+      return runProcess(securityCommands.getCommandType(type).saveBinary, ['-c'])
+        .then(result => {
+          Array.prototype.push.apply(counters.rules, parseIptablesSaveCounters(type, result.stdout));
+        });
+    });
+  });
+
+  return workflowPromise.then(() => counters);
+}
+
+/**
+ * Returns the key identifying a rule in a chain
+ * @param {string} type The command type
+ * @param {string} table The table
+ * @param {string} chain The chain name
+ * @param {string} rule The rule normalized
+ * @return {string} The key
+ */
+function getRuleKey(type, table, chain, rule) {
+  return `${type}/${table}/${chain}/${rule}`;
+}
+
+/**
+ * Build the report of the jobs. The rules generated by a job are matched with the live rules,
+ * the identical rules are matched in order.
+ * @param {Object[]} jobResponses The job responses (configurationJob and response.operations)
+ * @param {TrafficReport~Counters} counters The live counters
+ * @return {TrafficReport~JobReport[]} The reports
+ */
+function buildReport(jobResponses, counters) {
+  const liveRules = _.groupBy(counters.rules, counter => getRuleKey(counter.type, counter.table, counter.chain, counter.rule));
+
+  return _.map(jobResponses, jobResponse => {
+    const operations = jobResponse.response.operations,
+      ruleOperations = _.filter(operations, operation => operation.kind === 'rule' && operation.action !== 'delete'),
+      setNames = _.uniq(_.map(_.filter(operations, operation => operation.kind === 'set' && ['create', 'replace'].indexOf(operation.action) !== -1), 'name'));
+
+    const rules = _.map(ruleOperations, operation => {
+      const command = iptablesRenderer.renderOperation(operation),
+        parsed = rulesetModel.parseIptablesCommand(command),
+        key = getRuleKey(command.type, parsed.table, parsed.chainName, parsed.rule);
+
+      // The next identical rule is matched with the next live one
+      const liveRule = liveRules[key] ? liveRules[key].shift() : undefined;
+
+      return {
+        item: operation.item || null,
+        ipVersion: operation.ipVersion,
+        table: parsed.table,
+        chain: parsed.chainName,
+        rule: parsed.rule,
+        present: !_.isNil(liveRule),
+        packets: liveRule ? liveRule.packets : 0,
+        bytes: liveRule ? liveRule.bytes : 0
+      };
+    });
+
+    const sets = _.map(setNames, setName => ({
+      name: setName,
+      present: _.has(counters.sets, setName),
+      entries: _.get(counters.sets, setName, 0)
+    }));
+
+    return {
+      job: jobResponse.configurationJob.name,
+      rules: rules,
+      sets: sets
+    };
+  });
+}
+
+/**
+ * Format the rows as a table
+ * @param {string[]} headers The headers
+ * @param {string[][]} rows The rows
+ * @return {string} The table
+ */
+function formatTable(headers, rows) {
+  const widths = _.map(headers, (header, index) => _.max(_.map(rows, row => row[index].length).concat(header.length)));
+  const formatRow = row => `  ${_.trimEnd(_.map(row, (cell, index) => _.padEnd(cell, widths[index])).join('  '))}\n`;
+
+  return formatRow(headers) + _.map(rows, formatRow).join('');
+}
+
+/**
+ * Format the report
+ * @param {TrafficReport~JobReport[]} report The report
+ * @param {string} format table or json
+ * @return {string} The text
+ * @throws {commonErrors.IllegalArgumentError} If the format is unknown
+ */
+function formatReport(report, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  } else if (format !== 'table') {
+    throw new commonErrors.IllegalArgumentError(`Unknown report format ${format}`);
+  }
+
+  let data = '';
+  _.each(report, jobReport => {
+    data += `Job ${jobReport.job}\n`;
+
+    if (jobReport.rules.length > 0) {
+      data += formatTable(['ITEM', 'CHAIN', 'PACKETS', 'BYTES', 'RULE'], _.map(jobReport.rules, rule => [
+        rule.item || '-',
+        `${rule.chain} (IPv${rule.ipVersion})`,
+        rule.present ? `${rule.packets}` : 'absent',
+        rule.present ? `${rule.bytes}` : '-',
+        rule.rule
+      ]));
+    }
+
+    if (jobReport.sets.length > 0) {
+      data += formatTable(['SET', 'ENTRIES'], _.map(jobReport.sets, set => [
+        set.name,
+        set.present ? `${set.entries}` : 'absent'
+      ]));
+    }
+
+    if (jobReport.rules.length + jobReport.sets.length === 0) {
+      data += '  No rule and no set\n';
+    }
+  });
+
+  return data;
+}
+
+exports.REPORT_FORMATS = module.exports.REPORT_FORMATS = REPORT_FORMATS;
+exports.parseIptablesSaveCounters = module.exports.parseIptablesSaveCounters = parseIptablesSaveCounters;
+exports.parseIpsetEntryCounts = module.exports.parseIpsetEntryCounts = parseIpsetEntryCounts;
+exports.loadLiveCounters = module.exports.loadLiveCounters = loadLiveCounters;
+exports.buildReport = module.exports.buildReport = buildReport;
+exports.formatReport = module.exports.formatReport = formatReport;
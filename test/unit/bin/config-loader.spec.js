@@ -0,0 +1,166 @@
+const os = require('os'),
+  path = require('path'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  configLoader = require('./../../../lib/bin/config-loader');
+
+describe('config-loader', function () {
+  let configurationDirectory;
+
+  beforeEach(function () {
+    configurationDirectory = fse.mkdtempSync(path.join(os.tmpdir(), 'netfilter-config-'));
+  });
+
+  afterEach(function () {
+    fse.removeSync(configurationDirectory);
+  });
+
+  /**
+   * Write the files in the configuration directory
+   * @param {Object.<string, string>} files The content per relative path
+   */
+  function writeFiles(files) {
+    Object.keys(files).forEach(relativePath => fse.outputFileSync(path.join(configurationDirectory, relativePath), files[relativePath]));
+  }
+
+  describe('loadConfiguration', function () {
+    it('Given includes Then merge the included files in order and the including file last', function (done) {
+      writeFiles({
+        'main.yml': 'include: [base.yml, hosts]\nnetwork:\n  ipVersions: [4]\n',
+        'base.yml': 'network:\n  ipVersions: [4, 6]\n  name: base\nconfigurations:\n  - id: base\n',
+        'hosts/b.yml': 'network:\n  name: b\nconfigurations:\n  - id: host2\n',
+        'hosts/a.yaml': 'network:\n  name: a\nconfigurations:\n  - id: host1\n',
+        'hosts/notes.txt': 'not loaded'
+      });
+
+      configLoader.loadConfiguration(path.join(configurationDirectory, 'main.yml'), {})
+        .then(configuration => {
+          expect(configuration).toEqual({
+            network: {
+              ipVersions: [4],
+              name: 'b'
+            },
+            configurations: [{id: 'base'}, {id: 'host1'}, {id: 'host2'}]
+          });
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given files including each other Then reject with the cycle', function (done) {
+      writeFiles({
+        'main.yml': 'include: a.yml\n',
+        'a.yml': 'include: b.yml\n',
+        'b.yml': 'include: a.yml\n'
+      });
+
+      configLoader.loadConfiguration(path.join(configurationDirectory, 'main.yml'), {})
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toEqual(`Include cycle: ${['main.yml', 'a.yml', 'b.yml', 'a.yml'].map(name => path.join(configurationDirectory, name)).join(' -> ')}`);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a configuration id defined in two files Then reject', function (done) {
+      writeFiles({
+        'main.yml': 'include: host.yml\nconfigurations:\n  - id: host1\n',
+        'host.yml': 'configurations:\n  - id: host1\n'
+      });
+
+      configLoader.loadConfiguration(path.join(configurationDirectory, 'main.yml'), {})
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('the configuration id host1 is already defined');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given variables Then replace them after the includes and the extends', function (done) {
+      writeFiles({
+        'main.yml': [
+          'include: base.yml',
+          'configurations:',
+          '  - id: host1',
+          '    extends: base',
+          '    namespace: ${PROFILE}'
+        ].join('\n'),
+        'base.yml': [
+          'configurations:',
+          '  - id: base',
+          '    jobs:',
+          '      - name: db',
+          '        configuration:',
+          '          connectionString: postgres://${DB_USER:-netfilter}@${DB_HOST}/security?app=$${NAME}'
+        ].join('\n')
+      });
+
+      configLoader.loadConfiguration(path.join(configurationDirectory, 'main.yml'), {PROFILE: 'web', DB_HOST: 'db1'})
+        .then(configuration => {
+          expect(configuration.configurations[1]).toEqual({
+            id: 'host1',
+            namespace: 'web',
+            jobs: [{name: 'db', configuration: {connectionString: 'postgres://netfilter@db1/security?app=${NAME}'}}]
+          });
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a variable not defined without default Then reject with its path', function (done) {
+      writeFiles({
+        'main.yml': 'configurations:\n  - id: host1\n    namespace: ${PROFILE}\n'
+      });
+
+      configLoader.loadConfiguration(path.join(configurationDirectory, 'main.yml'), {})
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toEqual('configurations[0].namespace: the variable PROFILE is not defined');
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('resolveExtends', function () {
+    it('Given items extending each other Then merge the parents first and the jobs by name', function () {
+      const configurations = configLoader.resolveExtends([
+        {
+          id: 'host1',
+          extends: 'web',
+          namespace: 'host1',
+          jobs: [{name: 'ssh', configuration: {port: 2222}}, {name: 'dns'}]
+        },
+        {
+          id: 'web',
+          extends: 'base',
+          namespace: 'web',
+          jobs: [{name: 'http'}, {name: 'ssh', configuration: {port: 22, allowed: ['10.0.0.0/8']}}]
+        },
+        {
+          id: 'base',
+          namespace: 'base',
+          network: {ipVersions: [4, 6]},
+          jobs: [{name: 'prepare'}, {name: 'ssh', configuration: {port: 22, allowed: ['0.0.0.0/1']}}]
+        }
+      ]);
+
+      expect(configurations[0]).toEqual({
+        id: 'host1',
+        namespace: 'host1',
+        network: {ipVersions: [4, 6]},
+        jobs: [{name: 'prepare'}, {name: 'ssh', configuration: {port: 2222, allowed: ['10.0.0.0/8']}}, {name: 'http'}, {name: 'dns'}]
+      });
+      expect(configurations[2].id).toEqual('base');
+    });
+
+    it('Given items extending each other in a cycle Then throw an error', function () {
+      expect(() => configLoader.resolveExtends([
+        {id: 'a', extends: 'b'},
+        {id: 'b', extends: 'a'}
+      ])).toThrowError(commonErrors.IllegalArgumentError, 'Extends cycle: a -> b -> a');
+    });
+
+    it('Given an unknown id extended Then throw an error', function () {
+      expect(() => configLoader.resolveExtends([{id: 'a', extends: 'b'}])).toThrowError(commonErrors.IllegalArgumentError, 'The configuration a extends the unknown configuration b');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const _ = require('lodash'),
+  os = require('os'),
+  path = require('path'),
+  fs = require('fs-extra');
+
+/**
+ * The answer of a stub binary
+ * @typedef {Object} StubBinaries~Response
+ * @property {string} [args] The arguments answered, all the arguments when not defined
+ * @property {string} [stdout] The standard output
+ * @property {string} [stderr] The error output
+ * @property {number} [exitCode] The exit code (0 by default)
+ */
+
+/**
+ * A call of a stub binary
+ * @typedef {Object} StubBinaries~Call
+ * @property {string} command The binary and its arguments
+ * @property {string} input The data read from the standard input
+ */
+
+/**
+ * Render the shell script of a stub binary
+ * @param {string} directory The stub directory
+ * @param {string} binary The binary name
+ * @param {StubBinaries~Response[]} responses The responses
+ * @return {string} The script
+ */
+function renderStubScript(directory, binary, responses) {
+  const callsDirectory = path.join(directory, 'calls');
+  let script = '#!/bin/sh\n';
+  script += `call="${callsDirectory}/$(printf '%04d' "$(ls '${callsDirectory}' | wc -l)")"\n`;
+  script += `printf '%s\\n' "${binary} $*" > "$call"\n`;
+  script += 'cat >> "$call"\n';
+  script += 'case "$*" in\n';
+
+  _.each(responses, (response, index) => {
+    const stdoutPath = path.join(directory, `${binary}-${index}.stdout`),
+      stderrPath = path.join(directory, `${binary}-${index}.stderr`);
+    fs.writeFileSync(stdoutPath, response.stdout || '');
+    fs.writeFileSync(stderrPath, response.stderr || '');
+
+    const pattern = _.isNil(response.args) ? '*' : `'${response.args}'`;
+    script += `  ${pattern}) cat '${stdoutPath}'; cat '${stderrPath}' >&2; exit ${response.exitCode || 0};;\n`;
+  });
+
+  script += 'esac\n';
+  script += 'exit 0\n';
+  return script;
+}
+
+/**
+ * Create stub binaries in a temporary directory put first in the PATH.
+ * Each call is recorded with the data written in the standard input.
+ * @param {Object.<string, StubBinaries~Response[]>} stubs The responses per binary name
+ * @return {{getCalls: function(): StubBinaries~Call[], restore: function()}} The stubs
+ */
+function createStubBinaries(stubs) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'netfilter-stubs-'));
+  fs.mkdirSync(path.join(directory, 'calls'));
+
+  _.each(stubs, (responses, binary) => {
+    fs.writeFileSync(path.join(directory, binary), renderStubScript(directory, binary, responses), {
+      mode: 0o755
+    });
+  });
+
+  const previousPath = process.env.PATH;
+  process.env.PATH = `${directory}${path.delimiter}${previousPath}`;
+
+  return {
+    getCalls: () => {
+      const callsDirectory = path.join(directory, 'calls');
+      return _.map(fs.readdirSync(callsDirectory).sort(), fileName => {
+        const data = fs.readFileSync(path.join(callsDirectory, fileName), 'utf8'),
+          index = data.indexOf('\n');
+        return {
+          command: data.substr(0, index),
+          input: data.substr(index + 1)
+        };
+      });
+    },
+    restore: () => {
+      process.env.PATH = previousPath;
+      fs.removeSync(directory);
+    }
+  };
+}
+
+/**
+ * Create a logger doing nothing, of() returns the logger itself
+ * @return {Object} The logger
+ */
+function createLogger() {
+  const logger = jasmine.createSpyObj('logger', ['debug', 'info', 'warn', 'error', 'of']);
+  logger.of.and.returnValue(logger);
+
+  return logger;
+}
+
+exports.createStubBinaries = module.exports.createStubBinaries = createStubBinaries;
+exports.createLogger = module.exports.createLogger = createLogger;
@@ -0,0 +1,17 @@
+const path = require('path'),
+  Jasmine = require('jasmine');
+
+const runner = new Jasmine({
+  projectBaseDir: path.resolve(__dirname)
+});
+
+runner.loadConfig({
+  spec_dir: '.',
+  spec_files: [
+    '**/*.spec.js'
+  ],
+  helpers: [],
+  random: false
+});
+
+runner.execute();
@@ -0,0 +1,39 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  blacklistEntries = require('./../../../lib/jobs/blacklist-entries'),
+  operations = require('./../../../lib/netfilter/operations');
+
+describe('blacklist-entries', function () {
+  describe('parseDuration', function () {
+    it('Given a number with or without unit Then return the seconds', function () {
+      expect(blacklistEntries.parseDuration('90')).toEqual(90);
+      expect(blacklistEntries.parseDuration('2h')).toEqual(7200);
+      expect(blacklistEntries.parseDuration('30d')).toEqual(2592000);
+    });
+
+    it('Given zero or an unknown unit Then throw an error', function () {
+      expect(() => blacklistEntries.parseDuration('0')).toThrowError(commonErrors.IllegalArgumentError);
+      expect(() => blacklistEntries.parseDuration('3y')).toThrowError(commonErrors.IllegalArgumentError);
+    });
+  });
+
+  describe('getTimeoutSeconds', function () {
+    const now = new Date('2020-01-01T00:00:00Z');
+
+    it('Given an entry without expiry date Then return the default time to live', function () {
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4'}, undefined, now)).toBeUndefined();
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4'}, 3600, now)).toEqual(3600);
+    });
+
+    it('Given an entry with an expiry date Then return the remaining time, one second at least', function () {
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4', expiresAt: new Date('2020-01-01T01:00:00Z')}, 60, now)).toEqual(3600);
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4', expiresAt: new Date('2019-12-31T00:00:00Z')}, 60, now)).toEqual(1);
+    });
+
+    it('Given a time above the ipset maximum Then return the maximum', function () {
+      expect(operations.MAX_SET_TIMEOUT_SECONDS).toEqual(2147483);
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4', expiresAt: new Date('2021-01-01T00:00:00Z')}, 60, now)).toEqual(2147483);
+      expect(blacklistEntries.getTimeoutSeconds({network: '1.2.3.4'}, 2592000, now)).toEqual(2147483);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  LogBanJob = require('./../../../../lib/jobs/engines/log-ban').LogBanJob,
+  stubBinaries = require('./../../helpers/stub-binaries');
+
+describe('log-ban', function () {
+  /**
+   * Create the execution context of the job
+   * @param {Object} jobConfiguration The job configuration
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(jobConfiguration) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: {
+        type: 'install'
+      },
+      jobConfiguration: jobConfiguration
+    };
+  }
+
+  it('Given a valid configuration Then return no operation, the daemon adds the bans', function (done) {
+    const context = createContext({
+      rules: [
+        {
+          name: 'sshd',
+          files: ['/var/log/auth.log'],
+          filters: ['Failed password for .* from <HOST> port']
+        }
+      ]
+    });
+
+    new LogBanJob().execute(context)
+      .then(response => {
+        expect(response.operations).toEqual([]);
+        expect(context.jobConfiguration.banTimeSeconds).toEqual(3600);
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given a filter without <HOST> Then reject', function (done) {
+    new LogBanJob().execute(createContext({rules: [{name: 'sshd', files: ['/var/log/auth.log'], filters: ['Failed password']}]}))
+      .then(() => done.fail('Must fail'), error => {
+        expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given a ban time above the ipset maximum Then reject', function (done) {
+    new LogBanJob().execute(createContext({banTimeSeconds: 2147484, rules: [{name: 'sshd', files: ['/var/log/auth.log'], filters: ['<HOST>']}]}))
+      .then(() => done.fail('Must fail'), error => {
+        expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+        expect(error.message).toContain('banTimeSeconds');
+      })
+      .then(done, done.fail);
+  });
+});
@@ -0,0 +1,131 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  iptablesRenderer = require('./../../../../lib/netfilter/iptables-renderer'),
+  OutboundNatJob = require('./../../../../lib/jobs/engines/outbound-nat').OutboundNatJob,
+  stubBinaries = require('./../../helpers/stub-binaries');
+
+describe('outbound-nat', function () {
+  /**
+   * Create the execution context of the job, the configuration has a job prepare-netfilter
+   * @param {Object[]} items The network items
+   * @param {string} [type=install] The command type
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(items, type) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: {
+        type: type || 'install'
+      },
+      configurationItem: {
+        jobs: [
+          {
+            name: 'prepare',
+            engine: {
+              name: 'prepare-netfilter'
+            },
+            configuration: {
+              network: {
+                primaryInterfaces: [
+                  {name: 'eth0', networks: [{value: '192.168.1.0/24'}]},
+                  {name: 'br0', networks: [{value: '192.168.10.0/24'}, {value: 'fd00:10::/64'}]},
+                  {name: 'docker0', networks: [{value: '172.17.0.0/16'}]}
+                ]
+              }
+            }
+          }
+        ]
+      },
+      configurationJob: {
+        name: 'nat'
+      },
+      jobConfiguration: {
+        network: {
+          ipVersions: [4],
+          items: items
+        }
+      }
+    };
+  }
+
+  /**
+   * Execute the job and returns the iptables commands
+   * @param {BaseJob~ExecutionContext} context The context
+   * @return {Promise} The commands (string[]) on resolve
+   */
+  function executeCommands(context) {
+    return new OutboundNatJob().execute(context)
+      .then(response => _.map(iptablesRenderer.render(response.operations), 'value'));
+  }
+
+  describe('execute', function () {
+    it('Given source networks Then masquerade them and forward the connections with their answers', function (done) {
+      executeCommands(createContext([{outputLinkName: 'eth0', inputLinkName: 'br0', sourceNetworks: ['192.168.10.0/24']}]))
+        .then(commands => {
+          expect(commands).toEqual([
+            '-N FWD_nat',
+            '-t nat -A POSTROUTING --out-interface eth0 -s 192.168.10.0/24 -j MASQUERADE',
+            '-A FWD_nat --in-interface br0 --out-interface eth0 -s 192.168.10.0/24 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT',
+            '-A FWD_nat --in-interface eth0 --out-interface br0 -d 192.168.10.0/24 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A FWD_nat -j RETURN',
+            '-I FWD_services_access_0 1 -j FWD_nat'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an uninstall Then undo the install', function (done) {
+      executeCommands(createContext([{outputLinkName: 'eth0', sourceNetworks: ['172.17.0.0/16'], toSource: '192.168.1.10'}], 'uninstall'))
+        .then(commands => {
+          expect(commands).toContain('-t nat -D POSTROUTING --out-interface eth0 -s 172.17.0.0/16 -j SNAT --to-source 192.168.1.10');
+          expect(commands).toContain('-D FWD_services_access_0 -j FWD_nat');
+          expect(_.last(commands)).toEqual('-X FWD_nat');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given no source networks and an input interface Then use the networks of the input interface', function (done) {
+      const context = createContext([{outputLinkName: 'eth0', inputLinkName: 'br0'}]);
+      context.jobConfiguration.network.ipVersions = [4, 6];
+
+      executeCommands(context)
+        .then(commands => {
+          expect(_.filter(commands, command => _.includes(command, 'POSTROUTING'))).toEqual([
+            '-t nat -A POSTROUTING --out-interface eth0 -s 192.168.10.0/24 -j MASQUERADE',
+            '-t nat -A POSTROUTING --out-interface eth0 -s fd00:10::/64 -j MASQUERADE'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given no source networks nor input interface Then use the networks of the other primary interfaces', function (done) {
+      executeCommands(createContext([{outputLinkName: 'eth0'}]))
+        .then(commands => {
+          expect(_.filter(commands, command => _.includes(command, 'POSTROUTING'))).toEqual([
+            '-t nat -A POSTROUTING --out-interface eth0 -s 192.168.10.0/24 -j MASQUERADE',
+            '-t nat -A POSTROUTING --out-interface eth0 -s 172.17.0.0/16 -j MASQUERADE'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given no source networks and an input interface without network Then reject', function (done) {
+      executeCommands(createContext([{outputLinkName: 'eth0', inputLinkName: 'wg0'}]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toEqual('The item leaving by eth0 has no sourceNetworks and no network is declared on the primary interface wg0');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a source of another ip version than the networks Then reject', function (done) {
+      executeCommands(createContext([{outputLinkName: 'eth0', sourceNetworks: ['fd00:10::/64'], toSource: '192.168.1.10'}]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('are not in the same ip version');
+        })
+        .then(done, done.fail);
+    });
+  });
+});
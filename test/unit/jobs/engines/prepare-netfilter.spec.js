@@ -0,0 +1,160 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  iptablesRenderer = require('./../../../../lib/netfilter/iptables-renderer'),
+  PrepareNetfilterJob = require('./../../../../lib/jobs/engines/prepare-netfilter').PrepareNetfilterJob,
+  stubBinaries = require('./../../helpers/stub-binaries');
+
+describe('prepare-netfilter', function () {
+  /**
+   * Create the execution context of the job with the primary interface eth0
+   * @param {Object} [primaryInterface] The values merged in the primary interface
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(primaryInterface) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: {
+        type: 'install'
+      },
+      configurationJob: {
+        name: 'prepare'
+      },
+      jobConfiguration: {
+        network: {
+          ipVersions: [4],
+          primaryInterfaces: [
+            _.merge({
+              name: 'eth0',
+              networks: [{value: '192.168.1.0/24'}],
+              rules: {
+                input: {
+                  defaultAction: 'DROP'
+                },
+                output: {
+                  defaultAction: 'DROP'
+                }
+              }
+            }, primaryInterface)
+          ]
+        }
+      }
+    };
+  }
+
+  /**
+   * Execute the job and returns the iptables commands of a chain
+   * @param {BaseJob~ExecutionContext} context The context
+   * @param {string} chain The chain
+   * @return {Promise} The commands (string[]) on resolve
+   */
+  function executeChainCommands(context, chain) {
+    return new PrepareNetfilterJob().execute(context)
+      .then(response => _.filter(_.map(iptablesRenderer.render(response.operations), 'value'), value => _.includes(_.split(value, ' '), chain)));
+  }
+
+  describe('vital', function () {
+    it('Given a primary interface without vital section Then open DHCP, DNS, ICMP echo-request and NTP', function (done) {
+      executeChainCommands(createContext(), 'OUT_vital_access_0')
+        .then(commands => {
+          expect(commands).toEqual([
+            '-N OUT_vital_access_0',
+            '-A OUT_vital_access_0 -p udp --out-interface eth0 --sport 67:68 --dport 67:68 -j ACCEPT',
+            '-A OUT_vital_access_0 -p udp --out-interface eth0 --sport 1024:65535 --dport 53 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT',
+            '-A OUT_vital_access_0 -p tcp --out-interface eth0 --sport 1024:65535 --dport 53 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT',
+            '-A OUT_vital_access_0 -p icmp --out-interface eth0 -d 0.0.0.0/0 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT',
+            '-A OUT_vital_access_0 -p udp --out-interface eth0 --sport 1024:65535 --dport 123 -j ACCEPT',
+            '-A OUT_vital_access_0 --out-interface lo -s 192.168.1.0/24 -d 192.168.1.0/24 -j ACCEPT',
+            '-A OUT_vital_access_0 --out-interface lo -s 192.168.1.0/24 -d 127.0.0.0/8 -j ACCEPT',
+            '-A OUT_vital_access_0 --out-interface lo -d 127.0.0.0/8 -j ACCEPT',
+            '-A OUT_vital_access_0 -j RETURN',
+            '-I OUTPUT 2 -j OUT_vital_access_0'
+          ]);
+          return executeChainCommands(createContext(), 'IN_vital_access_0');
+        })
+        .then(commands => {
+          expect(commands).toContain('-A IN_vital_access_0 -p udp --in-interface eth0 --sport 67:68 --dport 67:68 -j ACCEPT');
+          expect(commands).toContain('-A IN_vital_access_0 -p icmp --icmp-type echo-request --in-interface eth0 -s 0.0.0.0/0 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT');
+          expect(commands).toContain('-A IN_vital_access_0 -p udp --in-interface eth0 --sport 123 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given services disabled or restricted to servers Then remove them or match the servers of the ip version', function (done) {
+      executeChainCommands(createContext({
+        vital: {
+          dhcp: {enabled: false},
+          dns: {servers: ['9.9.9.9', '2620:fe::fe']},
+          ntp: {enabled: false},
+          icmp: {types: ['time-exceeded'], limit: {rate: '10/second', burst: 20}}
+        }
+      }), 'IN_vital_access_0')
+        .then(commands => {
+          expect(_.filter(commands, command => _.includes(command, 'eth0'))).toEqual([
+            '-A IN_vital_access_0 -p udp --in-interface eth0 -s 9.9.9.9 --sport 53 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A IN_vital_access_0 -p tcp --in-interface eth0 -s 9.9.9.9 --sport 53 --dport 1024:65535 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A IN_vital_access_0 -p icmp --in-interface eth0 -s 0.0.0.0/0 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A IN_vital_access_0 -p icmp --icmp-type time-exceeded --in-interface eth0 -s 0.0.0.0/0 -m state --state NEW,ESTABLISHED,RELATED -m limit --limit 10/second --limit-burst 20 -j ACCEPT',
+            '-A IN_vital_access_0 --in-interface eth0 -m state --state ESTABLISHED,RELATED -j ACCEPT'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an unknown icmp type Then reject', function (done) {
+      new PrepareNetfilterJob().execute(createContext({vital: {icmp: {types: ['redirect']}}}))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('egress', function () {
+    it('Given an output policy without owners Then accept the replies and root only', function (done) {
+      executeChainCommands(createContext(), 'OUT_egress_access_0')
+        .then(commands => {
+          expect(commands).toEqual([
+            '-N OUT_egress_access_0',
+            '-A OUT_egress_access_0 --out-interface eth0 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A OUT_egress_access_0 --out-interface eth0 -m owner --uid-owner 0 -j ACCEPT',
+            '-A OUT_egress_access_0 -j RETURN',
+            '-I OUTPUT 4 -j OUT_egress_access_0'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given owners and destinations Then replace the root rule and accept the destinations', function (done) {
+      executeChainCommands(createContext({
+        rules: {
+          output: {
+            owners: [{gid: 33, action: 'REJECT'}, {uid: 1000}],
+            destinations: [{networks: ['10.0.0.0/8', 'fd00::/8'], protocol: 'tcp', ports: [443, '8000:8010']}]
+          }
+        }
+      }), 'OUT_egress_access_0')
+        .then(commands => {
+          expect(commands).toEqual([
+            '-N OUT_egress_access_0',
+            '-A OUT_egress_access_0 --out-interface eth0 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A OUT_egress_access_0 --out-interface eth0 -m owner --gid-owner 33 -j REJECT',
+            '-A OUT_egress_access_0 --out-interface eth0 -m owner --uid-owner 1000 -j ACCEPT',
+            '-A OUT_egress_access_0 -p tcp --out-interface eth0 -d 10.0.0.0/8 --dport 443 -j ACCEPT',
+            '-A OUT_egress_access_0 -p tcp --out-interface eth0 -d 10.0.0.0/8 --dport 8000:8010 -j ACCEPT',
+            '-A OUT_egress_access_0 -j RETURN',
+            '-I OUTPUT 4 -j OUT_egress_access_0'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an owner with uid and gid Then reject', function (done) {
+      new PrepareNetfilterJob().execute(createContext({rules: {output: {owners: [{uid: 0, gid: 0}]}}}))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+        })
+        .then(done, done.fail);
+    });
+  });
+});
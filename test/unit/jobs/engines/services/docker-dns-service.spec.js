@@ -0,0 +1,124 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  dockerDnsService = require('./../../../../../lib/jobs/engines/services/docker-dns-service'),
+  PortForwardJob = require('./../../../../../lib/jobs/engines/services/port-forward').PortForwardJob,
+  iptablesRenderer = require('./../../../../../lib/netfilter/iptables-renderer'),
+  stubBinaries = require('./../../../helpers/stub-binaries'),
+  DockerDnsServiceJob = dockerDnsService.DockerDnsServiceJob;
+
+describe('docker-dns-service', function () {
+  /**
+   * Create the execution context of the job
+   * @param {Object[]} items The network items
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(items) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: {
+        type: 'install'
+      },
+      configurationJob: {
+        name: 'dns'
+      },
+      jobConfiguration: {
+        network: {
+          ipVersions: [4],
+          items: items
+        }
+      }
+    };
+  }
+
+  /**
+   * Execute the job and returns the iptables commands
+   * @param {BaseJob~ExecutionContext} context The context
+   * @return {Promise} The commands (string[]) on resolve
+   */
+  function executeCommands(context) {
+    return new DockerDnsServiceJob().execute(context)
+      .then(response => _.map(iptablesRenderer.render(response.operations), 'value'));
+  }
+
+  it('Given the job Then it is a port forward', function () {
+    expect(new DockerDnsServiceJob() instanceof PortForwardJob).toBe(true);
+  });
+
+  describe('execute', function () {
+    it('Given an existing configuration Then accept the forwarded connections in FORWARD as before', function (done) {
+      executeCommands(createContext([
+        {
+          sourceLinkName: 'eth0',
+          sourceIpAddress: '192.168.1.10',
+          destinationPortNumber: 53,
+          destinationIpAddress: '172.17.0.2'
+        }
+      ]))
+        .then(commands => {
+          expect(_.filter(commands, command => _.includes(command, 'FORWARD'))).toEqual([
+            '-I FORWARD 1 -p tcp -d 172.17.0.2 --dport 53 -j ACCEPT',
+            '-I FORWARD 1 -p udp -d 172.17.0.2 --dport 53 -j ACCEPT'
+          ]);
+          expect(commands).toEqual([
+            '-N IN_dns_dns',
+            '-N OUT_dns_dns',
+            '-t nat -I PREROUTING 1 -p tcp --in-interface eth0 -d 192.168.1.10 --dport 53 -j DNAT --to-destination 172.17.0.2',
+            '-I FORWARD 1 -p tcp -d 172.17.0.2 --dport 53 -j ACCEPT',
+            '-A IN_dns_dns -p tcp -d 192.168.1.10 --dport 53 -j ACCEPT',
+            '-t nat -I PREROUTING 1 -p udp --in-interface eth0 -d 192.168.1.10 --dport 53 -j DNAT --to-destination 172.17.0.2',
+            '-I FORWARD 1 -p udp -d 172.17.0.2 --dport 53 -j ACCEPT',
+            '-A IN_dns_dns -p udp -d 192.168.1.10 --dport 53 -j ACCEPT',
+            '-A IN_dns_dns -j RETURN',
+            '-A OUT_dns_dns -j RETURN',
+            '-I IN_services_access_0 1 -j IN_dns_dns',
+            '-I OUT_services_access_0 1 -j OUT_dns_dns'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a source port and a destination port Then translate the source port to the destination port', function (done) {
+      executeCommands(createContext([
+        {
+          sourceIpAddress: '192.168.1.10',
+          sourcePortNumber: 5353,
+          destinationPortNumber: 53,
+          destinationIpAddress: '172.17.0.2'
+        }
+      ]))
+        .then(commands => {
+          expect(commands).toContain('-t nat -I PREROUTING 1 -p udp -d 192.168.1.10 --dport 5353 -j DNAT --to-destination 172.17.0.2:53');
+          expect(commands).toContain('-I FORWARD 1 -p udp -d 172.17.0.2 --dport 53 -j ACCEPT');
+          expect(commands).toContain('-A IN_dns_dns -p udp -d 192.168.1.10 --dport 5353 -j ACCEPT');
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('_validateConfiguration', function () {
+    it('Given an item without destination port Then reject', function (done) {
+      new DockerDnsServiceJob()._validateConfiguration(createContext([{sourceIpAddress: '192.168.1.10', destinationIpAddress: '172.17.0.2'}]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('destinationPortNumber');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an item without destination address Then reject', function (done) {
+      new DockerDnsServiceJob()._validateConfiguration(createContext([{sourceIpAddress: '192.168.1.10', destinationPortNumber: 53}]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('destinationIpAddress');
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('getReservedNames', function () {
+    it('Given a job Then return the dns chains', function () {
+      expect(dockerDnsService.getReservedNames('', {name: 'dns', configuration: {}}).chains).toEqual(['IN_dns_dns', 'OUT_dns_dns']);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  GenericServiceJob = require('./../../../../../lib/jobs/engines/services/generic-service').GenericServiceJob;
+
+describe('generic-service', function () {
+  /**
+   * Create the execution context of the job
+   * @param {string} backend The backend
+   * @param {Object} protections The protections of the item
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(backend, protections) {
+    return {
+      jobCommand: {
+        type: 'install',
+        backend: backend
+      },
+      jobConfiguration: {
+        network: {
+          items: [
+            {
+              portNumber: '8000-8010',
+              protocol: 'tcp',
+              protections: protections
+            }
+          ]
+        }
+      }
+    };
+  }
+
+  describe('_validateConfiguration', function () {
+    it('Given the protection recent with the backend iptables Then resolve with the range normalized', function (done) {
+      const context = createContext('iptables', {recent: {hits: 5, seconds: 60}});
+      new GenericServiceJob()._validateConfiguration(context)
+        .then(() => {
+          expect(context.jobConfiguration.network.items[0].portNumber).toEqual('8000:8010');
+          expect(context.jobConfiguration.network.items[0].protections.overflowAction).toEqual('DROP');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given the protection recent with the backend nftables Then reject', function (done) {
+      new GenericServiceJob()._validateConfiguration(createContext('nftables', {recent: {hits: 5, seconds: 60}}))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('recent is not supported by the backend nftables, use rateLimit');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a block time above the ipset maximum Then reject', function (done) {
+      const context = createContext('iptables', {overflowAction: 'BLOCK', maxConnections: 10});
+      context.jobConfiguration.blockTimeSeconds = 2147484;
+
+      new GenericServiceJob()._validateConfiguration(context)
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('blockTimeSeconds');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given the ipset maximum as block time Then resolve', function (done) {
+      const context = createContext('iptables', {overflowAction: 'BLOCK', maxConnections: 10});
+      context.jobConfiguration.blockTimeSeconds = 2147483;
+
+      new GenericServiceJob()._validateConfiguration(context)
+        .then(done, done.fail);
+    });
+
+    it('Given the other protections with the backend nftables Then resolve', function (done) {
+      new GenericServiceJob()._validateConfiguration(createContext('nftables', {overflowAction: 'BLOCK', rateLimit: {rate: '10/minute'}}))
+        .then(done, done.fail);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  PortForwardJob = require('./../../../../../lib/jobs/engines/services/port-forward').PortForwardJob,
+  iptablesRenderer = require('./../../../../../lib/netfilter/iptables-renderer'),
+  stubBinaries = require('./../../../helpers/stub-binaries');
+
+describe('port-forward', function () {
+  /**
+   * Create the execution context of the job
+   * @param {Object[]} items The network items
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(items) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: {
+        type: 'install'
+      },
+      configurationJob: {
+        name: 'forward'
+      },
+      jobConfiguration: {
+        network: {
+          items: items
+        }
+      }
+    };
+  }
+
+  /**
+   * Execute the job and returns the commands
+   * @param {BaseJob~ExecutionContext} context The context
+   * @return {Promise} The commands ({@link SecurityCommand}[]) on resolve
+   */
+  function executeCommands(context) {
+    return new PortForwardJob().execute(context)
+      .then(response => iptablesRenderer.render(response.operations));
+  }
+
+  describe('execute', function () {
+    it('Given an item Then translate the port and accept the connections and their answers in the chain FWD_', function (done) {
+      executeCommands(createContext([
+        {
+          sourceLinkName: 'eth0',
+          sourceIpAddress: '192.168.1.10',
+          sourcePortNumber: 80,
+          destinationIpAddress: '172.17.0.3',
+          destinationPortNumber: 8080
+        }
+      ]))
+        .then(commands => {
+          expect(_.map(_.filter(commands, {type: 'iptables-4'}), 'value')).toEqual([
+            '-N FWD_forward',
+            '-t nat -I PREROUTING 1 -p tcp --in-interface eth0 -d 192.168.1.10 --dport 80 -j DNAT --to-destination 172.17.0.3:8080',
+            '-A FWD_forward -p tcp -d 172.17.0.3 --dport 8080 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT',
+            '-A FWD_forward -p tcp -s 172.17.0.3 --sport 8080 -m state --state ESTABLISHED,RELATED -j ACCEPT',
+            '-A FWD_forward -j RETURN',
+            '-I FWD_services_access_0 1 -j FWD_forward'
+          ]);
+          expect(_.map(_.filter(commands, {type: 'iptables-6'}), 'value')).toEqual([
+            '-N FWD_forward',
+            '-A FWD_forward -j RETURN',
+            '-I FWD_services_access_0 1 -j FWD_forward'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a range restricted to networks with hairpin Then keep the ports and translate the hairpin sources', function (done) {
+      executeCommands(createContext([
+        {
+          protocols: ['udp'],
+          sourceIpAddress: '192.168.1.10',
+          sourcePortNumber: '27000-27010',
+          sourceNetworks: ['1.2.3.0/24'],
+          destinationIpAddress: '172.17.0.4',
+          hairpin: {
+            local: true,
+            networks: ['172.17.0.0/16']
+          }
+        }
+      ]))
+        .then(commands => {
+          const values = _.map(_.filter(commands, {type: 'iptables-4'}), 'value');
+          expect(values).toContain('-t nat -I PREROUTING 1 -p udp -s 1.2.3.0/24 -d 192.168.1.10 --dport 27000:27010 -j DNAT --to-destination 172.17.0.4');
+          expect(values).toContain('-A FWD_forward -p udp -s 1.2.3.0/24 -d 172.17.0.4 --dport 27000:27010 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT');
+          expect(values).toContain('-t nat -I OUTPUT 1 -p udp -d 192.168.1.10 --dport 27000:27010 -j DNAT --to-destination 172.17.0.4');
+          expect(values).toContain('-A FWD_forward -p udp -s 172.17.0.0/16 -d 172.17.0.4 --dport 27000:27010 -m state --state NEW,ESTABLISHED,RELATED -j ACCEPT');
+          expect(values).toContain('-t nat -I POSTROUTING 1 -p udp -s 172.17.0.0/16 -d 172.17.0.4 --dport 27000:27010 -j SNAT --to-source 192.168.1.10');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a range translated to another range Then reject', function (done) {
+      executeCommands(createContext([
+        {
+          sourceIpAddress: '192.168.1.10',
+          sourcePortNumber: '8000-8010',
+          destinationIpAddress: '172.17.0.4',
+          destinationPortNumber: '9000-9010'
+        }
+      ]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('must be one port or the source ports');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a source and a destination of different ip versions Then reject', function (done) {
+      executeCommands(createContext([
+        {
+          sourceIpAddress: '192.168.1.10',
+          sourcePortNumber: 25,
+          destinationIpAddress: 'fd00::4'
+        }
+      ]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toContain('are not in the same ip version');
+        })
+        .then(done, done.fail);
+    });
+  });
+});
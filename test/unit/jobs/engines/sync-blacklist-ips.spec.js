@@ -0,0 +1,108 @@
+const os = require('os'),
+  path = require('path'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  blacklistEntries = require('./../../../../lib/jobs/blacklist-entries'),
+  SynchronizeBlacklistIps = require('./../../../../lib/jobs/engines/sync-blacklist-ips').SynchronizeBlacklistIps,
+  stubBinaries = require('./../../helpers/stub-binaries');
+
+describe('sync-blacklist-ips', function () {
+  let directory = undefined;
+
+  beforeEach(function () {
+    directory = fse.mkdtempSync(path.join(os.tmpdir(), 'blacklist-'));
+    fse.writeFileSync(path.join(directory, 'feed.txt'), '1.2.3.4\n10.0.0.0/8\n2001:db8::/32\n');
+  });
+
+  afterEach(function () {
+    fse.removeSync(directory);
+  });
+
+  /**
+   * Create the execution context of the job
+   * @param {JobCommand} jobCommand The job command
+   * @param {Object} [expiry] The expiry section
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(jobCommand, expiry) {
+    return {
+      logger: stubBinaries.createLogger(),
+      jobCommand: jobCommand,
+      jobConfiguration: {
+        sources: [
+          {
+            type: 'file',
+            path: path.join(directory, 'feed.txt')
+          },
+          {
+            type: 'postgres',
+            connectionString: 'postgres://user@localhost/security'
+          }
+        ],
+        expiry: expiry
+      }
+    };
+  }
+
+  /**
+   * Execute the job without database: the postgres source returns no entry
+   * @param {BaseJob~ExecutionContext} context The context
+   * @return {Promise} {@link BaseJob~ExecutionOnResolve} on resolve
+   */
+  function execute(context) {
+    spyOn(blacklistEntries, 'pruneExpiredEntries').and.returnValue(Promise.resolve(2));
+    const sourceLoaders = require('./../../../../lib/jobs/network-sources').SOURCE_LOADERS;
+    spyOn(sourceLoaders, 'postgres').and.returnValue(Promise.resolve([]));
+
+    return new SynchronizeBlacklistIps().execute(context);
+  }
+
+  it('Given an install Then replace the sets with the networks of the sources', function (done) {
+    execute(createContext({type: 'install'}))
+      .then(response => {
+        expect(response.operations.length).toEqual(2);
+        expect(response.operations[0].members).toEqual(['1.2.3.4', '10.0.0.0/8']);
+        expect(response.operations[1].members).toEqual(['2001:db8::/32']);
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given an install printed, diffed or reported Then never prune the database', function (done) {
+    execute(createContext({type: 'install', apply: false}, {pruneExpired: true}))
+      .then(response => {
+        expect(response.onApplied).toBeUndefined();
+        expect(blacklistEntries.pruneExpiredEntries).not.toHaveBeenCalled();
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given an install applied Then prune the database once applied', function (done) {
+    execute(createContext({type: 'install', apply: true}, {pruneExpired: true}))
+      .then(response => {
+        expect(blacklistEntries.pruneExpiredEntries).not.toHaveBeenCalled();
+        return response.onApplied();
+      })
+      .then(() => {
+        expect(blacklistEntries.pruneExpiredEntries).toHaveBeenCalledWith('postgres://user@localhost/security');
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given an install applied with pruneExpired false Then never prune the database', function (done) {
+    execute(createContext({type: 'install', apply: true}, {pruneExpired: false}))
+      .then(response => {
+        expect(response.onApplied).toBeUndefined();
+      })
+      .then(done, done.fail);
+  });
+
+  it('Given a default time to live above the ipset maximum Then reject', function (done) {
+    execute(createContext({type: 'install'}, {defaultTtlSeconds: 2592000}))
+      .then(() => done.fail('Must fail'), error => {
+        expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+        expect(error.message).toContain('defaultTtlSeconds');
+      })
+      .then(done, done.fail);
+  });
+});
@@ -0,0 +1,86 @@
+const _ = require('lodash'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  iptablesRenderer = require('./../../../../lib/netfilter/iptables-renderer'),
+  SynchronizeCountryNetworks = require('./../../../../lib/jobs/engines/sync-country-networks').SynchronizeCountryNetworks,
+  stubBinaries = require('./../../helpers/stub-binaries');
+
+describe('sync-country-networks', function () {
+  const Steps = SynchronizeCountryNetworks.prototype.execute.Steps;
+
+  /**
+   * Create the execution context of the job
+   * @param {Object[]} policies The policies
+   * @return {BaseJob~ExecutionContext} The context
+   */
+  function createContext(policies) {
+    const logger = stubBinaries.createLogger();
+    logger.of = () => logger;
+
+    return {
+      logger: logger,
+      configuration: {},
+      jobConfiguration: {
+        network: {
+          ipVersions: [4]
+        },
+        database: {
+          connectionString: 'postgres://user@localhost/security'
+        },
+        policies: policies
+      },
+      commands: {
+        install: []
+      }
+    };
+  }
+
+  describe('validateConfiguration', function () {
+    it('Given an allow policy without ports nor service chain Then reject', function (done) {
+      Steps.validateConfiguration(createContext([{name: 'all', action: 'allow', countries: ['FR']}]))
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toEqual('Invalid configuration: the allow policy all needs ports or serviceChainName');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an allow policy with ports or a service chain and a deny policy without Then resolve', function (done) {
+      Steps.validateConfiguration(createContext([
+        {name: 'ssh', action: 'allow', countries: ['FR'], ports: [{portNumber: 22, protocol: 'tcp'}]},
+        {name: 'web', action: 'allow', countries: ['fr'], serviceChainName: 'web'},
+        {name: 'denied', action: 'deny', countries: ['XX']}
+      ]))
+        .then(done, done.fail);
+    });
+  });
+
+  describe('generatePolicies', function () {
+    it('Given a policy Then fill its set at once and send the connections to the block chain', function (done) {
+      const context = createContext([{name: 'ssh', action: 'allow', countries: ['FR', 'DE'], ports: [{portNumber: 22, protocol: 'tcp'}]}]);
+      context.countryNetworks = {
+        FR: {4: ['1.0.0.0/24', '2.0.0.0/16']},
+        DE: {4: ['3.0.0.0/8']}
+      };
+
+      Steps.validateConfiguration(context)
+        .then(() => Steps.generatePolicies(context))
+        .then(() => {
+          const values = _.map(iptablesRenderer.render(context.commands.install), 'value');
+          expect(values).toEqual([
+            '-! create country_ssh hash:net family inet',
+            '-! create country_ssh_tmp hash:net family inet',
+            'flush country_ssh_tmp',
+            '-! add country_ssh_tmp 1.0.0.0/24',
+            '-! add country_ssh_tmp 2.0.0.0/16',
+            '-! add country_ssh_tmp 3.0.0.0/8',
+            'swap country_ssh_tmp country_ssh',
+            '-! destroy country_ssh_tmp',
+            '-I INPUT 5 -p tcp --dport 22 -m set ! --match-set country_ssh src -j IN_block_access_0',
+            '-I FORWARD 5 -p tcp --dport 22 -m set ! --match-set country_ssh src -j IN_block_access_0'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+  });
+});
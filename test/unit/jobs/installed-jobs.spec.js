@@ -0,0 +1,147 @@
+const os = require('os'),
+  path = require('path'),
+  fse = require('fs-extra'),
+  installedJobs = require('./../../../lib/jobs/installed-jobs'),
+  operations = require('./../../../lib/netfilter/operations'),
+  ruleBuilder = require('./../../../lib/netfilter/rule-builder');
+
+describe('installed-jobs', function () {
+  describe('getRemovedOperations', function () {
+    const sshRule = ruleBuilder.rule(4, 'IN_web').protocol('tcp').destinationPort(22).jump('ACCEPT').append(),
+      httpRule = ruleBuilder.rule(4, 'IN_web').protocol('tcp').destinationPort(80).jump('ACCEPT').append(),
+      jumpRule = ruleBuilder.rule(4, 'INPUT').jump('IN_web').insert(1);
+
+    it('Given the same operations Then remove nothing', function () {
+      const installed = [operations.createChain(4, 'IN_web'), sshRule, jumpRule];
+
+      expect(installedJobs.getRemovedOperations(installed, installed)).toEqual([]);
+    });
+
+    it('Given a rule moved to another position Then keep it', function () {
+      const movedJumpRule = ruleBuilder.rule(4, 'INPUT').jump('IN_web').insert(3);
+
+      expect(installedJobs.getRemovedOperations([jumpRule], [movedJumpRule])).toEqual([]);
+    });
+
+    it('Given a rule not installed anymore in a chain not rebuilt Then delete it', function () {
+      const otherJumpRule = ruleBuilder.rule(4, 'INPUT').jump('IN_other').insert(1);
+
+      expect(installedJobs.getRemovedOperations([jumpRule, otherJumpRule], [jumpRule])).toEqual([operations.toDeleteRule(otherJumpRule)]);
+    });
+
+    it('Given a rule not installed anymore in a chain rebuilt Then skip it', function () {
+      const installed = [operations.createChain(4, 'IN_web'), sshRule, httpRule, jumpRule],
+        installing = [operations.createChain(4, 'IN_web'), sshRule, jumpRule];
+
+      expect(installedJobs.getRemovedOperations(installed, installing)).toEqual([]);
+    });
+
+    it('Given a chain not installed anymore Then delete its rules, then the chain', function () {
+      const installed = [operations.createChain(4, 'IN_web'), sshRule, jumpRule];
+
+      expect(installedJobs.getRemovedOperations(installed, [])).toEqual([
+        operations.toDeleteRule(jumpRule),
+        operations.toDeleteRule(sshRule),
+        operations.flushChain(4, 'IN_web'),
+        operations.deleteChain(4, 'IN_web')
+      ]);
+    });
+
+    it('Given a member not added anymore to a set replaced Then skip it', function () {
+      const installed = [operations.createSet(4, 'trusted_net'), operations.addSetMember(4, 'trusted_net', '10.0.0.0/8')],
+        installing = [operations.createSet(4, 'trusted_net'), operations.replaceSetMembers(4, 'trusted_net', ['192.168.0.0/16'])];
+
+      expect(installedJobs.getRemovedOperations(installed, installing)).toEqual([]);
+    });
+
+    it('Given a member not added anymore to a set kept Then delete the member', function () {
+      const installed = [operations.createSet(4, 'trusted_net'), operations.addSetMember(4, 'trusted_net', '10.0.0.0/8')],
+        installing = [operations.createSet(4, 'trusted_net')];
+
+      expect(installedJobs.getRemovedOperations(installed, installing)).toEqual([operations.deleteSetMember(4, 'trusted_net', '10.0.0.0/8')]);
+    });
+  });
+
+  describe('records in the state directory', function () {
+    let stateDirectory;
+
+    beforeEach(function () {
+      stateDirectory = fse.mkdtempSync(path.join(os.tmpdir(), 'netfilter-state-'));
+    });
+
+    afterEach(function () {
+      fse.removeSync(stateDirectory);
+    });
+
+    /**
+     * Create the record of an installed job
+     * @param {string} configurationId The configuration id
+     * @param {string} jobName The job name
+     * @param {string} installedAt The install date
+     * @return {InstalledJob} The record
+     */
+    function createInstalledJob(configurationId, jobName, installedAt) {
+      return {
+        configurationId: configurationId,
+        jobName: jobName,
+        engine: 'generic-service',
+        backend: 'iptables',
+        installedAt: installedAt,
+        operations: [operations.createChain(4, `IN_${jobName}`)]
+      };
+    }
+
+    it('Given a job saved Then load it and replace it on the next save', function (done) {
+      const installedJob = createInstalledJob('host/1', 'web', '2020-01-01T00:00:00.000Z'),
+        reinstalledJob = createInstalledJob('host/1', 'web', '2020-01-02T00:00:00.000Z');
+
+      installedJobs.saveInstalledJob(stateDirectory, installedJob)
+        .then(() => {
+          expect(installedJobs.getInstalledJobFilePath(stateDirectory, 'host/1', 'web')).toEqual(path.join(stateDirectory, 'installed', 'host%2F1', 'web.json'));
+          return installedJobs.loadInstalledJob(stateDirectory, 'host/1', 'web');
+        })
+        .then(loadedJob => {
+          expect(loadedJob).toEqual(installedJob);
+          return installedJobs.saveInstalledJob(stateDirectory, reinstalledJob);
+        })
+        .then(() => installedJobs.loadInstalledJob(stateDirectory, 'host/1', 'web'))
+        .then(loadedJob => expect(loadedJob).toEqual(reinstalledJob))
+        .then(done, done.fail);
+    });
+
+    it('Given a job not saved or removed Then load null', function (done) {
+      installedJobs.loadInstalledJob(stateDirectory, 'host1', 'web')
+        .then(loadedJob => {
+          expect(loadedJob).toBeNull();
+          return installedJobs.saveInstalledJob(stateDirectory, createInstalledJob('host1', 'web', '2020-01-01T00:00:00.000Z'));
+        })
+        .then(() => installedJobs.removeInstalledJob(stateDirectory, 'host1', 'web'))
+        .then(() => installedJobs.loadInstalledJob(stateDirectory, 'host1', 'web'))
+        .then(loadedJob => expect(loadedJob).toBeNull())
+        .then(done, done.fail);
+    });
+
+    it('Given jobs of several configurations Then list them sorted by configuration id and install date', function (done) {
+      const dnsJob = createInstalledJob('host2', 'dns', '2020-01-01T00:00:00.000Z'),
+        sshJob = createInstalledJob('host1', 'ssh', '2020-01-03T00:00:00.000Z'),
+        webJob = createInstalledJob('host1', 'web', '2020-01-02T00:00:00.000Z');
+
+      installedJobs.listInstalledJobs(stateDirectory)
+        .then(jobs => {
+          expect(jobs).toEqual([]);
+          return Promise.all([dnsJob, sshJob, webJob].map(job => installedJobs.saveInstalledJob(stateDirectory, job)));
+        })
+        .then(() => installedJobs.listInstalledJobs(stateDirectory))
+        .then(jobs => {
+          expect(jobs).toEqual([webJob, sshJob, dnsJob]);
+          return installedJobs.listInstalledJobs(stateDirectory, 'host2');
+        })
+        .then(jobs => {
+          expect(jobs).toEqual([dnsJob]);
+          return installedJobs.listInstalledJobs(stateDirectory, 'host3');
+        })
+        .then(jobs => expect(jobs).toEqual([]))
+        .then(done, done.fail);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ipFamilies = require('./../../../lib/jobs/ip-families');
+
+describe('ip-families', function () {
+  describe('getIpVersion', function () {
+    it('Given addresses and networks Then return their ip version', function () {
+      expect(ipFamilies.getIpVersion('192.168.1.10')).toEqual(4);
+      expect(ipFamilies.getIpVersion(' 10.0.0.0/8 ')).toEqual(4);
+      expect(ipFamilies.getIpVersion('fd00::/8')).toEqual(6);
+      expect(ipFamilies.getIpVersion('::ffff:1.2.3.4')).toEqual(6);
+    });
+
+    it('Given a value which is not an ip address Then throw an error', function () {
+      expect(() => ipFamilies.getIpVersion('eth0')).toThrowError(commonErrors.IllegalArgumentError, 'Invalid ip address eth0');
+    });
+  });
+
+  describe('splitByIpVersion', function () {
+    it('Given addresses or items Then split them per ip version in their order', function () {
+      expect(ipFamilies.splitByIpVersion(['fd00::1', '1.2.3.4', '10.0.0.0/8'])).toEqual({
+        4: ['1.2.3.4', '10.0.0.0/8'],
+        6: ['fd00::1']
+      });
+      expect(ipFamilies.splitByIpVersion([{value: '1.2.3.4'}], 'value')).toEqual({
+        4: [{value: '1.2.3.4'}],
+        6: []
+      });
+    });
+  });
+
+  describe('getEnabledIpVersions', function () {
+    it('Given the ip versions of the job and of the global configuration Then the job has priority', function () {
+      const context = {
+        configuration: {global: {network: {ipVersions: [6]}}},
+        jobConfiguration: {network: {ipVersions: [6, 4]}}
+      };
+
+      expect(ipFamilies.getEnabledIpVersions(context)).toEqual([4, 6]);
+      delete context.jobConfiguration.network.ipVersions;
+      expect(ipFamilies.getEnabledIpVersions(context)).toEqual([6]);
+      expect(ipFamilies.getEnabledIpVersions({})).toEqual([4, 6]);
+    });
+  });
+
+  describe('getSetName', function () {
+    it('Given the ip version Then suffix the IPv6 sets and use the ipset family', function () {
+      expect(ipFamilies.getSetName('block_net', 4)).toEqual('block_net');
+      expect(ipFamilies.getSetName('block_net', 6)).toEqual('block_net6');
+      expect(ipFamilies.getSetFamily(4)).toEqual('inet');
+      expect(ipFamilies.getSetFamily(6)).toEqual('inet6');
+    });
+  });
+});
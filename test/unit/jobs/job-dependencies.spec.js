@@ -0,0 +1,69 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  jobDependencies = require('./../../../lib/jobs/job-dependencies');
+
+describe('job-dependencies', function () {
+  /**
+   * Returns the names of the jobs
+   * @param {Object[]} configurationJobs The jobs
+   * @return {string[]} The names
+   */
+  function getNames(configurationJobs) {
+    return configurationJobs.map(configurationJob => configurationJob.name);
+  }
+
+  describe('sortJobsByDependencies', function () {
+    it('Given jobs without dependency Then keep the declaration order', function () {
+      const jobs = [{name: 'a'}, {name: 'b'}, {name: 'c'}];
+      expect(getNames(jobDependencies.sortJobsByDependencies(jobs))).toEqual(['a', 'b', 'c']);
+    });
+
+    it('Given dependencies declared after Then put the dependencies first', function () {
+      const jobs = [
+        {name: 'services', dependsOn: ['prepare']},
+        {name: 'forward', dependsOn: ['services', 'prepare']},
+        {name: 'other'},
+        {name: 'prepare'}
+      ];
+      expect(getNames(jobDependencies.sortJobsByDependencies(jobs))).toEqual(['prepare', 'services', 'forward', 'other']);
+    });
+
+    it('Given an unknown dependency Then throw a NotFoundError', function () {
+      const jobs = [{name: 'services', dependsOn: ['prepare']}];
+      expect(() => jobDependencies.sortJobsByDependencies(jobs))
+        .toThrowError(commonErrors.NotFoundError, 'Job services depends on the unknown job prepare');
+    });
+
+    it('Given a dependency cycle Then throw an IllegalArgumentError with the cycle', function () {
+      const jobs = [
+        {name: 'a', dependsOn: ['b']},
+        {name: 'b', dependsOn: ['c']},
+        {name: 'c', dependsOn: ['a']}
+      ];
+      expect(() => jobDependencies.sortJobsByDependencies(jobs))
+        .toThrowError(commonErrors.IllegalArgumentError, 'Dependency cycle detected: a -> b -> c -> a');
+    });
+
+    it('Given a job depending on itself Then throw an IllegalArgumentError', function () {
+      expect(() => jobDependencies.sortJobsByDependencies([{name: 'a', dependsOn: ['a']}]))
+        .toThrowError(commonErrors.IllegalArgumentError, 'Dependency cycle detected: a -> a');
+    });
+
+    it('Given a name used twice Then throw an IllegalArgumentError', function () {
+      expect(() => jobDependencies.sortJobsByDependencies([{name: 'a'}, {name: 'a'}]))
+        .toThrowError(commonErrors.IllegalArgumentError, 'Job name a is used more than once');
+    });
+  });
+
+  describe('orderJobsForAction', function () {
+    const jobs = [{name: 'services', dependsOn: ['prepare']}, {name: 'prepare'}];
+
+    it('Given install Then return the dependencies first', function () {
+      expect(getNames(jobDependencies.orderJobsForAction(jobs, 'install'))).toEqual(['prepare', 'services']);
+    });
+
+    it('Given uninstall Then return the reverse order', function () {
+      expect(getNames(jobDependencies.orderJobsForAction(jobs, 'UNINSTALL'))).toEqual(['services', 'prepare']);
+    });
+  });
+});
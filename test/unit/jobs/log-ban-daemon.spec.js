@@ -0,0 +1,52 @@
+const logBanDaemon = require('./../../../lib/jobs/log-ban-daemon');
+
+describe('log-ban-daemon', function () {
+  describe('compileFilter', function () {
+    it('Given a filter without the placeholder Then throw an error', function () {
+      expect(() => logBanDaemon.compileFilter('Failed password')).toThrowError(/must contain <HOST> once/);
+    });
+
+    it('Given a filter with the placeholder twice Then throw an error', function () {
+      expect(() => logBanDaemon.compileFilter('<HOST> <HOST>')).toThrowError(/must contain <HOST> once/);
+    });
+  });
+
+  describe('matchLine', function () {
+    const rule = {
+      regexps: [logBanDaemon.compileFilter('client <HOST>')]
+    };
+
+    it('Given an IPv4 address followed by a port Then return the address without the port', function () {
+      expect(logBanDaemon.matchLine(rule, 'client 1.2.3.4:5555 denied')).toEqual('1.2.3.4');
+    });
+
+    it('Given an IPv4 address Then return the address', function () {
+      expect(logBanDaemon.matchLine(rule, 'client 1.2.3.4 denied')).toEqual('1.2.3.4');
+    });
+
+    it('Given an IPv6 address Then return the address in lower case', function () {
+      expect(logBanDaemon.matchLine(rule, 'client 2001:DB8::1 denied')).toEqual('2001:db8::1');
+      expect(logBanDaemon.matchLine(rule, 'client ::1 denied')).toEqual('::1');
+    });
+
+    it('Given an IPv4 address mapped in IPv6 Then return the IPv4 address', function () {
+      expect(logBanDaemon.matchLine(rule, 'client ::ffff:1.2.3.4 denied')).toEqual('1.2.3.4');
+    });
+
+    it('Given no address or an invalid address Then return null', function () {
+      expect(logBanDaemon.matchLine(rule, 'client unknown denied')).toBeNull();
+      expect(logBanDaemon.matchLine(rule, 'client 999.2.3.4 denied')).toBeNull();
+    });
+  });
+
+  describe('recordFailure', function () {
+    it('Given failures outside the time window Then count only the recent failures', function () {
+      const failures = {
+        'ssh 1.2.3.4': [1000, 50000]
+      };
+
+      expect(logBanDaemon.recordFailure(failures, 'ssh 1.2.3.4', 60000, 30)).toEqual(2);
+      expect(failures['ssh 1.2.3.4']).toEqual([50000, 60000]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const Joi = require('joi'),
+  logRules = require('./../../../lib/jobs/log-rules');
+
+describe('log-rules', function () {
+  describe('getDefaultPrefix', function () {
+    it('Given a short name Then return the name and the verdict', function () {
+      expect(logRules.getDefaultPrefix('IN_vital_access_0', 'REJECT')).toEqual('IN_vital_access_0 REJECT: ');
+    });
+
+    it('Given a name with a namespace Then shorten the name to fit 29 characters', function () {
+      const prefix = logRules.getDefaultPrefix('IN_web_vital_access_0', 'REJECT');
+      expect(prefix).toEqual('IN_web_vital_access_ REJECT: ');
+      expect(prefix.length).toEqual(29);
+    });
+  });
+
+  describe('getLogPrefix', function () {
+    it('Given no logging or a logging disabled Then return undefined', function () {
+      expect(logRules.getLogPrefix(undefined, 'a: ')).toBeUndefined();
+      expect(logRules.getLogPrefix({enabled: false}, 'a: ')).toBeUndefined();
+    });
+
+    it('Given the NFLOG target Then return undefined', function () {
+      expect(logRules.getLogPrefix({target: 'NFLOG', prefix: 'b: '}, 'a: ')).toBeUndefined();
+    });
+
+    it('Given the LOG target Then return the prefix configured or the default one', function () {
+      expect(logRules.getLogPrefix({}, 'a: ')).toEqual('a: ');
+      expect(logRules.getLogPrefix({target: 'LOG', prefix: 'b: '}, 'a: ')).toEqual('b: ');
+    });
+  });
+
+  describe('logRule', function () {
+    /**
+     * Validate the logging
+     * @param {Object} logging The logging configured
+     * @return {LogRules~Logging} The logging validated
+     */
+    function validate(logging) {
+      return Joi.attempt(logging, logRules.LOGGING_SCHEMA);
+    }
+
+    it('Given the default logging Then build a LOG rule limited to 5 messages per minute', function () {
+      expect(logRules.logRule(4, 'IN_block_access_0', validate({}), 'IN_block_access_0 DROP: ').append()).toEqual(jasmine.objectContaining({
+        chain: 'IN_block_access_0',
+        match: {
+          limit: {
+            rate: '5/minute',
+            burst: 10
+          }
+        },
+        target: {
+          jump: 'LOG',
+          logPrefix: 'IN_block_access_0 DROP: ',
+          logLevel: 'warning'
+        }
+      }));
+    });
+
+    it('Given the target NFLOG without limit Then build a NFLOG rule with the prefix and the group', function () {
+      const operation = logRules.logRule(6, 'INPUT', validate({target: 'NFLOG', group: 2, prefix: 'eth0 dropped: ', limit: false}), 'INPUT DROP: ').append();
+
+      expect(operation.match).toEqual({});
+      expect(operation.target).toEqual({
+        jump: 'NFLOG',
+        logPrefix: 'eth0 dropped: ',
+        logGroup: 2
+      });
+    });
+
+    it('Given no logging or a logging disabled Then it is not enabled', function () {
+      expect(logRules.isEnabled(undefined)).toBe(false);
+      expect(logRules.isEnabled(validate({enabled: false}))).toBe(false);
+      expect(logRules.isEnabled(validate({}))).toBe(true);
+    });
+  });
+});
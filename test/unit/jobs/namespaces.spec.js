@@ -0,0 +1,43 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  namespaces = require('./../../../lib/jobs/namespaces');
+
+describe('namespaces', function () {
+  describe('checkReservedNames', function () {
+    it('Given valid names Then do not throw', function () {
+      expect(() => namespaces.checkReservedNames('host1', {
+        prepare: {
+          chains: ['IN_web_vital_access_0'],
+          sets: ['web_block_net'],
+          logPrefixes: ['IN_web_vital_access_ REJECT: ']
+        },
+        ssh: {
+          chains: ['IN_web_ssh'],
+          sets: []
+        }
+      })).not.toThrow();
+    });
+
+    it('Given a name used by two jobs Then throw an IllegalArgumentError', function () {
+      expect(() => namespaces.checkReservedNames('host1', {
+        a: {chains: ['IN_ssh'], sets: []},
+        b: {chains: ['IN_ssh'], sets: []}
+      })).toThrowError(commonErrors.IllegalArgumentError, 'Invalid names in the configuration host1: the chain IN_ssh is used by the jobs a and b');
+    });
+
+    it('Given names too long Then throw an IllegalArgumentError', function () {
+      expect(() => namespaces.checkReservedNames('host1', {
+        a: {chains: ['IN_a_very_long_namespace_ssh_0'], sets: ['a_very_long_namespace_block_net']}
+      })).toThrowError(commonErrors.IllegalArgumentError, 'Invalid names in the configuration host1: ' +
+        'the chain IN_a_very_long_namespace_ssh_0 of the job a is longer than 28 characters, ' +
+        'the set a_very_long_namespace_block_net of the job a is longer than 27 characters');
+    });
+
+    it('Given a log prefix longer than 29 characters Then throw an IllegalArgumentError', function () {
+      expect(() => namespaces.checkReservedNames('host1', {
+        prepare: {chains: [], sets: [], logPrefixes: ['IN_web_vital_access_0 REJECT: ']}
+      })).toThrowError(commonErrors.IllegalArgumentError,
+        "Invalid names in the configuration host1: the log prefix 'IN_web_vital_access_0 REJECT: ' of the job prepare is longer than 29 characters");
+    });
+  });
+});
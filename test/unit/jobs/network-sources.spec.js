@@ -0,0 +1,183 @@
+const os = require('os'),
+  path = require('path'),
+  http = require('http'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  networkSources = require('./../../../lib/jobs/network-sources'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('network-sources', function () {
+  describe('normalizeNetwork', function () {
+    it('Given a host with or without prefix length Then return the address', function () {
+      expect(networkSources.normalizeNetwork('1.2.3.4')).toEqual('1.2.3.4');
+      expect(networkSources.normalizeNetwork(' 1.2.3.4/32 ')).toEqual('1.2.3.4');
+      expect(networkSources.normalizeNetwork('2001:DB8::1/128')).toEqual('2001:db8::1');
+    });
+
+    it('Given a network with host bits Then clear them', function () {
+      expect(networkSources.normalizeNetwork('1.2.3.4/24')).toEqual('1.2.3.0/24');
+      expect(networkSources.normalizeNetwork('1.2.3.255/31')).toEqual('1.2.3.254/31');
+      expect(networkSources.normalizeNetwork('2001:db8:0:0:1:0:0:1/64')).toEqual('2001:db8::/64');
+    });
+
+    it('Given a long IPv6 form Then return the compressed form', function () {
+      expect(networkSources.normalizeNetwork('2001:0db8:0000:0000:0001:0000:0000:0001')).toEqual('2001:db8::1:0:0:1');
+      expect(networkSources.normalizeNetwork('1:0:0:2:0:0:0:3')).toEqual('1:0:0:2::3');
+      expect(networkSources.normalizeNetwork('0:0:0:0:0:0:0:0/0')).toEqual('::/0');
+    });
+
+    it('Given an invalid value Then return null', function () {
+      expect(networkSources.normalizeNetwork('1.2.3.4/33')).toBeNull();
+      expect(networkSources.normalizeNetwork('1.2.3.4/x')).toBeNull();
+      expect(networkSources.normalizeNetwork('2001:db8::/129')).toBeNull();
+      expect(networkSources.normalizeNetwork('example.com')).toBeNull();
+    });
+  });
+
+  describe('parseNetworkList', function () {
+    it('Given a text list Then return the first word of the lines without the comments', function () {
+      expect(networkSources.parseNetworkList('# header\n1.2.3.4 ; spamhaus\r\n\n  10.0.0.0/8 some text\n5.6.7.8 # comment\n'))
+        .toEqual(['1.2.3.4', '10.0.0.0/8', '5.6.7.8']);
+    });
+
+    it('Given a csv list Then return the column', function () {
+      expect(networkSources.parseNetworkList('id,network\n1,"1.2.3.0/24"\n2, 5.6.7.8 \n', {format: 'csv', column: 1}))
+        .toEqual(['network', '1.2.3.0/24', '5.6.7.8']);
+    });
+  });
+
+  describe('loadNetworks', function () {
+    let directory, server, serverUrl;
+
+    beforeEach(function (done) {
+      directory = fse.mkdtempSync(path.join(os.tmpdir(), 'network-sources-'));
+
+      server = http.createServer((request, response) => {
+        if (request.url === '/list.txt') {
+          response.end('# remote list\n9.9.9.9\n1.2.3.4/32\n');
+        } else if (request.url === '/redirect') {
+          response.writeHead(302, {location: '/list.txt'});
+          response.end();
+        } else if (request.url === '/loop') {
+          response.writeHead(301, {location: '/loop'});
+          response.end();
+        } else if (request.url === '/missing') {
+          response.writeHead(404);
+          response.end();
+        }
+        // The other urls never answer
+      });
+      server.listen(0, '127.0.0.1', () => {
+        serverUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterEach(function (done) {
+      fse.removeSync(directory);
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('Given local files Then return the valid networks once, in the order of the sources', function (done) {
+      fse.writeFileSync(path.join(directory, 'a.txt'), '1.2.3.4\n1.2.3.4/32\n10.1.2.3/8\ninvalid\n300.1.1.1\n');
+      fse.mkdirSync(path.join(directory, 'lists'));
+      fse.writeFileSync(path.join(directory, 'lists', '2.txt'), '10.0.0.0/8\n2001:db8::1/128\n');
+      fse.writeFileSync(path.join(directory, 'lists', '1.csv'), '5.6.7.8,spam\n');
+
+      const logger = stubBinaries.createLogger();
+      networkSources.loadNetworks([
+        {type: 'file', path: path.join(directory, 'a.txt')},
+        {type: 'directory', path: path.join(directory, 'lists'), format: 'csv'}
+      ], logger)
+        .then(entries => {
+          expect(entries).toEqual([
+            {network: '1.2.3.4', expiresAt: null},
+            {network: '10.0.0.0/8', expiresAt: null},
+            {network: '5.6.7.8', expiresAt: null},
+            {network: '2001:db8::1', expiresAt: null}
+          ]);
+          expect(logger.info).toHaveBeenCalledWith('%d networks loaded from %s (%d invalid ignored)', 3, `file ${path.join(directory, 'a.txt')}`, 2);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a network with the prefix length 0 Then ignore it with a warning', function (done) {
+      const filePath = path.join(directory, 'feed.txt');
+      fse.writeFileSync(filePath, '0.0.0.0/0\n1.2.3.4\n::/0\n');
+
+      const logger = stubBinaries.createLogger();
+      networkSources.loadNetworks([{type: 'file', path: filePath}], logger)
+        .then(entries => {
+          expect(entries).toEqual([
+            {network: '1.2.3.4', expiresAt: null}
+          ]);
+          expect(logger.warn).toHaveBeenCalledWith("Ignore the network '%s' from %s: the prefix length 0 blocks every address", '0.0.0.0/0', `file ${filePath}`);
+          expect(logger.warn).toHaveBeenCalledWith("Ignore the network '%s' from %s: the prefix length 0 blocks every address", '::/0', `file ${filePath}`);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a missing file Then reject unless the source is optional', function (done) {
+      const source = {type: 'file', path: path.join(directory, 'missing.txt')},
+        logger = stubBinaries.createLogger();
+
+      networkSources.loadNetworks([source], logger)
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.code).toEqual('ENOENT');
+          return networkSources.loadNetworks([Object.assign({optional: true}, source)], logger);
+        })
+        .then(entries => {
+          expect(entries).toEqual([]);
+          expect(logger.warn).toHaveBeenCalled();
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an http source redirected Then follow the redirection', function (done) {
+      networkSources.loadNetworks([{type: 'http', url: `${serverUrl}/redirect`}], stubBinaries.createLogger())
+        .then(entries => {
+          expect(entries).toEqual([
+            {network: '9.9.9.9', expiresAt: null},
+            {network: '1.2.3.4', expiresAt: null}
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an http source redirected in loop Then reject', function (done) {
+      networkSources.loadNetworks([{type: 'http', url: `${serverUrl}/loop`}], stubBinaries.createLogger())
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.IllegalArgumentError).toBe(true);
+          expect(error.message).toEqual(`Too many redirections for ${serverUrl}/loop`);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an http error Then reject with the status', function (done) {
+      networkSources.loadNetworks([{type: 'http', url: `${serverUrl}/missing`}], stubBinaries.createLogger())
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.message).toEqual(`Failed to fetch ${serverUrl}/missing: HTTP 404`);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an http source not answering Then reject after the timeout', function (done) {
+      networkSources.loadNetworks([{type: 'http', url: `${serverUrl}/slow`, timeoutSeconds: 0.2}], stubBinaries.createLogger())
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.TimedOutError).toBe(true);
+          expect(error.message).toEqual(`No answer from ${serverUrl}/slow after 0.2 seconds`);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an unknown source type Then reject', function (done) {
+      networkSources.loadNetworks([{type: 'ftp'}], stubBinaries.createLogger())
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.message).toEqual('Unknown network source type ftp');
+        })
+        .then(done, done.fail);
+    });
+  });
+});
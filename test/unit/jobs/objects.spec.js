@@ -0,0 +1,92 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  objects = require('./../../../lib/jobs/objects');
+
+describe('objects', function () {
+  /**
+   * Resolve the configuration of one job
+   * @param {Object} objectsConfiguration The objects
+   * @param {Object} jobConfiguration The job configuration
+   * @return {Object} The job configuration resolved
+   */
+  function resolveJobConfiguration(objectsConfiguration, jobConfiguration) {
+    const configuration = objects.resolveConfiguration({
+      objects: objectsConfiguration,
+      configurations: [
+        {
+          id: 'host1',
+          jobs: [
+            {
+              name: 'job',
+              configuration: jobConfiguration
+            }
+          ]
+        }
+      ]
+    }, () => []);
+
+    return configuration.configurations[0].jobs[0].configuration;
+  }
+
+  describe('normalizePort', function () {
+    it('Given a range with a dash Then use the iptables form', function () {
+      expect(objects.normalizePort('8000-8010')).toEqual('8000:8010');
+    });
+
+    it('Given a port or a range in the iptables form Then return it', function () {
+      expect(objects.normalizePort(80)).toEqual(80);
+      expect(objects.normalizePort('8000:8010')).toEqual('8000:8010');
+    });
+  });
+
+  describe('resolveConfiguration', function () {
+    it('Given a service with port ranges Then copy the item per port with the ranges normalized', function () {
+      const jobConfiguration = resolveJobConfiguration({
+        ports: {
+          game: ['27000-27010']
+        },
+        services: {
+          game: {
+            protocol: 'udp',
+            ports: ['@game', '28000:28002', 80]
+          }
+        }
+      }, {
+        items: [{service: 'game', sourceNetworks: ['10.0.0.0/8']}]
+      });
+
+      expect(jobConfiguration.items).toEqual([
+        {sourceNetworks: ['10.0.0.0/8'], protocol: 'udp', portNumber: '27000:27010'},
+        {sourceNetworks: ['10.0.0.0/8'], protocol: 'udp', portNumber: '28000:28002'},
+        {sourceNetworks: ['10.0.0.0/8'], protocol: 'udp', portNumber: 80}
+      ]);
+    });
+
+    it('Given network groups Then replace the references by the values', function () {
+      const jobConfiguration = resolveJobConfiguration({
+        networks: {
+          lan: ['10.0.0.0/8', 'fd00::/8'],
+          dns: ['10.0.0.53']
+        }
+      }, {
+        sourceNetworks: ['@lan', '9.9.9.9'],
+        sourceIpAddress: '@dns'
+      });
+
+      expect(jobConfiguration).toEqual({
+        sourceNetworks: ['10.0.0.0/8', 'fd00::/8', '9.9.9.9'],
+        sourceIpAddress: '10.0.0.53'
+      });
+    });
+
+    it('Given an unknown reference Then throw an IllegalArgumentError', function () {
+      expect(() => resolveJobConfiguration({}, {sourceNetworks: ['@lan']}))
+        .toThrowError(commonErrors.IllegalArgumentError, 'configurations.host1.jobs.job.configuration.sourceNetworks[0]: unknown network group or port group @lan');
+    });
+
+    it('Given an invalid port range Then throw an IllegalArgumentError', function () {
+      expect(() => resolveJobConfiguration({ports: {game: ['27000..27010']}}, {}))
+        .toThrowError(commonErrors.IllegalArgumentError, /^Invalid objects: /);
+    });
+  });
+});
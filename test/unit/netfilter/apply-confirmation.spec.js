@@ -0,0 +1,177 @@
+const os = require('os'),
+  path = require('path'),
+  readline = require('readline'),
+  fse = require('fs-extra'),
+  jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  applyConfirmation = require('./../../../lib/netfilter/apply-confirmation'),
+  rulesetSnapshot = require('./../../../lib/netfilter/ruleset-snapshot'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('apply-confirmation', function () {
+  let stateDirectory, stubs;
+
+  beforeEach(function () {
+    stateDirectory = fse.mkdtempSync(path.join(os.tmpdir(), 'netfilter-state-'));
+  });
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+    fse.removeSync(stateDirectory);
+  });
+
+  /**
+   * Wait for the pending confirmation to be written
+   * @return {Promise} Resolved once the pending file exists
+   */
+  function waitForPendingFile() {
+    return fse.pathExists(applyConfirmation.getPendingFilePath(stateDirectory))
+      .then(exists => exists ? undefined : new Promise(resolve => setTimeout(resolve, 50)).then(waitForPendingFile));
+  }
+
+  describe('waitForConfirmation', function () {
+    it('Given the confirm command run from another shell Then resolve true and remove the files', function (done) {
+      const waiting = applyConfirmation.waitForConfirmation({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 10,
+        interactive: false,
+        logger: stubBinaries.createLogger()
+      });
+
+      waitForPendingFile()
+        .then(() => applyConfirmation.confirmPending(stateDirectory))
+        .then(pending => {
+          expect(pending.pid).toEqual(process.pid);
+          return waiting;
+        })
+        .then(confirmed => {
+          expect(confirmed).toBe(true);
+          expect(fse.pathExistsSync(applyConfirmation.getPendingFilePath(stateDirectory))).toBe(false);
+          expect(fse.pathExistsSync(applyConfirmation.getConfirmedFilePath(stateDirectory))).toBe(false);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given yes typed at the prompt Then resolve true', function (done) {
+      const readlineInterface = jasmine.createSpyObj('readlineInterface', ['question', 'on', 'close']);
+      readlineInterface.question.and.callFake((query, callback) => callback(' YES\n'));
+      spyOn(readline, 'createInterface').and.returnValue(readlineInterface);
+
+      applyConfirmation.waitForConfirmation({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 10,
+        interactive: true,
+        logger: stubBinaries.createLogger()
+      })
+        .then(confirmed => {
+          expect(confirmed).toBe(true);
+          expect(readline.createInterface).toHaveBeenCalledWith({input: process.stdin, output: process.stdout});
+          expect(readlineInterface.close).toHaveBeenCalled();
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given another answer at the prompt Then resolve false', function (done) {
+      const readlineInterface = jasmine.createSpyObj('readlineInterface', ['question', 'on', 'close']);
+      readlineInterface.question.and.callFake((query, callback) => callback('no'));
+      spyOn(readline, 'createInterface').and.returnValue(readlineInterface);
+
+      applyConfirmation.waitForConfirmation({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 10,
+        interactive: true,
+        logger: stubBinaries.createLogger()
+      })
+        .then(confirmed => expect(confirmed).toBe(false))
+        .then(done, done.fail);
+    });
+
+    it('Given the wait Then ignore the terminal write errors only', function (done) {
+      const waiting = applyConfirmation.waitForConfirmation({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 0.2,
+        interactive: false,
+        logger: stubBinaries.createLogger()
+      });
+
+      const eioError = new Error('write EIO'),
+        otherError = new Error('write EBADF');
+      eioError.code = 'EIO';
+      otherError.code = 'EBADF';
+      expect(() => process.stdout.emit('error', eioError)).not.toThrow();
+      expect(() => process.stderr.emit('error', Object.assign(new Error('write EPIPE'), {code: 'EPIPE'}))).not.toThrow();
+      expect(() => process.stdout.emit('error', otherError)).toThrow(otherError);
+
+      waiting
+        .then(confirmed => expect(confirmed).toBe(false))
+        .then(done, done.fail);
+    });
+  });
+
+  describe('confirmPending', function () {
+    it('Given nothing waiting Then reject with not found', function (done) {
+      applyConfirmation.confirmPending(stateDirectory)
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.NotFoundError).toBe(true);
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('confirmOrRestore', function () {
+    const snapshot = {
+      'iptables-4': '*filter\nCOMMIT\n'
+    };
+
+    it('Given no confirmation before the timeout Then restore the snapshot and reject', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-restore': []
+      });
+
+      applyConfirmation.confirmOrRestore({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 0.2,
+        interactive: false,
+        snapshot: snapshot,
+        restoreSnapshot: rulesetSnapshot.restoreSnapshot,
+        logger: stubBinaries.createLogger()
+      })
+        .then(() => done.fail('Must fail'), error => {
+          expect(error instanceof commonErrors.TimedOutError).toBe(true);
+          expect(stubs.getCalls()).toEqual([{
+            command: 'iptables-restore ',
+            input: '*filter\nCOMMIT\n'
+          }]);
+          expect(fse.readdirSync(stateDirectory)).toEqual([]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given the confirmation Then keep the rules and remove the snapshot', function (done) {
+      const restoreSnapshot = jasmine.createSpy('restoreSnapshot');
+      const confirming = waitForPendingFile()
+        .then(() => applyConfirmation.confirmPending(stateDirectory))
+        .then(pending => {
+          expect(fse.readJsonSync(pending.snapshotFilePath)).toEqual(snapshot);
+        });
+
+      applyConfirmation.confirmOrRestore({
+        stateDirectory: stateDirectory,
+        timeoutSeconds: 10,
+        interactive: false,
+        snapshot: snapshot,
+        restoreSnapshot: restoreSnapshot,
+        logger: stubBinaries.createLogger()
+      })
+        .then(() => confirming)
+        .then(() => {
+          expect(restoreSnapshot).not.toHaveBeenCalled();
+          expect(fse.readdirSync(stateDirectory)).toEqual([]);
+        })
+        .then(done, done.fail);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const atomicApply = require('./../../../lib/netfilter/atomic-apply'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('atomic-apply', function () {
+  let stubs;
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+  });
+
+  const commands = [
+    {type: 'ipset', value: '-! create block_net hash:net family inet'},
+    {type: 'iptables-4', value: '-N IN_block'},
+    {type: 'ipset', value: '-! add block_net 1.2.3.0/24'},
+    {type: 'iptables-4', value: '-A INPUT -m set --match-set block_net src -j IN_block'},
+    {type: 'iptables-6', value: '-A INPUT -j ACCEPT'},
+    {type: 'iptables-4', value: '-t nat -A PREROUTING -p tcp --dport 80 -j DNAT --to-destination 10.0.0.2'},
+    {type: 'ipset', value: '-! destroy old_set'},
+    {type: 'iptables-4', value: '-D INPUT -m set --match-set old_set src -j DROP'}
+  ];
+
+  describe('applyCommands', function () {
+    it('Given commands of all types Then apply the sets, the rules per family and the destroys in one restore each', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'ipset': [],
+        'iptables-restore': [],
+        'ip6tables-restore': []
+      });
+
+      atomicApply.applyCommands(commands, stubBinaries.createLogger())
+        .then(() => {
+          expect(stubs.getCalls()).toEqual([
+            {
+              command: 'ipset restore',
+              input: '-! create block_net hash:net family inet\n-! add block_net 1.2.3.0/24\n'
+            },
+            {
+              command: 'iptables-restore --noflush',
+              input: '*filter\n-N IN_block\n-A INPUT -m set --match-set block_net src -j IN_block\n-D INPUT -m set --match-set old_set src -j DROP\nCOMMIT\n' +
+                '*nat\n-A PREROUTING -p tcp --dport 80 -j DNAT --to-destination 10.0.0.2\nCOMMIT\n'
+            },
+            {
+              command: 'ip6tables-restore --noflush',
+              input: '*filter\n-A INPUT -j ACCEPT\nCOMMIT\n'
+            },
+            {
+              command: 'ipset restore',
+              input: '-! destroy old_set\n'
+            }
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given an unknown command type Then throw without running anything', function () {
+      stubs = stubBinaries.createStubBinaries({
+        'ipset': []
+      });
+
+      expect(() => atomicApply.applyCommands([{type: 'ipset', value: 'flush a'}, {type: 'unknown', value: 'x'}], stubBinaries.createLogger()))
+        .toThrowError(/Unknown command type unknown/);
+      expect(stubs.getCalls()).toEqual([]);
+    });
+  });
+
+  describe('applyWithRollback', function () {
+    const iptablesSave = '*filter\n:INPUT ACCEPT [0:0]\n-A INPUT -j ACCEPT\nCOMMIT\n',
+      ip6tablesSave = '*filter\n:INPUT ACCEPT [0:0]\nCOMMIT\n',
+      ipsetSave = 'create old_set hash:net family inet hashsize 1024 maxelem 65536\nadd old_set 1.1.1.1\n';
+
+    it('Given all the restores succeeding Then resolve the snapshot taken before', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{stdout: iptablesSave}],
+        'ip6tables-save': [{stdout: ip6tablesSave}],
+        'ipset': [{args: 'save', stdout: ipsetSave}],
+        'iptables-restore': [],
+        'ip6tables-restore': []
+      });
+
+      atomicApply.applyWithRollback(commands, stubBinaries.createLogger())
+        .then(snapshot => {
+          expect(snapshot).toEqual({
+            'ipset': ipsetSave,
+            'iptables-4': iptablesSave,
+            'iptables-6': ip6tablesSave
+          });
+          expect(stubs.getCalls().map(call => call.command)).toEqual([
+            'ipset save',
+            'iptables-save ',
+            'ip6tables-save ',
+            'ipset restore',
+            'iptables-restore --noflush',
+            'ip6tables-restore --noflush',
+            'ipset restore'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given ip6tables-restore failing Then restore the snapshot and destroy the sets created', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{stdout: iptablesSave}],
+        'ip6tables-save': [{stdout: ip6tablesSave}],
+        'ipset': [
+          {args: 'save', stdout: ipsetSave},
+          {args: 'list -n', stdout: 'old_set\nblock_net\n'}
+        ],
+        'iptables-restore': [],
+        'ip6tables-restore': [{args: '--noflush', stderr: 'line 2 failed', exitCode: 2}]
+      });
+
+      atomicApply.applyWithRollback(commands, stubBinaries.createLogger())
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.message).toContain('ip6tables-restore --noflush exited with code 2: line 2 failed');
+
+          const calls = stubs.getCalls();
+          expect(calls.map(call => call.command)).toEqual([
+            'ipset save',
+            'iptables-save ',
+            'ip6tables-save ',
+            'ipset restore',
+            'iptables-restore --noflush',
+            'ip6tables-restore --noflush',
+            'ipset restore',
+            'iptables-restore ',
+            'ip6tables-restore ',
+            'ipset list -n',
+            'ipset restore'
+          ]);
+          expect(calls[6].input).toEqual('-exist create old_set hash:net family inet hashsize 1024 maxelem 65536\nflush old_set\n-exist add old_set 1.1.1.1\n');
+          expect(calls[7].input).toEqual(iptablesSave);
+          expect(calls[8].input).toEqual(ip6tablesSave);
+          expect(calls[10].input).toEqual('destroy block_net\n');
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given the rollback failing Then reject with the apply error', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{stdout: iptablesSave}],
+        'ipset': [{args: 'save', stdout: ipsetSave}],
+        'iptables-restore': [
+          {args: '--noflush', stderr: 'apply failed', exitCode: 1},
+          {stderr: 'rollback failed', exitCode: 1}
+        ]
+      });
+
+      const logger = stubBinaries.createLogger();
+      atomicApply.applyWithRollback([{type: 'iptables-4', value: '-A INPUT -j DROP'}], logger)
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.message).toContain('apply failed');
+          expect(logger.error).toHaveBeenCalledWith(jasmine.stringMatching(/^Failed to restore the snapshot: .*rollback failed/));
+        })
+        .then(done, done.fail);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const rulesetModel = require('./../../../lib/netfilter/ruleset-model'),
+  driftDetection = require('./../../../lib/netfilter/drift-detection'),
+  convergence = require('./../../../lib/netfilter/convergence'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('convergence', function () {
+  let stubs;
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+  });
+
+  /**
+   * Load the live ruleset from the stub save binaries
+   * @param {string} iptablesSave The output of iptables-save
+   * @param {string} ipsetList The output of ipset list
+   * @return {Promise} {@link RulesetModel~Ruleset} on resolve
+   */
+  function loadLiveRuleset(iptablesSave, ipsetList) {
+    stubs = stubBinaries.createStubBinaries({
+      'iptables-save': [{stdout: iptablesSave}],
+      'ipset': [{args: 'list', stdout: ipsetList}]
+    });
+
+    return driftDetection.loadLiveRuleset(['iptables-4', 'ipset']);
+  }
+
+  describe('makeConvergent', function () {
+    const commands = [
+      {type: 'ipset', value: '-! create trusted_net hash:net family inet'},
+      {type: 'ipset', value: '-! add trusted_net 10.0.0.0/8'},
+      {type: 'iptables-4', value: '-N IN_ssh'},
+      {type: 'iptables-4', value: '-A IN_ssh -p tcp --dport 2222 -j ACCEPT'},
+      {type: 'iptables-4', value: '-A IN_ssh -j RETURN'},
+      {type: 'iptables-4', value: '-I INPUT 1 -j IN_ssh'},
+      {type: 'iptables-4', value: '-D INPUT -j OLD'},
+      {type: 'iptables-4', value: '-X OLD'}
+    ];
+
+    it('Given an empty live ruleset Then return the commands', function (done) {
+      loadLiveRuleset('*filter\n:INPUT ACCEPT [0:0]\nCOMMIT\n', '')
+        .then(liveRuleset => {
+          expect(convergence.makeConvergent(commands, liveRuleset)).toEqual([
+            {type: 'ipset', value: '-! create trusted_net hash:net family inet'},
+            {type: 'ipset', value: '-! add trusted_net 10.0.0.0/8'},
+            {type: 'iptables-4', value: '-N IN_ssh'},
+            {type: 'iptables-4', value: '-A IN_ssh -p tcp --dport 2222 -j ACCEPT'},
+            {type: 'iptables-4', value: '-A IN_ssh -j RETURN'},
+            {type: 'iptables-4', value: '-I INPUT 1 -j IN_ssh'}
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given the job installed Then flush the chains, skip the rules present and delete the stale members', function (done) {
+      const iptablesSave = '*filter\n:INPUT ACCEPT [0:0]\n:IN_ssh - [0:0]\n-A INPUT -j IN_ssh\n' +
+        '-A IN_ssh -p tcp -m tcp --dport 22 -j ACCEPT\n-A IN_ssh -j RETURN\nCOMMIT\n';
+      const ipsetList = 'Name: trusted_net\nType: hash:net\nMembers:\n10.0.0.0/8\n192.168.1.0/24\n';
+
+      loadLiveRuleset(iptablesSave, ipsetList)
+        .then(liveRuleset => {
+          const result = convergence.makeConvergent(commands, liveRuleset);
+          expect(result).toEqual([
+            {type: 'ipset', value: '-! create trusted_net hash:net family inet'},
+            {type: 'ipset', value: '-! add trusted_net 10.0.0.0/8'},
+            {type: 'ipset', value: '-! del trusted_net 192.168.1.0/24'},
+            {type: 'iptables-4', value: '-F IN_ssh'},
+            {type: 'iptables-4', value: '-A IN_ssh -p tcp --dport 2222 -j ACCEPT'},
+            {type: 'iptables-4', value: '-A IN_ssh -j RETURN'}
+          ]);
+
+          // Applying the result converges: running again changes nothing but the rebuilt chain
+          const convergedRuleset = rulesetModel.applyCommands(liveRuleset, result);
+          expect(convergence.makeConvergent(commands, convergedRuleset).map(command => command.value)).toEqual([
+            '-! create trusted_net hash:net family inet',
+            '-! add trusted_net 10.0.0.0/8',
+            '-F IN_ssh',
+            '-A IN_ssh -p tcp --dport 2222 -j ACCEPT',
+            '-A IN_ssh -j RETURN'
+          ]);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given prepare installed alone again Then keep the jumps to the chains of the other jobs', function (done) {
+      const iptablesSave = '*filter\n:INPUT ACCEPT [0:0]\n:IN_services_access_0 - [0:0]\n:IN_ssh - [0:0]\n' +
+        '-A INPUT -j IN_services_access_0\n' +
+        '-A IN_services_access_0 -p tcp -m tcp --dport 22 -j IN_ssh\n' +
+        '-A IN_services_access_0 -j IN_removed\n' +
+        '-A IN_services_access_0 -j IN_log\n' +
+        '-A IN_services_access_0 -j RETURN\n' +
+        '-A IN_ssh -j ACCEPT\n' +
+        'COMMIT\n';
+      const prepareCommands = [
+        {type: 'iptables-4', value: '-N IN_log'},
+        {type: 'iptables-4', value: '-A IN_log -j DROP'},
+        {type: 'iptables-4', value: '-N IN_services_access_0'},
+        {type: 'iptables-4', value: '-A IN_services_access_0 -j RETURN'},
+        {type: 'iptables-4', value: '-I INPUT 1 -j IN_services_access_0'}
+      ];
+
+      loadLiveRuleset(iptablesSave, '')
+        .then(liveRuleset => {
+          // The jump to the chain of prepare is rebuilt by its commands, the chain IN_removed does not exist
+          expect(convergence.makeConvergent(prepareCommands, liveRuleset).map(command => command.value)).toEqual([
+            '-N IN_log',
+            '-A IN_log -j DROP',
+            '-F IN_services_access_0',
+            '-A IN_services_access_0 -p tcp -m tcp --dport 22 -j IN_ssh',
+            '-A IN_services_access_0 -j RETURN'
+          ]);
+          expect(stubs.getCalls().map(call => call.command)).toEqual(['iptables-save ', 'ipset list']);
+        })
+        .then(done, done.fail);
+    });
+  });
+});
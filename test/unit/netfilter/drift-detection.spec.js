@@ -0,0 +1,78 @@
+const rulesetModel = require('./../../../lib/netfilter/ruleset-model'),
+  driftDetection = require('./../../../lib/netfilter/drift-detection');
+
+describe('drift-detection', function () {
+  describe('alignRules', function () {
+    it('Given the same rules Then return no difference', function () {
+      expect(driftDetection.alignRules(['a', 'b', 'c'], ['a', 'b', 'c'])).toEqual({
+        missing: [],
+        extra: [],
+        reordered: []
+      });
+    });
+
+    it('Given rules missing and extra Then return them', function () {
+      expect(driftDetection.alignRules(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual({
+        missing: ['b'],
+        extra: ['x'],
+        reordered: []
+      });
+    });
+
+    it('Given a rule moved Then return it as reordered only', function () {
+      expect(driftDetection.alignRules(['a', 'b', 'c', 'd'], ['b', 'c', 'd', 'a'])).toEqual({
+        missing: [],
+        extra: [],
+        reordered: ['a']
+      });
+    });
+
+    it('Given a rule duplicated Then return the copy as extra', function () {
+      expect(driftDetection.alignRules(['a', 'b'], ['a', 'a', 'b'])).toEqual({
+        missing: [],
+        extra: ['a'],
+        reordered: []
+      });
+    });
+
+    it('Given no actual rule Then return all the rules as missing', function () {
+      expect(driftDetection.alignRules(['a', 'b'], [])).toEqual({
+        missing: ['a', 'b'],
+        extra: [],
+        reordered: []
+      });
+    });
+  });
+
+  describe('computeDrift', function () {
+    const commands = [
+      {type: 'iptables-4', value: '-N IN_ssh'},
+      {type: 'iptables-4', value: '-A IN_ssh -p tcp --dport 22 -j ACCEPT'},
+      {type: 'iptables-4', value: '-A IN_ssh -j RETURN'},
+      {type: 'iptables-4', value: '-I INPUT 1 -j IN_ssh'}
+    ];
+
+    it('Given the live ruleset matching Then return no drift', function () {
+      const actual = rulesetModel.loadIptablesSave(rulesetModel.createRuleset(), 'iptables-4',
+        '*filter\n:INPUT ACCEPT [0:0]\n:IN_ssh - [0:0]\n-A INPUT -j IN_ssh\n-A INPUT -j OTHER\n-A IN_ssh -p tcp -m tcp --dport 22 -j ACCEPT\n-A IN_ssh -j RETURN\nCOMMIT\n');
+      expect(driftDetection.computeDrift(rulesetModel.applyCommands(rulesetModel.createRuleset(), commands), actual)).toEqual([]);
+    });
+
+    it('Given a managed chain changed Then return its drift', function () {
+      const actual = rulesetModel.loadIptablesSave(rulesetModel.createRuleset(), 'iptables-4',
+        '*filter\n:INPUT ACCEPT [0:0]\n:IN_ssh - [0:0]\n-A INPUT -j IN_ssh\n-A IN_ssh -j RETURN\n-A IN_ssh -j DROP\nCOMMIT\n');
+      expect(driftDetection.computeDrift(rulesetModel.applyCommands(rulesetModel.createRuleset(), commands), actual)).toEqual([
+        {
+          kind: 'chain',
+          type: 'iptables-4',
+          table: 'filter',
+          name: 'IN_ssh',
+          absent: false,
+          missing: ['-p tcp --dport 22 -j ACCEPT'],
+          extra: ['-j DROP'],
+          reordered: []
+        }
+      ]);
+    });
+  });
+});
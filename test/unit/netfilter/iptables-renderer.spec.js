@@ -0,0 +1,66 @@
+const operations = require('./../../../lib/netfilter/operations'),
+  iptablesRenderer = require('./../../../lib/netfilter/iptables-renderer'),
+  atomicApply = require('./../../../lib/netfilter/atomic-apply'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('iptables-renderer', function () {
+  let stubs;
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+  });
+
+  describe('render', function () {
+    it('Given a set replace Then fill the temporary set, swap it with the set, then destroy it', function () {
+      expect(iptablesRenderer.render([
+        operations.replaceSetMembers(4, 'block_net', ['1.2.3.0/24', '5.6.7.8'], 'hash:net', {'5.6.7.8': 3600})
+      ])).toEqual([
+        {type: 'ipset', value: '-! create block_net_tmp hash:net family inet timeout 0'},
+        {type: 'ipset', value: 'flush block_net_tmp'},
+        {type: 'ipset', value: '-! add block_net_tmp 1.2.3.0/24'},
+        {type: 'ipset', value: '-! add block_net_tmp 5.6.7.8 timeout 3600'},
+        {type: 'ipset', value: 'swap block_net_tmp block_net'},
+        {type: 'ipset', value: '-! destroy block_net_tmp'}
+      ]);
+    });
+
+    it('Given a set replace without member Then swap an empty set', function () {
+      expect(iptablesRenderer.render([operations.replaceSetMembers(6, 'block_net6', [])])).toEqual([
+        {type: 'ipset', value: '-! create block_net6_tmp hash:net family inet6'},
+        {type: 'ipset', value: 'flush block_net6_tmp'},
+        {type: 'ipset', value: 'swap block_net6_tmp block_net6'},
+        {type: 'ipset', value: '-! destroy block_net6_tmp'}
+      ]);
+    });
+
+    it('Given a set replace applied atomically Then destroy the temporary set after the swap', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'ipset': []
+      });
+
+      atomicApply.applyCommands(iptablesRenderer.render([operations.replaceSetMembers(4, 'block_net', ['1.2.3.0/24'])]), stubBinaries.createLogger())
+        .then(() => {
+          expect(stubs.getCalls()).toEqual([
+            {
+              command: 'ipset restore',
+              input: '-! create block_net_tmp hash:net family inet\nflush block_net_tmp\n-! add block_net_tmp 1.2.3.0/24\nswap block_net_tmp block_net\n'
+            },
+            {
+              command: 'ipset restore',
+              input: '-! destroy block_net_tmp\n'
+            }
+          ]);
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('renderOperation', function () {
+    it('Given a set replace Then throw, it needs several commands', function () {
+      expect(() => iptablesRenderer.renderOperation(operations.replaceSetMembers(4, 'block_net', []))).toThrowError(/needs several commands, use render/);
+    });
+  });
+});
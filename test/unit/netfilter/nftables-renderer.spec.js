@@ -0,0 +1,64 @@
+const operations = require('./../../../lib/netfilter/operations'),
+  ruleBuilder = require('./../../../lib/netfilter/rule-builder'),
+  nftablesRenderer = require('./../../../lib/netfilter/nftables-renderer');
+
+describe('nftables-renderer', function () {
+  describe('renderOperations', function () {
+    it('Given a set of networks Then create an interval set merging the overlapping members', function () {
+      expect(nftablesRenderer.renderOperations([
+        operations.createSet(4, 'trusted_net', 'hash:net', false),
+        operations.createSet(6, 'block_net6', 'hash:net', true)
+      ])).toEqual(
+        'add set ip ze_netfilter trusted_net { type ipv4_addr; flags interval; auto-merge; }\n' +
+        'add set ip6 ze_netfilter block_net6 { type ipv6_addr; flags interval, timeout; auto-merge; }\n'
+      );
+    });
+
+    it('Given a set of addresses Then create a set without interval, dynamic when the members expire', function () {
+      expect(nftablesRenderer.renderOperations([
+        operations.createSet(4, 'hosts', 'hash:ip', false),
+        operations.createSet(4, 'bans', 'hash:ip', true)
+      ])).toEqual(
+        'add set ip ze_netfilter hosts { type ipv4_addr; }\n' +
+        'add set ip ze_netfilter bans { type ipv4_addr; flags dynamic, timeout; }\n'
+      );
+    });
+
+    it('Given a set replace Then flush the set and add the members in the same script', function () {
+      expect(nftablesRenderer.renderOperations([
+        operations.replaceSetMembers(4, 'block_net', ['1.2.3.0/24', '5.6.7.8'], 'hash:net', {'5.6.7.8': 3600}),
+        operations.replaceSetMembers(6, 'block_net6', [])
+      ])).toEqual(
+        'flush set ip ze_netfilter block_net\n' +
+        'add element ip ze_netfilter block_net { 1.2.3.0/24, 5.6.7.8 timeout 3600s }\n' +
+        'flush set ip6 ze_netfilter block_net6\n'
+      );
+    });
+
+    it('Given a set type not supported Then throw', function () {
+      expect(() => nftablesRenderer.renderOperations([operations.createSet(4, 'ports', 'bitmap:port', false)]))
+        .toThrowError('The set type bitmap:port is not supported by nftables');
+    });
+
+    it('Given the target SET Then add the source to the set with its timeout', function () {
+      const rule = ruleBuilder.rule(6, 'IN_ssh_block').jump('SET', {
+        addSet: {
+          name: 'block_dyn6',
+          direction: 'src',
+          timeout: 600
+        }
+      }).append();
+      expect(nftablesRenderer.renderRuleExpression(rule)).toEqual('add @block_dyn6 { ip6 saddr timeout 600s }');
+    });
+
+    it('Given the target SET without timeout Then add the source for ever', function () {
+      const rule = ruleBuilder.rule(4, 'IN_ssh_block').jump('SET', {
+        addSet: {
+          name: 'block_dyn',
+          direction: 'src'
+        }
+      }).append();
+      expect(nftablesRenderer.renderRuleExpression(rule)).toEqual('add @block_dyn { ip saddr }');
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  operations = require('./../../../lib/netfilter/operations'),
+  ruleBuilder = require('./../../../lib/netfilter/rule-builder');
+
+describe('operations', function () {
+  describe('invertOperations', function () {
+    it('Given install operations Then undo them in the reverse order, the rules before their chain and set', function () {
+      const acceptRule = ruleBuilder.rule(4, 'IN_ssh').protocol('tcp').destinationPort(22).jump('ACCEPT').append(),
+        jumpRule = ruleBuilder.rule(4, 'INPUT').matchSet('trusted_net', 'src').jump('IN_ssh').insert(1);
+
+      expect(operations.invertOperations([
+        operations.createSet(4, 'trusted_net'),
+        operations.addSetMember(4, 'trusted_net', '10.0.0.0/8'),
+        operations.createChain(4, 'IN_ssh'),
+        acceptRule,
+        jumpRule
+      ])).toEqual([
+        operations.toDeleteRule(jumpRule),
+        operations.toDeleteRule(acceptRule),
+        operations.flushChain(4, 'IN_ssh'),
+        operations.deleteChain(4, 'IN_ssh'),
+        operations.deleteSetMember(4, 'trusted_net', '10.0.0.0/8'),
+        operations.destroySet(4, 'trusted_net')
+      ]);
+    });
+
+    it('Given a rule inserted Then delete it by its specification without the position', function () {
+      const deleteRule = operations.toDeleteRule(ruleBuilder.rule(6, 'PREROUTING').table('nat').protocol('udp').destinationPort(53).jump('DNAT', {toDestination: '[fd00::2]:53'}).insert(1));
+
+      expect(deleteRule.action).toEqual('delete');
+      expect(deleteRule.position).toBeUndefined();
+      expect(deleteRule.table).toEqual('nat');
+      expect(deleteRule.target).toEqual({jump: 'DNAT', toDestination: '[fd00::2]:53'});
+    });
+
+    it('Given an operation which cannot be undone Then throw an error', function () {
+      expect(() => operations.invertOperations([operations.flushChain(4, 'IN_ssh')])).toThrowError(commonErrors.IllegalArgumentError, 'The chain operation flush cannot be undone');
+    });
+  });
+});
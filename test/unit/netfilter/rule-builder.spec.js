@@ -0,0 +1,144 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  ruleBuilder = require('./../../../lib/netfilter/rule-builder');
+
+describe('rule-builder', function () {
+  /**
+   * Expect the rule to be rejected by the validation
+   * @param {RuleBuilder} builder The rule
+   * @param {RegExp} message The expected message
+   */
+  function expectInvalid(builder, message) {
+    expect(() => builder.append()).toThrowError(commonErrors.IllegalArgumentError, message);
+  }
+
+  describe('append', function () {
+    it('Given a valid rule Then return the append operation', function () {
+      const operation = ruleBuilder.rule(4, 'INPUT')
+        .protocol('tcp')
+        .source('1.2.3.0/24')
+        .destinationPort(22)
+        .state('NEW')
+        .jump('ACCEPT')
+        .append();
+
+      expect(operation).toEqual({
+        kind: 'rule',
+        action: 'append',
+        ipVersion: 4,
+        table: 'filter',
+        chain: 'INPUT',
+        match: {
+          protocol: 'tcp',
+          source: '1.2.3.0/24',
+          destinationPort: 22,
+          state: ['NEW']
+        },
+        target: {
+          jump: 'ACCEPT'
+        }
+      });
+    });
+
+    it('Given a nat rule inserted Then return the insert operation at the position', function () {
+      const operation = ruleBuilder.rule(6, 'PREROUTING')
+        .table('nat')
+        .protocol('udp')
+        .destinationPort(53)
+        .jump('DNAT', {toDestination: '[fd00::2]:53'})
+        .insert(2);
+
+      expect(operation.action).toEqual('insert');
+      expect(operation.position).toEqual(2);
+      expect(operation.table).toEqual('nat');
+      expect(operation.target).toEqual({jump: 'DNAT', toDestination: '[fd00::2]:53'});
+    });
+  });
+
+  describe('validate', function () {
+    it('Given no target Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').protocol('tcp'), /the target is missing/);
+    });
+
+    it('Given an input interface in OUTPUT or POSTROUTING Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'OUTPUT').inInterface('eth0').jump('ACCEPT'), /the input interface cannot be used in output/);
+      expectInvalid(ruleBuilder.rule(4, 'POSTROUTING').table('nat').inInterface('eth0').jump('MASQUERADE'), /the input interface cannot be used in postrouting/);
+      expectInvalid(ruleBuilder.rule(4, 'OUT_egress_access_0').inInterface('eth0').jump('ACCEPT'), /the input interface cannot be used in output/);
+    });
+
+    it('Given an output interface in INPUT Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'IN_vital_access_0').outInterface('eth0').jump('ACCEPT'), /the output interface cannot be used in input/);
+    });
+
+    it('Given an owner out of OUTPUT Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').uidOwner(0).jump('ACCEPT'), /the owner cannot be used in input/);
+    });
+
+    it('Given ports without tcp, udp, sctp or dccp Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').destinationPort(22).jump('ACCEPT'), /the ports require the protocol/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').protocol('icmp').sourcePort(22).jump('ACCEPT'), /the ports require the protocol/);
+    });
+
+    it('Given an icmp type with the protocol of the other ip version Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').protocol('tcp').icmpType('echo-request').jump('ACCEPT'), /requires the protocol icmp/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').protocol('ipv6-icmp').icmpType('echo-request').jump('ACCEPT'), /requires the protocol icmp/);
+      expectInvalid(ruleBuilder.rule(6, 'INPUT').protocol('icmp').icmpType('echo-request').jump('ACCEPT'), /requires the protocol ipv6-icmp/);
+    });
+
+    it('Given an address of the other ip version Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').source('2001:db8::/32').jump('DROP'), /the source 2001:db8::\/32 is not an IPv4 address/);
+      expectInvalid(ruleBuilder.rule(6, 'INPUT').destination('1.2.3.4').jump('DROP'), /the destination 1.2.3.4 is not an IPv6 address/);
+      expectInvalid(ruleBuilder.rule(6, 'INPUT').not().source('1.2.3.4').jump('DROP'), /the source 1.2.3.4 is not an IPv6 address/);
+    });
+
+    it('Given an unknown state Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').state('NEW', 'OPEN').jump('ACCEPT'), /unknown states OPEN/);
+    });
+
+    it('Given a nat target out of the table nat Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'PREROUTING').jump('DNAT', {toDestination: '10.0.0.2'}), /the target DNAT requires the table nat/);
+    });
+
+    it('Given a nat target out of its hooks Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'POSTROUTING').table('nat').jump('DNAT', {toDestination: '10.0.0.2'}), /the target DNAT cannot be used in POSTROUTING/);
+      expectInvalid(ruleBuilder.rule(4, 'PREROUTING').table('nat').jump('SNAT', {toSource: '10.0.0.1'}), /the target SNAT cannot be used in PREROUTING/);
+      expectInvalid(ruleBuilder.rule(4, 'OUTPUT').table('nat').jump('MASQUERADE'), /the target MASQUERADE cannot be used in OUTPUT/);
+    });
+
+    it('Given a LOG prefix longer than 29 characters Then reject', function () {
+      expect(ruleBuilder.rule(4, 'INPUT').jump('LOG', {logPrefix: 'IN_web_vital_access_ REJECT: '}).append().target.logPrefix.length).toEqual(29);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('LOG', {logPrefix: 'IN_web_vital_access_0 REJECT: '}), /invalid log prefix 'IN_web_vital_access_0 REJECT: ', 29 characters maximum/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('LOG', {logPrefix: 'say "hi"'}), /without double quote/);
+    });
+
+    it('Given a NFLOG prefix up to 64 characters Then accept it', function () {
+      expect(() => ruleBuilder.rule(4, 'INPUT').jump('NFLOG', {logPrefix: 'IN_web_vital_access_0 REJECT: ', logGroup: 2}).append()).not.toThrow();
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('NFLOG', {logPrefix: 'x'.repeat(65)}), /64 characters maximum/);
+    });
+
+    it('Given the log options with another target Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('DROP', {logPrefix: 'dropped: '}), /the log prefix requires the target LOG or NFLOG/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('NFLOG', {logLevel: 'warning'}), /the log level requires the target LOG/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('LOG', {logLevel: 'loud'}), /the log level requires the target LOG/);
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').jump('LOG', {logGroup: 2}), /the log group requires the target NFLOG/);
+    });
+
+    it('Given an invalid limit rate Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'INPUT').limit('5/week', 10).jump('LOG'), /invalid limit rate 5\/week/);
+    });
+
+    it('Given a nat target without address Then reject', function () {
+      expectInvalid(ruleBuilder.rule(4, 'PREROUTING').table('nat').jump('DNAT'), /the target DNAT requires the destination/);
+      expectInvalid(ruleBuilder.rule(4, 'POSTROUTING').table('nat').jump('SNAT'), /the target SNAT requires the source/);
+    });
+  });
+
+  describe('toSecurityCommand', function () {
+    it('Given a rule Then return the iptables command', function () {
+      expect(ruleBuilder.rule(6, 'INPUT').protocol('tcp').destinationPort(22).jump('ACCEPT').toSecurityCommand('insert', 1)).toEqual({
+        type: 'iptables-6',
+        value: '-I INPUT 1 -p tcp --dport 22 -j ACCEPT'
+      });
+    });
+  });
+});
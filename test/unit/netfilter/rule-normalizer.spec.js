@@ -0,0 +1,51 @@
+const ruleNormalizer = require('./../../../lib/netfilter/rule-normalizer');
+
+describe('rule-normalizer', function () {
+  describe('normalizeRule', function () {
+    it('Given the long options Then use the short names printed by iptables-save', function () {
+      expect(ruleNormalizer.normalizeRule('--protocol tcp --destination-port 22 --jump ACCEPT')).toEqual('-p tcp --dport 22 -j ACCEPT');
+    });
+
+    it('Given the implicit protocol match Then produce the same rule as with the match', function () {
+      expect(ruleNormalizer.normalizeRule('-p tcp -m tcp --dport 22 -j ACCEPT')).toEqual(ruleNormalizer.normalizeRule('-p tcp --dport 22 -j ACCEPT'));
+    });
+
+    it('Given a host address Then add the prefix length', function () {
+      expect(ruleNormalizer.normalizeRule('-s 1.2.3.4 -j DROP')).toEqual('-s 1.2.3.4/32 -j DROP');
+    });
+
+    it('Given state and conntrack matches Then sort the states', function () {
+      expect(ruleNormalizer.normalizeRule('-m state --state NEW,ESTABLISHED -j ACCEPT')).toEqual('--state ESTABLISHED,NEW -j ACCEPT');
+      expect(ruleNormalizer.normalizeRule('-m conntrack --ctstate ESTABLISHED,NEW -j ACCEPT')).toEqual('--ctstate ESTABLISHED,NEW -j ACCEPT');
+    });
+
+    it('Given an icmp type name Then use its number', function () {
+      expect(ruleNormalizer.normalizeRule('-p icmp --icmp-type echo-request -j ACCEPT')).toEqual('-p icmp --icmp-type 8 -j ACCEPT');
+      expect(ruleNormalizer.normalizeRule('-p ipv6-icmp --icmpv6-type echo-request -j ACCEPT', 6)).toEqual('-p ipv6-icmp --icmpv6-type 128 -j ACCEPT');
+    });
+
+    it('Given the default reject-with Then drop it', function () {
+      expect(ruleNormalizer.normalizeRule('-j REJECT --reject-with icmp-port-unreachable')).toEqual('-j REJECT');
+    });
+
+    it('Given the matches in another order Then produce the same rule', function () {
+      expect(ruleNormalizer.normalizeRule('-p tcp -s 10.0.0.0/8 -i eth0 -j ACCEPT'))
+        .toEqual(ruleNormalizer.normalizeRule('-i eth0 -s 10.0.0.0/8 -p tcp -j ACCEPT'));
+    });
+
+    it('Given a quoted comment Then keep the comment in one value', function () {
+      expect(ruleNormalizer.normalizeRule('-m comment --comment "a b" -j ACCEPT')).toEqual('--comment a b -j ACCEPT');
+    });
+  });
+
+  describe('normalizeSetMember', function () {
+    it('Given a host with its prefix length Then drop the prefix length', function () {
+      expect(ruleNormalizer.normalizeSetMember(' 1.2.3.4/32 ')).toEqual('1.2.3.4');
+      expect(ruleNormalizer.normalizeSetMember('2001:DB8::1/128')).toEqual('2001:db8::1');
+    });
+
+    it('Given a network Then keep it', function () {
+      expect(ruleNormalizer.normalizeSetMember('10.0.0.0/8')).toEqual('10.0.0.0/8');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const rulesetSnapshot = require('./../../../lib/netfilter/ruleset-snapshot'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('ruleset-snapshot', function () {
+  let stubs;
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+  });
+
+  const ipsetSave = 'create trusted_net hash:net family inet hashsize 1024 maxelem 65536\n' +
+    'add trusted_net 10.0.0.0/8\n' +
+    'create block_net hash:net family inet hashsize 1024 maxelem 65536 timeout 0\n';
+
+  describe('getIpsetSaveSetNames', function () {
+    it('Given an ipset save output Then return the set names', function () {
+      expect(rulesetSnapshot.getIpsetSaveSetNames(ipsetSave)).toEqual(['trusted_net', 'block_net']);
+    });
+  });
+
+  describe('renderIpsetSnapshotRestore', function () {
+    it('Given an ipset save output Then create and flush the sets before adding the members', function () {
+      expect(rulesetSnapshot.renderIpsetSnapshotRestore(ipsetSave)).toEqual(
+        '-exist create trusted_net hash:net family inet hashsize 1024 maxelem 65536\n' +
+        'flush trusted_net\n' +
+        '-exist add trusted_net 10.0.0.0/8\n' +
+        '-exist create block_net hash:net family inet hashsize 1024 maxelem 65536 timeout 0\n' +
+        'flush block_net\n'
+      );
+    });
+  });
+
+  describe('takeSnapshot', function () {
+    it('Given the types Then save each type once', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{stdout: '*filter\nCOMMIT\n'}],
+        'ipset': [{args: 'save', stdout: ipsetSave}]
+      });
+
+      rulesetSnapshot.takeSnapshot(['iptables-4', 'ipset', 'iptables-4'])
+        .then(snapshot => {
+          expect(snapshot).toEqual({
+            'iptables-4': '*filter\nCOMMIT\n',
+            'ipset': ipsetSave
+          });
+          expect(stubs.getCalls().map(call => call.command)).toEqual(['iptables-save ', 'ipset save']);
+        })
+        .then(done, done.fail);
+    });
+
+    it('Given a save failing Then reject', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{stderr: 'permission denied', exitCode: 1}]
+      });
+
+      rulesetSnapshot.takeSnapshot(['iptables-4'])
+        .then(() => done.fail('Must fail'), error => {
+          expect(error.exitCode).toEqual(1);
+          expect(error.message).toContain('permission denied');
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('restoreSnapshot', function () {
+    it('Given no set created since the snapshot Then restore the sets before the rules and destroy nothing', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'ipset': [{args: 'list -n', stdout: 'trusted_net\nblock_net\n'}],
+        'iptables-restore': []
+      });
+
+      rulesetSnapshot.restoreSnapshot({
+        'ipset': ipsetSave,
+        'iptables-4': '*filter\nCOMMIT\n'
+      }, stubBinaries.createLogger())
+        .then(() => {
+          expect(stubs.getCalls()).toEqual([
+            {
+              command: 'ipset restore',
+              input: rulesetSnapshot.renderIpsetSnapshotRestore(ipsetSave)
+            },
+            {
+              command: 'iptables-restore ',
+              input: '*filter\nCOMMIT\n'
+            },
+            {
+              command: 'ipset list -n',
+              input: ''
+            }
+          ]);
+        })
+        .then(done, done.fail);
+    });
+  });
+});
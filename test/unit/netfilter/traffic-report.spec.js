@@ -0,0 +1,120 @@
+const jsErrors = require('js-zrim-errors'),
+  commonErrors = jsErrors.common,
+  operations = require('./../../../lib/netfilter/operations'),
+  ruleBuilder = require('./../../../lib/netfilter/rule-builder'),
+  trafficReport = require('./../../../lib/netfilter/traffic-report'),
+  stubBinaries = require('./../helpers/stub-binaries');
+
+describe('traffic-report', function () {
+  let stubs;
+
+  afterEach(function () {
+    if (stubs) {
+      stubs.restore();
+      stubs = undefined;
+    }
+  });
+
+  const iptablesSave = '*filter\n' +
+    ':INPUT ACCEPT [0:0]\n' +
+    '[12:720] -A IN_ssh -p tcp -m tcp --dport 22 -j ACCEPT\n' +
+    '[3:180] -A IN_ssh -j RETURN\n' +
+    'COMMIT\n';
+
+  const ipsetList = 'Name: trusted_net\nType: hash:net\nNumber of entries: 2\n';
+
+  /**
+   * Returns the response of the job ssh
+   * @return {Object} The job response
+   */
+  function createJobResponse() {
+    return {
+      configurationJob: {
+        name: 'ssh'
+      },
+      response: {
+        operations: [
+          operations.createSet(4, 'trusted_net'),
+          operations.createSet(4, 'ssh_bans'),
+          operations.createChain(4, 'IN_ssh'),
+          ruleBuilder.rule(4, 'IN_ssh').item('admin').protocol('tcp').destinationPort(22).jump('ACCEPT').append(),
+          ruleBuilder.rule(4, 'IN_ssh').protocol('tcp').destinationPort(2222).jump('ACCEPT').append(),
+          ruleBuilder.rule(4, 'IN_ssh').jump('RETURN').append()
+        ]
+      }
+    };
+  }
+
+  describe('loadLiveCounters', function () {
+    it('Given the types Then read the rule counters and the set entries', function (done) {
+      stubs = stubBinaries.createStubBinaries({
+        'iptables-save': [{args: '-c', stdout: iptablesSave}],
+        'ipset': [{args: 'list -t', stdout: ipsetList}]
+      });
+
+      trafficReport.loadLiveCounters(['iptables-4', 'ipset', 'iptables-4'])
+        .then(counters => {
+          expect(counters).toEqual({
+            rules: [
+              {type: 'iptables-4', table: 'filter', chain: 'IN_ssh', rule: '-p tcp --dport 22 -j ACCEPT', packets: 12, bytes: 720},
+              {type: 'iptables-4', table: 'filter', chain: 'IN_ssh', rule: '-j RETURN', packets: 3, bytes: 180}
+            ],
+            sets: {
+              'trusted_net': 2
+            }
+          });
+          expect(stubs.getCalls().map(call => call.command)).toEqual(['iptables-save -c', 'ipset list -t']);
+        })
+        .then(done, done.fail);
+    });
+  });
+
+  describe('buildReport', function () {
+    it('Given the generated rules and sets Then match them with the live counters', function () {
+      const report = trafficReport.buildReport([createJobResponse()], {
+        rules: trafficReport.parseIptablesSaveCounters('iptables-4', iptablesSave),
+        sets: trafficReport.parseIpsetEntryCounts(ipsetList)
+      });
+
+      expect(report).toEqual([{
+        job: 'ssh',
+        rules: [
+          {item: 'admin', ipVersion: 4, table: 'filter', chain: 'IN_ssh', rule: '-p tcp --dport 22 -j ACCEPT', present: true, packets: 12, bytes: 720},
+          {item: null, ipVersion: 4, table: 'filter', chain: 'IN_ssh', rule: '-p tcp --dport 2222 -j ACCEPT', present: false, packets: 0, bytes: 0},
+          {item: null, ipVersion: 4, table: 'filter', chain: 'IN_ssh', rule: '-j RETURN', present: true, packets: 3, bytes: 180}
+        ],
+        sets: [
+          {name: 'trusted_net', present: true, entries: 2},
+          {name: 'ssh_bans', present: false, entries: 0}
+        ]
+      }]);
+    });
+  });
+
+  describe('formatReport', function () {
+    it('Given a report Then format a table per job with the absent rules and sets', function () {
+      const report = trafficReport.buildReport([createJobResponse(), {configurationJob: {name: 'empty'}, response: {operations: []}}], {
+        rules: trafficReport.parseIptablesSaveCounters('iptables-4', iptablesSave),
+        sets: trafficReport.parseIpsetEntryCounts(ipsetList)
+      });
+
+      expect(trafficReport.formatReport(report, 'table')).toEqual(
+        'Job ssh\n' +
+        '  ITEM   CHAIN          PACKETS  BYTES  RULE\n' +
+        '  admin  IN_ssh (IPv4)  12       720    -p tcp --dport 22 -j ACCEPT\n' +
+        '  -      IN_ssh (IPv4)  absent   -      -p tcp --dport 2222 -j ACCEPT\n' +
+        '  -      IN_ssh (IPv4)  3        180    -j RETURN\n' +
+        '  SET          ENTRIES\n' +
+        '  trusted_net  2\n' +
+        '  ssh_bans     absent\n' +
+        'Job empty\n' +
+        '  No rule and no set\n'
+      );
+      expect(JSON.parse(trafficReport.formatReport(report, 'json'))).toEqual(report);
+    });
+
+    it('Given an unknown format Then throw an error', function () {
+      expect(() => trafficReport.formatReport([], 'csv')).toThrowError(commonErrors.IllegalArgumentError, 'Unknown report format csv');
+    });
+  });
+});